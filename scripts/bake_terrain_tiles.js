@@ -0,0 +1,85 @@
+/**
+ * Bakes SRTM heightmaps into the local terrain tiles read by LocalTileElevationProvider.
+ *
+ * Usage:
+ *   npm run bake-terrain -- <srtm-dir> [--size <samples>] [--out <dir>]
+ *
+ * Reads every .hgt file in <srtm-dir> (SRTM1 3601x3601 or SRTM3 1201x1201, named like
+ * N33W119.hgt), resamples it to <size> x <size> samples (default 301, ~12 arc-seconds)
+ * and writes it in the same .hgt layout to <out> (default public/terrain). manifest.json
+ * in the output directory lists every baked tile; existing entries are kept. Its "installed"
+ * flag is false while the manifest lists no tiles (the repository ships without any).
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import process from 'node:process';
+import { Buffer } from 'node:buffer';
+import { fileURLToPath } from 'node:url';
+import LocalTileElevationProvider from '../src/services/elevation/LocalTileElevationProvider.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const TILE_NAME = /^[NS]\d{2}[EW]\d{3}$/;
+
+function parseArgs(argv) {
+    const args = { input: null, size: 301, out: path.join(__dirname, '../public/terrain') };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--size') args.size = parseInt(argv[++i], 10);
+        else if (arg === '--out') args.out = argv[++i];
+        else if (!args.input) args.input = arg;
+    }
+    return args;
+}
+
+// Bilinear resample of a square heightmap; voids are kept where the nearest source sample is void
+function resample(tile, size) {
+    const out = Buffer.alloc(size * size * 2);
+    const scale = (tile.size - 1) / (size - 1);
+    for (let r = 0; r < size; r++) {
+        for (let c = 0; c < size; c++) {
+            const nearest = tile.data[Math.round(r * scale) * tile.size + Math.round(c * scale)];
+            const value = nearest === -32768
+                ? nearest
+                : Math.round(LocalTileElevationProvider.interpolate(tile, r * scale, c * scale));
+            out.writeInt16BE(value, (r * size + c) * 2);
+        }
+    }
+    return out;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.input || !Number.isInteger(args.size) || args.size < 2) {
+        console.error('Usage: npm run bake-terrain -- <srtm-dir> [--size <samples>] [--out <dir>]');
+        process.exit(1);
+    }
+
+    fs.mkdirSync(args.out, { recursive: true });
+    const manifestPath = path.join(args.out, 'manifest.json');
+    const manifest = fs.existsSync(manifestPath)
+        ? JSON.parse(fs.readFileSync(manifestPath, 'utf-8'))
+        : { format: 'hgt', tiles: {} };
+
+    const files = fs.readdirSync(args.input).filter(file => file.toLowerCase().endsWith('.hgt'));
+    for (const file of files) {
+        const name = path.basename(file, path.extname(file)).toUpperCase();
+        if (!TILE_NAME.test(name)) {
+            console.warn(`Skipping ${file}: not an SRTM tile name`);
+            continue;
+        }
+        const source = fs.readFileSync(path.join(args.input, file));
+        const buffer = source.buffer.slice(source.byteOffset, source.byteOffset + source.byteLength);
+        const tile = LocalTileElevationProvider.decodeTile(buffer);
+        const size = Math.min(args.size, tile.size);
+
+        fs.writeFileSync(path.join(args.out, `${name}.hgt`), resample(tile, size));
+        manifest.tiles[name] = size;
+        console.log(`Baked ${name}: ${tile.size} -> ${size} samples`);
+    }
+
+    manifest.installed = Object.keys(manifest.tiles).length > 0;
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+    console.log(`${files.length} tiles processed, ${Object.keys(manifest.tiles).length} in ${manifestPath}`);
+}
+
+main();
@@ -0,0 +1,12 @@
+/**
+ * Node module hooks that let the browser-oriented services import JSON data
+ * files without `with { type: "json" }` (Vite handles this in the app build).
+ */
+
+export async function resolve(specifier, context, nextResolve) {
+    const result = await nextResolve(specifier, context);
+    if (result.url && result.url.endsWith('.json')) {
+        return { ...result, importAttributes: { ...context.importAttributes, type: 'json' } };
+    }
+    return result;
+}
@@ -0,0 +1,7 @@
+/**
+ * Registers the JSON import hooks for Node scripts.
+ * Usage: node --import ./scripts/json-loader.js scripts/<script>.js
+ */
+import { register } from 'node:module';
+
+register('./json-loader-hooks.js', import.meta.url);
@@ -0,0 +1,81 @@
+/**
+ * Headless deterministic simulation runner.
+ *
+ * Usage:
+ *   npm run simulate -- <scenario.json> [--out <file.csv|file.json>] [--seed <n>] [--verbose]
+ *
+ * Runs the scenario at a fixed timestep with a seeded random source and writes the
+ * sampled time series. Output format follows the --out extension (JSON includes
+ * events and expectation results). Without --out, CSV is written to stdout.
+ * Exits with code 1 if any scenario expectation fails.
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import process from 'node:process';
+import HeadlessSimulationService, { samplesToCsv } from '../src/services/HeadlessSimulationService.js';
+
+function parseArgs(argv) {
+    const args = { scenario: null, out: null, seed: undefined, verbose: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--out') args.out = argv[++i];
+        else if (arg === '--seed') args.seed = argv[++i];
+        else if (arg === '--verbose') args.verbose = true;
+        else if (!args.scenario) args.scenario = arg;
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.scenario) {
+        console.error('Usage: npm run simulate -- <scenario.json> [--out <file.csv|file.json>] [--seed <n>] [--verbose]');
+        process.exit(2);
+    }
+
+    const scenario = JSON.parse(fs.readFileSync(args.scenario, 'utf8'));
+    if (args.seed !== undefined) {
+        scenario.seed = /^\d+$/.test(args.seed) ? Number(args.seed) : args.seed;
+    }
+
+    // Services log heavily to the console; keep stdout clean for the time series
+    const log = console.error.bind(console);
+    if (!args.verbose) {
+        console.log = () => {};
+        console.warn = () => {};
+    }
+
+    const runner = new HeadlessSimulationService(scenario);
+    const result = await runner.run();
+
+    if (args.out) {
+        const isJson = path.extname(args.out).toLowerCase() === '.json';
+        fs.writeFileSync(args.out, isJson ? JSON.stringify(result, null, 2) : samplesToCsv(result.samples));
+        log(`Wrote ${result.samples.length} samples to ${args.out}`);
+    } else {
+        process.stdout.write(samplesToCsv(result.samples));
+    }
+
+    log(`Scenario: ${result.name} | seed ${result.seed} | dt ${result.dt}s | ${result.events.length} events`);
+    log(`Score: ${result.score.total} (grade ${result.score.grade}, ${result.score.difficulty} x${result.score.multiplier})`);
+    if (result.investigation) {
+        log(`Crashed: probable cause ${result.investigation.probableCause.category}`);
+    }
+    result.checks.forEach(check => {
+        const bounds = [
+            check.min !== undefined ? `>= ${check.min}` : null,
+            check.max !== undefined ? `<= ${check.max}` : null,
+            check.equals !== undefined ? `== ${check.equals}` : null,
+            check.contains !== undefined ? `contains ${check.contains}` : null
+        ].filter(Boolean).join(' ');
+        log(`${check.passed ? 'PASS' : 'FAIL'}: ${check.field} @ ${check.sampleTime}s = ${check.value} (${bounds})`);
+    });
+
+    // Browser services (terrain fetcher) keep timers alive; exit explicitly
+    process.exit(result.passed ? 0 : 1);
+}
+
+main().catch(error => {
+    console.error('Simulation failed:', error);
+    process.exit(1);
+});
@@ -9,7 +9,8 @@ import FlightInitialization from './components/FlightInitialization.jsx';
 import FlightInProgress from './components/FlightInProgress.jsx';
 import RouteSelectionFrame from './components/RouteSelectionFrame.jsx';
 import NarrativeScene from './components/NarrativeScene.jsx';
-import { generateInitialWeather, updateWeather } from './services/weatherService';
+import { generateInitialWeather, generateAtmosphereProfile, generateConvectiveCells, generateStormCells, updateWeather } from './services/weatherService';
+import { scenarioPackService } from './services/scenarioPackService';
 import { getRunwayHeading } from './utils/routeGenerator';
 
 import { FadeOverlay, CinematicReview } from './components/CinematicComponents.jsx';
@@ -80,6 +81,7 @@ function App() {
   
   // New simulation state variables
   const [failureType, setFailureType] = useState('random');
+  const [scenarioPack, setScenarioPack] = useState(null); // Authored scenario pack id (null = random flight)
   const [weatherData, setWeatherData] = useState({
     type: 'clear',
     windSpeed: 0,
@@ -89,6 +91,8 @@ function App() {
     turbulence: 0
   });
   const [crewCount, setCrewCount] = useState(2);
+  // Loadsheet: passengers seated 'even', 'forward' or 'aft', and the share of cargo (%) in the forward hold
+  const [loadDistribution, setLoadDistribution] = useState({ cabin: 'even', holdFwdShare: 50 });
   const [simulationStarted, setSimulationStarted] = useState(false);
   const [cinematicPhase, setCinematicPhase] = useState('none');
   
@@ -179,10 +183,14 @@ function App() {
        const lat2 = Math.asin(Math.sin(lat1)*Math.cos(d/R) + Math.cos(lat1)*Math.sin(d/R)*Math.cos(brng));
        const lon2 = lon1 + Math.atan2(Math.sin(brng)*Math.sin(d/R)*Math.cos(lat1), Math.cos(d/R)-Math.sin(lat1)*Math.sin(lat2));
        
+       // 3000 ft above the field at 10nm puts VNAV on a ~3° path to the runway
        const approachFix = {
          name: `FINAL`,
          latitude: lat2 * 180 / Math.PI,
-         longitude: lon2 * 180 / Math.PI
+         longitude: lon2 * 180 / Math.PI,
+         altitude: Math.round((Number(selectedArrival.elevation) || 0) + 3000),
+         altitudeConstraint: 'AT',
+         speed: 180
        };
        
        const runwayFix = {
@@ -256,7 +264,20 @@ function App() {
       currentSeason,
       currentTimeZulu
     );
-    setWeatherData(initialWeather);
+    // Scenario packs script their own weather on top of the generated baseline,
+    // and so does a METAR/TAF entered at dispatch
+    const pack = scenarioPack ? scenarioPackService.getPack(scenarioPack) : null;
+    const scriptedWeather = pack?.weather || (weatherData?.source === 'report' ? weatherData : null);
+    const weather = scriptedWeather ? { ...initialWeather, ...scriptedWeather } : initialWeather;
+    // Winds and temperatures aloft, microbursts and storm cells, unless the scenario scripts its own
+    weather.atmosphere = pack?.weather?.atmosphere || generateAtmosphereProfile(weather, selectedDeparture.elevation || 0);
+    weather.microbursts = pack?.weather?.microbursts || generateConvectiveCells(weather, [selectedDeparture, selectedArrival]);
+    const midRoute = {
+      latitude: (selectedDeparture.latitude + selectedArrival.latitude) / 2,
+      longitude: (selectedDeparture.longitude + selectedArrival.longitude) / 2
+    };
+    weather.stormCells = pack?.weather?.stormCells || generateStormCells(weather, [selectedDeparture, midRoute, selectedArrival], weather.microbursts);
+    setWeatherData(weather);
 
     setCinematicPhase('fade_out');
 
@@ -359,7 +380,9 @@ function App() {
       weatherData: weatherData,
       setWeatherData: setWeatherData,
       failureType: failureType,
+      scenarioPack: scenarioPack,
       crewCount: crewCount,
+      loadDistribution: loadDistribution,
       routeDetails: detailedRoute
     }));
   }
@@ -414,10 +437,14 @@ function App() {
         formatFuel: formatFuel,
         failureType: failureType,
         setFailureType: setFailureType,
+        scenarioPack: scenarioPack,
+        setScenarioPack: setScenarioPack,
         weatherData: weatherData,
         setWeatherData: setWeatherData,
         crewCount: crewCount,
         setCrewCount: setCrewCount,
+        loadDistribution: loadDistribution,
+        setLoadDistribution: setLoadDistribution,
         aircraftSuggestions: aircraftSuggestions,
         handleInitializeFlight: handleInitializeFlight,
         handleSearch: handleSearch,
@@ -1,6 +1,7 @@
 
 import React, { useState, useEffect, useMemo } from 'react';
 import { Checklists, ChecklistCategories } from '../services/ChecklistData';
+import eventBus from '../services/eventBus.js';
 import './ChecklistPanel.css';
 
 const ChecklistPanel = ({ onClose, physicsState, flightState }) => {
@@ -48,6 +49,7 @@ const ChecklistPanel = ({ onClose, physicsState, flightState }) => {
     
     if (allChecked && !isFolding) {
       setIsFolding(true);
+      eventBus.publish(eventBus.Types.CHECKLIST_COMPLETED, { category: activeTab, items: currentItems.length });
       const timer = setTimeout(() => {
         // Fold (Close)
         onClose();
@@ -66,7 +68,7 @@ const ChecklistPanel = ({ onClose, physicsState, flightState }) => {
 
       return () => clearTimeout(timer);
     }
-  }, [checkedItems, currentItems, onClose, isFolding]);
+  }, [checkedItems, currentItems, activeTab, onClose, isFolding]);
 
   const toggleItem = (id) => {
     setCheckedItems(prev => ({
@@ -0,0 +1,131 @@
+import { useEffect, useRef, useState } from 'react';
+import { useLanguage } from '../contexts/LanguageContext';
+import { commandParser } from '../services/CommandParser';
+import './CommandConsole.css';
+
+const MAX_LOG_ENTRIES = 50;
+const MAX_HISTORY = 50;
+
+/**
+ * Pilot command line. Parsing and execution happen in `onExecute(input)`, which returns
+ * { status: 'executed' | 'acknowledged' | 'rejected' | 'error', key, params }.
+ */
+const CommandConsole = ({ onExecute, onClose }) => {
+  const { t } = useLanguage();
+  const [input, setInput] = useState('');
+  const [log, setLog] = useState([]);
+  const [history, setHistory] = useState([]);
+  const [historyIndex, setHistoryIndex] = useState(-1);
+  const [selected, setSelected] = useState(0);
+  const inputRef = useRef(null);
+  const logRef = useRef(null);
+
+  const suggestions = input.trim() ? commandParser.complete(input) : [];
+
+  useEffect(() => {
+    inputRef.current?.focus();
+  }, []);
+
+  useEffect(() => {
+    if (logRef.current) logRef.current.scrollTop = logRef.current.scrollHeight;
+  }, [log]);
+
+  const submit = () => {
+    const line = input.trim().toUpperCase();
+    if (!line) return;
+    const result = onExecute(line);
+    setLog(prev => [...prev, { id: Date.now() + Math.random(), input: line, result }].slice(-MAX_LOG_ENTRIES));
+    if (result.status !== 'error') {
+      setHistory(prev => [line, ...prev.filter(entry => entry !== line)].slice(0, MAX_HISTORY));
+      setInput('');
+    }
+    setHistoryIndex(-1);
+    setSelected(0);
+  };
+
+  const accept = (command) => {
+    setInput(commandParser.completionText(command));
+    setSelected(0);
+    inputRef.current?.focus();
+  };
+
+  const browseHistory = (direction) => {
+    const next = Math.max(-1, Math.min(history.length - 1, historyIndex + direction));
+    setHistoryIndex(next);
+    setInput(next >= 0 ? history[next] : '');
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      submit();
+    } else if (event.key === 'Tab') {
+      event.preventDefault();
+      if (suggestions.length > 0) accept(suggestions[Math.min(selected, suggestions.length - 1)]);
+    } else if (event.key === 'ArrowUp') {
+      event.preventDefault();
+      if (suggestions.length > 0 && historyIndex < 0) setSelected(prev => Math.max(0, prev - 1));
+      else browseHistory(1);
+    } else if (event.key === 'ArrowDown') {
+      event.preventDefault();
+      if (suggestions.length > 0 && historyIndex < 0) setSelected(prev => Math.min(suggestions.length - 1, prev + 1));
+      else browseHistory(-1);
+    } else if (event.key === 'Escape') {
+      onClose();
+    }
+  };
+
+  return (
+    <div className="command-console">
+      <div className="command-console-header">
+        <span>{t('ui.console.title')}</span>
+        <button onClick={onClose}>✕</button>
+      </div>
+
+      <div className="command-console-log" ref={logRef}>
+        {log.map(entry => (
+          <div key={entry.id} className={`command-console-entry ${entry.result.status}`}>
+            <span className="command-console-input">&gt; {entry.input}</span>
+            <span>{t(entry.result.key, entry.result.params)}</span>
+          </div>
+        ))}
+      </div>
+
+      {suggestions.length > 0 && (
+        <ul className="command-console-suggestions">
+          {suggestions.map((command, i) => (
+            <li
+              key={command.id}
+              className={i === selected ? 'selected' : ''}
+              onMouseDown={(event) => {
+                event.preventDefault();
+                accept(command);
+              }}
+            >
+              <span className="command-console-template">{command.template}</span>
+              <span className="command-console-abbr">{command.abbr}</span>
+              <span className="command-console-description">{command.description}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <input
+        ref={inputRef}
+        className="command-console-field"
+        value={input}
+        placeholder={t('ui.console.placeholder')}
+        spellCheck={false}
+        onChange={(event) => {
+          setInput(event.target.value);
+          setHistoryIndex(-1);
+          setSelected(0);
+        }}
+        onKeyDown={handleKeyDown}
+      />
+      <div className="command-console-help">{t('ui.console.help')}</div>
+    </div>
+  );
+};
+
+export default CommandConsole;
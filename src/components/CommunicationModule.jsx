@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { airportService } from '../services/airportService';
+import { atcManager } from '../services/ATCLogic';
 
 // Knob Component
 const FrequencyKnob = ({ label, size, innerSize, onChange, sensitivity = 1, color = '#cbd5e1' }) => {
@@ -229,6 +230,19 @@ const CommunicationModule = ({ flightState, setRadioFreq, flightPlan, radioMessa
       }
     }
 
+    // Add the facilities working the flight (Delivery, Departure, Approach...) unless already listed
+    atcManager.controller.getFacilities().forEach(facility => {
+      const frequency = parseFloat(facility.frequency);
+      if (stations.some(s => Math.abs(s.frequency - frequency) < 0.01)) return;
+      stations.push({
+        name: facility.name,
+        type: facility.type.charAt(0) + facility.type.slice(1).toLowerCase(),
+        frequency,
+        desc: facility.name,
+        distance: facility.current ? -0.5 : 0.5
+      });
+    });
+
     // Add Flight Plan Waypoints (as simulated stations or just for nav reference in future)
     // For now, we only add actual radio stations.
 
@@ -1,6 +1,9 @@
 import React from 'react';
+import { useLanguage } from '../contexts/LanguageContext';
+import InvestigationReport from './InvestigationReport';
 
-const CrashPanel = ({ showCrashPanel, resetFlight }) => {
+const CrashPanel = ({ showCrashPanel, resetFlight, onReplay, report, score }) => {
+  const { t } = useLanguage();
   if (!showCrashPanel) return null;
   
   return React.createElement('div', {
@@ -23,8 +26,10 @@ const CrashPanel = ({ showCrashPanel, resetFlight }) => {
     }
   },
     React.createElement('h1', { style: { fontSize: '5rem', marginBottom: '2rem' } }, 'CRASHED'),
-    React.createElement('div', { style: { fontSize: '2rem', marginBottom: '1rem' } }, 'Final Score: 0'),
-    React.createElement('div', { style: { fontSize: '1.5rem', marginBottom: '2rem' } }, 'You failed to maintain control of the aircraft'),
+    React.createElement('div', { style: { fontSize: '2rem', marginBottom: '1rem' } }, t('scoring.final_score', { score: score ? score.total : 0 })),
+    report
+      ? React.createElement(InvestigationReport, { report })
+      : React.createElement('div', { style: { fontSize: '1.5rem', marginBottom: '2rem' } }, 'You failed to maintain control of the aircraft'),
     React.createElement('button', {
       onClick: resetFlight,
       style: {
@@ -36,7 +41,20 @@ const CrashPanel = ({ showCrashPanel, resetFlight }) => {
         borderRadius: '5px',
         cursor: 'pointer'
       }
-    }, 'Try Again')
+    }, 'Try Again'),
+    onReplay && React.createElement('button', {
+      onClick: onReplay,
+      style: {
+        marginTop: '1rem',
+        padding: '0.75rem 2rem',
+        fontSize: '1.25rem',
+        backgroundColor: 'transparent',
+        color: 'white',
+        border: '2px solid white',
+        borderRadius: '5px',
+        cursor: 'pointer'
+      }
+    }, t('ui.replay.review_flight'))
   );
 };
 
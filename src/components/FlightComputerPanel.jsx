@@ -1,5 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { airportService } from '../services/airportService';
+import { calculateBearing } from '../utils/flightMath';
+import { windAt, windComponents } from '../utils/atmosphereProfile';
 import './FlightComputerPanel.css';
 
 import { useLanguage } from '../contexts/LanguageContext';
@@ -98,6 +100,37 @@ const FlightComputerPanel = ({ flightPlan, onUpdateFlightPlan, flightState }) =>
          timeFuel = `${Math.floor(hours)}h ${mins%60}m`;
      }
      
+     // Wind: the layered profile when the weather has one, else the wind the aircraft is in
+     const windAtAltitude = (alt) => flightState.atmosphere ? windAt(flightState.atmosphere, alt) : flightState.wind;
+     const wind = windAtAltitude(flightState.altitude || 0);
+     const course = flightState.heading || 0;
+     let windLabel = '---';
+     let windComponent = '---';
+     if (wind) {
+         const { headwind } = windComponents(wind, course);
+         windLabel = `${String(Math.round(wind.direction) || 360).padStart(3, '0')}° / ${Math.round(wind.speed)} kt`;
+         windComponent = `${headwind >= 0 ? 'Head' : 'Tail'} ${Math.abs(headwind).toFixed(0)} kt`;
+     }
+
+     // Fuel at destination: remaining legs flown at TAS less the headwind at cruise
+     let fuelAtDest = '---';
+     const nextIdx = flightState.currentWaypointIndex || 0;
+     if (flowKgH > 0 && flightState.trueAirspeed > 50 && nextIdx < waypoints.length) {
+         const cruiseAlt = flightState.vnav?.cruiseAltitude || flightState.altitude || 0;
+         let from = { latitude: flightState.latitude, longitude: flightState.longitude };
+         let hours = 0;
+         for (const wp of waypoints.slice(nextIdx)) {
+             const dist = airportService.calculateDistance(from, wp);
+             const legWind = windAtAltitude(cruiseAlt);
+             const headwind = legWind
+                 ? windComponents(legWind, calculateBearing(from.latitude, from.longitude, wp.latitude, wp.longitude)).headwind
+                 : 0;
+             hours += dist / Math.max(flightState.trueAirspeed - headwind, 50);
+             from = wp;
+         }
+         fuelAtDest = `${Math.round((flightState.fuel || 0) - flowKgH * hours)} kg`;
+     }
+     
      // Altitude
      let timeAlt = '---';
      const vs = flightState.verticalSpeed; // ft/min
@@ -114,7 +147,7 @@ const FlightComputerPanel = ({ flightPlan, onUpdateFlightPlan, flightState }) =>
          timeAlt = 'Stable';
      }
      
-     return { timeToWpt, distToWpt, nextWpLabel, timeFuel, timeAlt, totalFlow: flowKgH };
+     return { timeToWpt, distToWpt, nextWpLabel, timeFuel, fuelAtDest, windLabel, windComponent, timeAlt, totalFlow: flowKgH };
   };
 
   const preds = calculatePredictions();
@@ -158,6 +191,21 @@ const FlightComputerPanel = ({ flightPlan, onUpdateFlightPlan, flightState }) =>
     updateParent(newWaypoints);
   };
 
+  // VNAV constraints: altitude (ft MSL) with AT/ABOVE/BELOW, speed (kts, at or below)
+  const handleConstraintChange = (index, field, value) => {
+    const newWaypoints = [...waypoints];
+    const wp = { ...newWaypoints[index] };
+    if (field === 'altitudeConstraint') {
+      wp.altitudeConstraint = value;
+    } else {
+      const parsed = parseInt(value, 10);
+      if (isNaN(parsed) || parsed <= 0) delete wp[field];
+      else wp[field] = parsed;
+    }
+    newWaypoints[index] = wp;
+    updateParent(newWaypoints);
+  };
+
   const handleAddManual = () => {
     const lat = parseFloat(manualLat);
     const lon = parseFloat(manualLon);
@@ -379,6 +427,17 @@ const FlightComputerPanel = ({ flightPlan, onUpdateFlightPlan, flightState }) =>
       <div className="fc-content">
         {activeTab === 'waypoints' && (
           <div className="waypoints-list">
+            {flightState?.vnav?.phase && (
+              <div className="vnav-summary">
+                <span className="vnav-phase">
+                  {t('ui.flight_computer.vnav.title')} {t(`ui.flight_computer.vnav.phases.${flightState.vnav.phase}`)}
+                  {!flightState.vnav.engaged && ` (${t('ui.flight_computer.vnav.standby')})`}
+                </span>
+                <span>{t('ui.flight_computer.vnav.tod')}: {typeof flightState.vnav.todDistanceNm === 'number' ? `${flightState.vnav.todDistanceNm.toFixed(1)} nm` : '---'}</span>
+                <span>{t('ui.flight_computer.vnav.vdev')}: {typeof flightState.vnav.verticalDeviation === 'number' ? `${flightState.vnav.verticalDeviation > 0 ? '+' : ''}${flightState.vnav.verticalDeviation} ft` : '---'}</span>
+                <span>{t('ui.flight_computer.vnav.speed')}: {flightState.vnav.targetSpeed} kts</span>
+              </div>
+            )}
             {waypoints.length === 0 ? (
               <div className="empty-state">{t('ui.flight_computer.plan.empty')}</div>
             ) : (
@@ -401,6 +460,28 @@ const FlightComputerPanel = ({ flightPlan, onUpdateFlightPlan, flightState }) =>
                             {wp.label} {isActive && <small style={{color: '#4facfe', marginLeft: '5px'}}>{t('ui.flight_computer.plan.active')}</small>}
                         </span>
                         <span className="wp-coords">{wp.latitude.toFixed(4)}, {wp.longitude.toFixed(4)}</span>
+                        <div className="wp-constraints">
+                          <select
+                            value={wp.altitudeConstraint || 'AT'}
+                            onChange={(e) => handleConstraintChange(index, 'altitudeConstraint', e.target.value)}
+                          >
+                            {['AT', 'ABOVE', 'BELOW'].map(type => (
+                              <option key={type} value={type}>{t(`ui.flight_computer.plan.constraint_types.${type}`)}</option>
+                            ))}
+                          </select>
+                          <input
+                            type="number"
+                            placeholder={t('ui.flight_computer.plan.constraint_altitude')}
+                            value={wp.altitude || ''}
+                            onChange={(e) => handleConstraintChange(index, 'altitude', e.target.value)}
+                          />
+                          <input
+                            type="number"
+                            placeholder={t('ui.flight_computer.plan.constraint_speed')}
+                            value={wp.speed || ''}
+                            onChange={(e) => handleConstraintChange(index, 'speed', e.target.value)}
+                          />
+                        </div>
                         {wp.type === 'airport' && (wp.availableRunways || wp.details?.runways) && (
                             <select 
                             value={wp.selectedRunway || ''} 
@@ -652,6 +733,17 @@ const FlightComputerPanel = ({ flightPlan, onUpdateFlightPlan, flightState }) =>
                 <div style={{ color: '#94a3b8' }}>Time to Empty:</div>
                 <div style={{ textAlign: 'right', color: '#f59e0b' }}>{preds.timeFuel}</div>
                 
+                <div style={{ color: '#94a3b8' }}>Fuel at Dest:</div>
+                <div style={{ textAlign: 'right', color: '#f59e0b' }}>{preds.fuelAtDest}</div>
+                
+                <div style={{ borderTop: '1px solid #334155', gridColumn: '1/-1', margin: '4px 0' }}></div>
+                
+                <div style={{ color: '#94a3b8' }}>Wind:</div>
+                <div style={{ textAlign: 'right' }}>{preds.windLabel}</div>
+                
+                <div style={{ color: '#94a3b8' }}>Component:</div>
+                <div style={{ textAlign: 'right' }}>{preds.windComponent}</div>
+                
                 <div style={{ borderTop: '1px solid #334155', gridColumn: '1/-1', margin: '4px 0' }}></div>
                 
                 <div style={{ color: '#94a3b8', alignSelf: 'center' }}>Target Alt (ft):</div>
@@ -1,8 +1,10 @@
 import React, { useState, useEffect } from 'react';
 import { useAircraftPhysics } from '../hooks/useAircraftPhysics';
+import useFlightReplay from '../hooks/useFlightReplay';
 import { useLanguage } from '../contexts/LanguageContext';
 import { updateWeather } from '../services/weatherService';
 import { realWeatherService } from '../services/RealWeatherService';
+import { withSurfaceWind } from '../utils/atmosphereProfile';
 import { terrainService } from '../services/TerrainService';
 import { terrainRadarService } from '../services/TerrainRadarService';
 import { airportService } from '../services/airportService';
@@ -10,8 +12,9 @@ import weatherConfig from '../config/weatherConfig.json';
 import FlightPanelModular from './FlightPanelModular';
 import DebugPhysicsPanel from './DebugPhysicsPanel';
 import FailureDebugPanel from './FailureDebugPanel';
-import commandDatabase from '../commandDatabase.json';
-import sceneManager from '../services/sceneManager.js';
+import FlightResults from './FlightResults';
+import CommandConsole from './CommandConsole';
+import sceneManager, { FlightPhases } from '../services/sceneManager.js';
 import eventBus from '../services/eventBus.js';
 import { getRunwayHeading } from '../utils/routeGenerator';
 import RadioActionPanel from './RadioActionPanel';
@@ -19,6 +22,12 @@ import { atcManager } from '../services/ATCLogic';
 import { npcService } from '../services/NPCService';
 import { regionControlService } from '../services/RegionControlService';
 import { checkStartupRequirements, StartupPhases } from '../services/StartupChecklist';
+import { cloudSaveService } from '../services/cloudSaveService';
+import { accidentInvestigationService } from '../services/AccidentInvestigationService';
+import { buildSaveData } from '../utils/saveMigrations';
+import { commandParser } from '../services/CommandParser';
+import { dispatchPilotCommand } from '../services/PilotCommandDispatcher';
+import { buildLoad } from '../services/WeightBalanceService';
 
 const FlightInProgress = ({ 
   callsign, 
@@ -45,7 +54,9 @@ const FlightInProgress = ({
   weatherData, 
   setWeatherData, 
   failureType, 
+  scenarioPack,
   crewCount, 
+  loadDistribution,
   physicsModel = 'realistic',
   routeDetails
 }) => {
@@ -64,6 +75,15 @@ const FlightInProgress = ({
   const totalCrewWeight = safeCrew * averageCrewWeight;
   const additionalPayloadWeight = safePayload;
   const totalPayloadWeight = totalPassengerWeight + totalCrewWeight + additionalPayloadWeight;
+  // Loadsheet zones: crew and passengers in the cabin, the additional payload as cargo in the holds
+  const holdFwdPercent = parseFloat(loadDistribution?.holdFwdShare);
+  const load = buildLoad({
+    pax: safePax,
+    crew: safeCrew,
+    cargo: safePayload,
+    cabinLoading: loadDistribution?.cabin,
+    holdFwdShare: Number.isFinite(holdFwdPercent) ? holdFwdPercent / 100 : 0.5
+  });
   const flightPlanFuelWeight = flightPlan && flightPlan.fuel && typeof flightPlan.fuel.totalFuel === 'number'
     ? flightPlan.fuel.totalFuel
     : 0;
@@ -108,6 +128,7 @@ const FlightInProgress = ({
   const aircraftConfig = {
     aircraftModel,
     payloadWeight: totalPayloadWeight,
+    load,
     fuelWeight: flightPlanFuelWeight,
     cruiseHeight,
     windSpeedKts: weatherData && typeof weatherData.windSpeed === 'number'
@@ -125,7 +146,8 @@ const FlightInProgress = ({
     departureRunway: (routeDetails?.departureRunway) || (flightPlan?.departure?.runways?.[0]?.name),
     arrivalRunway: (routeDetails?.landingRunway) || (flightPlan?.arrival?.runways?.[0]?.name),
     difficulty: difficulty,
-    failureType: failureType
+    failureType: failureType,
+    scenarioPack: scenarioPack
   };
 
   const {
@@ -151,17 +173,34 @@ const FlightInProgress = ({
     timeScale,
     updateFlightPlan,
     setEngineThrottle,
-    setMotionEnabled
+    setMotionEnabled,
+    setPaused
   } = useAircraftPhysics(aircraftConfig, false, physicsModel);
 
+  // Flight data recorder playback; the live simulation is frozen while replaying
+  const replay = useFlightReplay(physicsService?.recorder);
+  useEffect(() => {
+    setPaused(replay.active);
+  }, [replay.active, setPaused]);
+
   // Control state for UI components
   const [throttleControl, setThrottleControl] = useState(0); // Initialize at IDLE
-  const [commandInput, setCommandInput] = useState('');
   const [radioMessages, setRadioMessages] = useState([]);
   const [currentFreq, setCurrentFreq] = useState(121.500);
-  const [useRealWeather, setUseRealWeather] = useState(true); // Enable Real Weather by default
+  const [useRealWeather, setUseRealWeather] = useState(weatherData?.source !== 'report'); // Real weather by default, unless flying a METAR/TAF
   const [sceneState, setSceneState] = useState(sceneManager.getState());
   const [narrative, setNarrative] = useState(null);
+  const [flightResults, setFlightResults] = useState(null);
+  const [resultsDismissed, setResultsDismissed] = useState(false);
+
+  // Grade the flight once the aircraft is down and taxiing in
+  useEffect(() => {
+    const phaseType = sceneState.currentPhase?.type;
+    const flightComplete = phaseType === FlightPhases.AFTER_LAND_TAXIING || phaseType === FlightPhases.SHUTOFF;
+    if (flightComplete && !isCrashed && !flightResults && physicsService?.scorer) {
+      setFlightResults(physicsService.scorer.getScore());
+    }
+  }, [sceneState.currentPhase, isCrashed, flightResults, physicsService]);
 
   // Control Physics Motion based on Phase (Narrative vs Active)
   useEffect(() => {
@@ -240,6 +279,7 @@ const FlightInProgress = ({
         altitude: Math.round(flightData.altitude),
         heading: Math.round(flightData.heading),
         weather: weatherData, // Pass weather data to ATC context
+        frequency: currentFreq,
         frequencyType: freqType,
         language: language, // Pass current language to ATC
         departureRunway: aircraftConfig.departureRunway,
@@ -254,7 +294,7 @@ const FlightInProgress = ({
             setRadioMessages(prev => [...prev, { ...response, frequency: freqType }]);
             
             // Event Bus Trigger for Takeoff Clearance
-            if (messageTemplateId === 'req_takeoff') {
+            if (messageTemplateId === 'req_takeoff' && !response.redirect) {
                 console.log('🛫 Takeoff Clearance Received - Triggering Event');
                 eventBus.publish('atc.clearance.takeoff', {
                     timestamp: Date.now(),
@@ -268,6 +308,7 @@ const FlightInProgress = ({
   const [phaseName, setPhaseName] = useState('');
   const [showDebugPhysics, setShowDebugPhysics] = useState(false);
   const [showFailurePanel, setShowFailurePanel] = useState(false);
+  const [showConsole, setShowConsole] = useState(false);
   const [isChannelBusy, setIsChannelBusy] = useState(false);
   const [npcs, setNpcs] = useState([]);
   const [currentRegion, setCurrentRegion] = useState(null);
@@ -350,6 +391,46 @@ const FlightInProgress = ({
           }, 500);
       }
   }, [isInitialized, saveData, physicsService]);
+
+  // Flight history: a checkpoint on every phase change, and the outcome once the flight ends
+  const saveContextRef = React.useRef(null);
+  saveContextRef.current = { physicsService, physicsState, flightData, flightPlan: activeFlightPlan, weatherData, aircraftModel };
+  const lastCheckpointPhaseRef = React.useRef(null);
+  const flightCompletedRef = React.useRef(false);
+
+  useEffect(() => {
+    // A resumed save continues its flight's history
+    cloudSaveService.beginFlight(saveData?.flightId);
+  }, [saveData]);
+
+  useEffect(() => {
+    const phaseType = sceneState.currentPhase?.type;
+    if (!isInitialized || !physicsService || !phaseType || lastCheckpointPhaseRef.current === phaseType) return;
+    lastCheckpointPhaseRef.current = phaseType;
+    cloudSaveService.saveCheckpoint(buildSaveData(saveContextRef.current), phaseType);
+  }, [sceneState.currentPhase, isInitialized, physicsService]);
+
+  useEffect(() => {
+    if (flightCompletedRef.current || !physicsService) return;
+    if (isCrashed) {
+      flightCompletedRef.current = true;
+      const score = physicsService.scorer.getScore();
+      const report = accidentInvestigationService.generateReport(physicsService);
+      cloudSaveService.completeFlight(buildSaveData(saveContextRef.current), {
+        result: 'crashed',
+        score: score.total,
+        grade: score.grade,
+        cause: report?.probableCause.category || null
+      });
+    } else if (flightResults) {
+      flightCompletedRef.current = true;
+      cloudSaveService.completeFlight(buildSaveData(saveContextRef.current), {
+        result: 'landed',
+        score: flightResults.total,
+        grade: flightResults.grade
+      });
+    }
+  }, [isCrashed, flightResults, physicsService]);
   
   // Handle Flight Plan Update
    const handleUpdateFlightPlan = (newPlan) => {
@@ -379,6 +460,22 @@ const FlightInProgress = ({
   
   const lastNpcUpdateRef = React.useRef(Date.now());
   const lastRegionUpdateRef = React.useRef(0);
+  const playerRunwaysRef = React.useRef({ departure: null, arrival: null });
+
+  // AI traffic departs from and lands on the player's runways
+  const arrivalRunwayName = (routeDetails?.landingRunway) || (flightPlan?.arrival?.runways?.[0]?.name);
+  useEffect(() => {
+    const designator = (name) => {
+      if (!name) return null;
+      const heading = getRunwayHeading(name, isEastward);
+      return name.split(/[/-]/).map(part => part.trim()).find(part => getRunwayHeading(part) === heading) || name;
+    };
+    const departure = { airport: selectedDeparture?.iata || selectedDeparture?.icao, runway: designator(runwayName) };
+    const arrival = { airport: selectedArrival?.iata || selectedArrival?.icao, runway: designator(arrivalRunwayName) };
+    npcService.setActiveRunway(departure.airport, departure.runway);
+    npcService.setActiveRunway(arrival.airport, arrival.runway);
+    playerRunwaysRef.current = { departure, arrival };
+  }, [selectedDeparture, selectedArrival, runwayName, arrivalRunwayName, isEastward]);
 
   const getFrequencyType = (freq) => {
     const f = parseFloat(freq);
@@ -386,7 +483,11 @@ const FlightInProgress = ({
     const lat = flightData?.position?.latitude;
     const lon = flightData?.position?.longitude;
 
-    // Check Region Control Frequency first
+    // Facilities working the flight (Delivery, Departure, Approach...) first
+    const facilityType = atcManager.controller.getFacilityType(f);
+    if (facilityType) return facilityType;
+
+    // Check Region Control Frequency
     if (currentRegion && Math.abs(f - parseFloat(currentRegion.frequency)) < 0.005) {
         return 'CENTER';
     }
@@ -460,8 +561,9 @@ const FlightInProgress = ({
     // Update NPCs
     // Use timeScale for acceleration
     const effectiveDt = dt * (timeScale || 1);
-    const messages = npcService.update(effectiveDt, flightData.position, atcManager); // Pass atcManager for blocking checks
+    const messages = npcService.update(effectiveDt, flightData.position, atcManager); // Tower clearances and channel blocking
     setNpcs([...npcService.npcs]); // Update state for radar
+    physicsService?.setTraffic?.(npcService.npcs); // TCAS surveillance
 
     // Update ATC Logic (Proactive & ATIS)
     const freqType = getFrequencyType(currentFreq);
@@ -474,8 +576,18 @@ const FlightInProgress = ({
     atcManager.update(effectiveDt, {
         altitude: flightData.altitude,
         verticalSpeed: flightData.verticalSpeed,
+        heading: flightData.heading,
+        indicatedAirspeed: flightData.indicatedAirspeed,
+        squawk: flightData.systems?.transponder?.code,
+        cruiseAltitude: flightData.vnav?.cruiseAltitude,
+        maxTakeoffWeight: physicsService?.aircraft?.maxTakeoffWeight,
         callsign: callsign,
-        weather: weatherData
+        weather: weatherData,
+        position: flightData.position,
+        onGround: !!flightData.debugPhysics?.isOnGround,
+        altitudeAgl: (flightData.debugPhysics?.altitude_agl || 0) * 3.28084,
+        groundSpeed: flightData.groundSpeed || 0,
+        ...playerRunwaysRef.current
     }, freqInfo, (msg) => {
         setRadioMessages(prev => [...prev, { ...msg, frequency: msg.frequency || freqType }]);
     }, language || 'en');
@@ -486,7 +598,7 @@ const FlightInProgress = ({
             setRadioMessages(prev => [...prev, msg]);
         });
     }
-  }, [flightData.frame, flightData.position]);
+  }, [flightData.frame, flightData.position, physicsService]);
 
   // Set up event listeners for narrative and failure updates
   useEffect(() => {
@@ -545,6 +657,18 @@ const FlightInProgress = ({
       }
     });
     
+    // Procedure events feed the flight score
+    const unsubscribeChecklist = eventBus.subscribe(eventBus.Types.CHECKLIST_COMPLETED, (payload) => {
+      physicsService?.scorer?.recordChecklist(payload.category);
+    });
+
+    const unsubscribeAtcCompliance = eventBus.subscribe(eventBus.Types.ATC_COMPLIANCE, (payload) => {
+      // Heading, speed and squawk checks are published too; only altitude results score here
+      payload.checks
+        .filter(check => check.kind === 'altitude')
+        .forEach(check => physicsService?.scorer?.recordAltitudeCheck(check.compliant));
+    });
+    
     return () => {
       unsubscribeNarrative();
       unsubscribeCritical();
@@ -552,6 +676,8 @@ const FlightInProgress = ({
       unsubscribeFailure();
       unsubscribeFailureResolved();
       unsubscribePhysicsInit();
+      unsubscribeChecklist();
+      unsubscribeAtcCompliance();
     };
   }, [physicsService]);
 
@@ -568,10 +694,15 @@ const FlightInProgress = ({
              const data = await realWeatherService.getWeather(lat, lon);
              // Only update if data changed (deep comparison would be better, but simplified check helps)
              setWeatherData(prev => {
-                 if (JSON.stringify(prev) !== JSON.stringify(data)) {
-                     console.log("🌦️ Real Weather Updated:", data);
-                     if (setEnvironment) setEnvironment(data);
-                     return data;
+                 // Keep the winds aloft, microbursts and storm cells generated at dispatch under the observed surface wind
+                 const next = prev?.atmosphere ? { ...data, atmosphere: withSurfaceWind(prev.atmosphere, data) } : { ...data };
+                 ['microbursts', 'stormCells'].forEach(key => {
+                   if (prev?.[key]) next[key] = prev[key];
+                 });
+                 if (JSON.stringify(prev) !== JSON.stringify(next)) {
+                     console.log("🌦️ Real Weather Updated:", next);
+                     if (setEnvironment) setEnvironment(next);
+                     return next;
                  }
                  return prev;
              });
@@ -583,9 +714,15 @@ const FlightInProgress = ({
        fetchRealWeather();
        interval = setInterval(fetchRealWeather, 5 * 60 * 1000); // Update every 5 minutes
     } else {
+        // Weather from a METAR/TAF drives the physics (generated weather only feeds ATC)
+        setWeatherData(prevWeatherData => {
+          if (prevWeatherData?.source === 'report' && setEnvironment) setEnvironment(prevWeatherData);
+          return prevWeatherData;
+        });
         interval = setInterval(() => {
           setWeatherData(prevWeatherData => {
             const updated = updateWeather(prevWeatherData, weatherConfig.atisUpdateIntervalMinutes);
+            if (updated.source === 'report' && setEnvironment) setEnvironment(updated);
             return updated;
           });
         }, weatherConfig.atisUpdateIntervalMinutes * 60 * 1000);
@@ -754,19 +891,31 @@ const FlightInProgress = ({
     setAirBrakes(position);
   };
 
-  const handleCommandSubmit = (event) => {
-    event.preventDefault();
-    const trimmed = commandInput.trim();
-    if (!trimmed) {
-      return;
+  // Pilot command console: parse against commandDatabase.json and execute on the aircraft
+  const handleCommandExecute = (input) => {
+    const parsed = commandParser.parse(input);
+    if (parsed.error) {
+      return { status: 'error', ...parsed.error };
     }
-    console.log('🧭 COMMAND INPUT:', trimmed);
+
+    const result = dispatchPilotCommand(parsed, {
+      physicsService,
+      setThrust: handleThrustControl,
+      setFlaps: handleFlapsControl,
+      setGear: handleGearControl,
+      setAirBrakes: handleAirBrakesControl,
+      performSystemAction
+    });
+    console.log('🧭 COMMAND INPUT:', parsed.raw, result.status);
     eventBus.publish('command.input', {
-      raw: trimmed,
+      raw: parsed.raw,
+      id: parsed.command.id,
+      params: parsed.params,
+      status: result.status,
       sceneId: sceneState.sceneId,
       scenarioId: sceneState.scenarioId
     });
-    setCommandInput('');
+    return result;
   };
 
 
@@ -995,7 +1144,8 @@ const FlightInProgress = ({
           <FlightPanelModular
             flightData={{
               ...flightData,
-              physicsActive: sceneState.physicsActive,
+              ...(replay.active ? replay.frame : null),
+              physicsActive: sceneState.physicsActive || replay.active,
               narrativeHistory: sceneState.narrativeHistory,
               phaseName: sceneState.phase?.name
             }}
@@ -1013,10 +1163,17 @@ const FlightInProgress = ({
             setTimeScale={setTimeScale}
             onUpdateFlightPlan={handleUpdateFlightPlan}
             startupStatus={startupStatus}
+            replay={replay}
             onActionRequest={(action, payload, extra) => {
               const payloadStr = typeof payload === 'number' ? payload.toFixed(5) : JSON.stringify(payload);
               console.log(`📡 UI Action: ${action} = ${payloadStr}, Extra: ${extra}`);
 
+              // Cockpit inputs are ignored while the recorder is playing back
+              if (replay.active && action !== 'toggle-debug') {
+                console.log(`📡 FlightPanel Action: ${action} ignored during replay`);
+                return;
+              }
+
               switch (action) {
                 case 'throttle':
                   handleThrustControl(extra !== undefined ? extra : 0, payload);
@@ -1061,6 +1218,14 @@ const FlightInProgress = ({
                   console.log(`📡 FlightPanel Action: ${action}`);
                   break;
                 }
+                case 'toggle-vnav': {
+                  if (physicsService && typeof physicsService.setVnav === 'function') {
+                    const status = physicsService.getAutopilotStatus();
+                    physicsService.setVnav(!status.vnav?.engaged);
+                  }
+                  console.log(`📡 FlightPanel Action: ${action}`);
+                  break;
+                }
                 case 'set-autopilot-mode': {
                   if (physicsService && typeof physicsService.setAutopilotMode === 'function') {
                     physicsService.setAutopilotMode(payload);
@@ -1105,6 +1270,21 @@ const FlightInProgress = ({
                   console.log(`📡 FlightPanel Action: ${action} = ${JSON.stringify(payload)}`);
                   break;
                 }
+                case 'start-replay': {
+                  if (!replay.start()) {
+                    setNarrative({
+                      title: t('ui.replay.title'),
+                      content: t('ui.replay.no_data'),
+                      severity: 'info'
+                    });
+                  }
+                  console.log(`📡 FlightPanel Action: ${action}`);
+                  break;
+                }
+                case 'toggle-console': {
+                  setShowConsole(prev => !prev);
+                  break;
+                }
                 case 'toggle-debug': {
                   setShowDebugPhysics(prev => !prev);
                   setShowFailurePanel(prev => !prev);
@@ -1261,7 +1441,23 @@ const FlightInProgress = ({
         </div>
       )}
 
-      {isCrashed && (
+      {showConsole && !isCrashed && !replay.active && (
+        <CommandConsole
+          onExecute={handleCommandExecute}
+          onClose={() => setShowConsole(false)}
+        />
+      )}
+
+      {flightResults && !resultsDismissed && !isCrashed && !replay.active && (
+        <FlightResults
+          score={flightResults}
+          onClose={() => setResultsDismissed(true)}
+          onReplay={() => replay.start()}
+          onQuit={() => window.location.reload()}
+        />
+      )}
+
+      {isCrashed && !replay.active && (
         <div className="end-scene-overlay">
           <div className="end-scene-content">
             <div style={{ fontSize: '24px', marginBottom: '12px' }}>{t('narrative.phases.shutoff.0.title') || 'Flight Ended'}</div>
@@ -2,9 +2,13 @@ import React, { useState, useEffect } from 'react';
 import './FlightInitialization.css';
 import AirportSearchInput from './AirportSearchInput.jsx';
 import { randomFlightService } from '../services/randomFlightService.js';
+import { scenarioPackService } from '../services/scenarioPackService.js';
+import { airportService } from '../services/airportService.js';
 import { useLanguage } from '../contexts/LanguageContext';
 import { cloudSaveService } from '../services/cloudSaveService';
 import { useAuth } from '../contexts/AuthContext';
+import { parseWeatherReport } from '../utils/metarParser';
+import { buildLoad, computeLoadsheet, CABIN_LOADINGS } from '../services/WeightBalanceService';
 
 const FlightInitialization = ({
   difficulty, setDifficulty,
@@ -23,8 +27,10 @@ const FlightInitialization = ({
   searchResults, searchAirports, selectDeparture, selectArrival,
   flightPlan, formatDistance, formatFlightTime, formatFuel,
   failureType, setFailureType,
+  scenarioPack, setScenarioPack,
   weatherData, setWeatherData,
   crewCount, setCrewCount,
+  loadDistribution, setLoadDistribution,
   aircraftSuggestions,
   handleInitializeFlight,
   handleSearch,
@@ -34,19 +40,20 @@ const FlightInitialization = ({
   const { t } = useLanguage();
   const { user } = useAuth();
   const [foundSave, setFoundSave] = useState(null);
+  const [weatherReport, setWeatherReport] = useState('');
+  const [weatherReportError, setWeatherReportError] = useState(null);
 
   useEffect(() => {
-    if (user) {
-      cloudSaveService.getLatestFlight().then(({ data }) => {
-        if (data) setFoundSave(data);
-      });
-    }
+    // Without a signed-in user this finds saves kept in the browser
+    cloudSaveService.getLatestFlight().then(({ data }) => {
+      setFoundSave(data || null);
+    });
   }, [user]);
 
   const handleDiscardSave = async () => {
     if (!foundSave) return;
     if (window.confirm("Are you sure you want to discard this save?")) {
-        await cloudSaveService.discardFlight(foundSave.id);
+        await cloudSaveService.discardFlight(foundSave);
         setFoundSave(null);
     }
   };
@@ -84,11 +91,28 @@ const FlightInitialization = ({
       isValidNumber(cruiseHeight, 1000, 50000) &&
       isValidNumber(reserveHours, 0.5, 5.0) &&
       isValidNumber(crewCount, 1, 10) &&
+      isValidNumber(loadDistribution.holdFwdShare, 0, 100) &&
       (useRandomTime || timeZulu.trim() !== '') &&
       (useRandomSeason || season)
     );
   };
 
+  // Loadsheet of the dispatch figures: weights, takeoff CG and stabiliser trim
+  const loadsheetAircraft = aircraftSuggestions.find(aircraft => aircraft.model === aircraftModel);
+  const loadsheet = loadsheetAircraft && flightPlan?.fuel && isStep2Valid()
+    ? computeLoadsheet(loadsheetAircraft, buildLoad({
+        pax: parseInt(pax) || 0,
+        crew: parseInt(crewCount) || 0,
+        cargo: parseFloat(payload) || 0,
+        cabinLoading: loadDistribution.cabin,
+        holdFwdShare: parseFloat(loadDistribution.holdFwdShare) / 100
+      }), flightPlan.fuel.totalFuel || 0)
+    : null;
+  const formatTrim = (trim) => {
+    const degrees = Math.abs(trim * 180 / Math.PI).toFixed(1);
+    return `${degrees}° ${trim > 0 ? t('initialization.route.summary.nose_down') : t('initialization.route.summary.nose_up')}`;
+  };
+
   // Step 3 Validation: Route
   const isStep3Valid = () => {
     return selectedDeparture && selectedArrival;
@@ -97,21 +121,76 @@ const FlightInitialization = ({
   const handleNextStep = () => {
     if (currentStep === 1 && isStep1Valid()) {
       // Auto-generate hidden parameters based on difficulty when proceeding
-      const randomWeather = generateRandomWeather(difficulty);
-      setWeatherData(randomWeather);
-      const randomFailure = generateRandomFailure(difficulty);
-      setFailureType(randomFailure);
+      // (scenario packs bring their own weather and failure script)
+      if (!scenarioPack) {
+        const randomWeather = generateRandomWeather(difficulty);
+        setWeatherData(randomWeather);
+        const randomFailure = generateRandomFailure(difficulty);
+        setFailureType(randomFailure);
+      }
       
       setCurrentStep(2);
     }
     else if (currentStep === 2 && isStep2Valid()) setCurrentStep(3);
   };
 
+  // Difficulty is part of an authored scenario pack, so picking one manually returns to a random flight
+  const handleSelectDifficulty = (level) => {
+    setDifficulty(level);
+    setScenarioPack(null);
+  };
+
+  // Apply an authored scenario pack's aircraft, route, weather and difficulty to the form
+  const handleSelectScenarioPack = (packId) => {
+    const pack = scenarioPackService.getPack(packId);
+    if (!pack) {
+      setScenarioPack(null);
+      return;
+    }
+
+    const settings = scenarioPackService.getFlightSettings(pack);
+    setScenarioPack(pack.id);
+    setDifficulty(settings.difficulty);
+    setFailureType(pack.id);
+    if (settings.aircraftModel) setAircraftModel(settings.aircraftModel);
+    if (settings.airline) setAirline(settings.airline);
+    if (settings.callsign) setCallsign(settings.callsign);
+    if (settings.pax !== undefined) setPax(settings.pax);
+    if (settings.cruiseHeight) setCruiseHeight(settings.cruiseHeight);
+    if (settings.weather) setWeatherData(settings.weather);
+
+    const departure = settings.departure && airportService.getAirportByCode(settings.departure);
+    const arrival = settings.arrival && airportService.getAirportByCode(settings.arrival);
+    if (departure) selectDeparture(departure);
+    if (arrival) selectArrival(arrival);
+  };
+
+  // A METAR or TAF pasted at dispatch replaces the generated weather for the flight
+  const handleWeatherReportChange = (text) => {
+    setWeatherReport(text);
+    if (!text.trim()) {
+      setWeatherReportError(null);
+      setWeatherData(generateRandomWeather(difficulty));
+      return;
+    }
+    const result = parseWeatherReport(text);
+    setWeatherReportError(result.error || null);
+    if (result.weather) setWeatherData(result.weather);
+  };
+
+  const describeWeatherReport = (weather) => t('initialization.weather_report.summary', {
+    station: weather.station,
+    wind: weather.windVariable ? `VRB${weather.windSpeed}` : `${String(weather.windDirection).padStart(3, '0')}/${weather.windSpeed}${weather.windGust > weather.windSpeed ? `G${weather.windGust}` : ''}`,
+    visibility: weather.visibility >= 10000 ? '10+ KM' : `${weather.visibility} M`,
+    ceiling: weather.ceiling !== null ? `${weather.ceiling} FT` : t('initialization.weather_report.no_ceiling'),
+    conditions: t(`weather.${weather.type}`)
+  });
+
   // Randomize Helpers
   const randomizeStep1 = () => {
     const difficulties = ['rookie', 'amateur', 'intermediate', 'advanced', 'pro', 'devil'];
     const randomDiff = difficulties[Math.floor(Math.random() * difficulties.length)];
-    setDifficulty(randomDiff);
+    handleSelectDifficulty(randomDiff);
   };
 
   const randomizeStep2 = async () => {
@@ -127,10 +206,13 @@ const FlightInitialization = ({
       setUseRandomTime(true);
       setUseRandomSeason(true);
       setCrewCount(Math.floor(Math.random() * 4) + 2); // Random crew 2-5
+      setScenarioPack(null);
       
       // Also randomize hidden weather/failure based on current difficulty
       const randomWeather = generateRandomWeather(difficulty);
       setWeatherData(randomWeather);
+      setWeatherReport('');
+      setWeatherReportError(null);
       const randomFailure = generateRandomFailure(difficulty);
       setFailureType(randomFailure);
     } catch (error) {
@@ -174,6 +256,7 @@ const FlightInitialization = ({
       setFuelReserve(randomParams.fuelReserve);
       setCruiseHeight(randomParams.cruiseHeight);
       setDifficulty(randomParams.difficulty);
+      setScenarioPack(null);
       setUseRandomTime(true);
       setUseRandomSeason(true);
       
@@ -381,7 +464,7 @@ const FlightInitialization = ({
               <button
                 key={level}
                 className={`difficulty-btn ${level} ${difficulty === level ? 'active' : ''}`}
-                onClick={() => setDifficulty(level)}
+                onClick={() => handleSelectDifficulty(level)}
               >
                 {t(`initialization.difficulty.${level}`)}
               </button>
@@ -397,6 +480,29 @@ const FlightInitialization = ({
             </div>
           </div>
         </div>
+
+        <div className="scenario-pack-section">
+          <span className="intel-label">{t('initialization.scenario_packs.label')}</span>
+          <div className="scenario-pack-grid">
+            <button
+              className={`scenario-pack-btn ${!scenarioPack ? 'active' : ''}`}
+              onClick={() => handleSelectScenarioPack(null)}
+            >
+              <span className="scenario-pack-name">{t('initialization.scenario_packs.random.name')}</span>
+              <span className="scenario-pack-desc">{t('initialization.scenario_packs.random.description')}</span>
+            </button>
+            {scenarioPackService.getPacks().map((pack) => (
+              <button
+                key={pack.id}
+                className={`scenario-pack-btn ${scenarioPack === pack.id ? 'active' : ''}`}
+                onClick={() => handleSelectScenarioPack(pack.id)}
+              >
+                <span className="scenario-pack-name">{t(`initialization.scenario_packs.packs.${pack.id}.name`)}</span>
+                <span className="scenario-pack-desc">{t(`initialization.scenario_packs.packs.${pack.id}.description`)}</span>
+              </button>
+            ))}
+          </div>
+        </div>
         
         {currentStep === 1 && (
           <div style={{ marginTop: '1.5rem', display: 'flex', justifyContent: 'flex-end' }}>
@@ -501,6 +607,31 @@ const FlightInitialization = ({
             />
           </div>
 
+          <div className="parameter-group">
+            <label>{t('initialization.params.cabin_loading')}</label>
+            <select
+              value={loadDistribution.cabin}
+              onChange={(e) => setLoadDistribution({ ...loadDistribution, cabin: e.target.value })}
+              className="dispatch-select"
+            >
+              {Object.keys(CABIN_LOADINGS).map(loading => (
+                <option key={loading} value={loading}>{t(`initialization.params.cabin_loadings.${loading}`)}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="parameter-group">
+            <label>{t('initialization.params.hold_fwd_share')}</label>
+            <input
+              type="number"
+              value={loadDistribution.holdFwdShare}
+              onChange={(e) => setLoadDistribution({ ...loadDistribution, holdFwdShare: e.target.value })}
+              className="dispatch-input"
+              min="0" max="100"
+              placeholder="0-100"
+            />
+          </div>
+
           <div className="parameter-group">
             <label>{t('initialization.params.cruise_height')}</label>
             <input
@@ -575,6 +706,27 @@ const FlightInitialization = ({
               </label>
             </div>
           </div>
+
+          <div className="parameter-group" style={{ gridColumn: '1 / -1' }}>
+            <label>{t('initialization.weather_report.label')}</label>
+            <textarea
+              value={weatherReport}
+              onChange={(e) => handleWeatherReportChange(e.target.value)}
+              className="dispatch-input"
+              rows={2}
+              spellCheck={false}
+              disabled={!!scenarioPack}
+              placeholder={t('initialization.weather_report.placeholder')}
+              style={{ resize: 'vertical', textTransform: 'uppercase' }}
+            />
+            {weatherReport.trim() && (
+              <span style={{ fontSize: '0.8rem', color: weatherReportError ? '#f85149' : '#3fb950' }}>
+                {weatherReportError
+                  ? t(weatherReportError.key, weatherReportError.params)
+                  : weatherData?.source === 'report' && describeWeatherReport(weatherData)}
+              </span>
+            )}
+          </div>
         </div>
 
         {currentStep === 2 && (
@@ -654,6 +806,27 @@ const FlightInitialization = ({
               {t('initialization.route.summary.total')}: {formatFuel(flightPlan.fuel)}
             </span>
           </div>
+          {loadsheet && (
+            <div className="summary-item">
+              <span className="summary-label">{t('initialization.route.summary.loadsheet')}</span>
+              <span className="summary-value" style={{fontSize: '0.9em'}}>
+                {t('initialization.route.summary.zfw')}: {Math.round(loadsheet.zeroFuel.mass)}kg | {t('initialization.route.summary.tow')}: {Math.round(loadsheet.takeoff.mass)}kg
+                <br/>
+                {t('initialization.route.summary.cg')}: {(loadsheet.takeoff.cg * 100).toFixed(1)}{t('initialization.route.summary.mac')} | {t('initialization.route.summary.trim')}: {formatTrim(loadsheet.takeoff.trim)}
+                {!(loadsheet.takeoff.withinLimits && loadsheet.zeroFuel.withinLimits) && (
+                  <>
+                    <br/>
+                    <span style={{ color: '#ff4444' }}>
+                      {t('initialization.route.summary.cg_out_of_limits', {
+                        forward: (loadsheet.limits.forward * 100).toFixed(0),
+                        aft: (loadsheet.limits.aft * 100).toFixed(0)
+                      })}
+                    </span>
+                  </>
+                )}
+              </span>
+            </div>
+          )}
         </div>
       )}
 
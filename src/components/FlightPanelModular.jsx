@@ -19,10 +19,12 @@ import TimerPanel from './TimerPanel';
 import FlightComputerPanel from './FlightComputerPanel';
 import ChecklistPanel from './ChecklistPanel';
 import SystemStatusPanel from './SystemStatusPanel';
+import ReplayControls from './ReplayControls';
+import { accidentInvestigationService } from '../services/AccidentInvestigationService';
 import { useLanguage } from '../contexts/LanguageContext';
 import './FlightPanel.css';
 
-const FlightPanelModular = ({ flightData, physicsState, physicsService, weatherData, onActionRequest, aircraftModel, selectedArrival, flightPlan, radioMessages, onRadioFreqChange, npcs, frequencyContext, currentRegion, timeScale, setTimeScale, onUpdateFlightPlan, availableRunways, startupStatus }) => {
+const FlightPanelModular = ({ flightData, physicsState, physicsService, weatherData, onActionRequest, aircraftModel, selectedArrival, flightPlan, radioMessages, onRadioFreqChange, npcs, frequencyContext, currentRegion, timeScale, setTimeScale, onUpdateFlightPlan, availableRunways, startupStatus, replay }) => {
   const { t } = useLanguage();
   // Use flightData from parent component instead of creating own physics service
   const [showOverhead, setShowOverhead] = useState(false);
@@ -162,6 +164,15 @@ const FlightPanelModular = ({ flightData, physicsState, physicsService, weatherD
         altitudeHold: prevState.altitudeHold,
         headingHold: prevState.headingHold,
         autopilotTargets: flightData.autopilotTargets || prevState.autopilotTargets,
+        vnav: flightData.vnav || null,
+        tcas: flightData.tcas || null,
+        terrainAwareness: flightData.terrainAwareness || null,
+        windShear: flightData.windShear || null,
+        stormCells: flightData.stormCells || [],
+        wind: flightData.wind || null,
+        outsideAirTemp: flightData.outsideAirTemp,
+        atmosphere: flightData.atmosphere || null,
+        airData: flightData.airData || null,
         frame: typeof flightData.frame === 'number' ? flightData.frame : prevState.frame,
         systems: flightData.systems || prevState.systems || {},
         currentWaypointIndex: flightData.currentWaypointIndex !== undefined ? flightData.currentWaypointIndex : (prevState.currentWaypointIndex || 0)
@@ -172,6 +183,8 @@ const FlightPanelModular = ({ flightData, physicsState, physicsService, weatherD
   const [flashActive, setFlashActive] = useState(false);
   const [flashText, setFlashText] = useState('');
   const [showCrashPanel, setShowCrashPanel] = useState(false);
+  const [investigationReport, setInvestigationReport] = useState(null);
+  const [crashScore, setCrashScore] = useState(null);
   const [lastAlertTime, setLastAlertTime] = useState(0);
   const alertCooldown = 3000;
 
@@ -210,8 +223,13 @@ const FlightPanelModular = ({ flightData, physicsState, physicsService, weatherD
   useEffect(() => {
     if (flightData?.hasCrashed) {
       setShowCrashPanel(true);
+      // Replayed frames also carry hasCrashed; the report is built once from the live crash
+      if (!replay?.active) {
+        setInvestigationReport(prev => prev || accidentInvestigationService.generateReport(physicsService));
+        setCrashScore(prev => prev || physicsService?.scorer?.getScore() || null);
+      }
     }
-  }, [flightData?.hasCrashed]);
+  }, [flightData?.hasCrashed, replay?.active, physicsService]);
 
   // Control functions - Updated to use parent's physics service
   const controlPitch = (amount) => {
@@ -263,6 +281,12 @@ const FlightPanelModular = ({ flightData, physicsState, physicsService, weatherD
     }
   };
 
+  const toggleVnav = () => {
+    if (onActionRequest) {
+      onActionRequest('toggle-vnav');
+    }
+  };
+
   const setILSRunway = (airportCode, runwayName) => {
     if (onActionRequest) {
       onActionRequest('set-ils-runway', { airportCode, runwayName });
@@ -308,6 +332,14 @@ const FlightPanelModular = ({ flightData, physicsState, physicsService, weatherD
       if (onActionRequest) {
         onActionRequest('toggle-debug');
       }
+    } else if (panelId === 'replay') {
+      if (onActionRequest) {
+        onActionRequest('start-replay');
+      }
+    } else if (panelId === 'console') {
+      if (onActionRequest) {
+        onActionRequest('toggle-console');
+      }
     } else {
       setActiveSidebarPanel(prev => prev === panelId ? null : panelId);
     }
@@ -507,6 +539,7 @@ const FlightPanelModular = ({ flightData, physicsState, physicsService, weatherD
           setAutopilotTargets, 
           toggleAutopilot,
           setAutopilotMode,
+          toggleVnav,
           setAltimeter: (val) => setFlightState(prev => ({ ...prev, altimeter: val })),
           frequencyContext, // Pass frequency context for ILS availability
           availableRunways,
@@ -569,7 +602,7 @@ const FlightPanelModular = ({ flightData, physicsState, physicsService, weatherD
   return React.createElement('div', { className: 'modern-flight-panel', style: { userSelect: 'none', display: 'flex', flexDirection: 'row', gap: '10px', padding: 0 } },
     
     // Sidebar (Leftmost)
-    React.createElement(Sidebar, { activePanel: activeSidebarPanel, onTogglePanel: handleSidebarToggle }),
+    React.createElement(Sidebar, { activePanel: replay?.active ? 'replay' : activeSidebarPanel, onTogglePanel: handleSidebarToggle }),
 
     // Flight Computer Panel Overlay
     activeSidebarPanel === 'flight_computer' && React.createElement(FlightComputerPanel, {
@@ -600,6 +633,7 @@ const FlightPanelModular = ({ flightData, physicsState, physicsService, weatherD
     activeSidebarPanel === 'save_load' && React.createElement(SaveLoadPanel, {
         flightData,
         physicsState,
+        physicsService,
         flightPlan,
         weatherData,
         aircraftModel,
@@ -666,7 +700,16 @@ const FlightPanelModular = ({ flightData, physicsState, physicsService, weatherD
       React.createElement(CrashWarningFlash, { flashActive, flashText, onAlertComplete: handleAlertComplete }),
       
       // Crash panel (if crashed)
-      React.createElement(CrashPanel, { showCrashPanel, resetFlight }),
+      React.createElement(CrashPanel, {
+        showCrashPanel: showCrashPanel && !replay?.active,
+        resetFlight,
+        report: investigationReport,
+        score: crashScore,
+        onReplay: () => onActionRequest && onActionRequest('start-replay')
+      }),
+
+      // Flight data recorder playback
+      React.createElement(ReplayControls, { replay }),
 
       // Debug frame panel
       React.createElement('div', {
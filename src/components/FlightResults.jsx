@@ -0,0 +1,83 @@
+import { useLanguage } from '../contexts/LanguageContext';
+import './FlightResults.css';
+
+const CATEGORIES = ['landing', 'comfort', 'procedures', 'survival'];
+
+const FlightResults = ({ score, onClose, onReplay, onQuit }) => {
+  const { t } = useLanguage();
+  if (!score) return null;
+
+  const { categories, details } = score;
+  const landing = details.landing;
+
+  return (
+    <div className="flight-results-overlay">
+      <div className="flight-results">
+        <h2>{t('scoring.results_title')}</h2>
+
+        <div className="flight-results-summary">
+          <div className={`flight-results-grade grade-${score.grade}`}>{score.grade}</div>
+          <div>
+            <div className="flight-results-total">{t('scoring.final_score', { score: score.total })}</div>
+            <div className="flight-results-meta">
+              {t('scoring.difficulty_multiplier', {
+                difficulty: t(`initialization.difficulty.${score.difficulty}`),
+                multiplier: score.multiplier
+              })}
+            </div>
+            {score.bonus > 0 && (
+              <div className="flight-results-meta">
+                {t('scoring.failure_bonus', { count: details.failuresSurvived, bonus: score.bonus })}
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="flight-results-categories">
+          {CATEGORIES.map(name => (
+            <div key={name} className="flight-results-category">
+              <span>{t(`scoring.categories.${name}`)}</span>
+              <div className="flight-results-bar">
+                <div style={{ width: `${categories[name] ?? 0}%` }} />
+              </div>
+              <span className="flight-results-value">
+                {categories[name] === null ? t('scoring.not_scored') : Math.round(categories[name])}
+              </span>
+            </div>
+          ))}
+        </div>
+
+        <div className="flight-results-details">
+          {landing && (
+            <>
+              <span>{t('scoring.details.sink_rate')}</span>
+              <span>{Math.round(Math.abs(landing.verticalSpeed))} ft/min</span>
+              <span>{t('scoring.details.centerline')}</span>
+              <span>{landing.centerlineOffset !== null ? `${landing.centerlineOffset.toFixed(1)} m` : '-'}</span>
+              <span>{t('scoring.details.touchdown_distance')}</span>
+              <span>{landing.distanceFromThreshold !== null ? `${Math.round(landing.distanceFromThreshold)} m` : '-'}</span>
+              <span>{t('scoring.details.bounces')}</span>
+              <span>{landing.bounces}</span>
+            </>
+          )}
+          <span>{t('scoring.details.g_range')}</span>
+          <span>{details.comfort.minG.toFixed(2)} / {details.comfort.maxG.toFixed(2)} G</span>
+          <span>{t('scoring.details.max_bank')}</span>
+          <span>{Math.round(details.comfort.maxBank)}°</span>
+          <span>{t('scoring.details.checklists')}</span>
+          <span>{details.checklists.length} / {details.checklistTotal}</span>
+          <span>{t('scoring.details.atc_compliance')}</span>
+          <span>{details.atc.checks > 0 ? `${details.atc.compliant} / ${details.atc.checks}` : '-'}</span>
+        </div>
+
+        <div className="flight-results-buttons">
+          {onReplay && <button onClick={onReplay}>{t('ui.replay.review_flight')}</button>}
+          <button onClick={onClose}>{t('scoring.continue')}</button>
+          {onQuit && <button className="primary" onClick={onQuit}>{t('ui.menu.quit')}</button>}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FlightResults;
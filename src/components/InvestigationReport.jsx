@@ -0,0 +1,124 @@
+import { useLanguage } from '../contexts/LanguageContext';
+import { formatElapsed } from '../services/AccidentInvestigationService';
+import './InvestigationReport.css';
+
+const InvestigationReport = ({ report }) => {
+  const { t } = useLanguage();
+  if (!report) return null;
+
+  const translateAlert = (message) => (
+    typeof message === 'object' ? t(message.key, message.params) : t(message)
+  );
+  // Keys with no translation come back unchanged from t(); optional text is left out then
+  const translateOptional = (key) => {
+    const text = t(key);
+    return text === key ? null : text;
+  };
+  const translateNode = (node) => t(`investigation.nodes.${node}`);
+  // A failure ({ id, name }) or cascade graph node ({ id, node }); failures without a
+  // translation fall back to the name from their definition or to their node
+  const translateRef = ({ id, name, node }) => (
+    (id && translateOptional(`failures.${id}`)) || name || (node ? translateNode(node) : id)
+  );
+  const renderSentence = (sentence) => t(sentence.key, {
+    ...sentence.params,
+    failure: sentence.failure ? translateRef(sentence.failure) : undefined,
+    cause: sentence.cause ? translateRef(sentence.cause) : undefined,
+    alerts: sentence.alerts ? sentence.alerts.map(translateAlert).join(', ') : undefined
+  });
+
+  const { impact, initiatingFailure, failureChain, causeChain = [], crewFactors } = report;
+
+  return (
+    <div className="investigation-report">
+      <h2>{t('investigation.title')}</h2>
+
+      <section className="investigation-section probable-cause">
+        <h3>{t('investigation.probable_cause')}</h3>
+        {report.narrative.map((sentence, index) => (
+          <p key={index}>{renderSentence(sentence)}</p>
+        ))}
+      </section>
+
+      <section className="investigation-section">
+        <h3>{t('investigation.initiating_event')}</h3>
+        {initiatingFailure ? (
+          <div className="investigation-row">
+            <span className="investigation-time">T+{formatElapsed(initiatingFailure.time)}</span>
+            <span>{translateRef(initiatingFailure)}</span>
+          </div>
+        ) : (
+          <div className="investigation-empty">{t('investigation.none_identified')}</div>
+        )}
+        {failureChain.length > 1 && (
+          <ul className="investigation-timeline">
+            {failureChain.slice(1).map((entry, index) => (
+              <li key={index}>
+                <span className="investigation-time">T+{formatElapsed(entry.time)}</span>
+                {translateRef(entry)} ({t(`investigation.stages.${entry.stage}`)})
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      {causeChain.length > 0 && (
+        <section className="investigation-section">
+          <h3>{t('investigation.cause_chain')}</h3>
+          <ul className="investigation-timeline">
+            {causeChain.map((link, index) => {
+              const description = translateOptional(`investigation.edges.${link.cause.node}.${link.effect.node}`);
+              return (
+                <li key={index}>
+                  <span className="investigation-time">T+{formatElapsed(link.time)}</span>
+                  {translateRef(link.cause)} → {translateRef(link.effect)}{description && `: ${description}`}
+                </li>
+              );
+            })}
+          </ul>
+        </section>
+      )}
+
+      <section className="investigation-section">
+        <h3>{t('investigation.crew_actions')}</h3>
+        {crewFactors.length > 0 ? (
+          <ul className="investigation-timeline">
+            {crewFactors.map(factor => (
+              <li key={factor.id} className={`finding-${factor.finding}`}>
+                <span className="investigation-time">T+{formatElapsed(factor.time)}</span>
+                {t(`investigation.findings.${factor.finding}`, {
+                  alert: translateAlert(factor.message),
+                  duration: Math.round(factor.duration),
+                  response: factor.responseTime !== null ? factor.responseTime.toFixed(1) : '-'
+                })}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <div className="investigation-empty">{t('investigation.none_identified')}</div>
+        )}
+      </section>
+
+      {impact && (
+        <section className="investigation-section">
+          <h3>{t('investigation.impact.title')}</h3>
+          <div className="investigation-grid">
+            <span>{t('investigation.impact.sink_rate')}</span><span>{Math.round(impact.sinkRate)} ft/min</span>
+            <span>{t('investigation.impact.airspeed')}</span><span>{Math.round(impact.indicatedAirspeed)} kts</span>
+            <span>{t('investigation.impact.attitude')}</span>
+            <span>{t('investigation.impact.attitude_value', { pitch: impact.pitch.toFixed(1), roll: impact.roll.toFixed(1) })}</span>
+            <span>{t('investigation.impact.surface')}</span><span>{t(`investigation.ground_status.${impact.groundStatus}`)}</span>
+            <span>{t('investigation.impact.configuration')}</span>
+            <span>{t('investigation.impact.configuration_value', {
+              gear: t(impact.gearDown ? 'investigation.impact.gear_down' : 'investigation.impact.gear_up'),
+              flaps: impact.flaps
+            })}</span>
+            <span>{t('investigation.impact.flight_time')}</span><span>{formatElapsed(report.flightTime)}</span>
+          </div>
+        </section>
+      )}
+    </div>
+  );
+};
+
+export default InvestigationReport;
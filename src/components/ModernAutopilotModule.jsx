@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 
-const ModernAutopilotModule = ({ flightState, setAutopilotTargets, toggleAutopilot, setAutopilotMode, setAltimeter, frequencyContext }) => {
+const ModernAutopilotModule = ({ flightState, setAutopilotTargets, toggleAutopilot, setAutopilotMode, toggleVnav, setAltimeter, frequencyContext }) => {
   const initialTargets = flightState?.autopilotTargets
     ? {
         ias: Number(flightState.autopilotTargets.ias) || Number(flightState.indicatedAirspeed) || 0,
@@ -147,7 +147,25 @@ const ModernAutopilotModule = ({ flightState, setAutopilotTargets, toggleAutopil
           },
           onClick: () => setAutopilotMode && setAutopilotMode(currentMode === 'LNAV' ? 'HDG' : 'LNAV'),
           disabled: flightState.hasCrashed
-        }, currentMode)
+        }, currentMode),
+
+        // VNAV Button (managed VS and speed along the flight plan's vertical profile)
+        React.createElement('button', {
+          style: {
+            padding: '4px 8px',
+            fontSize: '10px',
+            fontWeight: 'bold',
+            borderRadius: '4px',
+            cursor: 'pointer',
+            background: flightState.vnav?.engaged ? '#d946ef' : '#334155',
+            color: 'white',
+            border: flightState.vnav?.engaged ? '1px solid #f0abfc' : '1px solid #475569',
+            transition: 'all 0.2s'
+          },
+          onClick: () => toggleVnav && toggleVnav(),
+          disabled: flightState.hasCrashed,
+          title: flightState.vnav?.phase ? `VNAV ${flightState.vnav.phase}` : 'VNAV'
+        }, 'VNAV')
       ),
       
       React.createElement('div', {
@@ -2,6 +2,28 @@ import React, { useRef, useEffect, useState } from 'react';
 import { calculateDistance } from '../utils/distanceCalculator';
 import { airportService } from '../services/airportService';
 import { terrainRadarService } from '../services/TerrainRadarService';
+import { scanWeatherRadar, RADAR_LEVELS } from '../utils/weatherRadar';
+
+// VNAV constraint in FMS notation: 5000 (at), 5000A (at or above), 5000B (at or below), /210 (speed)
+const formatConstraint = (wp) => {
+  const suffix = { ABOVE: 'A', BELOW: 'B' };
+  const altitude = wp.altitude > 0 ? `${wp.altitude}${suffix[wp.altitudeConstraint] || ''}` : '';
+  const speed = wp.speed > 0 ? `/${wp.speed}` : '';
+  return altitude + speed;
+};
+
+const WEATHER_RADAR_MAX_RANGE = 320; // nm
+
+const TILT_BUTTON_STYLE = {
+  background: '#003333',
+  border: '1px solid #00ffff',
+  color: '#00ffff',
+  borderRadius: '4px',
+  padding: '0 2px',
+  fontSize: '9px',
+  cursor: 'pointer',
+  width: '40px'
+};
 
 // Navigation Panel Component
 const NavigationPanel = ({ flightState, selectedArrival, flightPlan, npcs = [] }) => {
@@ -10,6 +32,9 @@ const NavigationPanel = ({ flightState, selectedArrival, flightPlan, npcs = [] }
   const [distanceToWaypoint, setDistanceToWaypoint] = useState(0);
   const [mapRange, setMapRange] = useState(40); // Default 40nm
   const [nearbyRunways, setNearbyRunways] = useState([]);
+  const [weatherRadarOn, setWeatherRadarOn] = useState(true);
+  const [radarTilt, setRadarTilt] = useState(0); // Degrees, + up
+  const radarScanRef = useRef({ time: 0, key: '', scan: null });
 
   const groundSpeed = flightState?.groundSpeed || 0;
   const trueAirspeed = flightState?.trueAirspeed || 0;
@@ -22,6 +47,7 @@ const NavigationPanel = ({ flightState, selectedArrival, flightPlan, npcs = [] }
 
   // Range options (Exponential)
   const rangeOptions = [5, 10, 20, 40, 80, 160, 320, 640];
+  const adjustTilt = (delta) => setRadarTilt(tilt => Math.max(-15, Math.min(15, tilt + delta)));
 
   const cycleRange = () => {
     const currentIndex = rangeOptions.indexOf(mapRange);
@@ -49,7 +75,8 @@ const NavigationPanel = ({ flightState, selectedArrival, flightPlan, npcs = [] }
         // Update terrain radar service with current position and range
         // Clamp range to 80nm to prevent massive queue buildup and lag
         // The user can zoom out to 640nm, but we only fetch detailed terrain within 80nm
-        const fetchRange = Math.min(mapRange, 80);
+        // At short ranges still fetch 20nm so the look-ahead terrain alerting sees what is ahead
+        const fetchRange = Math.min(Math.max(mapRange, 20), 80);
         terrainRadarService.update(flightState.latitude, flightState.longitude, fetchRange);
         lastTerrainUpdateRef.current = now;
     }
@@ -213,11 +240,78 @@ const NavigationPanel = ({ flightState, selectedArrival, flightPlan, npcs = [] }
             }
           }
         }
+
+        // Look-ahead terrain conflicts: solid yellow (caution) / red (warning) over the cells
+        // the projected flight path would not clear
+        (flightState.terrainAwareness?.conflicts || []).forEach(cell => {
+          const dLatNm = ((cell.latIdx + 0.5) * gridSizeDeg - flightState.latitude) * 60;
+          const dLonNm = ((cell.lonIdx + 0.5) * gridSizeDeg - flightState.longitude) * 60 * Math.cos(flightState.latitude * Math.PI / 180);
+          const x = dLonNm * pxPerNm;
+          const y = -dLatNm * pxPerNm;
+          if (x*x + y*y >= radius*radius) return;
+          const cellSize = Math.max(gridSizePx, 2);
+          ctx.fillStyle = cell.level === 'WARNING' ? 'rgba(255, 0, 0, 0.9)' : 'rgba(255, 191, 0, 0.9)';
+          ctx.fillRect(x - cellSize/2, y - cellSize/2, cellSize, cellSize);
+        });
       }
       // --- End Draw Terrain ---
 
+      // --- Weather Radar ---
+      // The scan is refreshed once a second (like an antenna sweep) or when tilt/range change
+      const stormCells = flightState?.stormCells || [];
+      if (weatherRadarOn && stormCells.length > 0 && typeof flightState?.latitude === 'number') {
+        const radarRange = Math.min(mapRange, WEATHER_RADAR_MAX_RANGE);
+        const key = `${radarTilt}_${radarRange}`;
+        const now = Date.now();
+        if (!radarScanRef.current.scan || radarScanRef.current.key !== key || now - radarScanRef.current.time > 1000) {
+          radarScanRef.current = {
+            time: now,
+            key,
+            scan: scanWeatherRadar(stormCells, {
+              latitude: flightState.latitude,
+              longitude: flightState.longitude,
+              altitude,
+              heading
+            }, { tilt: radarTilt, rangeNm: radarRange })
+          };
+        }
+
+        const { beams, binNm } = radarScanRef.current.scan;
+        const pxPerNm = radius / mapRange;
+        const halfBeam = Math.PI / 180; // Beams are 2° apart
+        beams.forEach(beam => {
+          const angle = beam.bearing * Math.PI / 180 - Math.PI / 2;
+          beam.returns.forEach((dbz, i) => {
+            if (dbz < RADAR_LEVELS.LIGHT) return;
+            if (beam.shadowFrom !== null && i >= beam.shadowFrom) return;
+            ctx.fillStyle = dbz >= RADAR_LEVELS.EXTREME ? 'rgba(255, 0, 255, 0.7)'
+              : dbz >= RADAR_LEVELS.HEAVY ? 'rgba(255, 0, 0, 0.7)'
+              : dbz >= RADAR_LEVELS.MODERATE ? 'rgba(255, 255, 0, 0.6)'
+              : 'rgba(0, 200, 0, 0.5)';
+            ctx.beginPath();
+            ctx.arc(0, 0, (i + 1) * binNm * pxPerNm, angle - halfBeam, angle + halfBeam);
+            ctx.arc(0, 0, i * binNm * pxPerNm, angle + halfBeam, angle - halfBeam, true);
+            ctx.closePath();
+            ctx.fill();
+          });
+
+          // Attenuated radials: yellow arc on the range edge (storms may be hidden behind)
+          if (beam.shadowFrom !== null) {
+            ctx.beginPath();
+            ctx.arc(0, 0, Math.min(radius, radarRange * pxPerNm), angle - halfBeam, angle + halfBeam);
+            ctx.strokeStyle = '#fbbf24';
+            ctx.lineWidth = 3;
+            ctx.stroke();
+          }
+        });
+      }
+      // --- End Weather Radar ---
+
       // --- Draw Traffic (TCAS) ---
+      // Standard symbology: hollow diamond = other, filled diamond = proximate,
+      // amber circle = traffic advisory, red square = resolution advisory
       if (npcs && npcs.length > 0) {
+          const threats = new Map((flightState?.tcas?.traffic || []).map(target => [target.id, target]));
           npcs.forEach(npc => {
             // Calculate relative position
             const dLat = npc.latitude - flightState.latitude;
@@ -233,58 +327,54 @@ const NavigationPanel = ({ flightState, selectedArrival, flightPlan, npcs = [] }
             const x = dLonNm * pxPerNm;
             const y = -dLatNm * pxPerNm;
             
-            // Distance
-            const distNm = Math.sqrt(dLatNm*dLatNm + dLonNm*dLonNm);
-            const dAlt = Math.abs(npc.altitude - altitude);
-            
             // Skip if out of range (plus margin)
+            const distNm = Math.sqrt(dLatNm*dLatNm + dLonNm*dLonNm);
             if (distNm > mapRange * 1.2) return;
             
-            // Check Critical
-            const closingSpeed = (flightState.trueAirspeed || 0) + (npc.speed || 0);
-            const timeToReach = closingSpeed > 0 ? distNm / (closingSpeed / 3600) : 999; 
-            const isCritical = (
-                altitude > 3000 && 
-                dAlt < 1000 && 
-                timeToReach * 3600 < 20
-            );
+            const target = threats.get(npc.id);
+            const threat = target?.threat || 'OTHER';
+            const color = threat === 'RA' ? '#ff0000' : threat === 'TA' ? '#fbbf24' : '#38bdf8';
             
-            // Color
-            let color = '#38bdf8'; // Default Cyan
-            if (isCritical) {
-                color = '#ff0000'; // Red
-            } else {
-                if (dAlt < 1000) {
-                    color = '#fbbf24'; // Amber/Orange
-                } else if (distNm < 10) {
-                     color = '#facc15'; // Yellow
-                }
-            }
-            
-            // Draw
+            // Draw upright on screen
             ctx.save();
             ctx.translate(x, y);
+            ctx.rotate(heading * Math.PI / 180);
             
-            // Rotate to NPC heading
-            ctx.rotate(npc.heading * Math.PI / 180);
-            
-            // Draw Triangle
-            ctx.beginPath();
-            ctx.moveTo(0, -6);
-            ctx.lineTo(4, 4);
-            ctx.lineTo(-4, 4);
-            ctx.closePath();
             ctx.fillStyle = color;
-            ctx.fill();
-            
-            // Text "FL XXX"
-            // Reset rotation for text to be upright on screen
-            ctx.rotate(-npc.heading * Math.PI / 180); // Back to North-Up
-            ctx.rotate(heading * Math.PI / 180); // Back to Screen-Up
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            if (threat === 'RA') {
+              ctx.rect(-5, -5, 10, 10);
+              ctx.fill();
+            } else if (threat === 'TA') {
+              ctx.arc(0, 0, 5, 0, Math.PI * 2);
+              ctx.fill();
+            } else {
+              ctx.moveTo(0, -6);
+              ctx.lineTo(5, 0);
+              ctx.lineTo(0, 6);
+              ctx.lineTo(-5, 0);
+              ctx.closePath();
+              if (threat === 'PROXIMATE') ctx.fill();
+              else ctx.stroke();
+            }
             
-            ctx.fillStyle = color;
+            // Relative altitude in hundreds of feet, above or below the symbol, plus trend arrow
+            const relativeAltitude = target ? target.relativeAltitude : npc.altitude - altitude;
+            const hundreds = Math.round(relativeAltitude / 100);
+            const label = `${hundreds >= 0 ? '+' : '-'}${String(Math.abs(hundreds)).padStart(2, '0')}`;
+            const verticalSpeed = npc.verticalSpeed || 0;
+            const trend = verticalSpeed > 500 ? '↑' : verticalSpeed < -500 ? '↓' : '';
             ctx.font = '10px monospace';
-            ctx.fillText(`FL ${Math.round(npc.altitude/100)}`, 8, 3);
+            ctx.textAlign = 'center';
+            ctx.textBaseline = hundreds >= 0 ? 'bottom' : 'top';
+            ctx.fillText(label, 0, hundreds >= 0 ? -7 : 7);
+            if (trend) {
+              ctx.textAlign = 'left';
+              ctx.textBaseline = 'middle';
+              ctx.fillText(trend, 7, 0);
+            }
             
             ctx.restore();
           });
@@ -482,6 +572,52 @@ const NavigationPanel = ({ flightState, selectedArrival, flightPlan, npcs = [] }
         }
       }
 
+      // --- VNAV Top of Descent ---
+      const todPosition = flightState?.vnav?.todPosition;
+      if (todPosition && typeof flightState?.latitude === 'number' && flightState.vnav.todDistanceNm <= mapRange) {
+        const distNm = calculateDistance(flightState.latitude, flightState.longitude, todPosition.latitude, todPosition.longitude);
+        const brg = bearingTo(flightState.latitude, flightState.longitude, todPosition.latitude, todPosition.longitude) * Math.PI / 180;
+        const r = Math.min(1, distNm / mapRange) * radius;
+        const x = r * Math.sin(brg);
+        const y = -r * Math.cos(brg);
+
+        ctx.beginPath();
+        ctx.arc(x, y, 4, 0, Math.PI * 2);
+        ctx.strokeStyle = '#f0abfc';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.rotate(heading * Math.PI / 180);
+        ctx.fillStyle = '#f0abfc';
+        ctx.font = 'bold 10px Arial';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('T/D', 7, 0);
+        ctx.restore();
+      }
+
+      // --- Predictive wind shear icon (sector on the track at the hazard range) ---
+      const shearHazard = flightState?.windShear?.hazard;
+      if (shearHazard) {
+        const pxPerNm = radius / mapRange;
+        const brg = shearHazard.bearing * Math.PI / 180 - Math.PI / 2;
+        const inner = Math.max(0, shearHazard.distance - 0.5) * pxPerNm;
+        const outer = (shearHazard.distance + 0.5) * pxPerNm;
+        const halfWidth = 15 * Math.PI / 180;
+
+        ctx.beginPath();
+        ctx.arc(0, 0, outer, brg - halfWidth, brg + halfWidth);
+        ctx.arc(0, 0, inner, brg + halfWidth, brg - halfWidth, true);
+        ctx.closePath();
+        ctx.fillStyle = 'rgba(255, 0, 0, 0.35)';
+        ctx.fill();
+        ctx.strokeStyle = flightState.windShear.alert === 'WARNING' ? '#ff0000' : '#fbbf24';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+      }
+
       ctx.restore();
 
       // Draw Runway Alignment Bar (Fixed on Screen)
@@ -555,10 +691,61 @@ const NavigationPanel = ({ flightState, selectedArrival, flightPlan, npcs = [] }
       
       ctx.textAlign = 'right';
       ctx.fillText('HDG UP', size - 5, 5);
+      if (weatherRadarOn) {
+        ctx.fillStyle = '#00ffff';
+        ctx.fillText(`WXR ${radarTilt > 0 ? '+' : ''}${radarTilt.toFixed(1)}°`, size - 5, 17);
+      }
+
+      // Look-ahead terrain alert
+      const terrainAlert = flightState?.terrainAwareness?.alert;
+      if (terrainAlert) {
+        ctx.fillStyle = terrainAlert === 'WARNING' ? '#ff0000' : '#fbbf24';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.fillText(terrainAlert === 'WARNING' ? 'TERRAIN AHEAD' : 'TERRAIN', center, 5);
+      }
+
+      // Predictive wind shear alert
+      const shearAlert = flightState?.windShear?.alert;
+      if (shearAlert) {
+        ctx.fillStyle = shearAlert === 'WARNING' ? '#ff0000' : '#fbbf24';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.fillText(shearAlert === 'WARNING' ? 'WINDSHEAR AHEAD' : 'W/S', center, 17);
+      }
+
+      // TCAS advisory
+      const advisory = flightState?.tcas?.advisory;
+      if (advisory) {
+        ctx.fillStyle = advisory.type === 'RA' ? '#ff0000' : '#fbbf24';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'bottom';
+        if (advisory.type === 'RA') {
+          const { min, max } = advisory.vsBand;
+          ctx.fillText(`RA ${advisory.sense} ${min}/${max}FPM`, size - 5, size - 5);
+        } else {
+          ctx.fillText('TRAFFIC', size - 5, size - 5);
+        }
+      }
+
+      // VNAV vertical deviation (+ = above path)
+      const vnav = flightState?.vnav;
+      if (vnav?.engaged && vnav.phase) {
+        ctx.fillStyle = '#f0abfc';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(`VNAV ${vnav.phase}`, 5, size - 17);
+        if (typeof vnav.verticalDeviation === 'number') {
+          const sign = vnav.verticalDeviation > 0 ? '+' : '';
+          ctx.fillText(`VDEV ${sign}${vnav.verticalDeviation}FT`, 5, size - 5);
+        } else if (typeof vnav.todDistanceNm === 'number') {
+          ctx.fillText(`T/D ${vnav.todDistanceNm.toFixed(1)}NM`, 5, size - 5);
+        }
+      }
     };
 
     drawRadar();
-  }, [flightState, heading, altitude, waypoints, currentNextWaypointName, mapRange, nearbyRunways]);
+  }, [flightState, heading, altitude, waypoints, currentNextWaypointName, mapRange, nearbyRunways, weatherRadarOn, radarTilt]);
   
   return React.createElement('div', { className: 'navigation-panel' },
     React.createElement('div', { className: 'radar-display-container' },
@@ -614,7 +801,7 @@ const NavigationPanel = ({ flightState, selectedArrival, flightPlan, npcs = [] }
                 }
               },
                 React.createElement('span', { style: { fontWeight: 'bold', color: (wp.label || wp.name) === currentNextWaypointName ? '#ffdd00' : '#00ff00' } }, wp.label || wp.name || 'WPT'),
-                React.createElement('span', { style: { color: '#aaaaaa' } }, `${wp.latitude.toFixed(2)}, ${wp.longitude.toFixed(2)}`)
+                React.createElement('span', { style: { color: formatConstraint(wp) ? '#f0abfc' : '#aaaaaa' } }, formatConstraint(wp) || `${wp.latitude.toFixed(2)}, ${wp.longitude.toFixed(2)}`)
               )
             )
           )
@@ -654,6 +841,40 @@ const NavigationPanel = ({ flightState, selectedArrival, flightPlan, npcs = [] }
                 boxShadow: '0 0 5px rgba(0, 255, 0, 0.3)'
             }
         }, mapRange)
+      ),
+
+      // Weather Radar: on/off and antenna tilt
+      React.createElement('div', {
+        style: {
+            display: 'flex',
+            flexDirection: 'column',
+            justifyContent: 'center',
+            alignItems: 'center',
+            gap: '2px',
+            width: '50px',
+            background: 'rgba(0, 0, 0, 0.4)',
+            borderRadius: '8px',
+            border: '1px solid #00aaaa',
+            padding: '2px'
+        }
+      },
+        React.createElement('button', {
+            onClick: () => setWeatherRadarOn(on => !on),
+            style: {
+                background: weatherRadarOn ? '#006666' : '#001a1a',
+                border: '1px solid #00ffff',
+                color: '#00ffff',
+                borderRadius: '4px',
+                padding: '2px',
+                fontSize: '10px',
+                cursor: 'pointer',
+                width: '40px',
+                fontWeight: 'bold'
+            }
+        }, 'WXR'),
+        React.createElement('button', { onClick: () => adjustTilt(0.5), title: 'Tilt up', style: TILT_BUTTON_STYLE }, '▲'),
+        React.createElement('span', { style: { color: '#00ffff', fontSize: '10px' } }, `${radarTilt.toFixed(1)}°`),
+        React.createElement('button', { onClick: () => adjustTilt(-0.5), title: 'Tilt down', style: TILT_BUTTON_STYLE }, '▼')
       )
     )
   );
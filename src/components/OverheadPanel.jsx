@@ -1,6 +1,7 @@
 
 import React, { useState, useEffect } from 'react';
 import './FlightPanel.css';
+import { AUTOBRAKE_MODES } from '../services/BrakeService';
 
 const OverheadPanel = ({ onClose, flightState, onSystemAction, aircraftModel }) => {
   const modelLower = (aircraftModel || '').toLowerCase();
@@ -1074,6 +1075,67 @@ const OverheadPanel = ({ onClose, flightState, onSystemAction, aircraftModel })
     );
   };
 
+  const AirDataPanel = () => {
+    // Pitot-static source on each side's instruments: own side (NORM), other side (ALTN) or standby
+    const sources = ['captain', 'fo', 'standby'];
+    const captSource = getSys('airData.captSource', 'captain');
+    const foSource = getSys('airData.foSource', 'fo');
+    const disagree = flightState?.airData?.disagree || {};
+
+    const sourceLabel = (source, own) => (source === own ? 'NORM' : (source === 'standby' ? 'STBY' : 'ALTN'));
+    const cycleSource = (action, current) => {
+        const next = sources[(sources.indexOf(current) + 1) % sources.length];
+        onSystemAction('airData', action, next);
+    };
+
+    return (
+      <div className="panel-section">
+        <h4 className="panel-title">AIR DATA</h4>
+        <div style={{ display: 'flex', justifyContent: 'center', gap: '20px' }}>
+            <RotarySelector label="CAPT" active={captSource === 'captain'} onClick={() => cycleSource('captSource', captSource)}
+                subLabel={sourceLabel(captSource, 'captain')} enabled={hasPower}
+            />
+            <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center', fontSize: '10px', gap: '2px' }}>
+                <div style={{ color: disagree.ias ? '#fa0' : '#444' }}>IAS DISAGREE</div>
+                <div style={{ color: disagree.altitude ? '#fa0' : '#444' }}>ALT DISAGREE</div>
+                <div style={{ color: disagree.aoa ? '#fa0' : '#444' }}>AOA DISAGREE</div>
+            </div>
+            <RotarySelector label="F/O" active={foSource === 'fo'} onClick={() => cycleSource('foSource', foSource)}
+                subLabel={sourceLabel(foSource, 'fo')} enabled={hasPower}
+            />
+        </div>
+      </div>
+    );
+  };
+
+  const BrakesPanel = () => {
+    const autobrake = getSys('brakes.autobrake', 'OFF');
+    const temps = getSys('brakes.temp', [15, 15, 15, 15]);
+    const deflated = getSys('brakes.deflated', []);
+    const nextMode = AUTOBRAKE_MODES[(AUTOBRAKE_MODES.indexOf(autobrake) + 1) % AUTOBRAKE_MODES.length];
+
+    return (
+      <div className="panel-section">
+        <h4 className="panel-title">BRAKES</h4>
+        <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: '20px' }}>
+            <RotarySelector label="AUTOBRAKE" active={autobrake !== 'OFF'} onClick={() => onSystemAction('brakes', 'autobrake', nextMode)}
+                subLabel={autobrake} enabled={hasPower}
+            />
+            <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', fontSize: '10px', gap: '2px' }}>
+                <div style={{ display: 'flex', gap: '6px', fontFamily: 'monospace' }}>
+                    {temps.map((temp, i) => (
+                        <span key={i} style={{ color: deflated[i] ? '#f00' : (temp > 500 ? '#fa0' : '#0f0') }}>
+                            {deflated[i] ? 'FLAT' : `${temp}°`}
+                        </span>
+                    ))}
+                </div>
+                <div style={{ color: getSys('brakes.autobrakeDisarm') ? '#fa0' : '#444' }}>AUTO BRAKE DISARM</div>
+            </div>
+        </div>
+      </div>
+    );
+  };
+
   const CommPanel = () => {
       const comms = getSys('comms', {});
       const transponder = getSys('transponder', {});
@@ -1318,6 +1380,8 @@ const OverheadPanel = ({ onClose, flightState, onSystemAction, aircraftModel })
               <div style={{ gridArea: 'col1', display: 'flex', flexDirection: 'column', gap: '5px' }}>
                    <B737FlightControlPanel />
                    <B737NavPanel />
+                   <AirDataPanel />
+                   <BrakesPanel />
                    <B737FuelPanel />
                    <HydraulicsPanel />
                    <CommPanel />
@@ -1354,6 +1418,8 @@ const OverheadPanel = ({ onClose, flightState, onSystemAction, aircraftModel })
               {/* Column 1 (Left) */}
               <div style={{ gridArea: 'col1', display: 'flex', flexDirection: 'column', gap: '8px' }}>
                    <ADIRSPanel />
+                   <AirDataPanel />
+                   <BrakesPanel />
                    <ElectricalPanel />
                    <HydraulicsPanel />
                    <CommPanel />
@@ -1406,7 +1472,7 @@ const OverheadPanel = ({ onClose, flightState, onSystemAction, aircraftModel })
         <div className="overhead-grid">
             {isAirbus && (
               <div className="airbus-overhead-grid">
-                <div style={{ gridArea: 'adirs' }}><ADIRSPanel /></div>
+                <div style={{ gridArea: 'adirs' }}><ADIRSPanel /><AirDataPanel /><BrakesPanel /></div>
                 <div style={{ gridArea: 'fire' }}><FirePanel /></div>
                 <div style={{ gridArea: 'lights' }}><LightsPanel /></div>
                 <div style={{ gridArea: 'hyd' }}><HydraulicsPanel /></div>
@@ -0,0 +1,73 @@
+import { useLanguage } from '../contexts/LanguageContext';
+import { REPLAY_SPEEDS } from '../hooks/useFlightReplay';
+import './ReplayControls.css';
+
+const formatTime = (seconds) => {
+  const total = Math.max(0, Math.floor(seconds));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  const mmss = `${m.toString().padStart(h > 0 ? 2 : 1, '0')}:${s.toString().padStart(2, '0')}`;
+  return h > 0 ? `${h}:${mmss}` : mmss;
+};
+
+const ReplayControls = ({ replay }) => {
+  const { t } = useLanguage();
+  if (!replay || !replay.active) return null;
+
+  const { range, time, playing, speed, events } = replay;
+  const span = Math.max(0.001, range.end - range.start);
+
+  // Markers for discrete events on the scrub bar (warnings changes are too frequent to be useful)
+  const markers = events.filter(e => e.type !== 'warnings' && e.time >= range.start);
+
+  return (
+    <div className="replay-controls">
+      <div className="replay-header">
+        <span className="replay-title">⏺ {t('ui.replay.title')}</span>
+        <span className="replay-clock">{formatTime(time - range.start)} / {formatTime(span)}</span>
+        <button className="replay-exit-btn" onClick={replay.stop}>{t('ui.replay.exit')}</button>
+      </div>
+
+      <div className="replay-timeline">
+        <div className="replay-markers">
+          {markers.map((event, index) => (
+            <button
+              key={index}
+              className={`replay-marker ${event.type}`}
+              style={{ left: `${((event.time - range.start) / span) * 100}%` }}
+              title={`${t(`ui.replay.markers.${event.type}`)} ${formatTime(event.time - range.start)}${event.data?.description ? ` - ${event.data.description}` : ''}`}
+              onClick={() => replay.seek(event.time)}
+            />
+          ))}
+        </div>
+        <input
+          type="range"
+          min={range.start}
+          max={range.end}
+          step="0.1"
+          value={time}
+          onChange={e => replay.seek(parseFloat(e.target.value))}
+        />
+      </div>
+
+      <div className="replay-buttons">
+        <button className="replay-play-btn" onClick={replay.togglePlay}>
+          {playing ? `⏸ ${t('ui.replay.pause')}` : `▶ ${t('ui.replay.play')}`}
+        </button>
+        <span className="replay-speed-label">{t('ui.replay.speed')}</span>
+        {REPLAY_SPEEDS.map(value => (
+          <button
+            key={value}
+            className={`replay-speed-btn ${speed === value ? 'active' : ''}`}
+            onClick={() => replay.setSpeed(value)}
+          >
+            {value}×
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ReplayControls;
@@ -1,39 +1,46 @@
-import React, { useState } from 'react';
-import { encryptFlightData, decryptFlightData } from '../utils/flightDataCrypto';
+import React, { useState, useEffect, useCallback } from 'react';
+import { encodeSave, decodeSave, SaveErrors } from '../utils/flightDataCrypto';
+import { buildSaveData } from '../utils/saveMigrations';
 import './SaveLoadPanel.css';
 import { cloudSaveService } from '../services/cloudSaveService';
 import { useAuth } from '../contexts/AuthContext';
 
+const formatSaveTime = (iso) => new Date(iso).toLocaleString();
+
 const SaveLoadPanel = ({ flightData, physicsState, physicsService, flightPlan, weatherData, aircraftModel, onClose, onLoadFlight }) => {
   const [error, setError] = useState(null);
   const [successMsg, setSuccessMsg] = useState(null);
+  const [slotName, setSlotName] = useState('Autosave');
+  const [slots, setSlots] = useState([]);
+  const [history, setHistory] = useState([]);
+  const [expandedFlight, setExpandedFlight] = useState(null);
+  const [storageType, setStorageType] = useState(null);
   const { user } = useAuth();
 
-  const generateSaveData = () => {
-    // Prefer using the full serializable state from the physics service if available
-    const serializablePhysics = (physicsService && typeof physicsService.getSerializableState === 'function')
-        ? physicsService.getSerializableState()
-        : physicsState;
-
-    return {
-      version: '2.0', // Bump version for new comprehensive format
-      timestamp: Date.now(),
-      flightData: flightData, // Keep for UI reference/metadata
-      physicsState: serializablePhysics, // This now contains full deep state
-      runwayGeometry: flightData?.runwayGeometry,
-      flightPlan: flightPlan,
-      weatherData: weatherData,
-      aircraftModel: aircraftModel,
-    };
-  };
-
-  const handleSave = () => {
+  const generateSaveData = () => buildSaveData({
+    physicsService, physicsState, flightData, flightPlan, weatherData, aircraftModel
+  });
+
+  const refreshSaves = useCallback(async () => {
+    setStorageType(await cloudSaveService.getStorageType());
+    const [slotsResult, historyResult] = await Promise.all([
+      cloudSaveService.listSlots(),
+      cloudSaveService.listHistory()
+    ]);
+    setSlots(slotsResult.data || []);
+    setHistory(historyResult.data || []);
+  }, []);
+
+  useEffect(() => {
+    refreshSaves();
+  }, [refreshSaves, user]);
+
+  const handleSave = async () => {
     try {
       const data = generateSaveData();
-      const encrypted = encryptFlightData(data);
-      if (!encrypted) throw new Error('Encryption failed');
+      const encoded = await encodeSave(data);
 
-      const blob = new Blob([encrypted], { type: 'text/plain' });
+      const blob = new Blob([encoded], { type: 'application/json' });
       const url = URL.createObjectURL(blob);
       const a = document.createElement('a');
       a.href = url;
@@ -53,14 +60,34 @@ const SaveLoadPanel = ({ flightData, physicsState, physicsService, flightPlan, w
   const handleCloudSave = async () => {
     try {
       const data = generateSaveData();
-      const { error } = await cloudSaveService.saveFlight(data);
+      const { error } = await cloudSaveService.saveFlight(data, slotName.trim() || 'Autosave');
       if (error) throw error;
       
-      setSuccessMsg('Cloud save successful!');
+      setSuccessMsg(storageType === 'cloud' ? 'Cloud save successful!' : 'Saved to this browser!');
       setTimeout(() => setSuccessMsg(null), 3000);
+      refreshSaves();
     } catch (err) {
-      setError('Failed to save to cloud: ' + err.message);
+      setError('Failed to save: ' + err.message);
+    }
+  };
+
+  const handleLoadSave = (save) => {
+    cloudSaveService.beginFlight(save.data.flightId || save.flight_id);
+    onLoadFlight(save.data);
+    setSuccessMsg('Flight loaded successfully!');
+    setTimeout(() => {
+        setSuccessMsg(null);
+        onClose();
+    }, 1500);
+  };
+
+  const handleDiscardSave = async (save) => {
+    const { error } = await cloudSaveService.discardFlight(save);
+    if (error) {
+      setError('Failed to delete save: ' + error.message);
+      return;
     }
+    refreshSaves();
   };
 
   const handleLoad = (event) => {
@@ -68,16 +95,12 @@ const SaveLoadPanel = ({ flightData, physicsState, physicsService, flightPlan, w
     if (!file) return;
 
     const reader = new FileReader();
-    reader.onload = (e) => {
+    reader.onload = async (e) => {
       try {
         const content = e.target.result;
-        const data = decryptFlightData(content);
-        if (!data) throw new Error('Invalid save file or decryption failed');
-        
-        if (data.version !== '1.0') {
-            console.warn('Version mismatch, attempting to load anyway...');
-        }
+        const data = await decodeSave(content);
 
+        cloudSaveService.beginFlight(data.flightId);
         onLoadFlight(data);
         setSuccessMsg('Flight loaded successfully!');
         setTimeout(() => {
@@ -85,7 +108,13 @@ const SaveLoadPanel = ({ flightData, physicsState, physicsService, flightPlan, w
             onClose();
         }, 1500);
       } catch (err) {
-        setError('Failed to load flight: ' + err.message);
+        if (err.code === SaveErrors.TAMPERED) {
+          setError('Failed to load flight: the save file has been modified or damaged.');
+        } else if (err.code === SaveErrors.UNSUPPORTED) {
+          setError('Failed to load flight: the save file is from a newer version of the simulator.');
+        } else {
+          setError('Failed to load flight: ' + err.message);
+        }
       }
     };
     reader.readAsText(file);
@@ -113,18 +142,24 @@ const SaveLoadPanel = ({ flightData, physicsState, physicsService, flightPlan, w
         <div className="actions-row">
             <div className="action-card">
                 <h5>Save Flight</h5>
-                <p>Encrypt and download current flight state.</p>
+                <p>Sign and download current flight state.</p>
                 <button className="action-btn save-btn" onClick={handleSave}>
                     💾 Download Save File
                 </button>
             </div>
 
-            {user && (
+            {storageType && (
                 <div className="action-card">
-                    <h5>Cloud Save</h5>
-                    <p>Save to your account ({user.email}).</p>
+                    <h5>{storageType === 'cloud' ? 'Cloud Save' : 'Browser Save'}</h5>
+                    <p>{storageType === 'cloud' ? `Save to your account (${user?.email}).` : 'Save to this browser.'}</p>
+                    <input
+                        className="slot-name-input"
+                        value={slotName}
+                        onChange={e => setSlotName(e.target.value)}
+                        placeholder="Slot name"
+                    />
                     <button className="action-btn save-btn" onClick={handleCloudSave} style={{ background: '#3b82f6' }}>
-                        ☁️ Save to Cloud
+                        {storageType === 'cloud' ? '☁️ Save to Cloud' : '💾 Save to Slot'}
                     </button>
                 </div>
             )}
@@ -139,6 +174,55 @@ const SaveLoadPanel = ({ flightData, physicsState, physicsService, flightPlan, w
             </div>
         </div>
 
+        {slots.length > 0 && (
+            <div className="save-list">
+                <h4>Save Slots</h4>
+                {slots.map(save => (
+                    <div key={save.id} className="save-row">
+                        <div className="save-row-info">
+                            <strong>{save.slot || 'Unnamed'}</strong>
+                            <span>{save.data?.aircraftModel?.name || 'Unknown'} · {formatSaveTime(save.updated_at)}</span>
+                        </div>
+                        <button className="save-row-btn" onClick={() => handleLoadSave(save)}>Load</button>
+                        <button className="save-row-btn danger" onClick={() => handleDiscardSave(save)}>Delete</button>
+                    </div>
+                ))}
+            </div>
+        )}
+
+        {history.length > 0 && (
+            <div className="save-list">
+                <h4>Flight History</h4>
+                {history.map(flight => (
+                    <div key={flight.flightId} className="history-flight">
+                        <div
+                            className="save-row clickable"
+                            onClick={() => setExpandedFlight(prev => prev === flight.flightId ? null : flight.flightId)}
+                        >
+                            <div className="save-row-info">
+                                <strong>{flight.checkpoints[0]?.data?.aircraftModel?.name || 'Unknown'}</strong>
+                                <span>{formatSaveTime(flight.updatedAt)} · {flight.checkpoints.length} checkpoint(s)</span>
+                            </div>
+                            <span className={`history-status ${flight.outcome?.result || flight.status}`}>
+                                {flight.outcome
+                                    ? `${flight.outcome.result.toUpperCase()}${flight.outcome.grade ? ` · ${flight.outcome.grade}` : ''}`
+                                    : 'IN PROGRESS'}
+                            </span>
+                        </div>
+                        {expandedFlight === flight.flightId && flight.checkpoints.map(checkpoint => (
+                            <div key={checkpoint.id} className="save-row checkpoint">
+                                <div className="save-row-info">
+                                    <strong>{checkpoint.label}</strong>
+                                    <span>{formatSaveTime(checkpoint.created_at)} · {Math.round(checkpoint.data?.flightData?.altitude || 0)} ft</span>
+                                </div>
+                                <button className="save-row-btn" onClick={() => handleLoadSave(checkpoint)}>Load</button>
+                            </div>
+                        ))}
+                    </div>
+                ))}
+            </div>
+        )}
+
         {error && <div className="status-msg error">{error}</div>}
         {successMsg && <div className="status-msg success">{successMsg}</div>}
       </div>
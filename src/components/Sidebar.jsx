@@ -8,6 +8,8 @@ const Sidebar = ({ activePanel, onTogglePanel }) => {
     { id: 'systems', label: 'Systems', icon: '🔧', disabled: false },
     { id: 'timer', label: 'Timer', icon: '⏱️', disabled: false },
     { id: 'save_load', label: 'Save/Load', icon: '💾', disabled: false },
+    { id: 'replay', label: 'Replay', icon: '⏪', disabled: false },
+    { id: 'console', label: 'Console', icon: '⌨️', disabled: false },
     { id: 'inspect', label: 'Inspect', icon: '🔍', disabled: false },
     { id: 'settings', label: 'Settings', icon: '⚙️', disabled: true },
   ];
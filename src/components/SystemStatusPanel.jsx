@@ -54,6 +54,10 @@ const SystemStatusPanel = ({ flightState }) => {
               <span className="label">{t('ui.flight.flaps')}</span>
               <span className="value">{formatValue(flightState.flaps)}°</span>
             </div>
+            <div className="system-item">
+              <span className="label">{t('ui.systems.brake_temp')}</span>
+              <span className="value">{flightState.systems?.brakes?.temp ? flightState.systems.brakes.temp.map(v => formatValue(v)).join(' | ') : '0'}°C</span>
+            </div>
           </div>
         </div>
 
@@ -4,13 +4,62 @@
 
 const getDifficulty = (ctx) => ctx && ctx.difficulty ? ctx.difficulty : 'Intermediate';
 
+// Controller instructions ({ type, value }) as issued by ATCController
+const formatAltitude = (ft) => ft >= 18000 ? `FL${Math.round(ft / 100)}` : `${Math.round(ft)}`;
+const formatHeading = (deg) => String(Math.round(deg)).padStart(3, '0');
+
+const INSTRUCTIONS_EN = {
+  radar_contact: () => 'radar contact',
+  climb: (item) => `climb and maintain ${formatAltitude(item.value)}`,
+  descend: (item) => `descend and maintain ${formatAltitude(item.value)}`,
+  maintain: (item) => `maintain ${formatAltitude(item.value)}`,
+  heading: (item) => `fly heading ${formatHeading(item.value)}`,
+  speed: (item) => `maintain ${item.value} knots`,
+  squawk: (item) => `squawk ${item.value}`,
+  direct: (item) => `proceed direct ${item.value}`,
+  approach: (item) => `cleared ILS approach runway ${item.value}`,
+  continue: (item) => `continue approach runway ${item.value}`,
+  land: (item) => `runway ${item.value} cleared to land`,
+  contact: (item) => `contact ${item.station} on ${item.value}`,
+  taxi_in: () => 'taxi to the gate via Alpha'
+};
+
+const INSTRUCTIONS_ZH = {
+  radar_contact: () => '雷达识别',
+  climb: (item) => `上升并保持 ${formatAltitude(item.value)}`,
+  descend: (item) => `下降并保持 ${formatAltitude(item.value)}`,
+  maintain: (item) => `保持 ${formatAltitude(item.value)}`,
+  heading: (item) => `航向 ${formatHeading(item.value)}`,
+  speed: (item) => `保持速度 ${item.value} 节`,
+  squawk: (item) => `应答机 ${item.value}`,
+  direct: (item) => `直飞 ${item.value}`,
+  approach: (item) => `可以 ILS 进近跑道 ${item.value}`,
+  continue: (item) => `继续进近跑道 ${item.value}`,
+  land: (item) => `跑道 ${item.value} 可以落地`,
+  contact: (item) => `联系 ${item.station} ${item.value}`,
+  taxi_in: () => '经 A 滑行道滑行至停机位'
+};
+
+const describeInstructions = (items = [], phrases = INSTRUCTIONS_EN) =>
+  items.map(item => (phrases[item.type] || INSTRUCTIONS_EN[item.type])?.(item)).filter(Boolean).join(', ');
+
+const DEVIATION_CHECKS_ZH = { heading: '航向', speed: '速度', squawk: '应答机' };
+
+// Diversion picked by ATCEmergency: { airport, runway, distance, heading }
+const describeDiversion = (params = {}) => params.airport
+  ? `Nearest suitable airport ${params.airport}, runway ${params.runway}, ${params.distance} miles, fly heading ${formatHeading(params.heading)}. `
+  : '';
+const describeDiversionZh = (params = {}) => params.airport
+  ? `最近的合适机场 ${params.airport}, 跑道 ${params.runway}, ${params.distance} 海里, 航向 ${formatHeading(params.heading)}. `
+  : '';
+
 export const ATC_RESPONSES_EN = {
   // --- DELIVERY ---
   'req_clearance': (params, context) => {
     const dest = params.destination || 'DEST';
     const sid = params.sid || 'SID1';
     const alt = params.altitude || 'FL300';
-    const squawk = Math.floor(1000 + Math.random() * 6000);
+    const squawk = params.squawk || Math.floor(1000 + Math.random() * 6000);
     
     // Difficulty Scaling
     const diff = getDifficulty(context);
@@ -27,7 +76,7 @@ export const ATC_RESPONSES_EN = {
     return `Startup and pushback approved, face East, Altimeter 29.92, {callsign}.`;
   },
   'req_pdc': (params, context) => {
-    return `PDC is available. Cleared as filed. Squawk 4201, {callsign}.`;
+    return `PDC is available. Cleared as filed, climb ${params.altitude || 'FL300'}. Squawk ${params.squawk || 4201}, {callsign}.`;
   },
   'req_alt_brief': (params, context) => {
     return `Alternate ${params.alternate} noted, {callsign}.`;
@@ -103,7 +152,7 @@ export const ATC_RESPONSES_EN = {
     }
     return `Unable ${params.altitude} due to traffic, {callsign}.`;
   },
-  'req_vectors_ils': (params) => `Turn left heading 240, intercept LOC runway ${params.runway}, {callsign}.`,
+  'req_vectors_ils': (params) => `Fly heading ${formatHeading(params.heading || 240)}, intercept LOC runway ${params.runway}, {callsign}.`,
   'req_visual': (params) => `Cleared visual approach runway ${params.runway}, report field in sight, {callsign}.`,
   'req_holding': (params) => `Hold at ${params.waypoint}, right turns, 1 minute legs, {callsign}.`,
   'req_weather_dev': (params) => `Deviation ${params.direction} approved, report clear of weather, {callsign}.`,
@@ -115,13 +164,20 @@ export const ATC_RESPONSES_EN = {
   'req_turbulence': () => `Roger, PIREP received. Smooth air reported at FL350.`,
 
   // --- EMERGENCY ---
-  'inf_mayday': (params) => `MAYDAY acknowledged, {callsign}. Squawk 7700. State souls on board and fuel remaining. All runways available for you. Winds calm.`,
-  'inf_pan': (params) => `PAN-PAN acknowledged, {callsign}. Report intentions.`,
+  'inf_mayday': (params) => `MAYDAY acknowledged, {callsign}. Squawk 7700. ${describeDiversion(params) || 'All runways available for you. '}State souls on board and fuel remaining.`,
+  'inf_pan': (params) => `PAN-PAN acknowledged, {callsign}. ${describeDiversion(params)}Report intentions.`,
   'req_priority_landing': (params) => `Priority landing approved runway ${params.runway || 'any'}, wind calm, you are number one, {callsign}.`,
   'req_emergency_descent': (params) => `Emergency descent received, clear of traffic below you, altimeter 29.92, {callsign}.`,
   'report_failure': () => `Roger, advise if assistance required, {callsign}.`,
-  'inf_fuel_emergency': () => `Roger fuel emergency, cleared direct to field, runway 09L, priority handling, {callsign}.`,
+  'inf_fuel_emergency': (params) => `Roger fuel emergency, cleared direct ${params.code || 'to field'}, runway ${params.runway || '09L'}, priority handling, {callsign}.`,
   'req_crash_crew': () => `Crash crews have been alerted and are standing by, {callsign}.`,
+  'inf_souls_fuel': (params) => `Roger, ${params.souls} souls on board, fuel remaining ${params.fuel}. Emergency services will be standing by, {callsign}.`,
+  'inf_cancel_emergency': (params) => `Roger, emergency cancelled${params.squawk ? `, squawk ${params.squawk}` : ''}, {callsign}.`,
+  'sys_emergency_squawk': (params) => `{callsign}, squawk 7700 observed, confirm you are declaring an emergency. ${describeDiversion(params)}`.trim(),
+  'sys_emergency_info': () => `{callsign}, say souls on board and fuel remaining.`,
+  'sys_emergency_vectors': (params) => `{callsign}, ${describeInstructions(params.items)} for ${params.airport} runway ${params.runway}, ${params.distance} miles.`,
+  'sys_emergency_approach': (params) => `{callsign}, cleared straight-in approach runway ${params.runway}, runway ${params.runway} cleared to land, emergency services are standing by.`,
+  'sys_emergency_landed': (params) => `{callsign}, fire and rescue are attending, hold position on runway ${params.runway} and advise when able to vacate.`,
 
   // --- GENERAL ---
   'req_atis': (params, context) => {
@@ -143,28 +199,41 @@ export const ATC_RESPONSES_EN = {
   'wilco': () => null,
   'rb_alt': () => null,
   'rb_hdg': () => null,
+  'rb_spd': () => null,
   'rb_freq': () => null,
   'sys_traffic_alert': (params, context) => {
       const action = params.diff > 0 ? 'descend and maintain' : 'climb and maintain';
       return `${context.callsign || 'Station'}, traffic alert. Check altitude. Immediately ${action} ${params.assignedAltitude}.`;
   },
-  'sys_readback_wrong': (params, context) => {
-      return `Negative ${context.callsign}, maintain ${params.assignedAltitude}.`;
-  },
+  'sys_readback_wrong': (params) => `Negative {callsign}, I say again, ${describeInstructions(params.items)}.`,
+  'sys_readback_request': (params) => `{callsign}, readback not received, I say again, ${describeInstructions(params.items)}.`,
+  'sys_instruction': (params) => `{callsign}, ${params.station ? `${params.station}, ` : ''}${describeInstructions(params.items)}.`,
+  'sys_handoff': (params) => `{callsign}, contact ${params.station} on ${params.frequency}.`,
+  'sys_deviation': (params) => `{callsign}, check ${params.check === 'squawk' ? 'transponder' : params.check}, ${describeInstructions(params.items)}.`,
+  'sys_hold_short': (params) => `{callsign}, hold short runway ${params.runway}, traffic ${params.traffic}.`,
+  'sys_go_around': (params) => `{callsign}, go around, I say again go around, runway ${params.runway} occupied by ${params.traffic}.`,
+  'sys_expect_delay': (params) => `{callsign}, number ${params.number} for runway ${params.runway}, expect delay.`,
   'default': () => `Station calling, say again.`
 };
 
 export const ATC_RESPONSES_ZH = {
   // Simplified Chinese responses mirroring EN structure where possible
-  'req_clearance': (params) => `许可放行至 ${params.destination || '目的地'}, 离场程序 ${params.sid || 'SID'}, 爬升 ${params.altitude || 'FL300'}, 应答机 ${Math.floor(1000 + Math.random() * 6000)}, {callsign}.`,
+  'req_clearance': (params) => `许可放行至 ${params.destination || '目的地'}, 离场程序 ${params.sid || 'SID'}, 爬升 ${params.altitude || 'FL300'}, 应答机 ${params.squawk || Math.floor(1000 + Math.random() * 6000)}, {callsign}.`,
   'req_startup': () => `同意推出开车, 机头朝东, 修正海压 29.92, {callsign}.`,
   'req_taxi': (params, context) => `沿滑行道 A, B 滑行至跑道 ${params.runway || context.departureRunway || '09L'} 等待, {callsign}.`,
   'req_takeoff': (params, context) => `跑道 ${params.runway || context.departureRunway || '09L'} 允许起飞, {callsign}.`,
   'req_land': (params, context) => `跑道 ${params.runway || context.arrivalRunway || '27R'} 允许着陆, {callsign}.`,
   'inf_checkin': () => `雷达识别, 修正海压 29.92, {callsign}.`,
   'req_alt_change': (params) => `爬升并保持 ${params.altitude}, {callsign}.`,
-  'inf_mayday': () => `收到 MAYDAY, {callsign}. 应答机 7700. 报告机上人数和剩余燃油. 所有跑道为您开放.`,
-  'inf_pan': () => `收到 PAN-PAN, {callsign}. 请报告意图.`,
+  'inf_mayday': (params) => `收到 MAYDAY, {callsign}. 应答机 7700. ${describeDiversionZh(params) || '所有跑道为您开放. '}报告机上人数和剩余燃油.`,
+  'inf_pan': (params) => `收到 PAN-PAN, {callsign}. ${describeDiversionZh(params)}请报告意图.`,
+  'inf_souls_fuel': (params) => `收到, 机上 ${params.souls} 人, 剩余燃油 ${params.fuel}. 应急救援将待命, {callsign}.`,
+  'inf_cancel_emergency': (params) => `收到, 紧急状态取消${params.squawk ? `, 应答机 ${params.squawk}` : ''}, {callsign}.`,
+  'sys_emergency_squawk': (params) => `{callsign}, 观察到应答机 7700, 请确认是否宣布紧急情况. ${describeDiversionZh(params)}`.trim(),
+  'sys_emergency_info': () => `{callsign}, 报告机上人数和剩余燃油.`,
+  'sys_emergency_vectors': (params) => `{callsign}, ${describeInstructions(params.items, INSTRUCTIONS_ZH)}, 引导至 ${params.airport} 跑道 ${params.runway}, ${params.distance} 海里.`,
+  'sys_emergency_approach': (params) => `{callsign}, 可以直线进近跑道 ${params.runway}, 跑道 ${params.runway} 可以落地, 应急救援已待命.`,
+  'sys_emergency_landed': (params) => `{callsign}, 消防救援正在前往, 在跑道 ${params.runway} 上等待, 能脱离时报告.`,
   'req_atis': (params, context) => {
       if (context && context.weather) {
           const w = context.weather;
@@ -177,6 +246,14 @@ export const ATC_RESPONSES_ZH = {
       return `通播 Kilo. 风静止, 能见度 10公里, 天空晴, 温度 15, 修正海压 1013. {callsign}.`;
   },
   'req_freq_change': () => `联系区调 120.5. 再见, {callsign}.`,
+  'sys_hold_short': (params) => `{callsign}, 跑道 ${params.runway} 外等待, 活动 ${params.traffic}.`,
+  'sys_go_around': (params) => `{callsign}, 复飞, 重复一遍 复飞, 跑道 ${params.runway} 被 ${params.traffic} 占用.`,
+  'sys_expect_delay': (params) => `{callsign}, 跑道 ${params.runway} 第 ${params.number} 个落地, 预计延误.`,
+  'sys_readback_wrong': (params) => `{callsign}, 错误, 重复一遍, ${describeInstructions(params.items, INSTRUCTIONS_ZH)}.`,
+  'sys_readback_request': (params) => `{callsign}, 未收到复诵, 重复一遍, ${describeInstructions(params.items, INSTRUCTIONS_ZH)}.`,
+  'sys_instruction': (params) => `{callsign}, ${params.station ? `${params.station}, ` : ''}${describeInstructions(params.items, INSTRUCTIONS_ZH)}.`,
+  'sys_handoff': (params) => `{callsign}, 联系 ${params.station} ${params.frequency}.`,
+  'sys_deviation': (params) => `{callsign}, 检查${DEVIATION_CHECKS_ZH[params.check] || params.check}, ${describeInstructions(params.items, INSTRUCTIONS_ZH)}.`,
   'default': () => `呼叫台, 请再说一遍.`
 };
 
@@ -266,6 +266,40 @@ export const RADIO_TEMPLATES = {
       allowedTypes: ['Center'] 
     }
   ],
+  READBACK: [
+    { 
+      id: 'rb_alt', 
+      label: 'Readback Altitude', 
+      template: 'Maintain {altitude}, {callsign}.', 
+      params: ['altitude'],
+      type: 'readback',
+      allowedTypes: ['ALL'] 
+    },
+    { 
+      id: 'rb_hdg', 
+      label: 'Readback Heading', 
+      template: 'Heading {heading}, {callsign}.', 
+      params: ['heading'],
+      type: 'readback',
+      allowedTypes: ['ALL'] 
+    },
+    { 
+      id: 'rb_spd', 
+      label: 'Readback Speed', 
+      template: 'Speed {speed} knots, {callsign}.', 
+      params: ['speed'],
+      type: 'readback',
+      allowedTypes: ['ALL'] 
+    },
+    { 
+      id: 'rb_freq', 
+      label: 'Readback Frequency', 
+      template: 'Contact {frequency}, {callsign}.', 
+      params: ['frequency'],
+      type: 'readback',
+      allowedTypes: ['ALL'] 
+    }
+  ],
   EMERGENCY: [
     { 
       id: 'inf_mayday', 
@@ -321,6 +355,21 @@ export const RADIO_TEMPLATES = {
       template: '{station}, {callsign} requesting crash crews on standby.', 
       type: 'request',
       allowedTypes: ['Tower', 'Approach', 'Ground'] 
+    },
+    {
+      id: 'inf_souls_fuel',
+      label: 'Souls & Fuel',
+      template: '{station}, {callsign}, {souls} souls on board, fuel remaining {fuel}.',
+      params: ['souls', 'fuel'],
+      type: 'inform',
+      allowedTypes: ['ALL']
+    },
+    {
+      id: 'inf_cancel_emergency',
+      label: 'Cancel Emergency',
+      template: '{station}, {callsign}, cancel emergency.',
+      type: 'inform',
+      allowedTypes: ['ALL']
     }
   ]
 };
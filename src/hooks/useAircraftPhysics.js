@@ -2,6 +2,7 @@ import { useState, useCallback, useEffect, useRef } from 'react';
 import RealisticFlightPhysicsService from '../services/RealisticFlightPhysicsService.js';
 import { loadAircraftData } from '../services/aircraftService.js';
 import { airportService } from '../services/airportService.js';
+import { scenarioPackService } from '../services/scenarioPackService.js';
 
 export function useAircraftPhysics(config = {}, autoStart = true, model = 'realistic') {
   console.log('🎮 useAircraftPhysics: HOOK CALLED', {
@@ -55,6 +56,7 @@ export function useAircraftPhysics(config = {}, autoStart = true, model = 'reali
     yaw: 0
   });
   const lastUpdateTimeRef = useRef(Date.now());
+  const pausedRef = useRef(false); // Freezes the simulation (e.g. while replaying recorded flight data)
   const [timeScaleState, setTimeScaleState] = useState(1);
   const timeScaleRef = useRef(1);
 
@@ -132,6 +134,9 @@ export function useAircraftPhysics(config = {}, autoStart = true, model = 'reali
           if (typeof config.payloadWeight === 'number' && !isNaN(config.payloadWeight) && config.payloadWeight >= 0) {
             finalAircraft.payloadWeight = config.payloadWeight;
           }
+          if (config.load && typeof config.load === 'object') {
+            finalAircraft.load = config.load;
+          }
           if (typeof config.cruiseHeight === 'number' && !isNaN(config.cruiseHeight) && config.cruiseHeight > 0) {
             finalAircraft.initialCruiseAltitudeFt = config.cruiseHeight;
           }
@@ -247,6 +252,14 @@ export function useAircraftPhysics(config = {}, autoStart = true, model = 'reali
             service.aircraft.mass = service.aircraft.emptyWeight + fuelWeight + payloadWeight;
           }
         }
+
+        // Authored scenario pack: start state, weather and scripted failures override the defaults above
+        if (config && config.scenarioPack && service) {
+          const pack = scenarioPackService.getPack(config.scenarioPack);
+          if (pack) {
+            service.loadScenarioPack(pack);
+          }
+        }
         // console.log('🎮 useAircraftPhysics: PHYSICS SERVICE CREATED');
         // console.log('🎮 useAircraftPhysics: AIRCRAFT DATA IN PHYSICS SERVICE:', {
         //   basicLiftCoefficient: service?.aircraft?.basicLiftCoefficient,
@@ -255,6 +268,9 @@ export function useAircraftPhysics(config = {}, autoStart = true, model = 'reali
         //   horizontalStabilizerMomentArm: service?.aircraft?.horizontalStabilizerMomentArm
         // });
         
+        // Start with the stabiliser at the takeoff trim for the loadsheet CG
+        currentControlsRef.current = { ...currentControlsRef.current, trim: service.controls.trim };
+
         physicsServiceRef.current = service;
         setIsInitialized(true);
         // console.log('🎮 useAircraftPhysics: PHYSICS SERVICE INITIALIZED SUCCESSFULLY WITH DATABASE DATA');
@@ -289,7 +305,7 @@ export function useAircraftPhysics(config = {}, autoStart = true, model = 'reali
       const currentTime = Date.now();
       const elapsed = (currentTime - lastUpdateTimeRef.current) / 1000;
 
-      if (physicsServiceRef.current && elapsed >= targetStep) {
+      if (physicsServiceRef.current && !pausedRef.current && elapsed >= targetStep) {
         try {
           updatePhysics(targetStep, currentTime);
         } catch (err) {
@@ -336,15 +352,18 @@ export function useAircraftPhysics(config = {}, autoStart = true, model = 'reali
         if (newState.hasCrashed) break;
       }
 
+      // Airspeed, altitude and vertical speed as the captain's air data source measures them
+      const captainAirData = newState.airData?.captain;
       const altitude_m = Math.max(0, newState.position.z);
-      const altitude = altitude_m * 3.28084;
+      const altitude = captainAirData ? Math.max(0, captainAirData.altitude) : altitude_m * 3.28084;
       const airspeeds = physicsService.calculateAirspeeds();
       
       const trueAirspeed = isNaN(airspeeds?.trueAirspeed) ? 450 : airspeeds.trueAirspeed;
-      const indicatedAirspeed = isNaN(airspeeds?.indicatedAirspeed) ? 280 : airspeeds.indicatedAirspeed;
+      const measuredAirspeed = captainAirData ? captainAirData.ias : airspeeds?.indicatedAirspeed;
+      const indicatedAirspeed = isNaN(measuredAirspeed) ? 280 : measuredAirspeed;
       const groundSpeed = isNaN(airspeeds?.groundSpeed) ? 0 : airspeeds.groundSpeed;
       
-      const verticalSpeed = newState.verticalSpeed || 0;
+      const verticalSpeed = (captainAirData ? captainAirData.verticalSpeed : newState.verticalSpeed) || 0;
 
       const autopilotStatus = newState.autopilot || {};
       const autopilotEngaged = !!autopilotStatus.engaged;
@@ -440,6 +459,15 @@ export function useAircraftPhysics(config = {}, autoStart = true, model = 'reali
         autopilotEngaged,
         autopilotMode,
         autopilotTargets,
+        vnav: autopilotStatus.vnav || null,
+        tcas: newState.tcas || null,
+        terrainAwareness: newState.terrainAwareness || null,
+        windShear: newState.windShear || null,
+        stormCells: newState.stormCells || [],
+        wind: newState.derived?.wind || null,
+        outsideAirTemp: typeof newState.derived?.oat === 'number' ? newState.derived.oat : null,
+        atmosphere: newState.atmosphere || null,
+        airData: newState.airData || null,
         debugPhysics: newState.debugPhysics,
         systems: newState.systems || {}
       };
@@ -553,6 +581,10 @@ export function useAircraftPhysics(config = {}, autoStart = true, model = 'reali
     }
   }, []);
 
+  const setPaused = useCallback((paused) => {
+    pausedRef.current = !!paused;
+  }, []);
+
   const setTrim = useCallback((value) => {
     // Trim sensitivity adjustment
     // Map -1..1 to -0.2..0.2 radians (approx +/- 11.5 degrees)
@@ -652,6 +684,7 @@ export function useAircraftPhysics(config = {}, autoStart = true, model = 'reali
     setAirBrakes,
     setGear,
     setMotionEnabled,
+    setPaused,
     setTrim,
     performSystemAction,
     setEnvironment: useCallback((envData) => {
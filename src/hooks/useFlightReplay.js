@@ -0,0 +1,86 @@
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+
+export const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4, 8];
+
+/**
+ * Playback state for the flight data recorder (see FlightDataRecorder).
+ * The playhead is in recorder (simulation) seconds and advances in real time × speed.
+ */
+const useFlightReplay = (recorder) => {
+  const [active, setActive] = useState(false);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  const [time, setTime] = useState(0);
+  const [range, setRange] = useState({ start: 0, end: 0 });
+  const [events, setEvents] = useState([]);
+  const lastTickRef = useRef(null);
+
+  const start = useCallback(() => {
+    if (!recorder || recorder.getFrameCount() === 0) return false;
+    const timeRange = recorder.getTimeRange();
+    setRange(timeRange);
+    setEvents(recorder.getEvents());
+    setTime(timeRange.start);
+    setActive(true);
+    setPlaying(true);
+    return true;
+  }, [recorder]);
+
+  const stop = useCallback(() => {
+    setActive(false);
+    setPlaying(false);
+  }, []);
+
+  const togglePlay = useCallback(() => {
+    // Restart from the beginning when play is pressed at the end of the recording
+    if (!playing && time >= range.end) setTime(range.start);
+    setPlaying(!playing);
+  }, [playing, time, range]);
+
+  const seek = useCallback((value) => {
+    setTime(Math.min(range.end, Math.max(range.start, value)));
+  }, [range]);
+
+  // Advance the playhead
+  useEffect(() => {
+    if (!active || !playing) return;
+
+    let frameId;
+    lastTickRef.current = performance.now();
+    const tick = (now) => {
+      const elapsed = (now - lastTickRef.current) / 1000;
+      lastTickRef.current = now;
+      setTime(prev => Math.min(range.end, prev + elapsed * speed));
+      frameId = requestAnimationFrame(tick);
+    };
+    frameId = requestAnimationFrame(tick);
+
+    return () => cancelAnimationFrame(frameId);
+  }, [active, playing, speed, range]);
+
+  useEffect(() => {
+    if (playing && time >= range.end) setPlaying(false);
+  }, [playing, time, range]);
+
+  const frame = useMemo(() => {
+    if (!active || !recorder) return null;
+    return recorder.getFrameAt(time);
+  }, [active, recorder, time]);
+
+  return {
+    active,
+    playing,
+    speed,
+    time,
+    range,
+    events,
+    frame,
+    start,
+    stop,
+    togglePlay,
+    seek,
+    setSpeed
+  };
+};
+
+export default useFlightReplay;
@@ -528,6 +528,67 @@ const en = {
         wp_index: 'WP Index',
         tgt_alt: 'Tgt Alt'
     },
+    replay: {
+        title: 'FLIGHT DATA RECORDER',
+        review_flight: 'Review Flight',
+        play: 'Play',
+        pause: 'Pause',
+        speed: 'Speed',
+        exit: 'Exit Replay',
+        no_data: 'No flight data recorded yet.',
+        markers: {
+            failure: 'Failure',
+            warnings: 'Warnings',
+            autopilot: 'Autopilot',
+            crash: 'Impact'
+        }
+    },
+    console: {
+        title: 'COMMAND CONSOLE',
+        placeholder: 'Type a command, e.g. SET ALT FL120 or ALT 12000',
+        help: 'Tab completes · ↑/↓ history · Esc closes',
+        errors: {
+            empty: 'Enter a command.',
+            unknown: 'Unknown command: ${command}',
+            unknown_suggest: 'Unknown command: ${command}. Did you mean ${suggestion}?',
+            missing: 'Missing ${param}. Usage: ${usage}',
+            invalid: 'Invalid ${param} "${value}" (${hint}). Usage: ${usage}',
+            extra: 'Unexpected "${value}". Usage: ${usage}'
+        },
+        results: {
+            acknowledged: 'Acknowledged.',
+            no_aircraft: 'Aircraft systems are not ready.',
+            autopilot_on: 'Autopilot engaged.',
+            autopilot_off: 'Autopilot disengaged.',
+            mode: 'Autopilot mode ${mode}.',
+            altitude: 'Altitude set to ${altitude} ft.',
+            speed: 'Speed set to ${speed} kt.',
+            heading: 'Heading set to ${heading}°.',
+            climbing: 'Climbing to ${altitude} ft.',
+            descending: 'Descending to ${altitude} ft.',
+            not_above: '${altitude} ft is not above the current altitude.',
+            not_below: '${altitude} ft is not below the current altitude.',
+            thrust: 'Thrust ${value}.',
+            flaps: 'Flaps ${position}.',
+            speedbrake: 'Speedbrake ${position}.',
+            invalid_position: 'No ${position} detent on this aircraft.',
+            gear_down: 'Gear down.',
+            gear_up: 'Gear up.',
+            no_engine: 'This aircraft has no engine ${engine}.',
+            engine_shutdown: 'Engine ${engine} fuel cutoff.',
+            engine_relight: 'Engine ${engine} relight: ignition FLT, fuel on.',
+            apu_start: 'APU starting.',
+            apu_stop: 'APU off.',
+            crossfeed_on: 'Fuel crossfeed open.',
+            crossfeed_off: 'Fuel crossfeed closed.',
+            packs_on: 'Packs on.',
+            packs_off: 'Packs off.',
+            anti_ice_on: 'Wing and engine anti-ice on.',
+            anti_ice_off: 'Wing and engine anti-ice off.',
+            squawk: 'Squawking ${code}.',
+            ident: 'Ident.'
+        }
+    },
     flight_computer: {
         title: 'Flight Computer',
         tabs: {
@@ -543,7 +604,26 @@ const en = {
             end_of_plan: 'End of Flight Plan',
             hold: 'HOLD',
             holding: 'HOLDING',
-            active: '(ACTIVE)'
+            active: '(ACTIVE)',
+            constraint_altitude: 'ALT',
+            constraint_speed: 'SPD',
+            constraint_types: {
+                AT: 'AT',
+                ABOVE: 'AT/ABV',
+                BELOW: 'AT/BLW'
+            }
+        },
+        vnav: {
+            title: 'VNAV',
+            standby: 'STBY',
+            tod: 'T/D',
+            vdev: 'VDEV',
+            speed: 'SPD',
+            phases: {
+                CLIMB: 'CLIMB',
+                CRUISE: 'CRUISE',
+                DESCENT: 'DESCENT'
+            }
         },
         add: {
             manual_entry: 'Manual Entry',
@@ -597,6 +677,7 @@ const en = {
                 TOWER: 'Tower',
                 APPROACH: 'Approach',
                 CENTER: 'Center',
+                READBACK: 'Readback',
                 EMERGENCY: 'Emergency'
             },
             template: {
@@ -639,7 +720,13 @@ const en = {
                 req_emergency_descent: { label: 'Emergency Descent', text: 'Emergency descent, ${callsign}. Descending to ${altitude}.' },
                 report_failure: { label: 'Report Failure', text: '${station}, ${callsign} reporting ${failure} failure.' },
                 inf_fuel_emergency: { label: 'Fuel Emergency', text: 'MAYDAY, ${callsign}, fuel emergency. Remaining endurance ${minutes} minutes.' },
-                req_crash_crew: { label: 'Request Crash Crew', text: '${station}, ${callsign} requesting crash crews on standby.' }
+                req_crash_crew: { label: 'Request Crash Crew', text: '${station}, ${callsign} requesting crash crews on standby.' },
+                inf_souls_fuel: { label: 'Souls & Fuel', text: '${station}, ${callsign}, ${souls} souls on board, fuel remaining ${fuel}.' },
+                inf_cancel_emergency: { label: 'Cancel Emergency', text: '${station}, ${callsign}, cancel emergency.' },
+                rb_alt: { label: 'Readback Altitude', text: 'Maintain ${altitude}, ${callsign}.' },
+                rb_hdg: { label: 'Readback Heading', text: 'Heading ${heading}, ${callsign}.' },
+                rb_spd: { label: 'Readback Speed', text: 'Speed ${speed} knots, ${callsign}.' },
+                rb_freq: { label: 'Readback Frequency', text: 'Contact ${frequency}, ${callsign}.' }
             }
         },
         utils: {
@@ -928,6 +1015,7 @@ const en = {
         avail: 'AVAIL',
         fault: 'FAULT',
         low_press: 'LOW PRESS',
+        brake_temp: 'BRK TEMP',
         status: 'System Status',
         warnings: 'Warnings',
     no_warnings: 'No active warnings'
@@ -936,12 +1024,41 @@ const en = {
     gpws: {
       pull_up: 'PULL UP',
       terrain: 'TERRAIN',
+      caution_terrain: 'CAUTION TERRAIN',
+      terrain_ahead: 'TERRAIN AHEAD, PULL UP',
       too_low_gear: 'TOO LOW GEAR',
       too_low_flaps: 'TOO LOW FLAPS'
     },
     stall: 'STALL',
     overspeed: 'OVERSPEED',
     bank_angle: 'BANK ANGLE',
+    tcas: {
+      traffic: 'TRAFFIC, TRAFFIC',
+      climb: 'CLIMB, CLIMB (${min} TO ${max} FPM)',
+      descend: 'DESCEND, DESCEND (${min} TO ${max} FPM)',
+      clear: 'CLEAR OF CONFLICT'
+    },
+    windshear: {
+      reactive: 'WINDSHEAR, WINDSHEAR, WINDSHEAR',
+      ahead: 'WINDSHEAR AHEAD',
+      go_around: 'GO AROUND, WINDSHEAR AHEAD',
+      monitor_radar: 'MONITOR RADAR DISPLAY'
+    },
+    ice: {
+      detected: 'ICE DETECTED',
+      probe_heat: 'PROBE HEAT OFF'
+    },
+    air_data: {
+      ias_disagree: 'IAS DISAGREE',
+      alt_disagree: 'ALT DISAGREE',
+      aoa_disagree: 'AOA DISAGREE'
+    },
+    brakes: {
+      temp: 'BRAKE TEMP',
+      tyre_deflated: 'TYRE DEFLATED',
+      autobrake_disarm: 'AUTO BRAKE DISARM'
+    },
+    cg_limit: 'CG OUT OF LIMITS',
     fire: {
       eng1: 'ENGINE 1 FIRE',
       eng2: 'ENGINE 2 FIRE',
@@ -1001,6 +1118,7 @@ const en = {
             TOWER: 'Tower',
             APPROACH: 'Approach',
             CENTER: 'Center',
+            READBACK: 'Readback',
             EMERGENCY: 'Emergency'
         },
         template: {
@@ -1043,7 +1161,13 @@ const en = {
             req_emergency_descent: { label: 'Emergency Descent', text: 'Emergency descent, ${callsign}. Descending to ${altitude}.' },
             report_failure: { label: 'Report Failure', text: '${station}, ${callsign} reporting ${failure} failure.' },
             inf_fuel_emergency: { label: 'Fuel Emergency', text: 'MAYDAY, ${callsign}, fuel emergency. Remaining endurance ${minutes} minutes.' },
-            req_crash_crew: { label: 'Request Crash Crew', text: '${station}, ${callsign} requesting crash crews on standby.' }
+            req_crash_crew: { label: 'Request Crash Crew', text: '${station}, ${callsign} requesting crash crews on standby.' },
+            inf_souls_fuel: { label: 'Souls & Fuel', text: '${station}, ${callsign}, ${souls} souls on board, fuel remaining ${fuel}.' },
+            inf_cancel_emergency: { label: 'Cancel Emergency', text: '${station}, ${callsign}, cancel emergency.' },
+            rb_alt: { label: 'Readback Altitude', text: 'Maintain ${altitude}, ${callsign}.' },
+            rb_hdg: { label: 'Readback Heading', text: 'Heading ${heading}, ${callsign}.' },
+            rb_spd: { label: 'Readback Speed', text: 'Speed ${speed} knots, ${callsign}.' },
+            rb_freq: { label: 'Readback Frequency', text: 'Contact ${frequency}, ${callsign}.' }
         }
     }
   },
@@ -1091,7 +1215,28 @@ const en = {
         Autumn: 'AUTUMN',
         Winter: 'WINTER'
       },
-      random: 'RANDOM'
+      random: 'RANDOM',
+      cabin_loading: 'CABIN LOADING',
+      cabin_loadings: {
+        even: 'EVEN',
+        forward: 'FORWARD',
+        aft: 'AFT'
+      },
+      hold_fwd_share: 'FWD HOLD CARGO (%)'
+    },
+    weather_report: {
+      label: 'WEATHER REPORT (METAR / TAF, OPTIONAL)',
+      placeholder: 'e.g. METAR KSFO 191856Z 28012G20KT 10SM FEW008 BKN250 18/12 A2992',
+      summary: '${station}: wind ${wind} kt, visibility ${visibility}, ceiling ${ceiling}, ${conditions}',
+      no_ceiling: 'none',
+      errors: {
+        empty: 'Enter a METAR or TAF',
+        station: 'Unknown station identifier "${value}"',
+        time: 'Expected the report time (DDHHMMZ) or TAF validity (DDHH/DDHH), found "${value}"',
+        nil: 'No report available for ${station} (NIL)',
+        wind: 'Wind group missing (e.g. 28012KT)',
+        group: 'Unrecognised group "${value}"'
+      }
     },
     route: {
       departure: 'DEPARTURE AIRPORT',
@@ -1103,7 +1248,16 @@ const en = {
         fuel_req: 'FUEL REQ:',
         trip: 'TRIP',
         rsv: 'RSV',
-        total: 'TOTAL'
+        total: 'TOTAL',
+        loadsheet: 'LOADSHEET:',
+        zfw: 'ZFW',
+        tow: 'TOW',
+        cg: 'CG',
+        mac: '% MAC',
+        trim: 'T/O TRIM',
+        nose_up: 'NU',
+        nose_down: 'ND',
+        cg_out_of_limits: 'CG OUT OF LIMITS (${forward} - ${aft}% MAC)'
       }
     },
     buttons: {
@@ -1111,6 +1265,27 @@ const en = {
       next_route: 'NEXT: ROUTE SELECTION →',
       finalize: 'FINALIZE DISPATCH & INITIALIZE'
     },
+    scenario_packs: {
+      label: 'SCENARIO PACK:',
+      random: {
+        name: 'RANDOM FLIGHT',
+        description: 'Weather and failures are rolled from the selected difficulty.'
+      },
+      packs: {
+        gimli_glider: {
+          name: 'GIMLI GLIDER',
+          description: 'FL410 over Red Lake with a fuel load miscalculated in pounds instead of kilograms. Both engines will run dry.'
+        },
+        sioux_city: {
+          name: 'SIOUX CITY',
+          description: 'An uncontained fan disk failure in cruise takes every hydraulic system with it. Steer with thrust alone.'
+        },
+        hudson_ditching: {
+          name: 'HUDSON DITCHING',
+          description: 'A flock of geese on the climb out of New York. Both engines lost below 3,000 ft.'
+        }
+      }
+    },
     random: {
       success: 'Random flight initialized!\nRoute: ${departure} → ${arrival}\nAircraft: ${aircraft}\nDifficulty: ${difficulty}\nFailure: ${failure}\nWeather: ${weather}',
       error: 'Error initializing random flight. Please try again.'
@@ -1209,13 +1384,173 @@ const en = {
     fog: 'Fog',
     snow: 'Snow'
   },
+  scoring: {
+    results_title: 'FLIGHT RESULTS',
+    final_score: 'Final Score: ${score}',
+    difficulty_multiplier: 'Difficulty ${difficulty} x${multiplier}',
+    failure_bonus: '+${bonus} for ${count} failure(s) survived',
+    not_scored: 'N/A',
+    continue: 'Continue',
+    categories: {
+      landing: 'Landing',
+      comfort: 'Comfort',
+      procedures: 'Procedures',
+      survival: 'Survival'
+    },
+    details: {
+      sink_rate: 'Touchdown sink rate',
+      centerline: 'Centreline deviation',
+      touchdown_distance: 'Touchdown from threshold',
+      bounces: 'Bounces',
+      g_range: 'Load factor (min / max)',
+      max_bank: 'Max bank',
+      checklists: 'Checklists completed',
+      atc_compliance: 'ATC altitude compliance'
+    }
+  },
+  investigation: {
+    title: 'ACCIDENT INVESTIGATION REPORT',
+    probable_cause: 'Probable Cause',
+    initiating_event: 'Initiating Event',
+    cause_chain: 'Cause Chain',
+    crew_actions: 'Contributing Crew Actions',
+    none_identified: 'None identified.',
+    cause: {
+      ground_collision: 'The aircraft collided with ground obstacles while operating off a prepared surface.',
+      fuel_exhaustion: 'Fuel exhaustion led to a loss of all engine power and the aircraft could not reach a suitable landing surface.',
+      stall: 'The aircraft entered an aerodynamic stall and was not recovered before it struck the ground at ${airspeed} kts and ${sinkRate} ft/min.',
+      loss_of_control: 'Loss of control in flight: the aircraft struck the ground in an unusual attitude (pitch ${pitch}°, bank ${roll}°).',
+      windshear: 'Microburst wind shear at low altitude: the aircraft lost energy in the downdraft and outflow and struck the ground at ${sinkRate} ft/min while wind shear warnings were active.',
+      cfit: 'Controlled flight into terrain: an airworthy aircraft was flown into the ground while terrain warnings were active.',
+      forced_landing: 'Following the loss of engine power, the aircraft made a forced landing that exceeded its structural limits (${sinkRate} ft/min).',
+      gear_up_landing: 'The aircraft touched down with the landing gear retracted.',
+      hard_landing: 'Hard landing: touchdown at ${sinkRate} ft/min exceeded the landing gear design limits.',
+      terrain_impact: 'The aircraft descended into terrain away from a prepared surface at ${sinkRate} ft/min.',
+      undetermined: 'The probable cause could not be determined from the recorded data.'
+    },
+    narrative: {
+      initiated_by: 'The accident sequence began with ${failure} at T+${time}.',
+      no_failure: 'No aircraft system failure was recorded before the accident.',
+      secondary: '${failure} at T+${time} was a consequence of ${cause}.',
+      ignored_alerts: 'Contributing factor: the crew did not respond to the following alerts: ${alerts}.',
+      late_response: 'Contributing factor: delayed crew response to ${alerts}.',
+      no_crew_factors: 'No contributing crew actions were identified.'
+    },
+    findings: {
+      ignored: '${alert} ignored (active ${duration} s without corrective input)',
+      late: '${alert} answered late (${response} s after onset)'
+    },
+    impact: {
+      title: 'Impact Parameters',
+      sink_rate: 'Sink Rate',
+      airspeed: 'Airspeed',
+      attitude: 'Attitude',
+      attitude_value: 'Pitch ${pitch}° / Bank ${roll}°',
+      surface: 'Surface',
+      configuration: 'Configuration',
+      configuration_value: 'Gear ${gear}, Flaps ${flaps}',
+      gear_down: 'down',
+      gear_up: 'up',
+      flight_time: 'Flight Time'
+    },
+    stages: {
+      incipient: 'incipient',
+      active: 'active',
+      critical: 'critical',
+      accumulating: 'accumulating',
+      damage: 'damage',
+      impact: 'impact',
+      intermittent: 'intermittent',
+      recovered: 'recovered',
+      surging: 'surging'
+    },
+    nodes: {
+      UNCONTAINED_ENGINE_FAILURE: 'Uncontained engine failure',
+      TOTAL_ELECTRICAL_FAILURE: 'Total electrical failure',
+      RAPID_DECOMPRESSION: 'Rapid decompression',
+      HYDRAULIC_SYSTEM: 'Hydraulic system damage',
+      FUEL_TANK: 'Fuel tank damage',
+      CONTROL_SURFACES: 'Control surface damage',
+      AVIONICS: 'Avionics failure',
+      FUEL_PUMPS: 'Fuel pump failure',
+      FLIGHT_CONTROL_LAWS: 'Flight control law reversion',
+      CREW_PERFORMANCE: 'Degraded crew performance',
+      STRUCTURAL_INTEGRITY: 'Structural damage',
+      SEVERE_TURBULENCE: 'Severe turbulence',
+      ENGINE_STALL: 'Engine stall',
+      STRUCTURAL_STRESS: 'Structural overstress',
+      PASSENGER_INJURY: 'Passenger injuries',
+      DUAL_ENGINE_FLAMEOUT: 'Dual engine flameout',
+      ELECTRICAL_EMERGENCY: 'Electrical emergency',
+      LOSS_OF_HYDRAULICS: 'Loss of hydraulics',
+      BRAKE_OVERHEAT: 'Brake overheat',
+      TIRE_BURST: 'Tyre burst',
+      GEAR_COLLAPSE: 'Landing gear collapse',
+      OVERWEIGHT_LANDING: 'Overweight landing',
+      FUEL_STARVATION: 'Fuel starvation'
+    },
+    edges: {
+      UNCONTAINED_ENGINE_FAILURE: {
+        HYDRAULIC_SYSTEM: 'Debris cuts hydraulic lines in the wing or fuselage.',
+        FUEL_TANK: 'Debris punctures wing fuel tanks, causing a leak or fire.',
+        CONTROL_SURFACES: 'Shrapnel damages flaps or aileron actuators.'
+      },
+      TOTAL_ELECTRICAL_FAILURE: {
+        AVIONICS: 'Loss of all glass cockpit displays. Standby instruments only.',
+        FUEL_PUMPS: 'Loss of boost pumps; engines rely on gravity feed or suction.',
+        FLIGHT_CONTROL_LAWS: 'Reversion to Direct Law or Mechanical Backup.'
+      },
+      RAPID_DECOMPRESSION: {
+        CREW_PERFORMANCE: 'Hypoxia risk. Mandatory oxygen mask usage. Cognitive load increases.',
+        STRUCTURAL_INTEGRITY: 'Pressure differential causes secondary structural damage (floor collapse).'
+      }
+    },
+    ground_status: {
+      RUNWAY: 'Runway',
+      GRASS: 'Airfield grass',
+      OBJECTS: 'Obstacles / off-airport',
+      UNKNOWN: 'Unknown'
+    }
+  },
   failures: {
     engine_failure: 'Engine Failure',
     hydraulic_failure: 'Hydraulic Failure',
     electrical_failure: 'Electrical Failure',
     instrument_failure: 'Instrument Failure',
     fuel_leak: 'Fuel Leak',
-    structural_damage: 'Structural Damage'
+    structural_damage: 'Structural Damage',
+    control_jam: 'Control Surface Jam',
+    structural_control_surface_jam: 'Structural Control Jam',
+    total_flight_control_failure: 'Total Flight Control Loss',
+    landing_gear_extension_issue: 'Gear Extension Failure',
+    autopilot_anomaly: 'Autopilot Anomaly',
+    autothrottle_miscommand: 'Autothrottle Miscommand',
+    runway_excursion: 'Runway Excursion',
+    engine_fire: 'Engine Fire',
+    dual_engine_failure: 'Dual Engine Flameout',
+    compressor_stall: 'Compressor Stall',
+    bird_strike: 'Bird Strike',
+    uncontained_engine_failure: 'Uncontained Engine Failure',
+    rapid_depressurization: 'Rapid Depressurization',
+    hull_breach: 'Hull Breach',
+    severe_turbulence: 'Severe Turbulence',
+    wind_shear: 'Wind Shear',
+    severe_icing: 'Severe Icing',
+    fuel_contamination: 'Fuel Contamination',
+    sabotage_explosion: 'Sabotage / Explosion',
+    major_hydraulic_failure: 'Major Hydraulic Failure',
+    electrical_bus_failure: 'Electrical Bus Failure',
+    partial_electrical_failure: 'Partial Electrical Failure',
+    circuit_breaker_trip: 'Circuit Breaker Trip',
+    pitot_static_failure: 'Pitot Tube Blockage',
+    static_port_blockage: 'Static Port Blockage',
+    aoa_vane_failure: 'AOA Vane Failure',
+    navigation_radio_glitch: 'Nav Radio Glitch',
+    communication_radio_failure: 'Comm Radio Failure',
+    non_critical_sensor_anomaly: 'Sensor Anomaly',
+    minor_instrument_failure: 'Minor Instrument Failure',
+    brake_failure: 'Brake Failure',
+    sensor_misread_approach: 'Sensor Misread (Approach)'
   }
 };
 
@@ -496,6 +496,67 @@ const zh = {
         wp_index: '航点索引',
         tgt_alt: '目标高度'
     },
+    replay: {
+        title: '飞行数据记录器',
+        review_flight: '回放飞行',
+        play: '播放',
+        pause: '暂停',
+        speed: '速度',
+        exit: '退出回放',
+        no_data: '尚未记录飞行数据。',
+        markers: {
+            failure: '故障',
+            warnings: '警告',
+            autopilot: '自动驾驶',
+            crash: '撞击'
+        }
+    },
+    console: {
+        title: '指令控制台',
+        placeholder: '输入指令，例如 SET ALT FL120 或 ALT 12000',
+        help: 'Tab 补全 · ↑/↓ 历史 · Esc 关闭',
+        errors: {
+            empty: '请输入指令。',
+            unknown: '未知指令：${command}',
+            unknown_suggest: '未知指令：${command}。您是否想输入 ${suggestion}？',
+            missing: '缺少 ${param}。用法：${usage}',
+            invalid: '${param} 无效："${value}"（${hint}）。用法：${usage}',
+            extra: '多余的输入："${value}"。用法：${usage}'
+        },
+        results: {
+            acknowledged: '收到。',
+            no_aircraft: '飞机系统尚未就绪。',
+            autopilot_on: '自动驾驶已接通。',
+            autopilot_off: '自动驾驶已断开。',
+            mode: '自动驾驶模式 ${mode}。',
+            altitude: '高度设为 ${altitude} 英尺。',
+            speed: '速度设为 ${speed} 节。',
+            heading: '航向设为 ${heading}°。',
+            climbing: '爬升至 ${altitude} 英尺。',
+            descending: '下降至 ${altitude} 英尺。',
+            not_above: '${altitude} 英尺不高于当前高度。',
+            not_below: '${altitude} 英尺不低于当前高度。',
+            thrust: '推力 ${value}。',
+            flaps: '襟翼 ${position}。',
+            speedbrake: '减速板 ${position}。',
+            invalid_position: '本机没有 ${position} 档位。',
+            gear_down: '起落架放下。',
+            gear_up: '起落架收起。',
+            no_engine: '本机没有 ${engine} 号发动机。',
+            engine_shutdown: '${engine} 号发动机燃油切断。',
+            engine_relight: '${engine} 号发动机重新点火：点火 FLT，燃油接通。',
+            apu_start: 'APU 启动中。',
+            apu_stop: 'APU 关闭。',
+            crossfeed_on: '燃油交输打开。',
+            crossfeed_off: '燃油交输关闭。',
+            packs_on: '空调组件接通。',
+            packs_off: '空调组件关闭。',
+            anti_ice_on: '机翼和发动机防冰接通。',
+            anti_ice_off: '机翼和发动机防冰关闭。',
+            squawk: '应答机 ${code}。',
+            ident: '识别。'
+        }
+    },
     flight_computer: {
         title: '飞行计算机',
         tabs: {
@@ -511,7 +572,26 @@ const zh = {
             end_of_plan: '飞行计划结束',
             hold: '等待',
             holding: '等待中',
-            active: '(当前)'
+            active: '(当前)',
+            constraint_altitude: '高度',
+            constraint_speed: '速度',
+            constraint_types: {
+                AT: '保持',
+                ABOVE: '不低于',
+                BELOW: '不高于'
+            }
+        },
+        vnav: {
+            title: 'VNAV',
+            standby: '待命',
+            tod: '下降顶点',
+            vdev: '垂直偏差',
+            speed: '速度',
+            phases: {
+                CLIMB: '爬升',
+                CRUISE: '巡航',
+                DESCENT: '下降'
+            }
         },
         add: {
             manual_entry: '手动输入',
@@ -624,6 +704,7 @@ const zh = {
         avail: '可用',
         fault: '故障',
         low_press: '低压',
+        brake_temp: '刹车温度',
         status: '系统状态',
         warnings: '警告',
         no_warnings: '无活动警告'
@@ -653,12 +734,41 @@ const zh = {
         gpws: {
             pull_up: '拉升 (PULL UP)',
             terrain: '地形 (TERRAIN)',
+            caution_terrain: '注意地形 (CAUTION TERRAIN)',
+            terrain_ahead: '前方地形 拉升 (TERRAIN AHEAD, PULL UP)',
             too_low_gear: '高度低 起落架 (TOO LOW GEAR)',
             too_low_flaps: '高度低 襟翼 (TOO LOW FLAPS)'
         },
         stall: '失速 (STALL)',
         overspeed: '超速 (OVERSPEED)',
         bank_angle: '倾角过大 (BANK ANGLE)',
+        tcas: {
+            traffic: '交通 (TRAFFIC, TRAFFIC)',
+            climb: '爬升 (CLIMB, CLIMB ${min} 至 ${max} FPM)',
+            descend: '下降 (DESCEND, DESCEND ${min} 至 ${max} FPM)',
+            clear: '冲突解除 (CLEAR OF CONFLICT)'
+        },
+        windshear: {
+            reactive: '风切变 (WINDSHEAR, WINDSHEAR, WINDSHEAR)',
+            ahead: '前方风切变 (WINDSHEAR AHEAD)',
+            go_around: '复飞 前方风切变 (GO AROUND, WINDSHEAR AHEAD)',
+            monitor_radar: '监控雷达显示 (MONITOR RADAR DISPLAY)'
+        },
+        ice: {
+            detected: '探测到结冰 (ICE DETECTED)',
+            probe_heat: '探头加温关 (PROBE HEAT OFF)'
+        },
+        air_data: {
+            ias_disagree: '空速不一致 (IAS DISAGREE)',
+            alt_disagree: '高度不一致 (ALT DISAGREE)',
+            aoa_disagree: '迎角不一致 (AOA DISAGREE)'
+        },
+        brakes: {
+            temp: '刹车温度高 (BRAKE TEMP)',
+            tyre_deflated: '轮胎泄气 (TYRE DEFLATED)',
+            autobrake_disarm: '自动刹车解除 (AUTO BRAKE DISARM)'
+        },
+        cg_limit: '重心超限 (CG OUT OF LIMITS)',
         fire: {
             eng1: '引擎 1 火警',
             eng2: '引擎 2 火警',
@@ -700,6 +810,7 @@ const zh = {
             TOWER: '塔台 (Tower)',
             APPROACH: '进近 (Approach)',
             CENTER: '区调 (Center)',
+            READBACK: '复诵 (Readback)',
             EMERGENCY: '紧急 (Emergency)'
         },
         template: {
@@ -742,7 +853,13 @@ const zh = {
             req_emergency_descent: { label: '紧急下降', text: '紧急下降, ${callsign}. 下降至 ${altitude}.' },
             report_failure: { label: '报告故障', text: '${station}, ${callsign} 报告 ${failure} 故障.' },
             inf_fuel_emergency: { label: '燃油紧急', text: 'MAYDAY, ${callsign}, 燃油紧急. 续航时间 ${minutes} 分钟.' },
-            req_crash_crew: { label: '请求救援', text: '${station}, ${callsign} 请求救援队待命.' }
+            req_crash_crew: { label: '请求救援', text: '${station}, ${callsign} 请求救援队待命.' },
+            inf_souls_fuel: { label: '机上人数和燃油', text: '${station}, ${callsign}, 机上 ${souls} 人, 剩余燃油 ${fuel}.' },
+            inf_cancel_emergency: { label: '取消紧急状态', text: '${station}, ${callsign}, 取消紧急状态.' },
+            rb_alt: { label: '复诵高度', text: '保持 ${altitude}, ${callsign}.' },
+            rb_hdg: { label: '复诵航向', text: '航向 ${heading}, ${callsign}.' },
+            rb_spd: { label: '复诵速度', text: '速度 ${speed} 节, ${callsign}.' },
+            rb_freq: { label: '复诵频率', text: '联系 ${frequency}, ${callsign}.' }
         }
     },
     narrative: {
@@ -826,7 +943,28 @@ const zh = {
         Autumn: '秋季',
         Winter: '冬季'
       },
-      random: '随机'
+      random: '随机',
+      cabin_loading: '客舱布载',
+      cabin_loadings: {
+        even: '均匀',
+        forward: '靠前',
+        aft: '靠后'
+      },
+      hold_fwd_share: '前货舱货物 (%)'
+    },
+    weather_report: {
+      label: '天气报告 (METAR / TAF, 可选)',
+      placeholder: '例如 METAR ZBAA 191900Z 36008MPS CAVOK 12/M03 Q1025',
+      summary: '${station}: 风 ${wind} 节, 能见度 ${visibility}, 云底高 ${ceiling}, ${conditions}',
+      no_ceiling: '无',
+      errors: {
+        empty: '请输入 METAR 或 TAF',
+        station: '未知的台站代码 "${value}"',
+        time: '应为报告时间 (DDHHMMZ) 或 TAF 有效期 (DDHH/DDHH), 实际为 "${value}"',
+        nil: '${station} 无可用报告 (NIL)',
+        wind: '缺少风组 (例如 28012KT)',
+        group: '无法识别的报文组 "${value}"'
+      }
     },
     route: {
       departure: '起飞机场',
@@ -838,13 +976,43 @@ const zh = {
         fuel_req: '燃油需求:',
         trip: '航程',
         rsv: '备用',
-        total: '总计'
+        total: '总计',
+        loadsheet: '舱单:',
+        zfw: '无油重量',
+        tow: '起飞重量',
+        cg: '重心',
+        mac: '% MAC',
+        trim: '起飞配平',
+        nose_up: '抬头',
+        nose_down: '低头',
+        cg_out_of_limits: '重心超限 (${forward} - ${aft}% MAC)'
       }
     },
     buttons: {
       next_params: '下一步: 飞行参数 →',
       next_route: '下一步: 航线选择 →',
       finalize: '完成签派并初始化'
+    },
+    scenario_packs: {
+      label: '剧本包:',
+      random: {
+        name: '随机航班',
+        description: '天气与故障根据所选难度随机生成。'
+      },
+      packs: {
+        gimli_glider: {
+          name: '基米尼滑翔机',
+          description: '在红湖上空 FL410 巡航，燃油按磅而非公斤计算。两台引擎即将耗尽燃油。'
+        },
+        sioux_city: {
+          name: '苏城',
+          description: '巡航中风扇盘非包容性失效，所有液压系统随之失效。只能依靠推力操纵飞机。'
+        },
+        hudson_ditching: {
+          name: '哈德逊河迫降',
+          description: '从纽约起飞爬升时遭遇雁群，两台引擎在 3,000 英尺以下同时失效。'
+        }
+      }
     }
   },
   narrative_generator: {
@@ -941,6 +1109,134 @@ const zh = {
     fog: '雾',
     snow: '下雪'
   },
+  scoring: {
+    results_title: '飞行成绩',
+    final_score: '最终得分：${score}',
+    difficulty_multiplier: '难度 ${difficulty} x${multiplier}',
+    failure_bonus: '成功应对 ${count} 个故障，+${bonus}',
+    not_scored: '无',
+    continue: '继续',
+    categories: {
+      landing: '着陆',
+      comfort: '舒适度',
+      procedures: '程序',
+      survival: '生存'
+    },
+    details: {
+      sink_rate: '接地下沉率',
+      centerline: '中线偏差',
+      touchdown_distance: '接地点距跑道入口',
+      bounces: '弹跳次数',
+      g_range: '过载（最小 / 最大）',
+      max_bank: '最大坡度',
+      checklists: '已完成检查单',
+      atc_compliance: 'ATC 高度遵守'
+    }
+  },
+  investigation: {
+    title: '事故调查报告',
+    probable_cause: '可能原因',
+    initiating_event: '初始事件',
+    cause_chain: '因果链',
+    crew_actions: '机组相关因素',
+    none_identified: '未发现。',
+    cause: {
+      ground_collision: '飞机在非铺装区域运行时与地面障碍物相撞。',
+      fuel_exhaustion: '燃油耗尽导致全部发动机失去动力，飞机未能抵达合适的着陆场地。',
+      stall: '飞机进入气动失速且未能改出，以 ${airspeed} 节、${sinkRate} 英尺/分的下沉率撞地。',
+      loss_of_control: '空中失控：飞机以异常姿态撞地（俯仰 ${pitch}°，坡度 ${roll}°）。',
+      windshear: '低空微下击暴流风切变：飞机在下沉气流和外流中损失能量，在风切变警告激活期间以 ${sinkRate} 英尺/分撞地。',
+      cfit: '可控飞行撞地：在地形警告持续激活的情况下，一架适航的飞机被飞入地面。',
+      forced_landing: '发动机失去动力后，飞机进行迫降，冲击超出结构极限（${sinkRate} 英尺/分）。',
+      gear_up_landing: '飞机在起落架收起状态下接地。',
+      hard_landing: '重着陆：接地下沉率 ${sinkRate} 英尺/分，超出起落架设计极限。',
+      terrain_impact: '飞机在远离铺装道面处以 ${sinkRate} 英尺/分的下沉率撞向地形。',
+      undetermined: '根据记录数据无法确定可能原因。'
+    },
+    narrative: {
+      initiated_by: '事故链始于 T+${time} 的 ${failure}。',
+      no_failure: '事故发生前未记录到飞机系统故障。',
+      secondary: 'T+${time} 的 ${failure} 由 ${cause} 引发。',
+      ignored_alerts: '相关因素：机组未对以下警告作出响应：${alerts}。',
+      late_response: '相关因素：机组对 ${alerts} 响应迟缓。',
+      no_crew_factors: '未发现机组相关因素。'
+    },
+    findings: {
+      ignored: '${alert} 被忽略（持续 ${duration} 秒无修正输入）',
+      late: '${alert} 响应迟缓（告警后 ${response} 秒）'
+    },
+    impact: {
+      title: '撞击参数',
+      sink_rate: '下沉率',
+      airspeed: '空速',
+      attitude: '姿态',
+      attitude_value: '俯仰 ${pitch}° / 坡度 ${roll}°',
+      surface: '地面',
+      configuration: '构型',
+      configuration_value: '起落架${gear}，襟翼 ${flaps}',
+      gear_down: '放下',
+      gear_up: '收起',
+      flight_time: '飞行时间'
+    },
+    stages: {
+      incipient: '初期',
+      active: '发作',
+      critical: '危急',
+      accumulating: '累积',
+      damage: '损伤',
+      impact: '撞击',
+      intermittent: '间歇',
+      recovered: '已恢复',
+      surging: '喘振'
+    },
+    nodes: {
+      UNCONTAINED_ENGINE_FAILURE: '非包容性发动机故障',
+      TOTAL_ELECTRICAL_FAILURE: '全部电力失效',
+      RAPID_DECOMPRESSION: '快速失压',
+      HYDRAULIC_SYSTEM: '液压系统受损',
+      FUEL_TANK: '油箱受损',
+      CONTROL_SURFACES: '操纵面受损',
+      AVIONICS: '航电失效',
+      FUEL_PUMPS: '燃油泵失效',
+      FLIGHT_CONTROL_LAWS: '飞控律降级',
+      CREW_PERFORMANCE: '机组能力下降',
+      STRUCTURAL_INTEGRITY: '结构损伤',
+      SEVERE_TURBULENCE: '严重颠簸',
+      ENGINE_STALL: '发动机失速',
+      STRUCTURAL_STRESS: '结构过载',
+      PASSENGER_INJURY: '乘客受伤',
+      DUAL_ENGINE_FLAMEOUT: '双发熄火',
+      ELECTRICAL_EMERGENCY: '电力紧急状况',
+      LOSS_OF_HYDRAULICS: '液压丧失',
+      BRAKE_OVERHEAT: '刹车过热',
+      TIRE_BURST: '轮胎爆裂',
+      GEAR_COLLAPSE: '起落架折断',
+      OVERWEIGHT_LANDING: '超重着陆',
+      FUEL_STARVATION: '燃油耗尽'
+    },
+    edges: {
+      UNCONTAINED_ENGINE_FAILURE: {
+        HYDRAULIC_SYSTEM: '碎片切断了机翼或机身内的液压管路。',
+        FUEL_TANK: '碎片击穿机翼油箱，导致漏油或起火。',
+        CONTROL_SURFACES: '弹片损坏了襟翼或副翼作动器。'
+      },
+      TOTAL_ELECTRICAL_FAILURE: {
+        AVIONICS: '所有玻璃座舱显示器失效，仅剩备用仪表。',
+        FUEL_PUMPS: '增压泵失效，发动机依靠重力或抽吸供油。',
+        FLIGHT_CONTROL_LAWS: '降级为直接法则或机械备份。'
+      },
+      RAPID_DECOMPRESSION: {
+        CREW_PERFORMANCE: '存在缺氧风险，必须使用氧气面罩，认知负荷增加。',
+        STRUCTURAL_INTEGRITY: '压差造成次生结构损伤（地板塌陷）。'
+      }
+    },
+    ground_status: {
+      RUNWAY: '跑道',
+      GRASS: '机场草地',
+      OBJECTS: '障碍物 / 机场外',
+      UNKNOWN: '未知'
+    }
+  },
   failures: {
     engine_failure: '引擎故障',
     engine_fire: '引擎火警',
@@ -948,7 +1244,38 @@ const zh = {
     electrical_failure: '电力故障',
     instrument_failure: '仪表故障',
     fuel_leak: '燃油泄漏',
-    structural_damage: '结构损坏'
+    structural_damage: '结构损坏',
+    control_jam: '操纵面卡阻',
+    structural_control_surface_jam: '结构性操纵卡阻',
+    total_flight_control_failure: '飞行操纵完全失效',
+    landing_gear_extension_issue: '起落架放出故障',
+    autopilot_anomaly: '自动驾驶异常',
+    autothrottle_miscommand: '自动油门指令错误',
+    runway_excursion: '冲出跑道',
+    dual_engine_failure: '双发熄火',
+    compressor_stall: '压气机失速',
+    bird_strike: '鸟击',
+    uncontained_engine_failure: '非包容性发动机故障',
+    rapid_depressurization: '快速失压',
+    hull_breach: '机身破损',
+    severe_turbulence: '严重颠簸',
+    wind_shear: '风切变',
+    severe_icing: '严重结冰',
+    fuel_contamination: '燃油污染',
+    sabotage_explosion: '蓄意破坏 / 爆炸',
+    major_hydraulic_failure: '严重液压故障',
+    electrical_bus_failure: '电气汇流条故障',
+    partial_electrical_failure: '部分电力故障',
+    circuit_breaker_trip: '断路器跳开',
+    pitot_static_failure: '皮托管堵塞',
+    static_port_blockage: '静压孔堵塞',
+    aoa_vane_failure: '迎角传感器故障',
+    navigation_radio_glitch: '导航无线电故障',
+    communication_radio_failure: '通信无线电故障',
+    non_critical_sensor_anomaly: '传感器异常',
+    minor_instrument_failure: '轻微仪表故障',
+    brake_failure: '刹车故障',
+    sensor_misread_approach: '进近传感器误读'
   }
 };
 
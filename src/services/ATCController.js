@@ -0,0 +1,623 @@
+/**
+ * ATC Controller
+ *
+ * The controllers working the player's flight, one facility at a time. A flight passes through
+ * a fixed sequence of stages: Delivery, Ground and Tower at the departure field, Departure,
+ * Center (one controller per RegionControlService sector), Approach, then Tower and Ground at
+ * the arrival field. When a stage's completion condition is met, its facility hands the flight
+ * to the next one on that facility's frequency.
+ *
+ * The facility that owns the flight issues the clearances for its part of the flight and tracks
+ * what it has assigned (altitude, heading, speed, squawk). Each assignment is expected to be read
+ * back with the readback templates from RADIO_TEMPLATES: a wrong readback is corrected and a
+ * missing one is asked for once. The controller only talks on the owning facility's frequency.
+ *
+ * Transmissions are returned as { templateId, params } and worded by ATCLogic.
+ */
+
+import { airportService } from './airportService';
+import { regionControlService } from './RegionControlService';
+import { calculateDistanceMeters, calculateBearing } from '../utils/flightMath.js';
+
+export const FACILITY = {
+  DELIVERY: 'DELIVERY',
+  GROUND: 'GROUND',
+  TOWER: 'TOWER',
+  DEPARTURE: 'DEPARTURE',
+  CENTER: 'CENTER',
+  APPROACH: 'APPROACH'
+};
+
+// Stages of a flight in order. `field` is the airport whose facility works the stage.
+const STAGES = [
+  { id: 'CLEARANCE', facility: FACILITY.DELIVERY, field: 'departure' },
+  { id: 'TAXI_OUT', facility: FACILITY.GROUND, field: 'departure' },
+  { id: 'TAKEOFF', facility: FACILITY.TOWER, field: 'departure' },
+  { id: 'DEPARTURE', facility: FACILITY.DEPARTURE, field: 'departure' },
+  { id: 'ENROUTE', facility: FACILITY.CENTER, field: null },
+  { id: 'APPROACH', facility: FACILITY.APPROACH, field: 'arrival' },
+  { id: 'LANDING', facility: FACILITY.TOWER, field: 'arrival' },
+  { id: 'TAXI_IN', facility: FACILITY.GROUND, field: 'arrival' }
+];
+const stageIndex = (id) => STAGES.findIndex(stage => stage.id === id);
+
+const METERS_PER_NM = 1852;
+const UPDATE_INTERVAL = 1000; // ms between evaluations of the flight
+const HANDOFF_DELAY = 5000; // ms between a ground clearance and the handoff to the next facility
+const CHECKIN_DELAY = 10000; // ms on frequency before the controller calls an aircraft that has not checked in
+const READBACK_TIMEOUT = 20000; // ms before a missing readback is asked for
+const REDIRECT_INTERVAL = 60000; // ms between reminders to an aircraft calling the wrong facility
+const GRACE = { altitude: 60000, heading: 30000, speed: 60000, squawk: 60000 }; // ms to comply with an assignment
+const ALTITUDE_TOLERANCE = 500; // ft
+const HEADING_TOLERANCE = 20; // deg
+const SPEED_TOLERANCE = 15; // kts
+
+const DEFAULT_CRUISE = 35000; // ft
+const INITIAL_CLIMB = 5000; // ft above the departure field, given with the IFR clearance
+const TAKEOFF_HANDOFF_AGL = 1000; // ft
+const DEPARTURE_STEPS = [10000, 23000]; // ft, Departure clears the climb in these steps
+const TRANSITION_ALTITUDE = 18000; // ft, Departure hands off to Center above this
+const DEPARTURE_RANGE_NM = 40;
+const APPROACH_RANGE_NM = 40;
+const DESCENT_ALTITUDE = 11000; // ft, Center descends arrivals to this
+const DESCENT_NM_PER_1000FT = 3;
+const APPROACH_ALTITUDE = 3000; // ft above the arrival field
+const APPROACH_SPEED = 210; // kts
+const APPROACH_CLEARANCE_NM = 18;
+const TOWER_HANDOFF_NM = 12;
+const TOWER_HANDOFF_AGL = 4000; // ft
+const LANDING_CLEARANCE_NM = 6;
+const MISSED_APPROACH_VECTORS = 120000; // ms of vectors after a missed approach before the next approach clearance
+
+// Readback templates and the assignment each parameter reads back
+const READBACKS = {
+  ack_clearance: { altitude: 'altitude', squawk: 'squawk' },
+  ack_squawk: { squawk: 'code' },
+  rb_alt: { altitude: 'altitude' },
+  rb_hdg: { heading: 'heading' },
+  rb_spd: { speed: 'speed' }
+};
+
+const roundTo = (value, step) => Math.round(value / step) * step;
+const normalizeHeading = (deg) => ((Math.round(deg) % 360) + 360) % 360 || 360;
+const headingDifference = (a, b) => Math.abs(((a - b + 540) % 360) - 180);
+const runwayHeading = (runway) => {
+  const number = parseInt(runway, 10);
+  return isNaN(number) ? null : normalizeHeading(number * 10);
+};
+
+const parseNumber = (text) => {
+  const value = parseFloat(String(text ?? '').replace(/[^0-9.]/g, ''));
+  return isNaN(value) ? null : value;
+};
+
+// "FL230", "230" and "23000" are all 23000 ft
+const parseAltitude = (text) => {
+  const value = parseNumber(text);
+  if (value === null) return null;
+  return /FL/i.test(String(text)) || value < 1000 ? value * 100 : value;
+};
+
+// Four octal digits, never starting with 7 so the emergency codes are not assigned
+const generateSquawk = () => `${1 + Math.floor(Math.random() * 6)}${[0, 1, 2].map(() => Math.floor(Math.random() * 8)).join('')}`;
+
+const ASSIGNMENT_OF = { climb: 'altitude', descend: 'altitude', maintain: 'altitude', heading: 'heading', speed: 'speed', squawk: 'squawk' };
+
+class ATCController {
+  constructor() {
+    this.reset(null);
+  }
+
+  reset(flightKey) {
+    this.flightKey = flightKey;
+    this.stage = -1; // Index into STAGES, -1 until the first update places the flight
+    this.sector = null; // Center sector under the aircraft { type, name, frequency, displayFreq }
+    this.assigned = {}; // altitude | heading | speed | squawk -> { value, item, time }
+    this.pending = {}; // Assignments awaiting readback: key -> { item, time, reminded }
+    this.events = {}; // Times of clearances: clearance, taxi, descent, approach, landing, missedApproach
+    this.checkedIn = false;
+    this.tunedSince = null;
+    this.lastUpdate = 0;
+    this.lastRedirect = 0;
+    this.snapshot = null;
+  }
+
+  /**
+   * Flight state with the departure and arrival fields resolved.
+   */
+  describe(flightState) {
+    const { position } = flightState;
+    const field = (ref) => {
+      const airport = ref?.airport ? airportService.getAirportByCode(ref.airport) : null;
+      if (!airport) return null;
+      return {
+        airport,
+        runway: ref.runway,
+        elevation: airport.elevation || 0,
+        distance: calculateDistanceMeters(position.latitude, position.longitude, airport.latitude, airport.longitude) / METERS_PER_NM,
+        bearing: calculateBearing(position.latitude, position.longitude, airport.latitude, airport.longitude)
+      };
+    };
+
+    return {
+      ...flightState,
+      altitudeAgl: flightState.altitudeAgl || 0,
+      departure: field(flightState.departure),
+      arrival: field(flightState.arrival),
+      cruise: flightState.cruiseAltitude || DEFAULT_CRUISE
+    };
+  }
+
+  facilityInfo(index) {
+    const stage = STAGES[index];
+    if (!stage) return null;
+    if (stage.facility === FACILITY.CENTER) return this.sector;
+    const field = this.snapshot?.[stage.field];
+    return field ? { type: stage.facility, ...regionControlService.getFacilityInfo(field.airport, stage.facility) } : null;
+  }
+
+  owner() {
+    return this.stage < 0 ? null : this.facilityInfo(this.stage);
+  }
+
+  isTuned(frequency, facility) {
+    return !!facility && Math.abs(parseFloat(frequency) - parseFloat(facility.frequency)) < 0.005;
+  }
+
+  isOwnerTuned(frequency) {
+    return this.isTuned(frequency, this.owner());
+  }
+
+  /**
+   * The facilities along the flight, for the radio station list.
+   * @returns {Array<{ type, name, frequency, displayFreq, current }>}
+   */
+  getFacilities() {
+    const facilities = [];
+    STAGES.forEach((stage, index) => {
+      const info = this.facilityInfo(index);
+      if (!info || facilities.some(f => f.type === info.type && f.frequency === info.frequency)) return;
+      facilities.push({ ...info, current: index === this.stage });
+    });
+    return facilities;
+  }
+
+  /**
+   * Facility type (e.g. 'DEPARTURE') of one of the flight's frequencies, null for any other.
+   */
+  getFacilityType(frequency) {
+    return this.getFacilities().find(f => this.isTuned(frequency, f))?.type || null;
+  }
+
+  isComplete(id, s, now) {
+    const after = (event) => this.events[event] !== undefined && now - this.events[event] >= HANDOFF_DELAY;
+    const departureDistance = s.departure?.distance ?? Infinity;
+    const arrivalDistance = s.arrival?.distance ?? Infinity;
+
+    switch (id) {
+      case 'CLEARANCE':
+        return !s.onGround || after('taxi') || (after('clearance') && !this.pending.altitude && !this.pending.squawk);
+      case 'TAXI_OUT':
+        return !s.onGround || after('taxi');
+      case 'TAKEOFF':
+        return !s.onGround && s.altitudeAgl > TAKEOFF_HANDOFF_AGL;
+      case 'DEPARTURE':
+        return s.altitude >= TRANSITION_ALTITUDE || departureDistance > DEPARTURE_RANGE_NM || arrivalDistance < APPROACH_RANGE_NM;
+      case 'ENROUTE':
+        return arrivalDistance < APPROACH_RANGE_NM;
+      case 'APPROACH':
+        return this.events.approach !== undefined && arrivalDistance < TOWER_HANDOFF_NM && s.altitudeAgl < TOWER_HANDOFF_AGL;
+      case 'LANDING':
+        return s.onGround && s.groundSpeed < 40;
+      default:
+        return false;
+    }
+  }
+
+  advance(index, s, now) {
+    let next = index;
+    while (next < STAGES.length - 1 && this.isComplete(STAGES[next].id, s, now)) next++;
+    return next;
+  }
+
+  /**
+   * A new facility owns the flight: it waits for the aircraft to check in, and readbacks owed
+   * to the previous facility are dropped.
+   */
+  handOff(index) {
+    this.stage = index;
+    this.checkedIn = false;
+    this.tunedSince = null;
+    this.pending = {};
+  }
+
+  /**
+   * Sector under the aircraft. Returns the previous sector when the aircraft has just left it.
+   */
+  updateSector(s) {
+    const region = regionControlService.getRegionInfo(s.position.latitude, s.position.longitude);
+    const previous = this.sector;
+    this.sector = { type: FACILITY.CENTER, ...region };
+    return previous && previous.frequency !== region.frequency ? previous : null;
+  }
+
+  /**
+   * @param {Object} flightState - { position, altitude, altitudeAgl, verticalSpeed, heading, indicatedAirspeed,
+   *   groundSpeed, onGround, squawk, cruiseAltitude, departure: { airport, runway }, arrival: { airport, runway } }
+   * @param {Object} freqInfo - { frequency, type }
+   * @param {Object} options - { canTransmit, runwayOccupied (arrival runway) }
+   * @returns {Array<{ templateId, params }>} transmissions on the tuned frequency
+   */
+  update(flightState, freqInfo, { canTransmit = true, runwayOccupied = false } = {}) {
+    const now = Date.now();
+    const flightKey = `${flightState.departure?.airport}-${flightState.arrival?.airport}`;
+    if (flightKey !== this.flightKey) this.reset(flightKey);
+    if (!flightState.position || typeof flightState.position.latitude !== 'number') return [];
+    if (now - this.lastUpdate < UPDATE_INTERVAL) return [];
+    this.lastUpdate = now;
+
+    const s = this.describe(flightState);
+    this.snapshot = s;
+    const leftSector = this.updateSector(s);
+
+    if (this.stage < 0) {
+      this.stage = this.advance(0, s, now);
+      return [];
+    }
+
+    const transmissions = [];
+    const transmit = (templateId, params) => {
+      if (canTransmit) transmissions.push({ templateId, params });
+    };
+
+    // Handoffs
+    const previous = this.owner();
+    const next = this.advance(this.stage, s, now);
+    const crossedSector = STAGES[this.stage].id === 'ENROUTE' && leftSector;
+    if (next !== this.stage || crossedSector) {
+      const from = crossedSector ? leftSector : previous;
+      this.handOff(next);
+      this.lastRedirect = now; // The handoff itself tells the aircraft where to call
+      const to = this.owner();
+      if (to && this.isTuned(freqInfo.frequency, from)) transmit('sys_handoff', { station: to.name, frequency: to.frequency });
+      return transmissions;
+    }
+
+    const owner = previous;
+    if (!owner) return transmissions;
+
+    // Calling one of the flight's other facilities
+    if (!this.isTuned(freqInfo.frequency, owner)) {
+      this.tunedSince = null;
+      if (this.getFacilityType(freqInfo.frequency) && now - this.lastRedirect > REDIRECT_INTERVAL) {
+        this.lastRedirect = now;
+        transmit('sys_handoff', { station: owner.name, frequency: owner.frequency });
+      }
+      return transmissions;
+    }
+    this.tunedSince = this.tunedSince ?? now;
+    if (!canTransmit) return transmissions;
+
+    if (!this.checkedIn) {
+      if (now - this.tunedSince >= CHECKIN_DELAY) {
+        const items = this.checkIn(now);
+        if (items) transmit('sys_instruction', { station: owner.name, items });
+      }
+      return transmissions;
+    }
+
+    const items = this.nextInstructions(s, now, runwayOccupied);
+    if (items.length > 0) {
+      this.assign(items, now);
+      transmit('sys_instruction', { items });
+    }
+
+    // Missing readbacks are asked for once
+    const missing = Object.values(this.pending).filter(p => !p.reminded && now - p.time > READBACK_TIMEOUT);
+    if (missing.length > 0) {
+      missing.forEach(p => { p.reminded = true; });
+      transmit('sys_readback_request', { items: missing.map(p => p.item) });
+    }
+
+    return transmissions;
+  }
+
+  /**
+   * Aircraft checks in with the owning facility (or is called by it). Radar facilities answer
+   * with their first instructions; the ground facilities wait for a request.
+   * @returns {Array|null} instructions for the check-in reply, null when already checked in
+   */
+  checkIn(now = Date.now()) {
+    if (this.checkedIn || this.stage < 0) return null;
+    this.checkedIn = true;
+
+    const s = this.snapshot;
+    const arrival = s.arrival;
+    const items = [];
+    switch (STAGES[this.stage].id) {
+      case 'DEPARTURE': {
+        const step = DEPARTURE_STEPS.find(altitude => altitude > s.altitude + ALTITUDE_TOLERANCE) ?? s.cruise;
+        items.push({ type: 'radar_contact' }, this.altitudeItem(Math.min(step, s.cruise), s));
+        if (arrival) items.push({ type: 'heading', value: normalizeHeading(roundTo(arrival.bearing, 5)) });
+        break;
+      }
+      case 'ENROUTE': {
+        const assigned = this.assigned.altitude?.value;
+        const target = this.events.descent ? assigned : Math.max(assigned || 0, s.cruise);
+        items.push({ type: 'radar_contact' }, this.altitudeItem(target || roundTo(s.altitude, 1000), s));
+        if (arrival && this.assigned.heading) items.push({ type: 'direct', value: arrival.airport.iata || arrival.airport.icao });
+        break;
+      }
+      case 'APPROACH':
+        if (!arrival) return null;
+        items.push(
+          { type: 'radar_contact' },
+          this.altitudeItem(arrival.elevation + APPROACH_ALTITUDE, s),
+          { type: 'speed', value: APPROACH_SPEED },
+          { type: 'heading', value: normalizeHeading(roundTo(arrival.bearing, 5)) }
+        );
+        break;
+      case 'LANDING':
+        if (!arrival?.runway) return null;
+        items.push({ type: 'continue', value: arrival.runway });
+        break;
+      case 'TAXI_IN':
+        items.push({ type: 'taxi_in' });
+        break;
+      default:
+        return null;
+    }
+
+    this.assign(items, now);
+    return items;
+  }
+
+  /**
+   * Clearances the owning facility issues as the flight progresses.
+   */
+  nextInstructions(s, now, runwayOccupied) {
+    const arrival = s.arrival;
+    const assignedAltitude = this.assigned.altitude?.value;
+
+    switch (STAGES[this.stage].id) {
+      case 'DEPARTURE': {
+        // Level at the current step: clear the rest of the climb and own navigation
+        const ceiling = Math.min(s.cruise, DEPARTURE_STEPS[DEPARTURE_STEPS.length - 1]);
+        if (!assignedAltitude || assignedAltitude >= ceiling || Math.abs(s.altitude - assignedAltitude) > ALTITUDE_TOLERANCE) return [];
+        const step = DEPARTURE_STEPS.find(altitude => altitude > assignedAltitude) ?? s.cruise;
+        const items = [this.altitudeItem(Math.min(step, s.cruise), s)];
+        if (arrival && this.assigned.heading) items.push({ type: 'direct', value: arrival.airport.iata || arrival.airport.icao });
+        return items;
+      }
+      case 'ENROUTE': {
+        if (!arrival || this.events.descent) return [];
+        const topOfDescent = (s.altitude - arrival.elevation) / 1000 * DESCENT_NM_PER_1000FT + 10;
+        if (arrival.distance > topOfDescent || s.altitude <= DESCENT_ALTITUDE + ALTITUDE_TOLERANCE) return [];
+        this.events.descent = now;
+        return [this.altitudeItem(DESCENT_ALTITUDE, s)];
+      }
+      case 'APPROACH': {
+        if (!arrival?.runway || this.events.approach !== undefined || arrival.distance > APPROACH_CLEARANCE_NM) return [];
+        if (this.events.missedApproach !== undefined && now - this.events.missedApproach < MISSED_APPROACH_VECTORS) return [];
+        this.events.approach = now;
+        return [{ type: 'approach', value: arrival.runway }];
+      }
+      case 'LANDING': {
+        if (!arrival?.runway || this.events.landing !== undefined || arrival.distance > LANDING_CLEARANCE_NM || runwayOccupied) return [];
+        this.events.landing = now;
+        return [{ type: 'land', value: arrival.runway }];
+      }
+      default:
+        return [];
+    }
+  }
+
+  altitudeItem(altitude, s) {
+    const value = roundTo(altitude, 100);
+    const type = value > s.altitude + 300 ? 'climb' : value < s.altitude - 300 ? 'descend' : 'maintain';
+    return { type, value };
+  }
+
+  /**
+   * Record the assignments in a set of instructions; each one now needs a readback.
+   */
+  assign(items, now = Date.now()) {
+    items.forEach(item => {
+      if (item.type === 'direct') {
+        this.release(['heading']);
+      } else if (item.type === 'approach' || item.type === 'land') {
+        this.release(['altitude', 'heading', 'speed']);
+      }
+
+      const key = ASSIGNMENT_OF[item.type];
+      if (!key) return;
+      this.assigned[key] = { value: item.value, item, time: now };
+      this.pending[key] = { item, time: now, reminded: false };
+    });
+  }
+
+  /**
+   * Cancel assignments, e.g. when an emergency takes over the flight.
+   * @param {Array<string>} keys - altitude | heading | speed | squawk
+   */
+  release(keys) {
+    keys.forEach(key => {
+      delete this.assigned[key];
+      delete this.pending[key];
+    });
+  }
+
+  /**
+   * Values the controller fills into a pilot request before it is answered.
+   */
+  prepareRequest(templateId, params = {}) {
+    const s = this.snapshot;
+    switch (templateId) {
+      case 'req_clearance':
+      case 'req_pdc': {
+        const elevation = s?.departure?.elevation || 0;
+        return { ...params, altitude: String(roundTo(elevation + INITIAL_CLIMB, 1000)), squawk: generateSquawk() };
+      }
+      case 'req_vectors_ils': {
+        const heading = runwayHeading(params.runway || s?.arrival?.runway);
+        return heading === null ? params : { ...params, heading: normalizeHeading(roundTo(heading - 30, 5)) };
+      }
+      default:
+        return params;
+    }
+  }
+
+  /**
+   * Track what an answered pilot request assigned.
+   * @param {string} templateId
+   * @param {Object} params - request params after prepareRequest
+   * @param {string|null} responseText - the controller's answer
+   */
+  applyRequest(templateId, params = {}, responseText = null) {
+    const now = Date.now();
+    const s = this.snapshot;
+    if (this.stage >= 0) this.checkedIn = true;
+
+    switch (templateId) {
+      case 'req_clearance':
+      case 'req_pdc':
+        this.events.clearance = now;
+        this.assign([{ type: 'climb', value: parseAltitude(params.altitude) }, { type: 'squawk', value: params.squawk }], now);
+        break;
+      case 'req_taxi':
+        this.events.taxi = now;
+        break;
+      case 'req_alt_change':
+      case 'req_step_climb': {
+        const altitude = parseAltitude(params.altitude);
+        if (altitude && s && responseText && !responseText.includes('Unable')) this.assign([this.altitudeItem(altitude, s)], now);
+        break;
+      }
+      case 'req_direct':
+        this.assign([{ type: 'direct', value: params.waypoint }], now);
+        break;
+      case 'req_vectors_ils':
+        if (params.heading) this.assign([{ type: 'heading', value: params.heading }], now);
+        break;
+      case 'req_land':
+        if (STAGES[this.stage]?.id === 'LANDING') this.events.landing = now;
+        break;
+      case 'req_go_around':
+      case 'req_missed_approach': {
+        const id = STAGES[this.stage]?.id;
+        if ((id !== 'LANDING' && id !== 'APPROACH') || !s?.arrival) break;
+        // Back to Approach for vectors to another approach
+        this.handOff(stageIndex('APPROACH'));
+        this.checkedIn = true;
+        this.events.missedApproach = now;
+        delete this.events.approach;
+        delete this.events.landing;
+        const items = [this.altitudeItem(s.arrival.elevation + APPROACH_ALTITUDE, s)];
+        const heading = runwayHeading(s.arrival.runway);
+        if (heading !== null) items.push({ type: 'heading', value: heading });
+        this.assign(items, now);
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Check a pilot readback against the assignments.
+   * @returns {Array|null} instructions to say again when the readback is wrong, [] when it is
+   *   correct, null when the template is not a readback this controller checks
+   */
+  verifyReadback(templateId, params = {}) {
+    if (templateId === 'rb_freq') {
+      const owner = this.owner();
+      if (!owner || parseNumber(params.frequency) === null) return [];
+      return this.isTuned(parseNumber(params.frequency), owner) ? [] : [{ type: 'contact', value: owner.frequency, station: owner.name }];
+    }
+
+    const fields = READBACKS[templateId];
+    if (!fields) return null;
+
+    const wrong = [];
+    Object.entries(fields).forEach(([key, param]) => {
+      const assignment = this.assigned[key];
+      const text = params[param];
+      if (!assignment || text === undefined || text === '') return;
+
+      let correct;
+      if (key === 'altitude') correct = Math.abs(parseAltitude(text) - assignment.value) < 50;
+      else if (key === 'heading') correct = headingDifference(parseNumber(text), assignment.value) < 1;
+      else if (key === 'speed') correct = Math.abs(parseNumber(text) - assignment.value) < 1;
+      else correct = String(text).trim().padStart(4, '0') === String(assignment.value);
+
+      if (correct) delete this.pending[key];
+      else wrong.push(assignment.item);
+    });
+    return wrong;
+  }
+
+  /**
+   * Compare the aircraft with each assignment once it has had time to comply.
+   * @param {Object} flightState - { altitude, verticalSpeed, heading, indicatedAirspeed, squawk, onGround }
+   * @returns {{ compliant, deviation, assignedAltitude, checks: Array<{ kind, compliant }>,
+   *   alerts: Array<{ templateId, params }> }|null} null when no assignment is due for checking;
+   *   checks holds one result per assignment checked (kind: altitude, heading, speed or squawk),
+   *   recorded on every call; alerts for a continuing deviation repeat at most once per grace period
+   */
+  checkCompliance(flightState) {
+    if (!flightState || flightState.onGround) return null;
+    const now = Date.now();
+    const due = (key) => this.assigned[key] && now - this.assigned[key].time > GRACE[key];
+
+    let compliant = true;
+    let deviation = 0;
+    const checks = [];
+    const alerts = [];
+    // Every due check is recorded, but a deviation is only called out again once the
+    // aircraft has had another grace period to correct it
+    const fail = (key, alert) => {
+      compliant = false;
+      checks.find(check => check.kind === key).compliant = false;
+      const assignment = this.assigned[key];
+      if (assignment.alertedAt !== undefined && now - assignment.alertedAt <= GRACE[key]) return;
+      alerts.push(alert);
+      assignment.alertedAt = now;
+    };
+
+    if (due('altitude')) {
+      checks.push({ kind: 'altitude', compliant: true });
+      const assignedAltitude = this.assigned.altitude.value;
+      deviation = flightState.altitude - assignedAltitude;
+      // Check vertical speed (are they correcting?)
+      const vs = flightState.verticalSpeed || 0;
+      const isCorrecting = (deviation > 0 && vs < -500) || (deviation < 0 && vs > 500);
+      if (Math.abs(deviation) > ALTITUDE_TOLERANCE && !isCorrecting) {
+        fail('altitude', { templateId: 'sys_traffic_alert', params: { diff: deviation, assignedAltitude } });
+      }
+    }
+    if (due('heading')) {
+      checks.push({ kind: 'heading', compliant: true });
+      if (headingDifference(flightState.heading || 0, this.assigned.heading.value) > HEADING_TOLERANCE) {
+        fail('heading', { templateId: 'sys_deviation', params: { check: 'heading', items: [this.assigned.heading.item] } });
+      }
+    }
+    if (due('speed')) {
+      checks.push({ kind: 'speed', compliant: true });
+      if (Math.abs((flightState.indicatedAirspeed || 0) - this.assigned.speed.value) > SPEED_TOLERANCE) {
+        fail('speed', { templateId: 'sys_deviation', params: { check: 'speed', items: [this.assigned.speed.item] } });
+      }
+    }
+    if (due('squawk')) {
+      checks.push({ kind: 'squawk', compliant: true });
+      if (String(flightState.squawk ?? '').padStart(4, '0') !== String(this.assigned.squawk.value)) {
+        fail('squawk', { templateId: 'sys_deviation', params: { check: 'squawk', items: [this.assigned.squawk.item] } });
+      }
+    }
+
+    return checks.length > 0
+      ? { compliant, deviation, assignedAltitude: this.assigned.altitude?.value ?? null, checks, alerts }
+      : null;
+  }
+}
+
+export default ATCController;
@@ -0,0 +1,303 @@
+/**
+ * ATC Emergency
+ *
+ * Priority handling of the player's flight after a MAYDAY or PAN-PAN call, or when the
+ * transponder shows 7700 without one. While the emergency lasts the normal flow of clearances
+ * stops (ATCLogic skips the ATCController) and the controller instead:
+ *  - picks the nearest airport with a runway suitable for the aircraft, from both the normal
+ *    and the emergency airport lists, and vectors the flight to it,
+ *  - asks for souls on board and fuel remaining until the crew reports them,
+ *  - clears a straight-in approach with the emergency services standing by,
+ *  - has fire and rescue attend once the aircraft has stopped on the runway, and keeps the
+ *    runway closed until the aircraft has vacated it, which ends the emergency.
+ * AI traffic is kept clear of the diversion runway by ATCLogic.updateTraffic.
+ *
+ * Transmissions are returned as { templateId, params } and worded by ATCLogic.
+ */
+
+import { airportService } from './airportService';
+import { calculateDistanceMeters, calculateBearing } from '../utils/flightMath.js';
+
+export const EMERGENCY_TYPE = {
+  MAYDAY: 'MAYDAY',
+  PAN: 'PAN'
+};
+export const EMERGENCY_SQUAWK = '7700';
+
+const METERS_PER_NM = 1852;
+const SEARCH_RADII_NM = [100, 250, 600]; // Widened until a suitable airport is found
+const HEAVY_MTOW_KG = 136000; // ICAO wake turbulence categories
+const LIGHT_MTOW_KG = 7000;
+const UPDATE_INTERVAL = 1000; // ms between evaluations of the flight
+const INFO_REQUEST_DELAY = 60000; // ms after the declaration before souls and fuel are asked for
+const VECTOR_INTERVAL = 30000; // ms between vector updates
+const VECTOR_CHANGE_DEG = 10; // A new heading is given once the bearing has drifted this far
+const APPROACH_ALTITUDE = 3000; // ft above the diversion field
+const DESCENT_NM_PER_1000FT = 3;
+const APPROACH_CLEARANCE_NM = 12;
+const LANDED_NM = 5;
+const LANDED_SPEED = 40; // kts
+
+const roundTo = (value, step) => Math.round(value / step) * step;
+const normalizeHeading = (deg) => ((Math.round(deg) % 360) + 360) % 360 || 360;
+const headingDifference = (a, b) => Math.abs(((a - b + 540) % 360) - 180);
+const runwayEnds = (name) => String(name).split(/[/-]/).map(part => part.trim());
+
+/**
+ * Runway category (as used by airportService.getSuitableRunways) for a maximum takeoff weight in kg.
+ */
+export const aircraftCategory = (maxTakeoffWeight) => {
+  if (!maxTakeoffWeight) return 'Medium';
+  if (maxTakeoffWeight >= HEAVY_MTOW_KG) return 'Heavy';
+  return maxTakeoffWeight < LIGHT_MTOW_KG ? 'Light' : 'Medium';
+};
+
+class ATCEmergency {
+  constructor() {
+    this.reset(null);
+  }
+
+  reset(flightKey) {
+    this.flightKey = flightKey;
+    this.active = null; // { type, nature, declaredAt, diversion, heading, souls, fuel, infoRequested, lastVector, descending, approachCleared, landed }
+    this.diverted = null; // Diversion the flight landed at; the planned facilities no longer work it
+    this.snapshot = null;
+    this.lastUpdate = 0;
+  }
+
+  /**
+   * Nearest airport with a runway long enough for the aircraft.
+   * @returns {{ airport, code, runway, distance, bearing }|null}
+   */
+  selectDiversion(flightState) {
+    const { latitude, longitude } = flightState.position;
+    const category = aircraftCategory(flightState.maxTakeoffWeight);
+
+    for (const radius of SEARCH_RADII_NM) {
+      const candidates = airportService.getAirportsWithinRadius(latitude, longitude, radius)
+        .map(airport => {
+          const code = airport.iata || airport.icao;
+          return {
+            airport,
+            code,
+            runways: airportService.getSuitableRunways(code, category),
+            distance: calculateDistanceMeters(latitude, longitude, airport.latitude, airport.longitude) / METERS_PER_NM,
+            bearing: calculateBearing(latitude, longitude, airport.latitude, airport.longitude)
+          };
+        })
+        .filter(candidate => candidate.runways.length > 0)
+        .sort((a, b) => a.distance - b.distance);
+      if (candidates.length === 0) continue;
+
+      const { runways, ...nearest } = candidates[0];
+      return { ...nearest, runway: this.selectRunway(nearest, runways, flightState) };
+    }
+    return null;
+  }
+
+  /**
+   * The planned arrival runway when the diversion is the arrival field and the runway is
+   * suitable, otherwise the end of the longest suitable runway closest to the inbound course.
+   */
+  selectRunway(diversion, runways, flightState) {
+    const planned = flightState.arrival;
+    if (planned?.runway && planned.airport && airportService.getAirportByCode(planned.airport) === diversion.airport &&
+        runways.some(runway => runwayEnds(runway.name).includes(planned.runway))) {
+      return planned.runway;
+    }
+
+    const longest = runways.reduce((a, b) => (b.length > a.length ? b : a));
+    const ends = runwayEnds(longest.name);
+    const offCourse = (end) => {
+      const heading = parseInt(end, 10) * 10;
+      return isNaN(heading) ? 180 : headingDifference(heading, diversion.bearing);
+    };
+    return ends.reduce((a, b) => (offCourse(b) < offCourse(a) ? b : a));
+  }
+
+  /**
+   * Declare (or upgrade) an emergency. A PAN-PAN can become a MAYDAY, never the other way.
+   */
+  declare(type, nature = '', now = Date.now()) {
+    if (this.active) {
+      if (type === EMERGENCY_TYPE.MAYDAY) this.active.type = type;
+      if (nature) this.active.nature = nature;
+      return this.active;
+    }
+
+    const diversion = this.snapshot ? this.selectDiversion(this.snapshot) : null;
+    this.active = {
+      type,
+      nature,
+      declaredAt: now,
+      diversion,
+      heading: diversion ? normalizeHeading(roundTo(diversion.bearing, 5)) : null,
+      souls: null,
+      fuel: null,
+      infoRequested: false,
+      lastVector: now,
+      descending: false,
+      approachCleared: false,
+      landed: false // Stopped on the diversion runway, which stays closed until it is vacated
+    };
+    return this.active;
+  }
+
+  /**
+   * End the emergency once the aircraft has landed at the diversion and left its runway.
+   */
+  endAfterLanding() {
+    this.diverted = this.active.diversion;
+    this.active = null;
+  }
+
+  /**
+   * Whether a position is on the diversion runway strip (airportService.getRunwayGeometry).
+   */
+  isOnRunway(diversion, position) {
+    const geometry = airportService.getRunwayGeometry(diversion.code, diversion.runway);
+    if (!geometry) return false;
+    const { thresholdStart, heading, length, width } = geometry;
+    const distance = calculateDistanceMeters(thresholdStart.latitude, thresholdStart.longitude, position.latitude, position.longitude);
+    const angle = (calculateBearing(thresholdStart.latitude, thresholdStart.longitude, position.latitude, position.longitude) - heading) * Math.PI / 180;
+    const along = distance * Math.cos(angle);
+    return along >= 0 && along <= length && Math.abs(distance * Math.sin(angle)) <= width / 2;
+  }
+
+  /**
+   * Diversion details for the controller's transmissions, {} when there is none.
+   */
+  diversionParams() {
+    const diversion = this.active?.diversion;
+    if (!diversion) return {};
+    return {
+      airport: diversion.airport.name,
+      code: diversion.code,
+      runway: diversion.runway,
+      distance: Math.round(diversion.distance),
+      heading: this.active.heading
+    };
+  }
+
+  /**
+   * Apply a pilot's emergency transmission (RADIO_TEMPLATES.EMERGENCY).
+   * @returns {Object} params for the controller's answer, with the diversion filled in
+   */
+  handleMessage(templateId, params = {}) {
+    switch (templateId) {
+      case 'inf_mayday':
+        this.declare(EMERGENCY_TYPE.MAYDAY, params.nature);
+        break;
+      case 'inf_fuel_emergency':
+        this.declare(EMERGENCY_TYPE.MAYDAY, 'fuel');
+        break;
+      case 'inf_pan':
+        this.declare(EMERGENCY_TYPE.PAN, params.nature);
+        break;
+      case 'inf_souls_fuel':
+        if (this.active) {
+          this.active.souls = params.souls || null;
+          this.active.fuel = params.fuel || null;
+        }
+        break;
+      case 'inf_cancel_emergency':
+        if (this.active?.landed) this.endAfterLanding();
+        else this.active = null;
+        break;
+      default:
+        break;
+    }
+
+    // Values the pilot gave take precedence over the diversion (e.g. a requested runway)
+    const given = Object.fromEntries(Object.entries(params).filter(([, value]) => value !== '' && value != null));
+    return { ...this.diversionParams(), ...given };
+  }
+
+  /**
+   * @param {Object} flightState - { position, altitude, onGround, groundSpeed, squawk, maxTakeoffWeight,
+   *   departure: { airport, runway }, arrival: { airport, runway } }
+   * @param {Object} options - { canTransmit }
+   * @returns {Array<{ templateId, params }>} transmissions on the tuned frequency
+   */
+  update(flightState, { canTransmit = true } = {}) {
+    const now = Date.now();
+    const flightKey = `${flightState.departure?.airport}-${flightState.arrival?.airport}`;
+    if (flightKey !== this.flightKey) this.reset(flightKey);
+    if (!flightState.position || typeof flightState.position.latitude !== 'number') return [];
+    this.snapshot = flightState;
+    if (now - this.lastUpdate < UPDATE_INTERVAL) return [];
+    this.lastUpdate = now;
+
+    const transmissions = [];
+    const transmit = (templateId, params = {}) => {
+      transmissions.push({ templateId, params: { ...this.diversionParams(), ...params } });
+    };
+
+    // Squawk 7700 without a call is handled as a MAYDAY; the crew is asked to confirm
+    if (!this.active) {
+      if (flightState.onGround || String(flightState.squawk ?? '') !== EMERGENCY_SQUAWK) return transmissions;
+      this.declare(EMERGENCY_TYPE.MAYDAY, '', now);
+      if (canTransmit) transmit('sys_emergency_squawk');
+      return transmissions;
+    }
+
+    const emergency = this.active;
+    if (emergency.landed) {
+      if (!this.isOnRunway(emergency.diversion, flightState.position)) this.endAfterLanding();
+      return transmissions;
+    }
+    if (!canTransmit) return transmissions;
+    if (!emergency.diversion) {
+      emergency.diversion = this.selectDiversion(flightState);
+      if (!emergency.diversion) return transmissions;
+      emergency.heading = normalizeHeading(roundTo(emergency.diversion.bearing, 5));
+    }
+    const diversion = emergency.diversion;
+    const { latitude, longitude } = flightState.position;
+    diversion.distance = calculateDistanceMeters(latitude, longitude, diversion.airport.latitude, diversion.airport.longitude) / METERS_PER_NM;
+    diversion.bearing = calculateBearing(latitude, longitude, diversion.airport.latitude, diversion.airport.longitude);
+
+    // Stopped at the diversion: fire and rescue take over, the emergency ends once the runway is vacated
+    if (flightState.onGround) {
+      if (diversion.distance < LANDED_NM && (flightState.groundSpeed || 0) < LANDED_SPEED) {
+        transmit('sys_emergency_landed');
+        emergency.landed = true;
+      }
+      return transmissions;
+    }
+
+    if (!emergency.infoRequested && (!emergency.souls || !emergency.fuel) && now - emergency.declaredAt > INFO_REQUEST_DELAY) {
+      emergency.infoRequested = true;
+      transmit('sys_emergency_info');
+      return transmissions;
+    }
+
+    if (emergency.approachCleared) return transmissions;
+    if (diversion.distance < APPROACH_CLEARANCE_NM) {
+      emergency.approachCleared = true;
+      transmit('sys_emergency_approach');
+      return transmissions;
+    }
+
+    // Vectors: a new heading as the bearing drifts, and the descent towards the field
+    if (now - emergency.lastVector < VECTOR_INTERVAL) return transmissions;
+    emergency.lastVector = now;
+    const items = [];
+    const heading = normalizeHeading(roundTo(diversion.bearing, 5));
+    if (emergency.heading === null || headingDifference(heading, emergency.heading) >= VECTOR_CHANGE_DEG) {
+      emergency.heading = heading;
+      items.push({ type: 'heading', value: heading });
+    }
+    const target = roundTo((diversion.airport.elevation || 0) + APPROACH_ALTITUDE, 100);
+    const topOfDescent = (flightState.altitude - target) / 1000 * DESCENT_NM_PER_1000FT + 10;
+    if (!emergency.descending && flightState.altitude > target + 500 && diversion.distance < topOfDescent) {
+      emergency.descending = true;
+      items.push({ type: 'descend', value: target });
+    }
+    if (items.length > 0) transmit('sys_emergency_vectors', { items });
+
+    return transmissions;
+  }
+}
+
+export default ATCEmergency;
@@ -1,5 +1,21 @@
 
 import { getATCResponse } from '../data/atcResponseDatabase';
+import eventBus from './eventBus.js';
+import { airportService } from './airportService';
+import { NPC_STAGE } from './NPCFlightModel';
+import { calculateDistanceMeters } from '../utils/flightMath.js';
+import ATCController from './ATCController.js';
+import ATCEmergency, { EMERGENCY_TYPE, EMERGENCY_SQUAWK } from './ATCEmergency.js';
+import { RADIO_TEMPLATES } from '../data/radioTemplates';
+
+const METERS_PER_NM = 1852;
+const LANDING_CLEARANCE_NM = 6; // Cleared to land inside this distance when the runway is free
+const GO_AROUND_NM = 2; // Sent around inside this distance when the runway is still occupied
+const SHORT_FINAL_NM = 4; // Departures are held while an arrival is this close
+const DEPARTURE_INTERVAL = 90; // s between departures from one runway
+const PLAYER_ROLLING_KTS = 30; // Player occupies the runway above this ground speed
+const RUNWAY_ADVISORY_REPEAT = 60000; // ms before repeating the same runway advisory
+const EMERGENCY_TEMPLATES = new Set(RADIO_TEMPLATES.EMERGENCY.map(template => template.id)); // Answered by any facility
 
 export class ATCLogic {
   constructor() {
@@ -8,14 +24,205 @@ export class ATCLogic {
     this.frequencyLocks = new Map(); // frequency -> busyUntil timestamp
     
     // State Tracking
-    this.assignedAltitude = null;
-    this.lastAssignmentTime = 0;
     this.atisTimer = 0;
     this.lastComplianceCheck = 0;
-    this.lastReadbackError = 0;
-    
-    // AI Orders
-    this.nextOrderTime = Date.now() + 60000; // Start with 1 min delay
+
+    // Controllers working the player's flight: clearances, readbacks and handoffs
+    this.controller = new ATCController();
+
+    // Priority handling after a MAYDAY / PAN-PAN or squawk 7700
+    this.emergency = new ATCEmergency();
+    this.squawkBeforeEmergency = null; // Code assigned before the emergency, given back when it ends
+
+    // Tower: runway occupancy and sequencing of AI traffic
+    this.trafficClock = 0; // s, advanced with simulation time
+    this.runwayOccupancy = new Map(); // runway key -> callsign
+    this.lastDeparture = new Map(); // runway key -> trafficClock of last takeoff clearance
+    this.arrivals = []; // { key, callsign, distance } AI traffic on approach
+    this.player = null; // { callsign, runwayKey, rolling, finalKey, finalDistance }
+    this.lastRunwayAdvisory = { id: null, time: 0 };
+  }
+
+  /**
+   * Runways are keyed by airport and physical strip, so "24R" and "06L" are the same runway.
+   */
+  runwayKey(airportCode, runwayName) {
+    const airport = airportService.getAirportByCode(airportCode);
+    const strip = airportService.findRunway(airport, runwayName);
+    return `${airportCode}:${strip ? strip.name : runwayName}`;
+  }
+
+  /**
+   * Tower control for AI traffic: tracks who is on each runway, clears departures and
+   * arrivals, holds departures short and sends arrivals around when the runway is occupied.
+   * NPCs apply each instruction and read it back.
+   * @param {number} dt - Time delta in seconds (simulation time)
+   * @param {Array<NPCFlightModel>} npcs
+   */
+  updateTraffic(dt, npcs) {
+    this.trafficClock += dt;
+
+    const occupancy = new Map();
+    const arrivals = [];
+    const diversion = this.emergency.active?.diversion;
+    const emergencyKey = diversion ? this.runwayKey(diversion.code, diversion.runway) : null;
+    if (this.player?.rolling) occupancy.set(this.player.runwayKey, this.player.callsign);
+
+    npcs.forEach(npc => {
+      if (!npc.runway) return;
+      npc.runwayKey = npc.runwayKey || this.runwayKey(npc.runway.airportCode, npc.runway.runwayName);
+      if (npc.stage === NPC_STAGE.TAKEOFF || npc.stage === NPC_STAGE.LANDING) {
+        occupancy.set(npc.runwayKey, npc.callsign);
+      } else if (npc.stage === NPC_STAGE.APPROACH) {
+        arrivals.push({ key: npc.runwayKey, callsign: npc.callsign, distance: npc.distanceToThreshold() });
+      }
+    });
+
+    npcs.forEach(npc => {
+      if (!npc.runway) return;
+      const key = npc.runwayKey;
+      const runway = npc.runway.runwayName;
+      const occupant = occupancy.get(key);
+
+      if (npc.stage === NPC_STAGE.HOLDING_SHORT) {
+        const arrivalClose = arrivals.some(arrival => arrival.key === key && arrival.distance < SHORT_FINAL_NM) ||
+          (this.player?.finalKey === key && this.player.finalDistance < SHORT_FINAL_NM);
+        const spacing = this.trafficClock - (this.lastDeparture.get(key) ?? -Infinity);
+        const emergency = key === emergencyKey;
+        if (!occupant && !arrivalClose && !emergency && spacing >= DEPARTURE_INTERVAL) {
+          this.instructTraffic(npc, 'TAKEOFF', `${npc.callsign}, runway ${runway}, cleared for takeoff.`);
+          occupancy.set(key, npc.callsign);
+          this.lastDeparture.set(key, this.trafficClock);
+        } else if (npc.clearance !== 'HOLD_SHORT') {
+          const reason = emergency ? 'emergency traffic inbound' : occupant ? 'traffic on the runway' : arrivalClose ? 'traffic on short final' : 'departure in front';
+          this.instructTraffic(npc, 'HOLD_SHORT', `${npc.callsign}, hold short runway ${runway}, ${reason}.`);
+        }
+      } else if (key === emergencyKey && npc.stage === NPC_STAGE.APPROACH) {
+        // Arrivals not yet cleared to land hold until the emergency aircraft is down
+        if (npc.clearance !== 'LAND' && npc.clearance !== 'HOLD') {
+          const altitude = Math.round(npc.altitude / 100) * 100;
+          this.instructTraffic(npc, 'HOLD', `${npc.callsign}, emergency traffic inbound runway ${runway}, hold at present position, maintain ${altitude}.`);
+        }
+      } else if (npc.clearance === 'HOLD') {
+        this.instructTraffic(npc, 'RESUME', `${npc.callsign}, emergency traffic has landed, resume approach runway ${runway}.`);
+      } else if (npc.onFinal && npc.stage === NPC_STAGE.APPROACH) {
+        const distance = npc.distanceToThreshold();
+        if (occupant && occupant !== npc.callsign && distance < GO_AROUND_NM) {
+          const altitude = Math.round(((npc.runway.thresholdStart.elevation || 0) + 3000) / 100) * 100;
+          this.instructTraffic(npc, 'GO_AROUND', `${npc.callsign}, go around, runway ${runway} occupied, climb and maintain ${altitude}.`);
+        } else if (!occupant && npc.clearance !== 'LAND' && distance < LANDING_CLEARANCE_NM) {
+          this.instructTraffic(npc, 'LAND', `${npc.callsign}, runway ${runway}, cleared to land.`);
+        }
+      }
+    });
+
+    this.runwayOccupancy = occupancy;
+    this.arrivals = arrivals;
+  }
+
+  instructTraffic(npc, type, text) {
+    npc.receiveInstruction({ type, runway: npc.runway.runwayName, text });
+  }
+
+  /**
+   * Tell the player about AI traffic on their runway: hold short while it is occupied, go
+   * around on short final, expect delay behind arrivals ahead in the sequence.
+   */
+  checkRunwayTraffic(flightState, freqInfo, onMessage, language) {
+    const { position, onGround, altitudeAgl, groundSpeed, departure, arrival, callsign } = flightState;
+    if (!position || typeof position.latitude !== 'number') {
+      this.player = null;
+      return;
+    }
+
+    // Which of the player's runways is relevant, and how far away it is
+    const distanceTo = (airportCode) => {
+      const airport = airportCode ? airportService.getAirportByCode(airportCode) : null;
+      return airport ? calculateDistanceMeters(position.latitude, position.longitude, airport.latitude, airport.longitude) / METERS_PER_NM : Infinity;
+    };
+    const departureDistance = departure?.runway ? distanceTo(departure.airport) : Infinity;
+    const arrivalDistance = arrival?.runway ? distanceTo(arrival.airport) : Infinity;
+    const atDeparture = departureDistance <= arrivalDistance;
+    const field = atDeparture ? departure : arrival;
+    const fieldDistance = Math.min(departureDistance, arrivalDistance);
+    if (!field || fieldDistance === Infinity) {
+      this.player = null;
+      return;
+    }
+
+    const runwayKey = this.runwayKey(field.airport, field.runway);
+    const onFinal = !onGround && fieldDistance < 10 && altitudeAgl < 3000;
+    this.player = {
+      callsign,
+      runwayKey,
+      rolling: onGround && fieldDistance < 3 && groundSpeed > PLAYER_ROLLING_KTS,
+      finalKey: onFinal ? runwayKey : null,
+      finalDistance: fieldDistance
+    };
+
+    const occupant = this.runwayOccupancy.get(runwayKey);
+    const occupiedByTraffic = occupant && occupant !== callsign;
+    const shortFinal = this.arrivals.find(a => a.key === runwayKey && a.distance < SHORT_FINAL_NM);
+    let advisory = null;
+
+    if (onGround && fieldDistance < 3 && groundSpeed <= PLAYER_ROLLING_KTS && (occupiedByTraffic || shortFinal)) {
+      advisory = { templateId: 'sys_hold_short', params: { runway: field.runway, traffic: occupiedByTraffic ? occupant : shortFinal.callsign } };
+    } else if (!onGround && fieldDistance < 3 && altitudeAgl < 1500 && occupiedByTraffic) {
+      advisory = { templateId: 'sys_go_around', params: { runway: field.runway, traffic: occupant } };
+    } else if (!onGround && !atDeparture && fieldDistance < 25 && !this.emergency.active) {
+      const ahead = this.arrivals.filter(a => a.key === runwayKey && a.distance < fieldDistance).length;
+      if (ahead > 0) advisory = { templateId: 'sys_expect_delay', params: { runway: field.runway, number: ahead + 1 } };
+    }
+    if (!advisory || freqInfo.type === 'UNICOM' || freqInfo.type === 'ATIS') return;
+
+    const id = `${advisory.templateId}:${runwayKey}:${advisory.params.traffic || advisory.params.number}`;
+    const now = Date.now();
+    if (id === this.lastRunwayAdvisory.id && now - this.lastRunwayAdvisory.time < RUNWAY_ADVISORY_REPEAT) return;
+    this.lastRunwayAdvisory = { id, time: now };
+
+    const msg = getATCResponse(advisory.templateId, advisory.params, { callsign }, language);
+    onMessage({
+      sender: 'ATC',
+      text: msg,
+      timestamp: now,
+      frequency: freqInfo.frequency
+    });
+  }
+
+  /**
+   * Send a controller transmission ({ templateId, params }) on the tuned frequency.
+   */
+  transmit({ templateId, params }, flightState, freqInfo, onMessage, language) {
+    const text = getATCResponse(templateId, params, { callsign: flightState.callsign }, language);
+    if (!text) return;
+    onMessage({
+      sender: 'ATC',
+      text,
+      timestamp: Date.now(),
+      frequency: freqInfo.frequency
+    });
+  }
+
+  /**
+   * Keep the controller's assignments in step with the emergency: its clearances are cancelled
+   * when the emergency starts, a MAYDAY is expected to squawk 7700, and the flight's own code is
+   * given back when the emergency ends.
+   * @param {string|null} previousType - emergency type before the change
+   */
+  syncEmergency(previousType) {
+    const type = this.emergency.active?.type || null;
+    if (type === previousType) return;
+
+    if (!previousType) {
+      this.squawkBeforeEmergency = this.controller.assigned.squawk?.value || null;
+      this.controller.release(['altitude', 'heading', 'speed']);
+    }
+    if (type === EMERGENCY_TYPE.MAYDAY) {
+      this.controller.assign([{ type: 'squawk', value: EMERGENCY_SQUAWK }]);
+    } else if (!type) {
+      if (this.squawkBeforeEmergency) this.controller.assign([{ type: 'squawk', value: this.squawkBeforeEmergency }]);
+      else this.controller.release(['squawk']);
+    }
   }
 
   isBusy(frequency) {
@@ -58,91 +265,51 @@ export class ATCLogic {
       this.atisTimer = 0; // Reset if not tuned
     }
 
-    // 2. Compliance Monitoring (Every 5s)
-    if (this.assignedAltitude && Date.now() - this.lastComplianceCheck > 5000) {
+    // 2. Emergency handling
+    const canTransmit = !this.isBusy(freqInfo.frequency) && freqInfo.type !== 'UNICOM' && freqInfo.type !== 'ATIS';
+    const emergencyType = this.emergency.active?.type || null;
+    const emergencyTransmissions = this.emergency.update(flightState, { canTransmit });
+    this.syncEmergency(emergencyType);
+    emergencyTransmissions.forEach(transmission => this.transmit(transmission, flightState, freqInfo, onMessage, language));
+
+    // 3. Compliance Monitoring (Every 5s)
+    if (Date.now() - this.lastComplianceCheck > 5000) {
       this.lastComplianceCheck = Date.now();
-      
-      // Give 60s grace period after assignment
-      if (Date.now() - this.lastAssignmentTime > 60000) {
-        const diff = flightState.altitude - this.assignedAltitude;
-        if (Math.abs(diff) > 500) {
-          // Check vertical speed (are they correcting?)
-          const vs = flightState.verticalSpeed || 0;
-          const isCorrecting = (diff > 0 && vs < -500) || (diff < 0 && vs > 500);
-          
-          if (!isCorrecting) {
-            const msg = getATCResponse('sys_traffic_alert', { 
-                diff, 
-                assignedAltitude: this.assignedAltitude 
-            }, { callsign: flightState.callsign }, language);
-
-            onMessage({
-              sender: 'ATC',
-              text: msg,
-              timestamp: Date.now(),
-              frequency: freqInfo.frequency
-            });
-            // Reset timer to avoid spam
-            this.lastAssignmentTime = Date.now(); 
-          }
+      const compliance = this.controller.checkCompliance(flightState);
+
+      if (compliance) {
+        eventBus.publish(eventBus.Types.ATC_COMPLIANCE, {
+          compliant: compliance.compliant,
+          deviation: compliance.deviation,
+          assignedAltitude: compliance.assignedAltitude,
+          checks: compliance.checks // [{ kind: 'altitude' | 'heading' | 'speed' | 'squawk', compliant }]
+        });
+
+        if (this.controller.isOwnerTuned(freqInfo.frequency)) {
+          compliance.alerts.forEach(alert => this.transmit(alert, flightState, freqInfo, onMessage, language));
         }
       }
     }
-    // 3. Random AI Orders (Unsolicited)
-    if (Date.now() > this.nextOrderTime) {
-        // Reset timer (random 2-5 minutes)
-        this.nextOrderTime = Date.now() + 120000 + Math.random() * 180000;
-        
-        // Only if not busy and tuned to a valid station
-        if (!this.isBusy(freqInfo.frequency) && freqInfo.type !== 'UNICOM' && freqInfo.type !== 'ATIS') {
-            this.generateRandomOrder(flightState, freqInfo, onMessage, language);
-        }
-    }
-  }
-
-  generateRandomOrder(flightState, freqInfo, onMessage, language) {
-    // Simple logic to generate context-aware orders
-    const orders = [
-        {
-            text: `${flightState.callsign}, check altimeter setting 29.92.`,
-            condition: () => Math.abs(flightState.altitude) > 18000
-        },
-        {
-            text: `${flightState.callsign}, radar contact, maintain present heading.`,
-            condition: () => true
-        },
-        {
-            text: `${flightState.callsign}, traffic is 2 o'clock, 5 miles, 3000 feet below you, report in sight.`,
-            condition: () => Math.random() > 0.5
-        },
-        {
-            text: `${flightState.callsign}, monitor guard 121.5.`,
-            condition: () => true
-        },
-        {
-            text: `${flightState.callsign}, climb and maintain FL${Math.ceil((flightState.altitude + 2000)/1000)*10}.`,
-            condition: () => flightState.verticalSpeed > 500
-        }
-    ];
-
-    // Filter valid orders
-    const validOrders = orders.filter(o => o.condition());
-    if (validOrders.length === 0) return;
+    // 4. Runway traffic
+    this.checkRunwayTraffic(flightState, freqInfo, onMessage, language);
 
-    const order = validOrders[Math.floor(Math.random() * validOrders.length)];
-    
-    onMessage({
-        sender: 'ATC',
-        text: order.text,
-        timestamp: Date.now(),
-        frequency: freqInfo.frequency
+    // 5. Controller: clearances for the flight phase, readback reminders and handoffs.
+    // An emergency flight stays with the facility working it and gets no routine clearances,
+    // and one that has landed at its diversion is no longer worked by the planned facilities.
+    if (this.emergency.active || this.emergency.diverted) return;
+    const arrival = flightState.arrival;
+    const occupant = arrival?.runway ? this.runwayOccupancy.get(this.runwayKey(arrival.airport, arrival.runway)) : null;
+    const transmissions = this.controller.update(flightState, freqInfo, {
+      canTransmit,
+      runwayOccupied: !!occupant && occupant !== flightState.callsign
     });
+    transmissions.forEach(transmission => this.transmit(transmission, flightState, freqInfo, onMessage, language));
   }
 
   /**
    * Process a pilot message and generate an ATC response
    * @param {Object} message - The pilot's message object { type, templateId, params, text }
-   * @param {Object} context - Context data { callsign, altitude, etc. }
+   * @param {Object} context - Context data { callsign, frequency, frequencyType, altitude, etc. }
    * @param {Function} onResponse - Callback when ATC responds (text) => void
    */
   processMessage(message, context, onResponse) {
@@ -151,54 +318,68 @@ export class ATCLogic {
         return;
     }
 
-    // Handle Readbacks
-    if (message.templateId === 'rb_alt') {
-      const readbackAlt = parseInt(message.params.altitude, 10);
-      if (this.assignedAltitude && Math.abs(readbackAlt - this.assignedAltitude) > 100) {
-        // Wrong readback
-        setTimeout(() => {
-          const msg = getATCResponse('sys_readback_wrong', { 
-              assignedAltitude: this.assignedAltitude 
-          }, { callsign: context.callsign }, context.language);
-          
-          onResponse({
-            sender: 'ATC',
-            text: msg,
-            timestamp: Date.now()
-          });
-        }, 1500);
-        return;
+    const respond = (text, extra = {}) => {
+      if (this.responseTimeout) {
+        clearTimeout(this.responseTimeout);
+        this.responseTimeout = null;
       }
-    }
+      if (!text) return;
 
-    // Cancel any existing pending response
-    if (this.responseTimeout) {
-      clearTimeout(this.responseTimeout);
-      this.responseTimeout = null;
-    }
-
-    const responseText = getATCResponse(message.templateId, message.params || {}, context, context.language || 'en');
-
-    // Track Assignments
-    if (message.templateId === 'req_alt' && responseText.includes('Unable') === false) {
-      // Assuming approval
-      this.assignedAltitude = parseInt(message.params.altitude, 10);
-      this.lastAssignmentTime = Date.now();
-    }
-
-    if (responseText) {
       // Simulate delay (1-3 seconds)
       const delay = 1000 + Math.random() * 2000;
-      
       this.responseTimeout = setTimeout(() => {
         onResponse({
           sender: 'ATC',
-          text: responseText,
-          timestamp: Date.now()
+          text,
+          timestamp: Date.now(),
+          ...extra
         });
         this.responseTimeout = null;
       }, delay);
+    };
+    const language = context.language || 'en';
+
+    // Emergency calls are answered by any facility and switch to priority handling
+    if (EMERGENCY_TEMPLATES.has(message.templateId)) {
+      const emergencyType = this.emergency.active?.type || null;
+      const params = this.emergency.handleMessage(message.templateId, message.params || {});
+      this.syncEmergency(emergencyType);
+      if (message.templateId === 'inf_cancel_emergency' && emergencyType && this.squawkBeforeEmergency) params.squawk = this.squawkBeforeEmergency;
+      respond(getATCResponse(message.templateId, params, context, language));
+      return;
+    }
+
+    // Requests to one of the flight's facilities that is not working it are sent to the right one
+    const owner = this.controller.owner();
+    if (owner && message.type === 'request' && !this.emergency.active &&
+        this.controller.getFacilityType(context.frequency) && !this.controller.isOwnerTuned(context.frequency)) {
+      respond(getATCResponse('sys_handoff', { station: owner.name, frequency: owner.frequency }, context, language), { redirect: true });
+      return;
     }
+
+    // Handle Readbacks
+    const correction = this.controller.verifyReadback(message.templateId, message.params || {});
+    if (correction) {
+      respond(correction.length > 0 ? getATCResponse('sys_readback_wrong', { items: correction }, context, language) : null);
+      return;
+    }
+
+    // Checking in with a radar facility is answered with its first instructions
+    if (message.templateId === 'inf_checkin' && this.controller.isOwnerTuned(context.frequency)) {
+      const items = this.controller.checkIn();
+      if (items) {
+        respond(getATCResponse('sys_instruction', { items }, context, language));
+        return;
+      }
+    }
+
+    const params = this.controller.prepareRequest(message.templateId, message.params || {});
+    const responseText = getATCResponse(message.templateId, params, context, language);
+
+    // Track Assignments
+    this.controller.applyRequest(message.templateId, params, responseText);
+
+    respond(responseText);
   }
 
   cancel() {
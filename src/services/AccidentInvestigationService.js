@@ -0,0 +1,315 @@
+/**
+ * Accident Investigation Service
+ *
+ * Builds a post-crash investigation report from the flight data recorder timeline and the
+ * impact snapshot taken in RealisticFlightPhysicsService.checkConstraints(), with the cause chain
+ * of secondary failures from the failure cascade history. The report only carries i18n keys and
+ * raw values; components render it through t() (see InvestigationReport).
+ */
+
+// Alerts the crew is expected to act on: the recorded channel that shows a response and how
+// long (seconds after onset) the response may take before the alert counts as ignored.
+// Pitch input follows the elevator convention: negative is nose up. With `against`, the input
+// is measured towards the opposite sign of that channel (e.g. roll input back towards wings level).
+// Brakes are recorded on the airBrakes channel, which the physics output maps them to.
+// FUEL_LOW is left out: no single control input answers it.
+const CREW_ALERTS = {
+    GPWS_PULL_UP: { channel: 'inputPitch', below: -0.1, window: 5 },
+    GPWS_TERRAIN: { channel: 'inputPitch', below: -0.1, window: 5 },
+    GPWS_TERRAIN_AHEAD: { channel: 'inputPitch', below: -0.1, window: 5 },
+    GPWS_CAUTION_TERRAIN: { channel: 'inputPitch', below: -0.1, window: 10 },
+    GPWS_TOO_LOW_GEAR: { channel: 'gear', above: 0.5, window: 10 },
+    GPWS_TOO_LOW_FLAPS: { channel: 'flaps', above: 0, window: 10 },
+    CONFIG_FLAPS: { channel: 'flaps', above: 0, window: 10 },
+    CONFIG_SPOILERS: { channel: 'airBrakes', below: 0.01, window: 10 },
+    CONFIG_BRAKES: { channel: 'airBrakes', below: 0.1, window: 10 },
+    STALL: { channel: 'inputPitch', above: 0.05, window: 3 },
+    OVERSPEED: { channel: 'inputThrottle', below: 0.5, window: 10 },
+    BANK_ANGLE: { channel: 'inputRoll', against: 'roll', above: 0.1, window: 10 },
+    TAIL_STRIKE: { channel: 'inputPitch', above: 0, window: 3 },
+    WINDSHEAR: { channel: 'inputThrottle', above: 0.9, window: 3 },
+    WINDSHEAR_AHEAD: { channel: 'inputThrottle', above: 0.9, window: 5 }
+};
+
+// How long before impact an alert still counts as "active at impact"
+const IMPACT_WINDOW = 10;
+// Gaps shorter than this between two activations of the same alert are treated as one alert
+const ALERT_MERGE_GAP = 2;
+// Below this sink rate a collision with ground objects happened while rolling, not descending
+const GROUND_ROLL_SINK_RATE = 600;
+// Terrain warnings (pull up / terrain ahead); a CAUTION TERRAIN alone does not make it CFIT
+const TERRAIN_WARNINGS = ['GPWS_PULL_UP', 'GPWS_TERRAIN', 'GPWS_TERRAIN_AHEAD'];
+
+class AccidentInvestigationService {
+    /**
+     * @param {RealisticFlightPhysicsService} physics - service whose recorder holds the flight
+     * @returns {Object|null} report, or null when there is nothing recorded
+     */
+    generateReport(physics) {
+        const recorder = physics?.recorder;
+        if (!recorder || recorder.getFrameCount() === 0) return null;
+
+        const range = recorder.getTimeRange();
+        const events = recorder.getEvents();
+        const impact = physics.crashImpact || this.getImpactFromRecorder(recorder, range.end);
+        const impactTime = impact ? impact.time : range.end;
+
+        const failureChain = events
+            .filter(e => e.type === 'failure' && e.data.stage !== 'inactive')
+            .map(e => ({
+                time: e.time - range.start,
+                id: e.data.id,
+                name: e.data.name || e.data.id,
+                stage: e.data.stage,
+                description: e.data.description
+            }));
+
+        const causeChain = this.getCauseChain(physics.failureSystem, range.start);
+        const alerts = this.getAlertIntervals(events, impactTime);
+        const crewFactors = this.getCrewFactors(recorder, alerts, impactTime, range.start);
+        const probableCause = this.getProbableCause(impact, alerts, failureChain, recorder, impactTime);
+
+        return {
+            flightTime: impactTime - range.start,
+            impact,
+            initiatingFailure: failureChain[0] || null,
+            failureChain,
+            causeChain,
+            crewFactors,
+            probableCause,
+            narrative: this.getNarrative(probableCause, failureChain[0], crewFactors, causeChain)
+        };
+    }
+
+    /**
+     * Secondary failures and advisories the failure cascade set off, each with what caused it:
+     * a failure (e.g. debris from an uncontained engine failure) or a reported condition
+     * (e.g. FUEL_STARVATION, OVERWEIGHT_LANDING). Cause and effect are { id, node }: the failure
+     * id, when there is one, and the cascade graph node, for the component to translate.
+     * @returns {Array<{time, cause: {id, node}, effect: {id, node}, outcome}>}
+     */
+    getCauseChain(failureSystem, startTime) {
+        const history = failureSystem?.cascade?.history || [];
+
+        return history
+            .filter(entry => entry.outcome === 'triggered' || entry.outcome === 'advisory')
+            .map(entry => ({
+                time: entry.time - startTime,
+                cause: { id: entry.source || null, node: entry.trigger },
+                effect: { id: entry.failureId || null, node: entry.target },
+                outcome: entry.outcome
+            }));
+    }
+
+    /**
+     * Fallback when the physics service has no impact snapshot (e.g. a crash restored from a save).
+     */
+    getImpactFromRecorder(recorder, time) {
+        const frame = recorder.getFrameAt(time);
+        if (!frame || !frame.hasCrashed) return null;
+        return {
+            cause: 'unknown',
+            time: frame.replayTime,
+            sinkRate: -frame.verticalSpeed,
+            pitch: frame.pitch,
+            roll: frame.roll,
+            heading: frame.heading,
+            indicatedAirspeed: frame.indicatedAirspeed,
+            groundSpeed: frame.groundSpeed,
+            groundStatus: 'UNKNOWN',
+            gearDown: frame.gearValue,
+            flaps: frame.flapsValue,
+            fuel: frame.fuel,
+            latitude: frame.position.latitude,
+            longitude: frame.position.longitude
+        };
+    }
+
+    /**
+     * Turn the recorded warning-set changes into on/off intervals per warning id.
+     * @returns {Array<{id, message, start, end, activeAtImpact}>}
+     */
+    getAlertIntervals(events, impactTime) {
+        const open = new Map();
+        const intervals = [];
+
+        events.filter(e => e.type === 'warnings').forEach(event => {
+            const current = new Map(event.data.warnings.map(w => [w.id, w]));
+            open.forEach((interval, id) => {
+                if (!current.has(id)) {
+                    interval.end = event.time;
+                    intervals.push(interval);
+                    open.delete(id);
+                }
+            });
+            current.forEach((warning, id) => {
+                if (open.has(id)) return;
+                const previous = intervals.findLastIndex(i => i.id === id && event.time - i.end < ALERT_MERGE_GAP);
+                if (previous !== -1) {
+                    open.set(id, intervals.splice(previous, 1)[0]);
+                } else {
+                    open.set(id, { id, message: warning.message, start: event.time, end: null, activeAtImpact: false });
+                }
+            });
+        });
+
+        open.forEach(interval => {
+            interval.end = impactTime;
+            interval.activeAtImpact = true;
+            intervals.push(interval);
+        });
+
+        intervals.forEach(interval => {
+            if (impactTime - interval.end <= IMPACT_WINDOW) interval.activeAtImpact = true;
+        });
+        return intervals.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Alerts the crew did not act on within the expected time.
+     */
+    getCrewFactors(recorder, alerts, impactTime, startTime) {
+        const factors = [];
+
+        alerts.forEach(alert => {
+            const rule = CREW_ALERTS[alert.id];
+            if (!rule) return;
+
+            const duration = alert.end - alert.start;
+            const responseTime = this.findResponseTime(recorder, rule, alert);
+            let finding = null;
+
+            if (responseTime === null) {
+                // No response: ignored once the alert outlasted its window; one that cleared
+                // (or ended in the impact) sooner gave the crew no chance to respond
+                if (duration >= rule.window) finding = 'ignored';
+            } else if (responseTime > rule.window) {
+                finding = 'late';
+            }
+            if (!finding) return;
+
+            factors.push({
+                finding,
+                id: alert.id,
+                message: alert.message,
+                time: alert.start - startTime,
+                duration,
+                responseTime,
+                activeAtImpact: alert.activeAtImpact
+            });
+        });
+
+        // Several intervals of the same alert collapse into the earliest, most severe finding
+        const byId = new Map();
+        factors.forEach(factor => {
+            const existing = byId.get(factor.id);
+            if (!existing || (existing.finding === 'late' && factor.finding === 'ignored')) {
+                byId.set(factor.id, { ...factor, occurrences: (existing?.occurrences || 0) + 1 });
+            } else {
+                existing.occurrences++;
+            }
+        });
+        return Array.from(byId.values()).sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * Seconds from alert onset until the recorded channel shows the expected input, or null.
+     */
+    findResponseTime(recorder, rule, alert) {
+        const samples = recorder.getChannelSamples(rule.channel, alert.start, alert.end);
+        const reference = rule.against ? recorder.getChannelSamples(rule.against, alert.start, alert.end) : null;
+        const response = samples.find(({ value }, i) => {
+            if (reference) value *= -Math.sign(reference[i].value);
+            return (rule.above === undefined || value > rule.above) &&
+                (rule.below === undefined || value < rule.below);
+        });
+        return response ? response.time - alert.start : null;
+    }
+
+    getProbableCause(impact, alerts, failureChain, recorder, impactTime) {
+        const params = impact ? {
+            sinkRate: Math.round(impact.sinkRate),
+            airspeed: Math.round(impact.indicatedAirspeed),
+            pitch: impact.pitch.toFixed(1),
+            roll: impact.roll.toFixed(1)
+        } : {};
+        const activeAtImpact = (id) => alerts.some(a => a.id === id && a.activeAtImpact);
+        const finalFrame = recorder.getFrameAt(impactTime);
+        const enginesRunning = finalFrame ? finalFrame.engineN1.some(n1 => n1 > 20) : true;
+
+        let category = 'undetermined';
+        if (!impact) {
+            category = 'undetermined';
+        } else if (impact.cause === 'ground_objects' && impact.sinkRate < GROUND_ROLL_SINK_RATE) {
+            category = 'ground_collision';
+        } else if (impact.fuel !== undefined && impact.fuel <= 1 && !enginesRunning) {
+            category = 'fuel_exhaustion';
+        } else if (activeAtImpact('STALL')) {
+            category = 'stall';
+        } else if (Math.abs(impact.roll) > 60 || impact.pitch < -30) {
+            category = 'loss_of_control';
+        } else if (['WINDSHEAR', 'WINDSHEAR_AHEAD'].some(activeAtImpact)) {
+            category = 'windshear';
+        } else if (TERRAIN_WARNINGS.some(activeAtImpact)) {
+            category = 'cfit';
+        } else if (failureChain.length > 0 && !enginesRunning) {
+            category = 'forced_landing';
+        } else if (!impact.gearDown && (impact.groundStatus === 'RUNWAY' || impact.groundStatus === 'GRASS')) {
+            category = 'gear_up_landing';
+        } else if (impact.groundStatus === 'RUNWAY' || impact.groundStatus === 'GRASS') {
+            category = 'hard_landing';
+        } else {
+            category = 'terrain_impact';
+        }
+
+        return { category, key: `investigation.cause.${category}`, params };
+    }
+
+    /**
+     * Probable-cause narrative as a list of i18n sentences. Alerts and failures are carried
+     * beside the params so the component can translate them.
+     */
+    getNarrative(probableCause, initiatingFailure, crewFactors, causeChain = []) {
+        const sentences = [{ key: probableCause.key, params: probableCause.params }];
+
+        if (initiatingFailure) {
+            sentences.push({
+                key: 'investigation.narrative.initiated_by',
+                params: { time: formatElapsed(initiatingFailure.time) },
+                failure: { id: initiatingFailure.id, name: initiatingFailure.name }
+            });
+        } else {
+            sentences.push({ key: 'investigation.narrative.no_failure' });
+        }
+
+        // Secondary failures, each explained by what set it off
+        causeChain.filter(link => link.outcome === 'triggered').forEach(link => {
+            sentences.push({
+                key: 'investigation.narrative.secondary',
+                params: { time: formatElapsed(link.time) },
+                failure: link.effect,
+                cause: link.cause
+            });
+        });
+
+        const ignored = crewFactors.filter(f => f.finding === 'ignored');
+        if (ignored.length > 0) {
+            sentences.push({ key: 'investigation.narrative.ignored_alerts', alerts: ignored.map(f => f.message) });
+        } else if (crewFactors.length > 0) {
+            sentences.push({ key: 'investigation.narrative.late_response', alerts: crewFactors.map(f => f.message) });
+        } else {
+            sentences.push({ key: 'investigation.narrative.no_crew_factors' });
+        }
+        return sentences;
+    }
+}
+
+export function formatElapsed(seconds) {
+    const total = Math.max(0, Math.round(seconds));
+    const m = Math.floor(total / 60);
+    const s = total % 60;
+    return `${m}:${s.toString().padStart(2, '0')}`;
+}
+
+export const accidentInvestigationService = new AccidentInvestigationService();
+export default AccidentInvestigationService;
@@ -0,0 +1,240 @@
+/**
+ * Air Data Service
+ *
+ * The sensors between the physics truth and the displays. Three independent pitot-static
+ * sources - captain, first officer and standby - measure total and static pressure, and the
+ * captain and first officer each have an angle of attack vane. Airspeed and altitude are worked
+ * out from the measured pressures the way an air data computer does:
+ *   qc = Pt - Ps,  CAS = a0 * sqrt(5 * ((qc / p0 + 1)^(2/7) - 1)),  M = sqrt(5 * ((qc / Ps + 1)^(2/7) - 1)),
+ *   altitude from Ps (ISA)
+ * so a healthy source reads the truth, and a blocked probe gives the classic errors:
+ *  - pitot blocked, drain open: the trapped pressure bleeds off and the airspeed falls to zero,
+ *  - pitot and drain blocked: total pressure is trapped and the airspeed acts like an altimeter,
+ *    rising in a climb and falling in a descent,
+ *  - static port blocked: altitude freezes, vertical speed reads zero and the airspeed is wrong
+ *    by the pressure change since the blockage.
+ * Vanes can stick or read with a bias.
+ *
+ * Each side's displays show the source picked on the overhead (systems.airData); the two sides
+ * are compared for the IAS, ALT and AOA DISAGREE alerts.
+ */
+
+const P0 = 101325; // Pa, ISA sea level
+const A0_KT = 661.47; // Speed of sound at sea level
+const TROPOPAUSE_FT = 36089;
+const TROPOPAUSE_P = 22632;
+
+export const AIR_DATA_SOURCES = ['captain', 'fo', 'standby'];
+const VANE_SOURCES = ['captain', 'fo']; // The standby instruments have no vane
+
+export const PITOT = { OK: 'OK', BLOCKED: 'BLOCKED', BLOCKED_DRAIN: 'BLOCKED_DRAIN' };
+export const STATIC = { OK: 'OK', BLOCKED: 'BLOCKED' };
+export const VANE = { OK: 'OK', STUCK: 'STUCK', BIASED: 'BIASED' };
+
+const DRAIN_TIME_S = 8; // Time constant of the pressure leaking out of a blocked pitot
+const VS_LAG_S = 1; // Vertical speed smoothing of the pressure altitude rate
+const MIN_VALID_IAS = 60; // kts; airborne readings below this are flagged as invalid
+
+// Disagree alerts: the two sides differ by more than this for DISAGREE_DELAY_S
+const IAS_DISAGREE_KT = 5;
+const ALT_DISAGREE_FT = 200;
+const AOA_DISAGREE_RAD = 10 * Math.PI / 180;
+const DISAGREE_DELAY_S = 5;
+
+/**
+ * ISA static pressure (Pa) at a pressure altitude (ft).
+ */
+const pressureAt = (altitudeFt) => {
+    if (altitudeFt <= TROPOPAUSE_FT) return P0 * Math.pow(1 - 6.8756e-6 * altitudeFt, 5.2559);
+    return TROPOPAUSE_P * Math.exp(-(altitudeFt - TROPOPAUSE_FT) / 20806);
+};
+
+/**
+ * Pressure altitude (ft) of a static pressure (Pa).
+ */
+const altitudeFor = (pressure) => {
+    if (pressure >= TROPOPAUSE_P) return (1 - Math.pow(pressure / P0, 1 / 5.2559)) / 6.8756e-6;
+    return TROPOPAUSE_FT - 20806 * Math.log(pressure / TROPOPAUSE_P);
+};
+
+const impactPressure = (casKt) => P0 * (Math.pow(1 + 0.2 * (casKt / A0_KT) ** 2, 3.5) - 1);
+
+const casFor = (qc) => (qc > 0 ? A0_KT * Math.sqrt(5 * (Math.pow(qc / P0 + 1, 2 / 7) - 1)) : 0);
+
+const machFor = (qc, ps) => (qc > 0 ? Math.sqrt(5 * (Math.pow(qc / ps + 1, 2 / 7) - 1)) : 0);
+
+class AirDataService {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.sources = {};
+        AIR_DATA_SOURCES.forEach(name => {
+            this.sources[name] = {
+                pitot: PITOT.OK,
+                static: STATIC.OK,
+                vane: VANE_SOURCES.includes(name) ? VANE.OK : null,
+                vaneBias: 0, // rad
+                total: null, // Pa in the pitot line
+                staticPressure: null, // Pa in the static line
+                vaneAngle: null, // rad, where a stuck vane is held
+                altError: 0, // ft
+                vsError: 0, // ft/min
+                reading: null
+            };
+        });
+        this.displays = { captain: null, fo: null };
+        this.disagreeTime = { ias: 0, altitude: 0, aoa: 0 };
+        this.disagree = { ias: false, altitude: false, aoa: false };
+    }
+
+    /**
+     * Fail a probe. Faults stay until reset; 'all' applies to every source.
+     * @param {string} source - 'captain', 'fo', 'standby' or 'all'
+     * @param {string} probe - 'pitot' (PITOT), 'static' (STATIC) or 'vane' (VANE)
+     * @param {string} mode
+     * @param {number} bias - rad, for a biased vane
+     */
+    setFault(source, probe, mode, bias = 0) {
+        const names = source === 'all' ? AIR_DATA_SOURCES : [source];
+        names.forEach(name => {
+            const s = this.sources[name];
+            if (!s) return;
+            if (probe === 'pitot') s.pitot = mode;
+            else if (probe === 'static') s.static = mode;
+            else if (probe === 'vane' && s.vane) {
+                s.vane = mode;
+                s.vaneBias = bias;
+            }
+        });
+    }
+
+    /**
+     * Measure the truth through every source.
+     * @param {Object} truth - { ias (kts), mach (optional, used over ias), altitude (ft, the caller's
+     *   frame), elevation (ft, added to altitude for the pressure altitude), verticalSpeed (ft/min),
+     *   alpha (rad), onGround, pitotIced (probe ice blocks every pitot, drain open) }
+     * @param {Object} selection - systems.airData { captSource, foSource }
+     */
+    update(dt, truth, selection = {}) {
+        const pressureAltitude = truth.altitude + (truth.elevation || 0);
+        const ps = pressureAt(pressureAltitude);
+        // Total pressure of the true Mach number when known, so the readings carry the compressibility
+        const pt = truth.mach > 0
+            ? ps * Math.pow(1 + 0.2 * truth.mach * truth.mach, 3.5)
+            : ps + impactPressure(Math.max(0, truth.ias));
+        const lag = dt > 0 ? 1 - Math.exp(-dt / VS_LAG_S) : 0;
+
+        AIR_DATA_SOURCES.forEach(name => {
+            const s = this.sources[name];
+
+            // Static line: open to the outside air, or holding the pressure at the blockage
+            if (s.static === STATIC.OK || s.staticPressure === null) s.staticPressure = ps;
+
+            // Pitot line: open, bleeding down to the static pressure through the drain, or sealed
+            const pitot = s.pitot !== PITOT.OK ? s.pitot : (truth.pitotIced ? PITOT.BLOCKED : PITOT.OK);
+            if (pitot === PITOT.OK || s.total === null) {
+                s.total = pt;
+            } else if (pitot === PITOT.BLOCKED) {
+                s.total += (s.staticPressure - s.total) * (1 - Math.exp(-dt / DRAIN_TIME_S));
+            }
+
+            const ias = casFor(s.total - s.staticPressure);
+            const mach = machFor(s.total - s.staticPressure, s.staticPressure);
+            const altError = altitudeFor(s.staticPressure) - pressureAltitude;
+            if (dt > 0) s.vsError += ((altError - s.altError) / dt * 60 - s.vsError) * lag;
+            s.altError = altError;
+
+            let alpha = null;
+            if (s.vane) {
+                if (s.vane !== VANE.STUCK || s.vaneAngle === null) s.vaneAngle = truth.alpha;
+                alpha = s.vane === VANE.BIASED ? truth.alpha + s.vaneBias : s.vaneAngle;
+            }
+
+            s.reading = {
+                source: name,
+                ias,
+                mach,
+                altitude: truth.altitude + altError,
+                verticalSpeed: truth.verticalSpeed + s.vsError,
+                alpha,
+                valid: truth.onGround || ias >= MIN_VALID_IAS
+            };
+        });
+
+        const captain = this.sources[selection.captSource]?.reading || this.sources.captain.reading;
+        const fo = this.sources[selection.foSource]?.reading || this.sources.fo.reading;
+        // The vanes are not switched with the pitot-static source
+        this.displays = {
+            captain: { ...captain, alpha: this.sources.captain.reading.alpha },
+            fo: { ...fo, alpha: this.sources.fo.reading.alpha }
+        };
+
+        const { captain: c, fo: f } = this.displays;
+        this.updateDisagree('ias', Math.abs(c.ias - f.ias) > IAS_DISAGREE_KT, dt);
+        this.updateDisagree('altitude', Math.abs(c.altitude - f.altitude) > ALT_DISAGREE_FT, dt);
+        this.updateDisagree('aoa', Math.abs(c.alpha - f.alpha) > AOA_DISAGREE_RAD, dt);
+
+        return this.displays;
+    }
+
+    updateDisagree(key, differs, dt) {
+        this.disagreeTime[key] = differs ? this.disagreeTime[key] + dt : 0;
+        this.disagree[key] = this.disagreeTime[key] >= DISAGREE_DELAY_S;
+    }
+
+    /**
+     * Reading shown on one side's instruments (the autopilot flies the captain's).
+     * @param {string} side - 'captain' or 'fo'
+     * @returns {{ source, ias, mach, altitude, verticalSpeed, alpha, valid }|null}
+     */
+    getDisplay(side = 'captain') {
+        return this.displays[side];
+    }
+
+    /**
+     * Whether the autopilot can keep flying on the captain's air data: valid, and agreeing with
+     * the other side.
+     */
+    isReliable() {
+        const captain = this.displays.captain;
+        if (!captain) return true;
+        return captain.valid && !this.disagree.ias && !this.disagree.altitude;
+    }
+
+    /**
+     * Air data state for the displays, warnings and saves.
+     */
+    getState() {
+        const sources = {};
+        AIR_DATA_SOURCES.forEach(name => {
+            const { pitot, static: staticPort, vane, vaneBias, reading } = this.sources[name];
+            sources[name] = { ...reading, pitot, static: staticPort, vane, vaneBias };
+        });
+        return {
+            sources,
+            captain: this.displays.captain,
+            fo: this.displays.fo,
+            disagree: { ...this.disagree }
+        };
+    }
+
+    /**
+     * Restore the probe faults of a saved flight (the trapped pressures start again from the
+     * current truth).
+     */
+    loadState(state) {
+        this.reset();
+        if (!state?.sources) return;
+        AIR_DATA_SOURCES.forEach(name => {
+            const saved = state.sources[name];
+            if (!saved) return;
+            this.setFault(name, 'pitot', saved.pitot || PITOT.OK);
+            this.setFault(name, 'static', saved.static || STATIC.OK);
+            if (saved.vane) this.setFault(name, 'vane', saved.vane, saved.vaneBias || 0);
+        });
+    }
+}
+
+export default AirDataService;
@@ -0,0 +1,188 @@
+/**
+ * Brake Service
+ *
+ * Wheel brakes of the main gear: the autobrake, and the heat the brakes absorb.
+ *  - Landing modes (1, 2, 3, MAX) arm in the air and, after touchdown with the thrust levers at
+ *    idle, brake for a target deceleration. RTO brakes at full pressure when the thrust levers
+ *    are closed above 90 kts on the takeoff roll, and goes OFF after liftoff. Advancing the
+ *    thrust levers disarms the autobrake (DISARM until the selector is turned OFF).
+ *  - The work done by each brake (brake force x wheel speed) heats its heat sink; the brakes
+ *    cool towards the outside air, faster in the airstream with the gear down. Hot brakes fade,
+ *    and the heat soaks into the wheels until the fuse plugs melt and deflate the tyres.
+ *
+ * Wheels are numbered left to right as in systems.brakes.temp: 0-1 on the left main gear, 2-3
+ * on the right.
+ */
+
+export const AUTOBRAKE_MODES = ['RTO', 'OFF', '1', '2', '3', 'MAX'];
+
+const G_FT = 32.174;
+const AUTOBRAKE_DECEL = { 1: 4 / G_FT, 2: 5 / G_FT, 3: 7.2 / G_FT, MAX: 14 / G_FT }; // g (4 - 14 ft/s²)
+const AUTOBRAKE_GAIN = 0.4; // Pressure per (m/s²) of deceleration error per second
+const DECEL_LAG_S = 0.3;
+const IDLE_THROTTLE = 0.05;
+const DISARM_THROTTLE = 0.3;
+const LANDING_MIN_GS = 30; // kts, wheel spin-up
+const RTO_MIN_GS = 90;
+
+// Heat sink
+const HEAT_CAPACITY_PER_KG = 1.3; // J/K per brake, per kg of maximum takeoff weight
+const COOLING_S = 3000; // Time constant at rest or in the wheel well
+const COOLING_AIRSTREAM_S = 900; // Gear down in flight
+const FADE_START_C = 500;
+const FADE_FULL_C = 900;
+const MAX_FADE = 0.5; // Share of the braking lost at FADE_FULL_C
+
+// Wheels and fuse plugs
+const WHEEL_SHARE = 0.4; // Share of the brake's temperature rise the wheel settles at
+const WHEEL_SOAK_S = 180;
+const FUSE_PLUG_C = 177;
+const DEFLATED_BRAKING = 0.5; // Braking left on a flat tyre
+const DEFLATED_ROLLING = 0.05; // Extra rolling friction of a flat tyre
+
+const WHEELS = 4;
+const SIDE_WHEELS = { left: [0, 1], right: [2, 3] };
+
+class BrakeService {
+    /**
+     * @param {number} maxTakeoffWeight - kg, sizes the heat sinks
+     */
+    constructor(maxTakeoffWeight = 70000) {
+        this.heatCapacity = maxTakeoffWeight * HEAT_CAPACITY_PER_KG;
+        this.reset();
+    }
+
+    reset(ambient = 15) {
+        this.temps = Array.from({ length: WHEELS }, () => ambient); // °C, heat sinks
+        this.wheelTemps = Array.from({ length: WHEELS }, () => ambient);
+        this.deflated = Array.from({ length: WHEELS }, () => false);
+        this.pressure = 0; // Brake demand 0-1 (manual or autobrake)
+        this.autobrakePressure = 0;
+        this.active = false; // Autobrake braking
+        this.armed = false; // Landing mode armed in the air
+        this.disarmed = false;
+        this.mode = 'OFF';
+        this.decel = 0; // m/s²
+        this.lastGroundSpeed = null;
+    }
+
+    /**
+     * Autobrake logic and brake cooling, once per frame.
+     * @param {Object} ctx - { brakes (systems.brakes; autobrake is set OFF after liftoff in RTO),
+     *   manual (0-1 pedal braking), throttle (0-1), groundSpeed (kts), onGround, gearDown, oat (°C) }
+     */
+    update(dt, ctx) {
+        const { brakes, groundSpeed, onGround, throttle } = ctx;
+        if (dt <= 0) return;
+
+        // Measured deceleration
+        const gs = groundSpeed / 1.94384;
+        if (this.lastGroundSpeed !== null) {
+            const decel = (this.lastGroundSpeed - gs) / dt;
+            this.decel += (decel - this.decel) * (1 - Math.exp(-dt / DECEL_LAG_S));
+        }
+        this.lastGroundSpeed = gs;
+
+        // A new selection clears the autobrake
+        if (brakes.autobrake !== this.mode) {
+            this.mode = brakes.autobrake;
+            this.active = false;
+            this.armed = false;
+            this.disarmed = false;
+            this.autobrakePressure = 0;
+        }
+
+        if (!onGround) {
+            this.active = false;
+            if (this.mode === 'RTO') {
+                brakes.autobrake = 'OFF';
+                this.mode = 'OFF';
+            }
+            this.armed = AUTOBRAKE_DECEL[this.mode] !== undefined && !this.disarmed;
+        } else if (!this.active && !this.disarmed && throttle < IDLE_THROTTLE) {
+            if (this.mode === 'RTO' && groundSpeed >= RTO_MIN_GS) this.active = true;
+            if (this.armed && groundSpeed >= LANDING_MIN_GS) this.active = true;
+            if (this.active) this.armed = false;
+        }
+
+        if (this.active && throttle > DISARM_THROTTLE) {
+            this.active = false;
+            this.disarmed = true;
+        }
+
+        if (!this.active) {
+            this.autobrakePressure = 0;
+        } else if (this.mode === 'RTO') {
+            this.autobrakePressure = 1;
+        } else {
+            const target = AUTOBRAKE_DECEL[this.mode] * 9.81;
+            this.autobrakePressure += (target - this.decel) * AUTOBRAKE_GAIN * dt;
+            this.autobrakePressure = Math.max(0, Math.min(1, this.autobrakePressure));
+        }
+        this.pressure = Math.max(ctx.manual || 0, this.autobrakePressure);
+
+        // Cooling, and the heat soaking into the wheels
+        const oat = ctx.oat ?? 15;
+        const coolingTime = !onGround && ctx.gearDown ? COOLING_AIRSTREAM_S : COOLING_S;
+        for (let i = 0; i < WHEELS; i++) {
+            this.temps[i] += (oat - this.temps[i]) * (1 - Math.exp(-dt / coolingTime));
+            const wheelTarget = oat + WHEEL_SHARE * (this.temps[i] - oat);
+            this.wheelTemps[i] += (wheelTarget - this.wheelTemps[i]) * (1 - Math.exp(-dt / WHEEL_SOAK_S));
+            if (this.wheelTemps[i] >= FUSE_PLUG_C) this.deflated[i] = true;
+        }
+
+        brakes.temp = this.temps.map(temp => Math.round(temp));
+        brakes.autobrakeActive = this.active;
+        brakes.autobrakeDisarm = this.disarmed;
+        brakes.deflated = [...this.deflated];
+    }
+
+    /**
+     * Braking on one main gear, 0-1 of the full braking friction, after fade and flat tyres.
+     * @param {string} side - 'left' or 'right'
+     */
+    getBrakeFactor(side) {
+        if (this.pressure <= 0) return 0;
+        const wheels = SIDE_WHEELS[side];
+        const effectiveness = wheels.reduce((sum, i) => {
+            const fade = MAX_FADE * Math.max(0, Math.min(1, (this.temps[i] - FADE_START_C) / (FADE_FULL_C - FADE_START_C)));
+            return sum + (1 - fade) * (this.deflated[i] ? DEFLATED_BRAKING : 1);
+        }, 0) / wheels.length;
+        return this.pressure * effectiveness;
+    }
+
+    /**
+     * Extra rolling friction of the flat tyres on one main gear.
+     */
+    getRollingFriction(side) {
+        const wheels = SIDE_WHEELS[side];
+        return wheels.filter(i => this.deflated[i]).length / wheels.length * DEFLATED_ROLLING;
+    }
+
+    /**
+     * Heat the brakes of one main gear with the work they did.
+     * @param {string} side - 'left' or 'right'
+     * @param {number} energy - J
+     */
+    absorb(side, energy) {
+        const wheels = SIDE_WHEELS[side];
+        wheels.forEach(i => { this.temps[i] += energy / wheels.length / this.heatCapacity; });
+    }
+
+    /**
+     * Restore the brake state of a saved flight (systems.brakes).
+     */
+    loadState(brakes) {
+        if (!brakes) return;
+        if (Array.isArray(brakes.temp) && brakes.temp.length === WHEELS) {
+            this.temps = [...brakes.temp];
+            this.wheelTemps = this.temps.map(temp => 15 + WHEEL_SHARE * (temp - 15));
+        }
+        if (Array.isArray(brakes.deflated)) this.deflated = [...brakes.deflated];
+        this.mode = brakes.autobrake;
+        this.active = !!brakes.autobrakeActive;
+        this.disarmed = !!brakes.autobrakeDisarm;
+    }
+}
+
+export default BrakeService;
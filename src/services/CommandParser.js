@@ -0,0 +1,220 @@
+import commandDatabase from '../commandDatabase.json';
+
+/**
+ * Command Parser
+ *
+ * Parses pilot command lines against the templates in commandDatabase.json. A line matches
+ * either a full template ("SET ALT 12000") or an abbreviation followed by the template's
+ * parameters in order ("ALT 12000"). Placeholders are validated by PARAMETER_TYPES; free-text
+ * parameters take the rest of the line. Errors are returned as i18n keys for the console.
+ */
+
+const FREE_TEXT = { text: true };
+
+// Placeholder name -> parser. Parsers return the value, or undefined when the token is invalid.
+const PARAMETER_TYPES = {
+    altitude_ft: {
+        hint: '0-45000 / FL350',
+        parse: (token) => {
+            const flightLevel = token.match(/^FL(\d{2,3})$/);
+            const value = flightLevel ? parseInt(flightLevel[1], 10) * 100 : Number(token);
+            return Number.isInteger(value) && value >= 0 && value <= 45000 ? value : undefined;
+        }
+    },
+    ias_kts: {
+        hint: '80-400',
+        parse: (token) => {
+            const value = Number(token);
+            return Number.isFinite(value) && value >= 80 && value <= 400 ? value : undefined;
+        }
+    },
+    heading_deg: {
+        hint: '0-360',
+        parse: (token) => {
+            const value = Number(token);
+            return Number.isFinite(value) && value >= 0 && value <= 360 ? value % 360 : undefined;
+        }
+    },
+    percent: {
+        hint: '0-100',
+        parse: (token) => {
+            const value = Number(token.replace(/%$/, ''));
+            return Number.isFinite(value) && value >= 0 && value <= 100 ? value : undefined;
+        }
+    },
+    position: {
+        hint: 'UP / 5 / ARM',
+        // Detent labels or indices; checked against the aircraft profile when dispatched
+        parse: (token) => (/^[A-Z0-9]+$/.test(token) ? token : undefined)
+    },
+    engine_no: {
+        hint: '1-4',
+        parse: (token) => {
+            const value = Number(token);
+            return Number.isInteger(value) && value >= 1 && value <= 4 ? value : undefined;
+        }
+    },
+    code: {
+        hint: '0000-7777',
+        parse: (token) => (/^[0-7]{4}$/.test(token) ? token : undefined)
+    },
+    topic: FREE_TEXT,
+    message: FREE_TEXT,
+    brief_reason: FREE_TEXT,
+    destination: FREE_TEXT,
+    name: FREE_TEXT
+};
+
+const normalize = (input) => input.trim().toUpperCase().replace(/\s+/g, ' ');
+
+const compile = (entry) => {
+    const tokens = entry.template.split(' ').map(word => {
+        const placeholder = word.match(/^\{(\w+)\}$/);
+        return placeholder ? { param: placeholder[1] } : { word };
+    });
+    const literalPrefix = [];
+    for (const token of tokens) {
+        if (token.param) break;
+        literalPrefix.push(token.word);
+    }
+    return {
+        ...entry,
+        tokens,
+        params: tokens.filter(t => t.param).map(t => t.param),
+        literalPrefix: literalPrefix.join(' ')
+    };
+};
+
+class CommandParser {
+    constructor(commands = commandDatabase) {
+        this.commands = commands.map(compile);
+        this.byAbbr = new Map(this.commands.map(command => [command.abbr, command]));
+    }
+
+    /**
+     * @param {string} input - raw command line
+     * @returns {{command, params, raw}|{error: {key, params}, raw}}
+     */
+    parse(input) {
+        const raw = normalize(input || '');
+        if (!raw) return { error: { key: 'ui.console.errors.empty' }, raw };
+        const words = raw.split(' ');
+
+        // Full templates first: most literal words wins ("RUN CHECKLIST ENGINE FIRE" over "RUN CHECKLIST {name}")
+        const results = this.commands.map(command => ({ command, result: this.matchTokens(command.tokens, words) }));
+        const mostLiterals = (candidates) => candidates.reduce(
+            (best, candidate) => (!best || candidate.result.matched > best.result.matched ? candidate : best), null
+        );
+
+        const match = mostLiterals(results.filter(r => !r.result.mismatch));
+        if (match) return this.finish(match.command, match.result, raw);
+
+        const abbrCommand = this.byAbbr.get(words[0]);
+        if (abbrCommand) {
+            const paramTokens = abbrCommand.tokens.filter(t => t.param);
+            return this.finish(abbrCommand, this.matchTokens(paramTokens, words.slice(1)), raw);
+        }
+
+        // A recognised command with a bad or missing parameter is more useful than "unknown"
+        const partial = mostLiterals(results.filter(r => r.result.literalsMatched));
+        if (partial) return this.finish(partial.command, partial.result, raw);
+
+        const suggestion = this.complete(words[0])[0];
+        return {
+            error: suggestion
+                ? { key: 'ui.console.errors.unknown_suggest', params: { command: raw, suggestion: suggestion.template } }
+                : { key: 'ui.console.errors.unknown', params: { command: raw } },
+            raw
+        };
+    }
+
+    /**
+     * Match words against a token list. `matched` counts consumed literal words, so the
+     * best-matching template can be reported even when a parameter is wrong.
+     */
+    matchTokens(tokens, words) {
+        const params = {};
+        let matched = 0;
+        let index = 0;
+        let mismatch = null;
+
+        for (let i = 0; i < tokens.length && !mismatch; i++) {
+            const token = tokens[i];
+            const word = words[index];
+
+            if (token.word) {
+                if (word !== token.word) {
+                    mismatch = { type: 'literal' };
+                    break;
+                }
+                matched++;
+                index++;
+                continue;
+            }
+
+            const type = PARAMETER_TYPES[token.param] || FREE_TEXT;
+            if (word === undefined) {
+                mismatch = { type: 'missing', param: token.param };
+            } else if (type.text) {
+                params[token.param] = words.slice(index).join(' ');
+                index = words.length;
+            } else {
+                const value = type.parse(word);
+                if (value === undefined) {
+                    mismatch = { type: 'invalid', param: token.param, value: word };
+                } else {
+                    params[token.param] = value;
+                    index++;
+                }
+            }
+        }
+
+        if (!mismatch && index < words.length) mismatch = { type: 'extra', value: words.slice(index).join(' ') };
+        const literalsMatched = matched === tokens.filter(t => t.word).length;
+        return { params, matched, mismatch, literalsMatched };
+    }
+
+    finish(command, result, raw) {
+        const { mismatch } = result;
+        if (!mismatch) return { command, params: result.params, raw };
+
+        const usage = command.template;
+        if (mismatch.type === 'missing') {
+            return { error: { key: 'ui.console.errors.missing', params: { param: mismatch.param, usage } }, raw };
+        }
+        if (mismatch.type === 'invalid') {
+            const hint = PARAMETER_TYPES[mismatch.param]?.hint || '';
+            return { error: { key: 'ui.console.errors.invalid', params: { param: mismatch.param, value: mismatch.value, hint, usage } }, raw };
+        }
+        if (mismatch.type === 'extra') {
+            return { error: { key: 'ui.console.errors.extra', params: { value: mismatch.value, usage } }, raw };
+        }
+        return { error: { key: 'ui.console.errors.unknown', params: { command: raw } }, raw };
+    }
+
+    /**
+     * Commands whose template or abbreviation starts with the typed text.
+     * @param {string} input
+     * @param {number} [limit]
+     */
+    complete(input, limit = 6) {
+        const prefix = normalize(input || '');
+        if (!prefix) return [];
+        const abbrMatches = this.commands.filter(c => c.abbr.startsWith(prefix.split(' ')[0]) && !prefix.includes(' '));
+        const templateMatches = this.commands.filter(c => c.template.startsWith(prefix) || c.literalPrefix.startsWith(prefix));
+        const seen = new Set();
+        return [...templateMatches, ...abbrMatches]
+            .filter(c => !seen.has(c.id) && seen.add(c.id))
+            .slice(0, limit);
+    }
+
+    /**
+     * Text to put in the input when a suggestion is accepted: the template up to its first parameter.
+     */
+    completionText(command) {
+        return command.params.length > 0 ? `${command.literalPrefix} ` : command.template;
+    }
+}
+
+export const commandParser = new CommandParser();
+export default CommandParser;
@@ -0,0 +1,365 @@
+/**
+ * Flight Data Recorder (FDR)
+ *
+ * Samples the physics output state and pilot inputs at a fixed simulation-time rate into
+ * a ring buffer of Float64 channels (oldest frames are overwritten once full). Discrete
+ * changes (warnings, autopilot engagement/mode, failure stage transitions, crash) are kept
+ * as an event log, and the overhead systems tree is stored as a lower-rate keyframe.
+ * getFrameAt() rebuilds the flightData shape published by useAircraftPhysics, so replay
+ * can drive the same cockpit panels as the live flight.
+ */
+
+const MAX_ENGINES = 4;
+
+// Scalar channels: [name, extractor(outputState, input)]
+const BASE_CHANNELS = [
+    ['time', null], // Filled from the physics clock
+    ['latitude', (s) => s.position.latitude],
+    ['longitude', (s) => s.position.longitude],
+    ['altitude', (s) => Math.max(0, s.position.z) * 3.28084],
+    ['altitudeAmsl', (s) => s.derived.altitude_ft],
+    ['altitudeAgl', (s) => s.derived.altitude_agl_ft],
+    ['terrainElevation', (s) => s.derived.terrain_elevation_ft],
+    ['pitch', (s) => s.orientation.theta * 180 / Math.PI],
+    ['roll', (s) => s.orientation.phi * 180 / Math.PI],
+    ['heading', (s) => s.derived.heading],
+    ['trueAirspeed', (s) => s.derived.airspeed],
+    ['indicatedAirspeed', (s, input, airspeeds) => airspeeds.indicatedAirspeed],
+    ['groundSpeed', (s) => s.derived.groundSpeed],
+    ['verticalSpeed', (s) => s.verticalSpeed],
+    ['throttle', (s) => s.controls.throttle],
+    ['elevator', (s) => s.controls.pitch], // Surface positions after actuator lag
+    ['aileron', (s) => s.controls.roll],
+    ['rudder', (s) => s.controls.yaw],
+    ['trim', (s) => s.controls.trim],
+    ['inputThrottle', (s, input) => input.throttle],
+    ['inputPitch', (s, input) => input.pitch],
+    ['inputRoll', (s, input) => input.roll],
+    ['inputYaw', (s, input) => input.yaw],
+    ['flaps', (s) => s.flaps],
+    ['gear', (s) => (s.gear ? 1 : 0)],
+    ['airBrakes', (s) => s.airBrakes],
+    ['fuel', (s) => s.fuel],
+    ['waypointIndex', (s) => s.currentWaypointIndex],
+    ['apTargetAltitude', (s) => s.autopilotTargets?.altitude],
+    ['apTargetSpeed', (s) => s.autopilotTargets?.speed],
+    ['apTargetHeading', (s) => s.autopilotTargets?.heading],
+    ['apTargetVs', (s) => s.autopilotTargets?.vs]
+];
+
+const ENGINE_CHANNELS = [
+    ['n1', (s, i) => s.engineParams.n1[i]],
+    ['n2', (s, i) => s.engineParams.n2[i]],
+    ['egt', (s, i) => s.engineParams.egt[i]],
+    ['fuelFlow', (s, i) => s.engineParams.fuelFlow[i]],
+    ['oilPressure', (s, i) => s.engineParams.oilPressure[i]],
+    ['engineThrottle', (s, i) => s.engineThrottles[i]]
+];
+
+class FlightDataRecorder {
+    /**
+     * @param {Object} options
+     * @param {number} options.engineCount
+     * @param {number} [options.sampleRate=5] - Frames per simulated second
+     * @param {number} [options.duration=3600] - Seconds of flight kept in the ring buffer
+     * @param {number} [options.systemsInterval=1] - Seconds between systems keyframes
+     */
+    constructor(options = {}) {
+        this.engineCount = Math.min(MAX_ENGINES, options.engineCount || 2);
+        this.sampleInterval = 1 / (options.sampleRate || 5);
+        this.systemsInterval = options.systemsInterval || 1;
+        this.capacity = Math.ceil((options.duration || 3600) / this.sampleInterval);
+        this.systemsCapacity = Math.ceil((options.duration || 3600) / this.systemsInterval);
+
+        this.channels = [...BASE_CHANNELS];
+        for (let i = 0; i < this.engineCount; i++) {
+            ENGINE_CHANNELS.forEach(([name, extract]) => {
+                this.channels.push([`${name}${i}`, (s) => extract(s, i)]);
+            });
+        }
+        this.channelIndex = {};
+        this.channels.forEach(([name], index) => { this.channelIndex[name] = index; });
+
+        this.data = new Float64Array(this.capacity * this.channels.length);
+        this.clear();
+    }
+
+    clear() {
+        this.head = 0;   // Next write slot
+        this.count = 0;  // Frames currently stored
+        this.nextSampleTime = 0;
+        this.nextSystemsTime = 0;
+        this.systemsFrames = []; // { time, json }
+        this.events = [];        // { time, type, data }
+
+        this.lastWarnings = '';
+        this.lastAutopilot = '';
+        this.lastFailureStages = new Map();
+        this.crashRecorded = false;
+        this.forceSample = false;
+    }
+
+    /**
+     * Called once per physics update with the state about to be published.
+     */
+    record(sys, state, input = {}) {
+        const time = sys.time;
+        this.trackDiscreteChanges(sys, state, time);
+
+        if (!this.forceSample && time + 1e-9 < this.nextSampleTime) return;
+        this.forceSample = false;
+        this.nextSampleTime = time + this.sampleInterval;
+
+        const airspeeds = sys.calculateAirspeeds();
+        const width = this.channels.length;
+        const offset = this.head * width;
+        this.data[offset] = time;
+        for (let c = 1; c < width; c++) {
+            const value = this.channels[c][1](state, input, airspeeds);
+            this.data[offset + c] = typeof value === 'number' && !isNaN(value) ? value : NaN;
+        }
+
+        this.head = (this.head + 1) % this.capacity;
+        this.count = Math.min(this.count + 1, this.capacity);
+
+        if (time >= this.nextSystemsTime) {
+            this.nextSystemsTime = time + this.systemsInterval;
+            this.systemsFrames.push({ time, json: JSON.stringify(state.systems || {}) });
+            if (this.systemsFrames.length > this.systemsCapacity) this.systemsFrames.shift();
+        }
+
+        this.pruneEvents();
+    }
+
+    trackDiscreteChanges(sys, state, time) {
+        const warnings = (state.activeWarnings || []).map(w => ({ id: w.id, message: w.message, level: w.level, isFlashing: !!w.isFlashing }));
+        const warningKey = warnings.map(w => `${w.id}:${w.isFlashing ? 1 : 0}`).join('|');
+        if (warningKey !== this.lastWarnings) {
+            this.lastWarnings = warningKey;
+            this.pushEvent(time, 'warnings', { warnings });
+        }
+
+        const ap = state.autopilot || {};
+        const apKey = `${!!ap.engaged}:${ap.mode || ''}`;
+        if (apKey !== this.lastAutopilot) {
+            this.lastAutopilot = apKey;
+            this.pushEvent(time, 'autopilot', { engaged: !!ap.engaged, mode: ap.mode || null });
+        }
+
+        if (sys.failureSystem) {
+            sys.failureSystem.activeFailures.forEach((failure, id) => {
+                if (this.lastFailureStages.get(id) !== failure.currentStage) {
+                    this.lastFailureStages.set(id, failure.currentStage);
+                    this.pushEvent(time, 'failure', {
+                        id,
+                        name: failure.name,
+                        stage: failure.currentStage,
+                        description: failure.getDescription()
+                    });
+                }
+            });
+        }
+
+        if (state.hasCrashed && !this.crashRecorded) {
+            this.crashRecorded = true;
+            this.forceSample = true; // Keep the frame at the moment of impact
+            this.pushEvent(time, 'crash', { reason: state.crashWarning || null });
+        }
+    }
+
+    pushEvent(time, type, data) {
+        this.events.push({ time, type, data });
+    }
+
+    /**
+     * Drop events older than the oldest frame, keeping the last warnings/autopilot
+     * entries before it so the discrete state at the start of the buffer is still known.
+     */
+    pruneEvents() {
+        if (this.count < this.capacity || this.events.length === 0) return;
+        const start = this.getTimeRange().start;
+        if (this.events[0].time >= start) return;
+
+        const baseline = {};
+        const kept = [];
+        this.events.forEach(event => {
+            if (event.time >= start) kept.push(event);
+            else if (event.type === 'warnings' || event.type === 'autopilot') baseline[event.type] = event;
+        });
+        this.events = [...Object.values(baseline), ...kept];
+    }
+
+    getFrameCount() {
+        return this.count;
+    }
+
+    getTimeRange() {
+        if (this.count === 0) return { start: 0, end: 0 };
+        return {
+            start: this.readValue(0, 0),
+            end: this.readValue(this.count - 1, 0)
+        };
+    }
+
+    getEvents() {
+        return this.events.slice();
+    }
+
+    // Logical frame index (0 = oldest) -> channel value
+    readValue(index, channel) {
+        const physical = (this.head - this.count + index + this.capacity) % this.capacity;
+        return this.data[physical * this.channels.length + channel];
+    }
+
+    /**
+     * Index of the last frame recorded at or before `time` (binary search).
+     */
+    findFrameIndex(time) {
+        let low = 0;
+        let high = this.count - 1;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (this.readValue(mid, 0) <= time) low = mid;
+            else high = mid - 1;
+        }
+        return low;
+    }
+
+    /**
+     * Samples of a single channel between two times (inclusive), oldest first.
+     * @returns {Array<{time: number, value: number}>}
+     */
+    getChannelSamples(name, start = -Infinity, end = Infinity) {
+        const channel = this.channelIndex[name];
+        if (channel === undefined || this.count === 0) return [];
+
+        const samples = [];
+        for (let i = start > -Infinity ? this.findFrameIndex(start) : 0; i < this.count; i++) {
+            const time = this.readValue(i, 0);
+            if (time > end) break;
+            if (time >= start) samples.push({ time, value: this.readValue(i, channel) });
+        }
+        return samples;
+    }
+
+    /**
+     * Rebuild a flightData-shaped snapshot (see useAircraftPhysics) for the given time.
+     */
+    getFrameAt(time) {
+        if (this.count === 0) return null;
+
+        const index = this.findFrameIndex(time);
+        const frameTime = this.readValue(index, 0);
+        const v = (name) => {
+            const value = this.readValue(index, this.channelIndex[name]);
+            return isNaN(value) ? undefined : value;
+        };
+        const engines = (name) => Array.from({ length: this.engineCount }, (_, i) => v(`${name}${i}`) || 0);
+
+        const discrete = this.getDiscreteStateAt(frameTime);
+        const systemsFrame = this.findSystemsFrame(frameTime);
+        const altitude = v('altitude') || 0;
+        const engineParams = {
+            n1: engines('n1'),
+            n2: engines('n2'),
+            egt: engines('egt'),
+            fuelFlow: engines('fuelFlow'),
+            oilPressure: engines('oilPressure')
+        };
+
+        return {
+            replayTime: frameTime,
+            frame: index,
+            altitude,
+            airspeed: v('trueAirspeed') || 0,
+            indicatedAirspeed: v('indicatedAirspeed') || 0,
+            groundSpeed: v('groundSpeed') || 0,
+            verticalSpeed: v('verticalSpeed') || 0,
+            pitch: v('pitch') || 0,
+            roll: v('roll') || 0,
+            heading: v('heading') || 0,
+            throttle: (v('throttle') || 0) * 100,
+            engineThrottles: engines('engineThrottle'),
+            elevator: (v('inputPitch') || 0) * 180 / Math.PI,
+            aileron: (v('inputRoll') || 0) * 180 / Math.PI,
+            rudder: (v('inputYaw') || 0) * 180 / Math.PI,
+            position: {
+                latitude: v('latitude'),
+                longitude: v('longitude'),
+                z: altitude / 3.28084
+            },
+            flaps: v('flaps') || 0,
+            flapsPosition: v('flaps') ? 'down' : 'up',
+            flapsValue: v('flaps') || 0,
+            gear: v('gear') > 0.5,
+            gearPosition: v('gear') > 0.5 ? 'down' : 'up',
+            gearValue: v('gear') > 0.5,
+            airBrakesPosition: v('airBrakes') ? 'down' : 'up',
+            airBrakesValue: v('airBrakes') || 0,
+            trimValue: v('trim') || 0,
+            engineN1: engineParams.n1,
+            engineN2: engineParams.n2,
+            engineEGT: engineParams.egt,
+            engineFuelFlow: engineParams.fuelFlow,
+            engineParams,
+            fuel: v('fuel') || 0,
+            currentWaypointIndex: v('waypointIndex') || 0,
+            hasCrashed: discrete.crash !== null,
+            crashWarning: discrete.crash ? discrete.crash.reason || '' : '',
+            alarms: [],
+            activeWarnings: discrete.warnings,
+            autopilotEngaged: discrete.autopilot.engaged,
+            autopilotMode: discrete.autopilot.mode || 'LNAV',
+            autopilotTargets: {
+                altitude: v('apTargetAltitude'),
+                speed: v('apTargetSpeed'),
+                heading: v('apTargetHeading'),
+                vs: v('apTargetVs')
+            },
+            surfaces: {
+                elevator: v('elevator'),
+                aileron: v('aileron'),
+                rudder: v('rudder')
+            },
+            inputs: {
+                throttle: v('inputThrottle'),
+                pitch: v('inputPitch'),
+                roll: v('inputRoll'),
+                yaw: v('inputYaw')
+            },
+            derived: {
+                altitude_ft: v('altitudeAmsl'),
+                altitude_agl_ft: v('altitudeAgl'),
+                terrain_elevation_ft: v('terrainElevation'),
+                airspeed: v('trueAirspeed'),
+                groundSpeed: v('groundSpeed'),
+                heading: v('heading')
+            },
+            failures: discrete.failures,
+            systems: systemsFrame ? JSON.parse(systemsFrame.json) : {}
+        };
+    }
+
+    getDiscreteStateAt(time) {
+        const state = { warnings: [], autopilot: { engaged: false, mode: null }, failures: {}, crash: null };
+        for (const event of this.events) {
+            if (event.time > time) break;
+            if (event.type === 'warnings') state.warnings = event.data.warnings;
+            else if (event.type === 'autopilot') state.autopilot = event.data;
+            else if (event.type === 'failure') state.failures[event.data.id] = event.data.stage;
+            else if (event.type === 'crash') state.crash = event.data;
+        }
+        return state;
+    }
+
+    findSystemsFrame(time) {
+        let found = this.systemsFrames[0] || null;
+        for (const frame of this.systemsFrames) {
+            if (frame.time > time) break;
+            found = frame;
+        }
+        return found;
+    }
+}
+
+export default FlightDataRecorder;
@@ -0,0 +1,278 @@
+import { ChecklistCategories } from './ChecklistData.js';
+import { Vector3, Quaternion } from '../utils/flightMath.js';
+
+/**
+ * Flight Scorer
+ *
+ * Grades a flight on four categories (0-100 each):
+ * - landing: touchdown sink rate, centreline deviation and float distance from the runway
+ *   geometry used by updateGroundStatus(), minus bounces
+ * - comfort: normal load factor and bank angle excursions while airborne
+ * - procedures: checklist categories completed (ChecklistPanel) and ATC altitude compliance (ATCLogic)
+ * - survival: zero after a crash; every failure flown through adds a bonus
+ * The weighted total is multiplied by the difficulty factor. State is saved with the flight.
+ */
+
+const WEIGHTS = { landing: 0.35, comfort: 0.2, procedures: 0.25, survival: 0.2 };
+
+export const DIFFICULTY_MULTIPLIERS = {
+    rookie: 1.0,
+    amateur: 1.1,
+    intermediate: 1.25,
+    advanced: 1.5,
+    pro: 1.75,
+    professional: 1.75,
+    devil: 2.0,
+    survival: 2.0
+};
+
+const GRADES = [[95, 'S'], [85, 'A'], [70, 'B'], [55, 'C'], [40, 'D'], [0, 'F']];
+
+const FAILURE_BONUS = 50;          // Points per failure survived
+const AIRBORNE_AGL_FT = 50;        // Above this the aircraft counts as flying
+const GO_AROUND_AGL_FT = 200;      // Climbing back above this after a touchdown starts a new landing
+const AIM_POINT_M = 305;           // 1000 ft aiming point markings
+const COMFORT_G_BAND = [0.7, 1.3];
+const G_SAMPLE_WINDOW = 0.5;       // s
+const COMFORT_BANK_DEG = 30;
+
+const clamp = (value, min = 0, max = 100) => Math.min(max, Math.max(min, value));
+
+class FlightScorer {
+    constructor(difficulty = 'rookie') {
+        this.difficulty = difficulty;
+        this.reset();
+    }
+
+    reset() {
+        this.airborne = false;
+        this.airborneTime = 0;
+        this.lastVerticalSpeed = 0;
+        this.lastEarthVelocity = null;
+        this.gWindowTime = 0;
+
+        this.landing = null;       // { verticalSpeed, centerlineOffset, runwayWidth, distanceFromThreshold, surface, bounces }
+        this.bouncing = false;
+
+        this.comfort = { maxG: 1, minG: 1, timeOutsideG: 0, maxBank: 0, timeSteepBank: 0 };
+        this.checklists = {};      // category -> completion time
+        this.atc = { checks: 0, compliant: 0 };
+        this.failuresSeen = [];
+        this.crashed = false;
+    }
+
+    /**
+     * Called once per physics update with the state about to be published.
+     */
+    update(sys, state, dt) {
+        const agl = state.derived.altitude_agl_ft;
+        const onGround = sys.onGround;
+
+        this.difficulty = sys.difficulty || this.difficulty;
+        this.crashed = state.hasCrashed;
+        this.trackFailures(sys);
+
+        if (!this.airborne) {
+            if (!onGround && agl > AIRBORNE_AGL_FT) {
+                this.airborne = true;
+                // Touch-and-go or go-around: the next touchdown is graded instead
+                if (this.landing && agl > GO_AROUND_AGL_FT) this.landing = null;
+            } else if (this.landing) {
+                this.trackBounce(onGround, agl);
+            }
+        } else if (onGround) {
+            this.recordTouchdown(sys);
+        }
+
+        if (this.airborne) {
+            this.airborneTime += dt;
+            this.trackComfort(sys, state, dt);
+            this.lastVerticalSpeed = state.verticalSpeed;
+        }
+    }
+
+    recordTouchdown(sys) {
+        const ground = sys.groundStatus || {};
+        const onRunway = ground.status === 'RUNWAY';
+        this.airborne = false;
+        this.lastEarthVelocity = null;
+        this.bouncing = false;
+        this.landing = {
+            verticalSpeed: this.lastVerticalSpeed,
+            surface: ground.status || 'UNKNOWN',
+            centerlineOffset: onRunway ? ground.centerlineOffset : null,
+            runwayWidth: ground.runwayWidth || null,
+            distanceFromThreshold: ground.distanceFromThreshold ?? null,
+            bounces: 0
+        };
+    }
+
+    trackBounce(onGround, agl) {
+        if (!onGround && agl > 3) {
+            this.bouncing = true;
+        } else if (onGround && this.bouncing) {
+            this.bouncing = false;
+            this.landing.bounces++;
+        }
+    }
+
+    trackComfort(sys, state, dt) {
+        // Normal load factor from the earth-frame acceleration minus gravity, in body axes (Z down).
+        // Measured over G_SAMPLE_WINDOW so integration jitter between physics steps averages out.
+        const q = sys.state.quat;
+        const earthVelocity = q.rotate(sys.state.vel);
+        this.gWindowTime += dt;
+        if (!this.lastEarthVelocity) {
+            this.lastEarthVelocity = earthVelocity;
+            this.gWindowTime = 0;
+        } else if (this.gWindowTime >= G_SAMPLE_WINDOW) {
+            const accel = earthVelocity.sub(this.lastEarthVelocity).scale(1 / this.gWindowTime);
+            const specificForce = accel.sub(new Vector3(0, 0, 9.81));
+            const g = -new Quaternion(q.w, -q.x, -q.y, -q.z).rotate(specificForce).z / 9.81;
+
+            this.comfort.maxG = Math.max(this.comfort.maxG, g);
+            this.comfort.minG = Math.min(this.comfort.minG, g);
+            if (g < COMFORT_G_BAND[0] || g > COMFORT_G_BAND[1]) this.comfort.timeOutsideG += this.gWindowTime;
+            this.lastEarthVelocity = earthVelocity;
+            this.gWindowTime = 0;
+        }
+
+        const bank = Math.abs(state.orientation.phi * 180 / Math.PI);
+        this.comfort.maxBank = Math.max(this.comfort.maxBank, bank);
+        if (bank > COMFORT_BANK_DEG) this.comfort.timeSteepBank += dt;
+    }
+
+    trackFailures(sys) {
+        if (!sys.failureSystem) return;
+        sys.failureSystem.activeFailures.forEach((failure, id) => {
+            if (failure.currentStage !== 'inactive' && !this.failuresSeen.includes(id)) {
+                this.failuresSeen.push(id);
+            }
+        });
+    }
+
+    recordChecklist(category) {
+        if (this.checklists[category] === undefined) {
+            this.checklists[category] = this.airborneTime;
+        }
+    }
+
+    recordAltitudeCheck(compliant) {
+        this.atc.checks++;
+        if (compliant) this.atc.compliant++;
+    }
+
+    scoreLanding() {
+        if (!this.landing) return null;
+        const l = this.landing;
+
+        const sinkRate = clamp(100 - (Math.abs(l.verticalSpeed) - 200) * (100 / 800));
+        let centerline = 0;
+        let float = 0;
+        if (l.surface === 'RUNWAY') {
+            const halfWidth = (l.runwayWidth || 45) / 2;
+            centerline = clamp(100 * (1 - Math.max(0, l.centerlineOffset - 3) / (halfWidth - 3)));
+            const beyondAim = l.distanceFromThreshold - AIM_POINT_M;
+            float = l.distanceFromThreshold < 0 ? 0 : clamp(100 - Math.max(0, Math.abs(beyondAim) - 150) / 6);
+        }
+
+        return clamp(sinkRate * 0.5 + centerline * 0.25 + float * 0.25 - l.bounces * 15);
+    }
+
+    scoreComfort() {
+        if (this.airborneTime === 0) return null;
+        const c = this.comfort;
+        let score = 100;
+        score -= Math.max(0, c.maxG - 1.5) * 100;
+        score -= Math.max(0, 0.5 - c.minG) * 100;
+        score -= c.timeOutsideG;
+        score -= c.timeSteepBank;
+        score -= Math.max(0, c.maxBank - 45) * 2;
+        return clamp(score);
+    }
+
+    scoreProcedures() {
+        const categories = Object.values(ChecklistCategories).length;
+        const checklistRatio = Object.keys(this.checklists).length / categories;
+        const atcRatio = this.atc.checks > 0 ? this.atc.compliant / this.atc.checks : 1;
+        return clamp((checklistRatio * 0.6 + atcRatio * 0.4) * 100);
+    }
+
+    scoreSurvival() {
+        return this.crashed ? 0 : 100;
+    }
+
+    /**
+     * @returns {{total, base, grade, multiplier, bonus, difficulty, categories, details}}
+     */
+    getScore() {
+        const categories = {
+            landing: this.scoreLanding(),
+            comfort: this.scoreComfort(),
+            procedures: this.scoreProcedures(),
+            survival: this.scoreSurvival()
+        };
+
+        // Categories that have not happened yet (no landing, never airborne) are left out
+        let weighted = 0;
+        let weightSum = 0;
+        Object.entries(categories).forEach(([name, value]) => {
+            if (value === null) return;
+            weighted += value * WEIGHTS[name];
+            weightSum += WEIGHTS[name];
+        });
+        const base = weightSum > 0 ? weighted / weightSum : 0;
+        const bonus = this.crashed ? 0 : this.failuresSeen.length * FAILURE_BONUS;
+        const multiplier = DIFFICULTY_MULTIPLIERS[this.difficulty] || 1;
+        const grade = this.crashed ? 'F' : GRADES.find(([min]) => base >= min)[1];
+
+        return {
+            total: Math.round((base * 10 + bonus) * multiplier),
+            base: Math.round(base),
+            grade,
+            multiplier,
+            bonus,
+            difficulty: this.difficulty,
+            categories,
+            details: {
+                landing: this.landing ? { ...this.landing } : null,
+                comfort: { ...this.comfort },
+                checklists: Object.keys(this.checklists),
+                checklistTotal: Object.values(ChecklistCategories).length,
+                atc: { ...this.atc },
+                failuresSurvived: this.crashed ? 0 : this.failuresSeen.length,
+                crashed: this.crashed
+            }
+        };
+    }
+
+    getState() {
+        return {
+            difficulty: this.difficulty,
+            airborne: this.airborne,
+            airborneTime: this.airborneTime,
+            landing: this.landing ? { ...this.landing } : null,
+            comfort: { ...this.comfort },
+            checklists: { ...this.checklists },
+            atc: { ...this.atc },
+            failuresSeen: [...this.failuresSeen],
+            crashed: this.crashed
+        };
+    }
+
+    loadState(state) {
+        this.reset();
+        if (!state) return;
+        if (state.difficulty) this.difficulty = state.difficulty;
+        this.airborne = !!state.airborne;
+        this.airborneTime = state.airborneTime || 0;
+        this.landing = state.landing ? { ...state.landing } : null;
+        this.comfort = { ...this.comfort, ...state.comfort };
+        this.checklists = { ...state.checklists };
+        this.atc = { ...this.atc, ...state.atc };
+        this.failuresSeen = Array.isArray(state.failuresSeen) ? [...state.failuresSeen] : [];
+        this.crashed = !!state.crashed;
+    }
+}
+
+export default FlightScorer;
@@ -0,0 +1,404 @@
+/**
+ * Headless Simulation Service
+ *
+ * Drives RealisticFlightPhysicsService (and with it the FailureHandler, autopilot and
+ * navigation services) at a fixed timestep with a seeded random source, outside the
+ * browser render loop. A scenario describes the aircraft, start conditions and a
+ * timeline of inputs; the run produces a sampled time series plus discrete events, a
+ * flight score and, if the flight ends in a crash, an accident investigation report.
+ * The same scenario and seed always reproduce the same flight.
+ *
+ * Scenario format (all fields optional except where noted):
+ * {
+ *   name, seed, aircraft: "Boeing 737-800", difficulty, dt: 0.05, duration: 60, sampleInterval: 1.0,
+ *   scenarioPack: "gimli_glider" (applies the pack's start state, weather and scripted failures),
+ *   aircraftOverrides: { fuelWeight, payloadWeight, ... },
+ *   start: { airport, runway, finalApproachNm, lateralOffsetNm, latitude, longitude, heading,
+ *            altitude (ft), speed (kts), throttle, flaps, gear, brakes, coldStart },
+ *   environment: { windSpeed, windDirection, turbulence, precipitation, atmosphere, microbursts, stormCells },
+ *     atmosphere: optional { windLayers, isaDeviation, inversions } (utils/atmosphereProfile)
+ *     microbursts: optional [ { latitude, longitude, radius (m), outflow (m/s), downdraft (m/s) } ]
+ *     stormCells: optional [ { latitude, longitude, radius (nm), top (ft), intensity (dBZ) } ]
+ *   flightPlan: [ { latitude, longitude, altitude, ... } ],
+ *   autopilot: { engaged, vnav, targets: { speed, altitude, heading, vs, mode } },
+ *   inputs: [ { time, controls: { throttle, throttles, pitch, roll, yaw, trim, flaps, gear, brakes },
+ *               autopilot, environment, flightPlan, failure: { id, context },
+ *               systemAction: { system, action, value } } ],
+ *   expect: [ { time, field, min, max, equals, contains } ]
+ * }
+ */
+
+import RealisticFlightPhysicsService from './RealisticFlightPhysicsService.js';
+import { loadAircraftData } from './aircraftService.js';
+import { airportService } from './airportService.js';
+import { scenarioPackService } from './scenarioPackService.js';
+import { accidentInvestigationService } from './AccidentInvestigationService.js';
+import eventBus from './eventBus.js';
+import { createSeededRandom } from '../utils/seededRandom.js';
+
+const DEFAULTS = {
+    aircraft: 'Boeing 737-800',
+    difficulty: 'rookie',
+    seed: 1,
+    dt: 0.05,
+    duration: 60,
+    sampleInterval: 1.0
+};
+
+const RAD_TO_DEG = 180 / Math.PI;
+
+class HeadlessSimulationService {
+    /**
+     * @param {Object} scenario - Scenario definition (see file header)
+     */
+    constructor(scenario = {}) {
+        this.scenario = { ...DEFAULTS, ...scenario };
+        this.random = createSeededRandom(this.scenario.seed);
+        this.physics = null;
+        this.samples = [];
+        this.events = [];
+        this.time = 0;
+        this.controls = null;
+        this.lastFailureStages = new Map();
+        this.lastWarningIds = new Set();
+    }
+
+    /**
+     * Resolve the aircraft definition from the database (or an inline object).
+     */
+    async resolveAircraft() {
+        const { aircraft, aircraftOverrides } = this.scenario;
+        let base = null;
+
+        if (aircraft && typeof aircraft === 'object') {
+            base = aircraft;
+        } else {
+            const database = await loadAircraftData();
+            base = database.find(a => a.model === aircraft || a.icao === aircraft || a.iata === aircraft);
+            if (!base) {
+                throw new Error(`Aircraft not found in database: ${aircraft}`);
+            }
+        }
+
+        return { ...base, ...(aircraftOverrides || {}) };
+    }
+
+    /**
+     * Build the physics service and apply the scenario start conditions.
+     */
+    async initialize() {
+        const { start = {}, difficulty } = this.scenario;
+        const aircraftData = await this.resolveAircraft();
+
+        // Runway start: default position/heading to the threshold of the requested runway
+        let runwayGeometry = null;
+        if (start.airport) {
+            runwayGeometry = airportService.getRunwayGeometry(start.airport, start.runway);
+            if (!runwayGeometry) {
+                throw new Error(`Runway geometry not found: ${start.airport} ${start.runway || ''}`.trim());
+            }
+            if (aircraftData.airportElevation === undefined) {
+                aircraftData.airportElevation = runwayGeometry.thresholdStart.elevation || 0;
+            }
+        }
+
+        let latitude = start.latitude ?? runwayGeometry?.thresholdStart.latitude ?? 0;
+        let longitude = start.longitude ?? runwayGeometry?.thresholdStart.longitude ?? 0;
+
+        // Approach start: back along the extended centreline, optionally offset to the right
+        if (runwayGeometry && start.latitude === undefined && start.finalApproachNm) {
+            const approach = offsetPosition(latitude, longitude, runwayGeometry.heading + 180, start.finalApproachNm * 1852);
+            const offset = offsetPosition(approach.latitude, approach.longitude, runwayGeometry.heading + 90, (start.lateralOffsetNm || 0) * 1852);
+            latitude = offset.latitude;
+            longitude = offset.longitude;
+        }
+        const heading = start.heading ?? runwayGeometry?.heading ?? 0;
+
+        this.physics = new RealisticFlightPhysicsService(aircraftData, latitude, longitude, difficulty, { random: this.random });
+
+        this.physics.setInitialConditions({
+            latitude,
+            longitude,
+            heading,
+            altitude: start.altitude,
+            speed: start.speed,
+            throttle: start.throttle,
+            brakes: start.brakes,
+            gear: start.gear,
+            difficulty,
+            coldStart: start.coldStart
+        });
+
+        if (runwayGeometry) {
+            this.physics.setRunwayGeometry(runwayGeometry);
+        }
+        if (typeof start.flaps === 'number') {
+            this.physics.setFlaps(start.flaps);
+        }
+        if (this.scenario.scenarioPack) {
+            const pack = scenarioPackService.getPack(this.scenario.scenarioPack);
+            if (!pack) {
+                throw new Error(`Scenario pack not found: ${this.scenario.scenarioPack}`);
+            }
+            this.physics.loadScenarioPack(pack);
+        }
+        if (this.scenario.environment) {
+            this.physics.setEnvironment(this.scenario.environment);
+        }
+        if (this.scenario.flightPlan) {
+            this.physics.updateFlightPlan(this.scenario.flightPlan);
+        }
+        if (this.scenario.autopilot) {
+            this.applyAutopilot(this.scenario.autopilot);
+        }
+
+        this.physics.setMotionEnabled(true);
+
+        // Held control inputs (same shape useAircraftPhysics passes to update())
+        this.controls = {
+            throttle: start.throttle ?? this.physics.controls.throttle,
+            throttles: null,
+            pitch: 0,
+            roll: 0,
+            yaw: 0,
+            trim: this.physics.controls.trim, // Takeoff trim for the loadsheet CG
+            flaps: this.physics.controls.flaps,
+            gear: this.physics.controls.gear > 0.5
+        };
+    }
+
+    applyAutopilot(config) {
+        this.physics.setAutopilot(config.engaged, config.targets ? { ...config.targets } : undefined);
+        if (config.navFrequency) {
+            this.physics.autopilot.setNavFrequency(config.navFrequency);
+        }
+        if (typeof config.vnav === 'boolean') {
+            this.physics.setVnav(config.vnav);
+        }
+    }
+
+    /**
+     * Apply one timeline entry.
+     */
+    applyInput(entry) {
+        if (entry.controls) {
+            const { brakes, ...controls } = entry.controls;
+            this.controls = { ...this.controls, ...controls };
+            if (brakes !== undefined) this.physics.setAirBrakes(brakes);
+        }
+        if (entry.environment) {
+            this.physics.setEnvironment(entry.environment);
+        }
+        if (entry.flightPlan) {
+            this.physics.updateFlightPlan(entry.flightPlan);
+        }
+        if (entry.autopilot) {
+            this.applyAutopilot(entry.autopilot);
+        }
+        if (entry.failure) {
+            const failure = typeof entry.failure === 'string' ? { id: entry.failure } : entry.failure;
+            this.physics.failureSystem.triggerFailure(failure.id, { ...(failure.context || {}) });
+        }
+        if (entry.systemAction) {
+            const { system, action, value } = entry.systemAction;
+            this.physics.performSystemAction(system, action, value);
+        }
+
+        this.recordEvent('input', entry);
+    }
+
+    recordEvent(type, data) {
+        this.events.push({ time: round(this.time, 3), type, data });
+    }
+
+    /**
+     * Track failure stage transitions and warning changes between steps.
+     */
+    trackDiscreteChanges(state) {
+        this.physics.failureSystem.activeFailures.forEach((failure, id) => {
+            if (this.lastFailureStages.get(id) !== failure.currentStage) {
+                this.lastFailureStages.set(id, failure.currentStage);
+                this.recordEvent('failure', { id, stage: failure.currentStage, description: failure.getDescription() });
+            }
+        });
+
+        const warningIds = new Set((state.activeWarnings || []).map(w => w.id));
+        warningIds.forEach(id => {
+            if (!this.lastWarningIds.has(id)) this.recordEvent('warning', { id, active: true });
+        });
+        this.lastWarningIds.forEach(id => {
+            if (!warningIds.has(id)) this.recordEvent('warning', { id, active: false });
+        });
+        this.lastWarningIds = warningIds;
+    }
+
+    /**
+     * Flatten the output state into a single time-series row.
+     */
+    sample(state) {
+        const airspeeds = this.physics.calculateAirspeeds();
+        const row = {
+            time: round(this.time, 3),
+            latitude: round(state.position.latitude, 6),
+            longitude: round(state.position.longitude, 6),
+            altitude_ft: round(state.derived.altitude_ft, 1),
+            altitude_agl_ft: round(state.derived.altitude_agl_ft, 1),
+            ias_kts: round(airspeeds.indicatedAirspeed, 2),
+            tas_kts: round(airspeeds.trueAirspeed, 2),
+            groundspeed_kts: round(airspeeds.groundSpeed, 2),
+            vertical_speed_fpm: round(state.verticalSpeed, 1),
+            heading_deg: round(state.derived.heading, 2),
+            pitch_deg: round(state.orientation.theta * RAD_TO_DEG, 2),
+            roll_deg: round(state.orientation.phi * RAD_TO_DEG, 2),
+            alpha_deg: round((state.debugPhysics.alpha || 0) * RAD_TO_DEG, 2),
+            throttle: round(state.controls.throttle, 3),
+            elevator: round(state.controls.pitch, 4),
+            aileron: round(state.controls.roll, 4),
+            rudder: round(state.controls.yaw, 4),
+            trim: round(state.controls.trim, 4),
+            flaps: state.flaps,
+            gear: state.gear,
+            fuel_kg: round(state.fuel, 1),
+            on_ground: this.physics.onGround,
+            ap_engaged: !!state.autopilot.engaged,
+            ap_mode: state.autopilot.mode || '',
+            waypoint_index: this.physics.navService.currentWaypointIndex,
+            failures: Array.from(this.physics.failureSystem.activeFailures.values()).map(f => `${f.id}:${f.currentStage}`).join(';'),
+            warnings: (state.activeWarnings || []).map(w => w.id).join(';'),
+            crashed: state.hasCrashed
+        };
+
+        state.engineParams.n1.forEach((n1, i) => {
+            row[`n1_${i + 1}`] = round(n1, 2);
+        });
+
+        this.samples.push(row);
+        return row;
+    }
+
+    /**
+     * Evaluate scenario expectations against the sampled series.
+     * Each check uses the first sample at or after its time (or the last sample if no time).
+     */
+    evaluateExpectations() {
+        const checks = this.scenario.expect || [];
+        return checks.map(check => {
+            const row = check.time === undefined
+                ? this.samples[this.samples.length - 1]
+                : this.samples.find(s => s.time >= check.time) || this.samples[this.samples.length - 1];
+            const value = row ? row[check.field] : undefined;
+
+            let passed = value !== undefined;
+            if (passed && check.min !== undefined) passed = value >= check.min;
+            if (passed && check.max !== undefined) passed = value <= check.max;
+            if (passed && check.equals !== undefined) passed = value === check.equals;
+            if (passed && check.contains !== undefined) passed = String(value).includes(check.contains);
+
+            return { ...check, sampleTime: row ? row.time : null, value, passed };
+        });
+    }
+
+    /**
+     * Run the scenario to completion (or crash).
+     * @returns {Promise<Object>} { name, seed, dt, samples, events, checks, passed }
+     */
+    async run() {
+        await this.initialize();
+
+        const { dt, duration, sampleInterval } = this.scenario;
+        const totalSteps = Math.round(duration / dt);
+        const sampleEvery = Math.max(1, Math.round(sampleInterval / dt));
+        const timeline = [...(this.scenario.inputs || [])].sort((a, b) => (a.time || 0) - (b.time || 0));
+        let nextInput = 0;
+
+        const unsubscribe = eventBus.subscribe(eventBus.Types.FAILURE_OCCURRED, (payload) => {
+            this.recordEvent('failure_occurred', { type: payload.type, data: payload.data });
+        });
+
+        let state = this.physics.getOutputState();
+        try {
+            for (let step = 0; step <= totalSteps; step++) {
+                // Step counter avoids floating point drift in the timeline
+                this.time = step * dt;
+
+                while (nextInput < timeline.length && (timeline[nextInput].time || 0) <= this.time + 1e-9) {
+                    this.applyInput(timeline[nextInput]);
+                    nextInput++;
+                }
+
+                if (step % sampleEvery === 0) {
+                    this.sample(state);
+                }
+                if (step === totalSteps) break;
+
+                state = this.physics.update(this.controls, dt);
+                this.trackDiscreteChanges(state);
+
+                if (state.hasCrashed) {
+                    this.time = (step + 1) * dt;
+                    this.recordEvent('crash', { reason: state.crashWarning });
+                    this.sample(state);
+                    break;
+                }
+            }
+        } finally {
+            unsubscribe();
+        }
+
+        const checks = this.evaluateExpectations();
+        return {
+            name: this.scenario.name || 'unnamed',
+            seed: this.scenario.seed,
+            dt,
+            duration,
+            samples: this.samples,
+            events: this.events,
+            checks,
+            passed: checks.every(c => c.passed),
+            investigation: state.hasCrashed ? accidentInvestigationService.generateReport(this.physics) : null,
+            score: this.physics.scorer.getScore()
+        };
+    }
+}
+
+function offsetPosition(latitude, longitude, bearingDeg, distanceM) {
+    const R = 6371000;
+    const toRad = Math.PI / 180;
+    const bearing = bearingDeg * toRad;
+    return {
+        latitude: latitude + (distanceM * Math.cos(bearing)) / R * RAD_TO_DEG,
+        longitude: longitude + (distanceM * Math.sin(bearing)) / (R * Math.cos(latitude * toRad)) * RAD_TO_DEG
+    };
+}
+
+function round(value, decimals) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return value;
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Convert sampled rows to CSV (columns from the union of row keys, in first-seen order).
+ */
+export function samplesToCsv(samples) {
+    const columns = [];
+    samples.forEach(row => {
+        Object.keys(row).forEach(key => {
+            if (!columns.includes(key)) columns.push(key);
+        });
+    });
+
+    const escape = (value) => {
+        if (value === undefined || value === null) return '';
+        const str = String(value);
+        return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+
+    const lines = [columns.join(',')];
+    samples.forEach(row => {
+        lines.push(columns.map(col => escape(row[col])).join(','));
+    });
+    return lines.join('\n') + '\n';
+}
+
+export default HeadlessSimulationService;
@@ -0,0 +1,287 @@
+/**
+ * Icing Service
+ *
+ * Ice accretion on the airframe, the engine inlets and the air data probes. Supercooled water
+ * freezes on a surface at a rate proportional to the liquid water content of the air (LWC), the
+ * true airspeed and the share of the droplets still liquid below freezing:
+ *   rate (mm/s) = E * LWC * TAS * f(TAT) / rho_ice
+ * E is the collection efficiency of the surface. f is zero at and above 0°C total air
+ * temperature (kinetic heating keeps a fast aircraft ice-free in slightly colder air), peaks
+ * between -5 and -20°C and falls to zero at -40°C where clouds are all ice crystals.
+ *
+ * Visible moisture comes from the reported cloud layers, storm cells (LWC from reflectivity,
+ * LWC = 3.44e-3 * Z^(4/7)), precipitation and fog. The icing failure forces an encounter.
+ *
+ * Wing ice lowers the stall angle of attack and the lift slope and adds drag; inlet ice costs
+ * thrust, causes fan vibration and is shed into the core when it builds up; probe ice blocks
+ * the pitot-static probes. The anti-ice systems remove the ice at the cost of bleed air and
+ * fuel (wing and engine) or electrical load (probe heat).
+ */
+
+const ICE_DENSITY = 900000; // g/m³
+const CP_AIR = 1005; // J/(kg K)
+
+// Liquid water content (g/m³)
+const LWC_STRATIFORM = 0.3;
+const LWC_CONVECTIVE = 0.8; // CB and TCU layers
+const LWC_FOG = 0.1;
+const LWC_PER_MM_PRECIP = 0.05; // Freezing rain and drizzle below the clouds
+const LAYER_DEPTH_FT = 3000;
+const CONVECTIVE_DEPTH_FT = 25000;
+const FOG_VISIBILITY_M = 1000;
+const FOG_TOP_FT = 500;
+const COVER_FRACTION = { FEW: 0.25, SCT: 0.5, BKN: 0.75, OVC: 1, VV: 1 };
+
+// Collection efficiency
+const WING_COLLECTION = 0.5;
+const INLET_COLLECTION = 0.8;
+const PROBE_COLLECTION = 1.0;
+
+// Limits (mm of ice)
+const MAX_WING_ICE = 50;
+const MAX_INLET_ICE = 15;
+const SHED_INLET_ICE = 6; // Inlet ice breaks off into the core beyond this at high power,
+const SHED_HIGH_N2 = 90; // and holds on up to MAX_INLET_ICE at low fan speeds
+const SHED_LOW_N2 = 50;
+const PROBE_BLOCKED = 1;
+const WING_ICE_SCALE = 8; // Effects saturate with thickness: 1 - exp(-ice / scale)
+const DETECTION_RATE = 0.001; // mm/s of accretion before the ice detector trips
+
+// Effects of a fully iced wing
+const MAX_STALL_ALPHA_LOSS = 0.07; // rad
+const MAX_LIFT_SLOPE_LOSS = 0.1;
+const MAX_DRAG_INCREASE = 0.02;
+
+// Inlet ice
+const MAX_INLET_THRUST_LOSS = 0.15;
+const INLET_VIBRATION = 0.4; // Vibration units per mm
+const SHED_SURGE_S = 3;
+const SHED_THRUST_LOSS = 0.3;
+const SHED_DAMAGE_ICE = 8; // Shedding more than this may damage the core
+const SHED_DAMAGE_CHANCE = 0.5; // Chance of damage when a full inlet sheds, scaled from SHED_DAMAGE_ICE
+
+// Removal (mm/s)
+const WING_ANTI_ICE_RATE = 0.5; // At full duct pressure
+const ENGINE_ANTI_ICE_RATE = 1.0;
+const PROBE_HEAT_RATE = 0.2;
+const MELT_RATE_PER_DEG = 0.02; // Above freezing
+const SUBLIMATION_RATE = 0.001; // Dry air below freezing
+
+// Anti-ice supply
+const WING_ANTI_ICE_FULL_PSI = 15; // Less duct pressure heats the leading edges less
+const ENGINE_ANTI_ICE_MIN_N2 = 20;
+const PROBE_HEAT_MIN_VOLTS = 100;
+
+// Cost of the bleed extraction
+const WING_ANTI_ICE_THRUST = 0.02;
+const WING_ANTI_ICE_FUEL = 0.03;
+const ENGINE_ANTI_ICE_THRUST = 0.01;
+const ENGINE_ANTI_ICE_FUEL = 0.015;
+
+/**
+ * Share of the droplets that are supercooled and freeze on impact, by total air temperature (°C).
+ */
+const freezingFraction = (tat) => {
+    if (tat >= 0) return 0;
+    if (tat > -5) return -tat / 5;
+    if (tat > -20) return 1;
+    return Math.max(0, (tat + 40) / 20);
+};
+
+class IcingService {
+    constructor() {
+        this.clouds = []; // { base, top (ft AGL), lwc }
+        this.precipitation = 0; // mm/h
+        this.fog = false;
+        this.reset(0);
+    }
+
+    reset(engineCount = this.inlets?.length || 0) {
+        this.wing = 0; // mm
+        this.probe = 0;
+        this.inlets = Array.from({ length: engineCount }, () => 0);
+        this.surges = Array.from({ length: engineCount }, () => 0); // s left of a shedding surge
+        this.forcedLWC = 0;
+        this.lwc = 0;
+        this.tat = null;
+        this.rate = 0; // Wing accretion, mm/s
+        this.detected = false;
+    }
+
+    /**
+     * Visible moisture from the weather (setEnvironment data): cloud layers
+     * [{ cover, base (ft AGL), type }] - or one layer from cloudCover and ceiling -
+     * precipitation (mm/h) and visibility (m).
+     */
+    setWeather(envData = {}) {
+        let clouds = envData.clouds;
+        if (!clouds) {
+            const cover = envData.cloudCover || 0;
+            const layer = cover <= 0 ? null : cover <= 25 ? 'FEW' : cover <= 50 ? 'SCT' : cover <= 87 ? 'BKN' : 'OVC';
+            clouds = layer ? [{ cover: layer, base: envData.ceiling || 3000, type: envData.type === 'storm' ? 'CB' : null }] : [];
+        }
+
+        this.clouds = clouds
+            .filter(c => c.base !== null && COVER_FRACTION[c.cover])
+            .map(c => {
+                const convective = c.type === 'CB' || c.type === 'TCU';
+                return {
+                    base: c.base,
+                    top: c.base + (convective ? CONVECTIVE_DEPTH_FT : LAYER_DEPTH_FT),
+                    lwc: (convective ? LWC_CONVECTIVE : LWC_STRATIFORM) * COVER_FRACTION[c.cover]
+                };
+            });
+        this.precipitation = envData.precipitation || 0;
+        this.fog = envData.visibility !== undefined && envData.visibility < FOG_VISIBILITY_M;
+    }
+
+    /**
+     * Force an icing encounter for the current frame (icing failure). The water is taken as
+     * supercooled whatever the air temperature.
+     * @param {number} lwc - g/m³
+     */
+    forceEncounter(lwc) {
+        this.forcedLWC = Math.max(this.forcedLWC, lwc);
+    }
+
+    /**
+     * Liquid water content (g/m³) at a height above the field, inside a storm cell of the given
+     * reflectivity (dBZ, 0 outside).
+     */
+    waterContentAt(heightFt, dbz = 0) {
+        let lwc = 0;
+        this.clouds.forEach(layer => {
+            if (heightFt >= layer.base && heightFt <= layer.top) lwc = Math.max(lwc, layer.lwc);
+        });
+        if (dbz > 0) lwc = Math.max(lwc, 3.44e-3 * Math.pow(Math.pow(10, dbz / 10), 4 / 7));
+        if (this.fog && heightFt < FOG_TOP_FT) lwc = Math.max(lwc, LWC_FOG);
+        const lowestBase = this.clouds.reduce((min, layer) => Math.min(min, layer.base), Infinity);
+        if (this.precipitation > 0 && heightFt < lowestBase) lwc = Math.max(lwc, LWC_PER_MM_PRECIP * Math.min(this.precipitation, 10));
+        return lwc;
+    }
+
+    /**
+     * Advance accretion and removal by dt seconds.
+     * @param {Object} ctx - { oat (°C), tas (m/s), heightFt (above the field), dbz, ice (systems.ice),
+     *   ductPressure (psi, lower manifold), engineN2 [], acVolts, random }
+     * @returns {Array<{ engine, ice, damaged }>} inlet ice shed into the engines this step
+     */
+    update(dt, ctx) {
+        const engineCount = ctx.engineN2.length;
+        if (this.inlets.length !== engineCount) this.reset(engineCount);
+        const ice = ctx.ice || {};
+        const tas = Math.max(0, ctx.tas);
+
+        this.tat = ctx.oat + tas * tas / (2 * CP_AIR);
+        const forced = this.forcedLWC;
+        this.forcedLWC = 0;
+        this.lwc = Math.max(this.waterContentAt(ctx.heightFt, ctx.dbz), forced);
+        const freezing = forced > 0 ? 1 : freezingFraction(this.tat);
+
+        // mm/s on a surface of collection efficiency 1
+        const catchRate = this.lwc * tas * freezing / ICE_DENSITY * 1000;
+        const removal = this.tat > 0 ? this.tat * MELT_RATE_PER_DEG : (catchRate > 0 ? 0 : SUBLIMATION_RATE);
+
+        // Wing
+        const wingHeat = ice.wingAntiIce ? WING_ANTI_ICE_RATE * Math.min(1, Math.max(0, ctx.ductPressure) / WING_ANTI_ICE_FULL_PSI) : 0;
+        this.rate = catchRate * WING_COLLECTION;
+        this.detected = this.rate > DETECTION_RATE;
+        this.wing = Math.min(MAX_WING_ICE, Math.max(0, this.wing + (this.rate - Math.max(removal, wingHeat)) * dt));
+
+        // Probes
+        const probeHeat = ice.probeHeat && ctx.acVolts > PROBE_HEAT_MIN_VOLTS;
+        if (probeHeat) {
+            this.probe = Math.max(0, this.probe - PROBE_HEAT_RATE * dt);
+        } else {
+            this.probe = Math.min(PROBE_BLOCKED * 2, Math.max(0, this.probe + (catchRate * PROBE_COLLECTION - removal) * dt));
+        }
+
+        // Engine inlets; ice that builds up unheated breaks off into the core, in large pieces
+        // when the engine is spun up after a long time at low power
+        const shed = [];
+        for (let i = 0; i < engineCount; i++) {
+            this.surges[i] = Math.max(0, this.surges[i] - dt);
+            const running = ctx.engineN2[i] > ENGINE_ANTI_ICE_MIN_N2;
+            if (ice[`eng${i + 1}AntiIce`] && running) {
+                this.inlets[i] = Math.max(0, this.inlets[i] - ENGINE_ANTI_ICE_RATE * dt);
+                continue;
+            }
+            this.inlets[i] = Math.min(MAX_INLET_ICE, Math.max(0, this.inlets[i] + (catchRate * INLET_COLLECTION - removal) * dt));
+
+            const lowPower = Math.min(1, Math.max(0, (SHED_HIGH_N2 - ctx.engineN2[i]) / (SHED_HIGH_N2 - SHED_LOW_N2)));
+            const limit = SHED_INLET_ICE + (MAX_INLET_ICE - SHED_INLET_ICE) * lowPower;
+            if (running && this.inlets[i] >= limit) {
+                const damageChance = SHED_DAMAGE_CHANCE * Math.max(0, (this.inlets[i] - SHED_DAMAGE_ICE) / (MAX_INLET_ICE - SHED_DAMAGE_ICE));
+                shed.push({ engine: i, ice: this.inlets[i], damaged: ctx.random() < damageChance });
+                this.inlets[i] = 0;
+                this.surges[i] = SHED_SURGE_S;
+            }
+        }
+        return shed;
+    }
+
+    /**
+     * Aerodynamic penalties of the wing ice for calculateAerodynamicCoefficients.
+     * @returns {{ stallAlphaLoss (rad), liftSlopeFactor, dragIncrease }}
+     */
+    getAeroEffects() {
+        const severity = 1 - Math.exp(-this.wing / WING_ICE_SCALE);
+        return {
+            stallAlphaLoss: MAX_STALL_ALPHA_LOSS * severity,
+            liftSlopeFactor: 1 - MAX_LIFT_SLOPE_LOSS * severity,
+            dragIncrease: MAX_DRAG_INCREASE * severity
+        };
+    }
+
+    /**
+     * Inlet ice and anti-ice bleed for one engine.
+     * @returns {{ thrustFactor, fuelFactor, vibration }}
+     */
+    getEngineEffects(index, ice = {}) {
+        const inlet = this.inlets[index] || 0;
+        const surge = (this.surges[index] || 0) / SHED_SURGE_S;
+        let thrustFactor = (1 - MAX_INLET_THRUST_LOSS * inlet / MAX_INLET_ICE) * (1 - SHED_THRUST_LOSS * surge);
+        let fuelFactor = 1;
+        if (ice.wingAntiIce) {
+            thrustFactor *= 1 - WING_ANTI_ICE_THRUST;
+            fuelFactor += WING_ANTI_ICE_FUEL;
+        }
+        if (ice[`eng${index + 1}AntiIce`]) {
+            thrustFactor *= 1 - ENGINE_ANTI_ICE_THRUST;
+            fuelFactor += ENGINE_ANTI_ICE_FUEL;
+        }
+        return { thrustFactor, fuelFactor, vibration: inlet * INLET_VIBRATION + 4 * surge };
+    }
+
+    isProbeBlocked() {
+        return this.probe >= PROBE_BLOCKED;
+    }
+
+    /**
+     * Icing state for the UI, warnings and saves.
+     */
+    getState() {
+        return {
+            wing: this.wing,
+            probe: this.probe,
+            inlets: [...this.inlets],
+            rate: this.rate,
+            lwc: this.lwc,
+            tat: this.tat,
+            detected: this.detected,
+            stallAlphaLoss: this.getAeroEffects().stallAlphaLoss
+        };
+    }
+
+    loadState(state) {
+        if (!state) return;
+        this.wing = state.wing || 0;
+        this.probe = state.probe || 0;
+        if (Array.isArray(state.inlets)) {
+            this.inlets = [...state.inlets];
+            this.surges = this.inlets.map(() => 0);
+        }
+    }
+}
+
+export default IcingService;
@@ -1,17 +1,35 @@
 
 import { airportService } from './airportService';
 import { regionControlService } from './RegionControlService';
+import { calculateBearing, calculateDistanceMeters, destinationPoint } from '../utils/flightMath.js';
 
 // Flight Stages
 export const NPC_STAGE = {
+  HOLDING_SHORT: 'HOLDING_SHORT',
+  TAKEOFF: 'TAKEOFF', // Take-off roll, runway occupied
   CRUISE: 'CRUISE',
   DESCENT: 'DESCENT',
   APPROACH: 'APPROACH',
   CLIMB: 'CLIMB',
   VECTOR: 'VECTOR',
-  LANDED: 'LANDED'
+  GO_AROUND: 'GO_AROUND',
+  LANDING: 'LANDING', // Landing roll, runway occupied
+  LANDED: 'LANDED' // Vacated the runway (despawned by the service)
 };
 
+// Vertical speed (fpm) flown when responding to a TCAS RA
+const RA_VERTICAL_SPEED = 1500;
+
+const METERS_PER_NM = 1852;
+const WAYPOINT_CAPTURE_NM = 1.5;
+const THRESHOLD_CAPTURE_NM = 0.3;
+const GLIDESLOPE_FT_PER_NM = 318; // 3 degree path
+const FINAL_APPROACH_SPEED = 140; // kts
+const ROTATE_SPEED = 150; // kts
+const TAKEOFF_ACCELERATION = 4; // kts/s
+const ROLLOUT_DECELERATION = 3; // kts/s
+const VACATE_SPEED = 20; // kts, turns off the runway
+
 export class NPCFlightModel {
   constructor(id, callsign, initialPos, targetAirport) {
     this.id = id;
@@ -20,19 +38,28 @@ export class NPCFlightModel {
     // Position
     this.latitude = initialPos.latitude;
     this.longitude = initialPos.longitude;
-    this.altitude = initialPos.altitude || 30000; // ft
+    this.altitude = initialPos.altitude ?? 30000; // ft MSL
     this.heading = initialPos.heading || 0; // degrees
     
     // Physics State
-    this.speed = initialPos.speed || 450; // TAS knots
+    this.speed = initialPos.speed ?? 450; // TAS knots
     this.verticalSpeed = 0; // fpm
     this.targetAltitude = this.altitude;
     this.targetHeading = this.heading;
     this.targetSpeed = this.speed;
+    this.resolutionAdvisory = null; // 'CLIMB' | 'DESCEND' while following a coordinated TCAS RA
     
     // Navigation
     this.destination = targetAirport; // Code or object
     this.stage = initialPos.stage || NPC_STAGE.CRUISE;
+    this.onGround = this.stage === NPC_STAGE.HOLDING_SHORT;
+    this.runway = initialPos.runway || null; // airportService.getRunwayGeometry() + airportCode
+    this.procedure = null; // SID / STAR name
+    this.route = []; // Procedure fixes { name, latitude, longitude, altitude, speed }
+    this.routeIndex = 0;
+    this.arrivalRoute = []; // STAR kept for re-joining after a go-around
+    this.onFinal = false;
+    this.clearance = null; // Last tower instruction: HOLD_SHORT | TAKEOFF | LAND | GO_AROUND | HOLD | RESUME
     
     // Communication
     this.lastCommTime = Date.now();
@@ -68,7 +95,33 @@ export class NPCFlightModel {
     }
   }
 
+  /**
+   * Fly a SID or STAR. Fix altitudes and speeds become the targets as each fix is sequenced.
+   */
+  setRoute(procedure, waypoints) {
+    this.procedure = procedure;
+    this.route = waypoints;
+    this.routeIndex = 0;
+    if (this.stage === NPC_STAGE.APPROACH) this.arrivalRoute = waypoints;
+  }
+
+  distanceTo(point) {
+    return calculateDistanceMeters(this.latitude, this.longitude, point.latitude, point.longitude) / METERS_PER_NM;
+  }
+
+  distanceToThreshold() {
+    return this.runway ? this.distanceTo(this.runway.thresholdStart) : Infinity;
+  }
+
   update(dt, atcManager) {
+    // Runway phases follow the centreline
+    if (this.onGround) {
+        this.updateGround(dt);
+        this.updateLogic(dt, atcManager);
+        return;
+    }
+    this.updateNavigation();
+
     // 1. Update Physics
     // Heading Interp (Turn rate 3 deg/sec)
     let diff = this.targetHeading - this.heading;
@@ -97,10 +150,14 @@ export class NPCFlightModel {
     if (this.stage === NPC_STAGE.APPROACH) {
         descentRate = 1000;
         // Check for "Landing" (despawn handled by service)
-        if (this.altitude < 100) this.stage = NPC_STAGE.LANDED;
+        if (!this.runway && this.altitude < 100) this.stage = NPC_STAGE.LANDED;
     }
 
-    if (Math.abs(altDiff) > 50) {
+    if (this.resolutionAdvisory) {
+        // Coordinated RA overrides the clearance until TCAS releases it
+        this.verticalSpeed = this.resolutionAdvisory === 'CLIMB' ? RA_VERTICAL_SPEED : -RA_VERTICAL_SPEED;
+        this.altitude += (this.verticalSpeed / 60) * dt;
+    } else if (Math.abs(altDiff) > 50) {
         if (altDiff > 0) {
             this.verticalSpeed = climbRate;
             this.altitude += (this.verticalSpeed / 60) * dt;
@@ -118,15 +175,152 @@ export class NPCFlightModel {
     this.speed += Math.sign(speedDiff) * Math.min(Math.abs(speedDiff), 5 * dt); // 5 kts/sec accel
 
     // Position Update
+    this.move(dt);
+    
+    // 2. Logic Update
+    this.updateLogic(dt, atcManager);
+  }
+
+  move(dt) {
     const distNm = this.speed * (dt / 3600);
     const distDeg = distNm / 60;
     const radHeading = this.heading * Math.PI / 180;
     
     this.latitude += distDeg * Math.cos(radHeading);
     this.longitude += distDeg * Math.sin(radHeading) / Math.cos(this.latitude * Math.PI / 180);
-    
-    // 2. Logic Update
-    this.updateLogic(dt, atcManager);
+  }
+
+  updateGround(dt) {
+    this.verticalSpeed = 0;
+    if (this.stage === NPC_STAGE.TAKEOFF) {
+        this.speed += TAKEOFF_ACCELERATION * dt;
+        if (this.speed >= ROTATE_SPEED) {
+            // Airborne: the SID takes over
+            this.onGround = false;
+            this.stage = NPC_STAGE.CLIMB;
+            this.clearance = null;
+        }
+    } else if (this.stage === NPC_STAGE.LANDING) {
+        this.speed = Math.max(VACATE_SPEED, this.speed - ROLLOUT_DECELERATION * dt);
+        if (this.speed <= VACATE_SPEED) this.stage = NPC_STAGE.LANDED;
+    }
+    // Holding short: stationary until cleared
+    if (this.stage !== NPC_STAGE.HOLDING_SHORT) this.move(dt);
+  }
+
+  // Steer along the active procedure, then down the final approach course
+  updateNavigation() {
+    if (this.clearance === 'HOLD') {
+        // Orbit at the present position; the turn rate limits this to a standard-rate circle
+        this.targetHeading = (this.heading + 90) % 360;
+        return;
+    }
+    const fix = this.route[this.routeIndex];
+    if (fix) {
+        if (this.distanceTo(fix) < WAYPOINT_CAPTURE_NM) {
+            this.routeIndex++;
+            return;
+        }
+        this.targetHeading = calculateBearing(this.latitude, this.longitude, fix.latitude, fix.longitude);
+        if (typeof fix.altitude === 'number') this.targetAltitude = fix.altitude;
+        if (fix.speed) this.targetSpeed = fix.speed;
+        return;
+    }
+    if (this.route.length === 0) return;
+
+    if (this.stage === NPC_STAGE.CLIMB) {
+        // SID complete: continue en route
+        this.route = [];
+        this.procedure = null;
+        this.decideNextAction();
+    } else if (this.stage === NPC_STAGE.GO_AROUND) {
+        // Back at the final approach fix for another attempt
+        this.stage = NPC_STAGE.APPROACH;
+        this.clearance = null;
+    } else if (this.stage === NPC_STAGE.APPROACH && this.runway) {
+        this.flyFinal();
+    }
+  }
+
+  flyFinal() {
+    const threshold = this.runway.thresholdStart;
+    const distance = this.distanceTo(threshold);
+    this.onFinal = true;
+    this.targetHeading = calculateBearing(this.latitude, this.longitude, threshold.latitude, threshold.longitude);
+    this.targetAltitude = (threshold.elevation || 0) + distance * GLIDESLOPE_FT_PER_NM;
+    this.targetSpeed = FINAL_APPROACH_SPEED;
+
+    if (distance < THRESHOLD_CAPTURE_NM) {
+        if (this.clearance === 'LAND') {
+            this.onGround = true;
+            this.onFinal = false;
+            this.stage = NPC_STAGE.LANDING;
+            this.altitude = threshold.elevation || 0;
+            this.targetAltitude = this.altitude;
+            this.heading = this.runway.heading;
+        } else {
+            // No landing clearance by the threshold: missed approach
+            this.goAround();
+            this.queueTransmission(`Tower, ${this.callsign} going around.`);
+        }
+    }
+  }
+
+  // Climb out on runway heading, then re-join the STAR at the feeder fix
+  goAround() {
+    const elevation = this.runway.thresholdStart.elevation || 0;
+    const end = this.runway.thresholdEnd;
+    const missed = destinationPoint(end.latitude, end.longitude, this.runway.heading, 5 * METERS_PER_NM);
+    this.stage = NPC_STAGE.GO_AROUND;
+    this.onFinal = false;
+    this.clearance = 'GO_AROUND';
+    this.route = [{ name: 'MISSED', ...missed, altitude: elevation + 3000, speed: 200 }, ...this.arrivalRoute.slice(-2)];
+    this.routeIndex = 0;
+  }
+
+  // Break off the arrival and orbit at the present altitude until released
+  hold() {
+    this.onFinal = false;
+    this.targetAltitude = Math.round(this.altitude / 100) * 100;
+  }
+
+  /**
+   * Apply a tower instruction from ATCLogic and read it back on frequency.
+   * HOLD and RESUME keep arrivals clear of a runway while an emergency aircraft lands.
+   * @param {Object} instruction - { type: 'HOLD_SHORT' | 'TAKEOFF' | 'LAND' | 'GO_AROUND' | 'HOLD' | 'RESUME', runway, text }
+   */
+  receiveInstruction(instruction) {
+    const { type, runway, text } = instruction;
+    let readback = '';
+    if (type === 'HOLD_SHORT') {
+        readback = `Holding short runway ${runway}, ${this.callsign}.`;
+    } else if (type === 'TAKEOFF') {
+        this.stage = NPC_STAGE.TAKEOFF;
+        readback = `Cleared for takeoff runway ${runway}${this.procedure ? `, ${this.procedure} departure` : ''}, ${this.callsign}.`;
+    } else if (type === 'LAND') {
+        readback = `Cleared to land runway ${runway}, ${this.callsign}.`;
+    } else if (type === 'GO_AROUND') {
+        this.goAround();
+        readback = `Going around, ${this.callsign}.`;
+    } else if (type === 'HOLD') {
+        this.hold();
+        readback = `Holding at present position, maintaining ${Math.round(this.targetAltitude)}, ${this.callsign}.`;
+    } else if (type === 'RESUME') {
+        // The arrival route continues from where it was left
+        readback = `Resuming approach runway ${runway}, ${this.callsign}.`;
+    }
+    this.clearance = type;
+
+    this.conversationQueue = [
+        { sender: 'ATC', text, frequency: 'TOWER', duration: 3000 },
+        { sender: this.callsign, text: readback, frequency: 'TOWER', duration: 2000, delay: 1000 }
+    ];
+    this.conversationState = 'QUEUED';
+  }
+
+  queueTransmission(text) {
+    this.conversationQueue = [{ sender: this.callsign, text, frequency: 'TOWER', duration: 2000 }];
+    this.conversationState = 'QUEUED';
   }
 
   updateLogic(dt, atcManager) {
@@ -158,6 +352,10 @@ export class NPCFlightModel {
   }
 
   determineFreqInfo() {
+      const height = this.altitude - (this.runway?.thresholdStart.elevation || 0);
+      if (this.onGround || (this.runway && this.stage !== NPC_STAGE.CRUISE && height < 3000)) {
+          return { station: 'Tower', freq: 'TOWER' };
+      }
       if (this.altitude >= 5000) {
           const region = regionControlService.getRegionInfo(this.latitude, this.longitude);
           return { station: region.name, freq: parseFloat(region.frequency) };
@@ -177,14 +375,25 @@ export class NPCFlightModel {
     let readbackText = '';
     let hasReply = true;
 
+    // Runway traffic only talks to the tower when spoken to
+    if (this.onGround && this.stage !== NPC_STAGE.HOLDING_SHORT) {
+        this.finishConversation();
+        return;
+    }
+
     // Generate Contextual Messages
-    if (this.stage === NPC_STAGE.CLIMB) {
+    if (this.stage === NPC_STAGE.HOLDING_SHORT) {
+        reqText = `${station}, ${this.callsign} holding short runway ${this.runway.runwayName}, ready for departure.`;
+        hasReply = false; // Clearance comes from the tower sequencing
+    } else if (this.stage === NPC_STAGE.CLIMB) {
         const fl = Math.round(this.targetAltitude / 100);
         reqText = `${station}, ${this.callsign} climbing FL${fl}.`;
         replyText = `${this.callsign}, radar contact, climb and maintain FL${fl}.`;
         readbackText = `Climb maintain FL${fl}, ${this.callsign}.`;
     } else if (this.stage === NPC_STAGE.APPROACH) {
-        reqText = `${station}, ${this.callsign} with you, request approach.`;
+        reqText = this.procedure
+            ? `${station}, ${this.callsign} with you on the ${this.procedure} arrival, request approach.`
+            : `${station}, ${this.callsign} with you, request approach.`;
         replyText = `${this.callsign}, expect vectors for visual approach.`;
         readbackText = `Expect vectors, ${this.callsign}.`;
     } else if (Math.abs(this.verticalSpeed) > 100) {
@@ -270,6 +479,15 @@ export class NPCFlightModel {
       this.nextCommDelay = 30000 + Math.random() * 60000;
   }
   
+  setResolutionAdvisory(sense) {
+    this.resolutionAdvisory = sense;
+  }
+
+  // Return to the cleared altitude
+  clearResolutionAdvisory() {
+    this.resolutionAdvisory = null;
+  }
+  
   popMessage() {
     const msg = this.pendingMessage;
     this.pendingMessage = null;
@@ -2,6 +2,7 @@
 import { NPCFlightModel, NPC_STAGE } from './NPCFlightModel';
 import airlineData from '../data/airlinesDatabase.json';
 import { airportService } from './airportService';
+import { getRunways, generateSIDWaypoints, generateSTARWaypoints } from '../utils/routeGenerator';
 
 class NPCManagerService {
   constructor() {
@@ -12,6 +13,25 @@ class NPCManagerService {
     this.despawnRadius = 320; // nm
     this.maxNPCs = 5; // Reduced from 15 to prevent ATC spam
     this.minNPCs = 1;
+    this.activeRunways = new Map(); // airport code -> runway in use
+  }
+
+  /**
+   * Runway departures and arrivals use at an airport. The player's runways are registered
+   * so AI traffic shares them.
+   */
+  setActiveRunway(airportCode, runwayName) {
+    if (airportCode && runwayName) this.activeRunways.set(airportCode, runwayName);
+  }
+
+  getActiveRunway(airport) {
+    const code = airport.iata || airport.icao;
+    if (!this.activeRunways.has(code)) {
+      const runways = getRunways(airport);
+      this.activeRunways.set(code, runways[Math.floor(Math.random() * runways.length)]);
+    }
+    const geometry = airportService.getRunwayGeometry(code, this.activeRunways.get(code));
+    return geometry ? { ...geometry, airportCode: code } : null;
   }
 
   // Calculate distance in NM
@@ -54,22 +74,24 @@ class NPCManagerService {
     return `${airline.callsign} ${number}`;
   }
 
-  update(dt, playerPos) {
+  update(dt, playerPos, atcManager) {
     if (!playerPos || !playerPos.latitude) return [];
 
     const messages = [];
 
-    // 1. Update existing NPCs
+    // 1. Tower clearances, then move NPCs
+    if (atcManager) atcManager.updateTraffic(dt, this.npcs);
     this.npcs.forEach(npc => {
-      npc.update(dt);
+      npc.update(dt, atcManager);
       
       // Check for messages
       const msg = npc.popMessage();
       if (msg) messages.push(msg);
     });
 
-    // 2. Despawn logic
+    // 2. Despawn logic (landed traffic has vacated the runway)
     this.npcs = this.npcs.filter(npc => {
+      if (npc.stage === NPC_STAGE.LANDED) return false;
       const dist = this.calculateDistance(
         { latitude: npc.latitude, longitude: npc.longitude },
         playerPos
@@ -102,81 +124,56 @@ class NPCManagerService {
     const roll = Math.random();
     let pos = null;
     let targetAirport = null;
+    let procedure = null;
     const callsign = this.generateCallsign();
 
-    // 40% Cruise, 30% Climb (Takeoff), 30% Approach
+    // 40% Cruise, 30% Departure, 30% Arrival
     if (roll < 0.4) {
       // Cruise
       pos = this.generateRandomPos(centerPos, this.spawnRadius);
       pos.stage = NPC_STAGE.CRUISE;
     } else {
-      // Try to find airport for Takeoff/Landing
-      // Search slightly larger radius to find suitable airports
+      // Departures and arrivals use the runway in use, including the player's airports
       const airports = airportService.getAirportsWithinRadius(centerPos.latitude, centerPos.longitude, this.spawnRadius);
-      
-      // Filter out airports too close to player (likely user's current airport)
-      // Assume user is on runway if < 3nm
-      const validAirports = airports.filter(ap => {
-        const dist = this.calculateDistance(centerPos, {latitude: ap.latitude, longitude: ap.longitude});
-        return dist > 5; // Keep airports > 5nm away to avoid user's runway
-      });
-
-      if (validAirports.length === 0) {
-        // Fallback to Cruise if no other airports nearby
+      const airport = airports.length > 0 ? airports[Math.floor(Math.random() * airports.length)] : null;
+      const runway = airport ? this.getActiveRunway(airport) : null;
+
+      if (!runway) {
+        // Fallback to Cruise if no airports nearby
         pos = this.generateRandomPos(centerPos, this.spawnRadius);
         pos.stage = NPC_STAGE.CRUISE;
+      } else if (roll < 0.7) {
+        // Departure: holding short, waiting for takeoff clearance
+        targetAirport = runway.airportCode;
+        procedure = generateSIDWaypoints(runway, Math.random() * 360);
+        pos = {
+          latitude: runway.thresholdStart.latitude,
+          longitude: runway.thresholdStart.longitude,
+          altitude: runway.thresholdStart.elevation || 0,
+          heading: runway.heading,
+          speed: 0,
+          stage: NPC_STAGE.HOLDING_SHORT,
+          runway
+        };
       } else {
-        // Pick random airport
-        const airport = validAirports[Math.floor(Math.random() * validAirports.length)];
-        targetAirport = airport.iata;
-
-        if (roll < 0.7) {
-          // CLIMB (Takeoff)
-          // Spawn just after takeoff, climbing out
-          const heading = Math.random() * 360; // Random heading (simulating random runway)
-          // 1-2nm out
-          const distOut = 1 + Math.random(); 
-          const dDeg = distOut / 60;
-
-          pos = {
-            latitude: airport.latitude + dDeg * Math.cos(heading * Math.PI / 180),
-            longitude: airport.longitude + dDeg * Math.sin(heading * Math.PI / 180),
-            altitude: 500 + Math.random() * 1000, // 500-1500ft AGL
-            heading: heading,
-            speed: 160 + Math.random() * 40,
-            stage: NPC_STAGE.CLIMB
-          };
-
-        } else {
-          // APPROACH
-          // Spawn on approach vector
-          const distOut = 10 + Math.random() * 10; // 10-20nm out
-          const approachAngle = Math.random() * 2 * Math.PI;
-          const dDeg = distOut / 60;
-          
-          // Position relative to airport
-          const lat = airport.latitude + dDeg * Math.cos(approachAngle);
-          const lon = airport.longitude + dDeg * Math.sin(approachAngle);
-          
-          // Heading pointing towards airport
-          // atan2(dy, dx) gives angle from pos to airport
-          const dy = airport.latitude - lat;
-          const dx = (airport.longitude - lon) * Math.cos(lat * Math.PI / 180); // Adjust for longitude
-          const bearing = Math.atan2(dx, dy) * 180 / Math.PI; // Simple bearing calculation
-          
-          pos = {
-            latitude: lat,
-            longitude: lon,
-            altitude: 3000 + Math.random() * 2000, // 3000-5000ft
-            heading: (bearing + 360) % 360,
-            speed: 200 + Math.random() * 30,
-            stage: NPC_STAGE.APPROACH
-          };
-        }
+        // Arrival: starts at the STAR entry fix
+        targetAirport = runway.airportCode;
+        procedure = generateSTARWaypoints(runway, Math.random() * 360);
+        const entry = procedure.waypoints[0];
+        pos = {
+          latitude: entry.latitude,
+          longitude: entry.longitude,
+          altitude: entry.altitude,
+          heading: (Math.atan2(runway.airportLon - entry.longitude, runway.airportLat - entry.latitude) * 180 / Math.PI + 360) % 360,
+          speed: entry.speed,
+          stage: NPC_STAGE.APPROACH,
+          runway
+        };
       }
     }
 
     const npc = new NPCFlightModel(this.nextId++, callsign, pos, targetAirport);
+    if (procedure) npc.setRoute(procedure.name, procedure.waypoints);
     this.npcs.push(npc);
     // console.log(`Spawned NPC ${callsign} (${pos.stage}) at ${pos.latitude.toFixed(2)}, ${pos.longitude.toFixed(2)}`);
   }
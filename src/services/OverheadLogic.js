@@ -182,6 +182,7 @@ class OverheadLogic {
      */
     updateElectrical(systems, context, dt) {
         const elec = systems.electrical;
+        const random = context.random || Math.random; // Seeded in headless runs
         
         // --- Sources ---
         // Battery
@@ -230,7 +231,7 @@ class OverheadLogic {
             } else {
                 elec.batteryCharge = Math.min(100, (elec.batteryCharge || 100) + (0.1 * dt));
             }
-            elec.dcVolts = (elec.batteryCharge / 100) * 24 + (Math.random() * 0.5); // Fluctuation
+            elec.dcVolts = (elec.batteryCharge / 100) * 24 + (random() * 0.5); // Fluctuation
         } else {
             elec.dcVolts = 0;
         }
@@ -252,11 +253,11 @@ class OverheadLogic {
         // --- Outputs ---
         // AC Volts / Freq
         if (mainBusPowered) {
-            elec.acVolts = 115 + (Math.random() * 2 - 1);
-            elec.acFreq = 400 + (Math.random() * 4 - 2);
+            elec.acVolts = 115 + (random() * 2 - 1);
+            elec.acFreq = 400 + (random() * 4 - 2);
             
             // TR Units (AC -> DC)
-            elec.dcVolts = 28.0 + (Math.random() * 0.5);
+            elec.dcVolts = 28.0 + (random() * 0.5);
             elec.standbyPower = true;
         } else if (elec.battery && elec.stbyPower) {
             // Inverter logic
@@ -283,6 +284,10 @@ class OverheadLogic {
 
         if (systems.lighting.landing) load += 40;
         if (systems.pressurization.packL) load += 20;
+
+        // Probe and window heaters
+        if (systems.ice && systems.ice.probeHeat) load += 10;
+        if (systems.ice && systems.ice.windowHeat) load += 20;
         
         elec.acAmps = mainBusPowered ? load : 0;
     }
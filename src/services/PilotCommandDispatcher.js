@@ -0,0 +1,234 @@
+/**
+ * Pilot Command Dispatcher
+ *
+ * Executes commands parsed by CommandParser against the aircraft. Handlers receive the parsed
+ * params and a context of aircraft controls:
+ *   { physicsService, setThrust(engineIndex, value), setFlaps, setGear, setAirBrakes, performSystemAction }
+ * and return { status: 'executed' | 'acknowledged' | 'rejected', key, params } where `key` is an
+ * i18n key under ui.console.results. Commands without a simulated system (crew, cabin, most ATC
+ * requests) are acknowledged and left to listeners of the 'command.input' event.
+ */
+
+const COMMANDED_VS_FPM = 1500;
+const MCT_THROTTLE = 0.9;
+
+// Label fallbacks for profiles without labels (see ControlSurfacePanel)
+const DEFAULT_FLAP_LABELS = ['UP', 'TO', 'LDG'];
+const DEFAULT_AIRBRAKE_LABELS = ['RET', 'ARM', 'FLT', 'GND'];
+
+const executed = (key, params) => ({ status: 'executed', key: `ui.console.results.${key}`, params });
+const rejected = (key, params) => ({ status: 'rejected', key: `ui.console.results.${key}`, params });
+const acknowledged = () => ({ status: 'acknowledged', key: 'ui.console.results.acknowledged' });
+
+const currentAltitude = (physicsService) => -physicsService.state.pos.z * 3.28084;
+
+const currentHeading = (physicsService) => {
+    const psi = physicsService.state.quat.toEuler().psi;
+    return Math.round((psi * 180 / Math.PI + 360) % 360);
+};
+
+/**
+ * Resolve a detent label ("UP", "5", "FLT") or index against a profile's positions.
+ * Labels win over indices so "SET FLAPS 5" means flaps 5, not the sixth detent.
+ * @returns {{index: number, label: string}|null}
+ */
+const resolvePosition = (positions, fallbackLabels, token) => {
+    const labels = positions?.length
+        ? positions.map((position, i) => String(position.label ?? fallbackLabels[i] ?? i).toUpperCase())
+        : fallbackLabels;
+    const byLabel = labels.indexOf(token);
+    if (byLabel >= 0) return { index: byLabel, label: labels[byLabel] };
+
+    const index = Number(token);
+    if (Number.isInteger(index) && index >= 0 && index < labels.length) return { index, label: labels[index] };
+    return null;
+};
+
+const setAllThrust = (ctx, value) => {
+    const engineCount = ctx.physicsService.engines?.length || 2;
+    for (let i = 0; i < engineCount; i++) ctx.setThrust(i, value);
+};
+
+const setAllEngineAntiIce = (ctx, value) => {
+    const engineCount = ctx.physicsService.engines?.length || 2;
+    for (let i = 1; i <= engineCount; i++) ctx.performSystemAction('ice', `eng${i}AntiIce`, value);
+};
+
+const setTargets = (ctx, targets) => ctx.physicsService.updateAutopilotTargets(targets);
+
+const engineExists = (ctx, engineNo) => Boolean(ctx.physicsService.systems.engines?.[`eng${engineNo}`]);
+
+const changeAltitude = (direction) => ({ altitude_ft: altitude }, ctx) => {
+    const climbing = altitude > currentAltitude(ctx.physicsService);
+    if (direction === 'climb' && !climbing) return rejected('not_above', { altitude });
+    if (direction === 'descend' && climbing) return rejected('not_below', { altitude });
+    setTargets(ctx, { altitude, vs: climbing ? COMMANDED_VS_FPM : -COMMANDED_VS_FPM });
+    return executed(climbing ? 'climbing' : 'descending', { altitude });
+};
+
+const HANDLERS = {
+    // Autopilot
+    'ap-on': (params, ctx) => {
+        ctx.physicsService.setAutopilot(true);
+        return executed('autopilot_on');
+    },
+    'ap-off': (params, ctx) => {
+        ctx.physicsService.setAutopilot(false);
+        return executed('autopilot_off');
+    },
+    'ap-nav-on': (params, ctx) => {
+        ctx.physicsService.setAutopilotMode('LNAV');
+        return executed('mode', { mode: 'LNAV' });
+    },
+    'ap-nav-off': (params, ctx) => {
+        ctx.physicsService.setAutopilotMode('HDG');
+        return executed('mode', { mode: 'HDG' });
+    },
+    'ap-approach-arm': (params, ctx) => {
+        ctx.physicsService.setAutopilotMode('ILS');
+        return executed('mode', { mode: 'ILS' });
+    },
+    'set-altitude': ({ altitude_ft: altitude }, ctx) => {
+        setTargets(ctx, { altitude });
+        return executed('altitude', { altitude });
+    },
+    'set-speed': ({ ias_kts: speed }, ctx) => {
+        setTargets(ctx, { speed });
+        return executed('speed', { speed });
+    },
+    'set-heading': ({ heading_deg: heading }, ctx) => {
+        setTargets(ctx, { heading });
+        return executed('heading', { heading });
+    },
+    'climb-to': changeAltitude('climb'),
+    'descend-to': changeAltitude('descend'),
+    'level-change': changeAltitude('either'),
+    'hold-altitude': (params, ctx) => {
+        const altitude = Math.round(currentAltitude(ctx.physicsService) / 100) * 100;
+        setTargets(ctx, { altitude, vs: 0 });
+        return executed('altitude', { altitude });
+    },
+    'hold-heading': (params, ctx) => {
+        const heading = currentHeading(ctx.physicsService);
+        setTargets(ctx, { heading });
+        return executed('heading', { heading });
+    },
+
+    // Thrust
+    'thrust-toga': (params, ctx) => {
+        setAllThrust(ctx, 1);
+        return executed('thrust', { value: 'TOGA' });
+    },
+    'thrust-idle': (params, ctx) => {
+        setAllThrust(ctx, 0);
+        return executed('thrust', { value: 'IDLE' });
+    },
+    'thrust-mct': (params, ctx) => {
+        setAllThrust(ctx, MCT_THROTTLE);
+        return executed('thrust', { value: 'MCT' });
+    },
+    'set-manual-thrust': ({ percent }, ctx) => {
+        setAllThrust(ctx, percent / 100);
+        return executed('thrust', { value: `${percent}%` });
+    },
+
+    // Configuration
+    'flaps-set': ({ position }, ctx) => {
+        const positions = ctx.physicsService.aircraft?.flapProfile?.positions;
+        const resolved = resolvePosition(positions, DEFAULT_FLAP_LABELS, position);
+        if (!resolved) return rejected('invalid_position', { position });
+        ctx.setFlaps(resolved.index);
+        return executed('flaps', { position: resolved.label });
+    },
+    'gear-down': (params, ctx) => {
+        ctx.setGear(true);
+        return executed('gear_down');
+    },
+    'gear-up': (params, ctx) => {
+        ctx.setGear(false);
+        return executed('gear_up');
+    },
+    'spoilers-arm': (params, ctx) => HANDLERS['spoilers-set']({ position: 'ARM' }, ctx),
+    'spoilers-set': ({ position }, ctx) => {
+        const positions = ctx.physicsService.aircraft?.airbrakeProfile?.positions;
+        const resolved = resolvePosition(positions, DEFAULT_AIRBRAKE_LABELS, position);
+        if (!resolved) return rejected('invalid_position', { position });
+        ctx.setAirBrakes(resolved.index);
+        return executed('speedbrake', { position: resolved.label });
+    },
+
+    // Systems
+    'engine-shutdown': ({ engine_no: engine }, ctx) => {
+        if (!engineExists(ctx, engine)) return rejected('no_engine', { engine });
+        ctx.performSystemAction('engines', `eng${engine}_fuel`, false);
+        return executed('engine_shutdown', { engine });
+    },
+    'engine-relight': ({ engine_no: engine }, ctx) => {
+        if (!engineExists(ctx, engine)) return rejected('no_engine', { engine });
+        const engineSystem = ctx.physicsService.systems.engines[`eng${engine}`];
+        // The start switch only cycles OFF -> GRD -> CONT -> FLT
+        for (let i = 0; i < 4 && engineSystem.startSwitch !== 'FLT'; i++) {
+            ctx.performSystemAction('engines', `eng${engine}_start_toggle`);
+        }
+        ctx.performSystemAction('engines', `eng${engine}_fuel`, true);
+        return executed('engine_relight', { engine });
+    },
+    'apu-start': (params, ctx) => {
+        ctx.performSystemAction('apu', 'master', true);
+        ctx.performSystemAction('apu', 'start', true);
+        return executed('apu_start');
+    },
+    'apu-stop': (params, ctx) => {
+        ctx.performSystemAction('apu', 'master', false);
+        return executed('apu_stop');
+    },
+    'fuel-crossfeed-on': (params, ctx) => {
+        ctx.performSystemAction('fuel', 'crossfeed', true);
+        return executed('crossfeed_on');
+    },
+    'fuel-crossfeed-off': (params, ctx) => {
+        ctx.performSystemAction('fuel', 'crossfeed', false);
+        return executed('crossfeed_off');
+    },
+    'packs-on': (params, ctx) => {
+        ctx.performSystemAction('pressurization', 'packL', true);
+        ctx.performSystemAction('pressurization', 'packR', true);
+        return executed('packs_on');
+    },
+    'packs-off': (params, ctx) => {
+        ctx.performSystemAction('pressurization', 'packL', false);
+        ctx.performSystemAction('pressurization', 'packR', false);
+        return executed('packs_off');
+    },
+    'anti-ice-on': (params, ctx) => {
+        ctx.performSystemAction('ice', 'wingAntiIce', true);
+        setAllEngineAntiIce(ctx, true);
+        return executed('anti_ice_on');
+    },
+    'anti-ice-off': (params, ctx) => {
+        ctx.performSystemAction('ice', 'wingAntiIce', false);
+        setAllEngineAntiIce(ctx, false);
+        return executed('anti_ice_off');
+    },
+    'atc-squawk': ({ code }, ctx) => {
+        ctx.performSystemAction('transponder', 'code', parseInt(code, 10));
+        return executed('squawk', { code });
+    },
+    'atc-ident': (params, ctx) => {
+        ctx.performSystemAction('transponder', 'ident', true);
+        return executed('ident');
+    }
+};
+
+/**
+ * Execute a parsed command.
+ * @param {{command: Object, params: Object}} parsed - result of commandParser.parse()
+ * @param {Object} ctx - aircraft controls (see module comment)
+ * @returns {{status: string, key: string, params?: Object}}
+ */
+export function dispatchPilotCommand(parsed, ctx) {
+    const handler = HANDLERS[parsed.command.id];
+    if (!handler) return acknowledged();
+    if (!ctx.physicsService) return rejected('no_aircraft');
+    return handler(parsed.params, ctx);
+}
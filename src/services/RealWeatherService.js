@@ -5,6 +5,8 @@
  * No API key required.
  */
 
+import { encodeMETAR } from '../utils/metarParser.js';
+
 const BASE_URL = 'https://api.open-meteo.com/v1/forecast';
 
 class RealWeatherService {
@@ -71,6 +73,7 @@ class RealWeatherService {
         cloudCover: current.cloud_cover, // %
         precipitation: current.precipitation, // mm
         weatherCode: current.weather_code, // WMO code
+        type: this.weatherType(current.weather_code, current.cloud_cover), // clear/cloudy/rain/storm/fog/snow
         visibility: this.estimateVisibility(current.weather_code, current.cloud_cover), // meters
         turbulence: this.estimateTurbulence(current.wind_speed_10m, current.wind_gusts_10m, current.weather_code) // 0-1 scale
       };
@@ -94,6 +97,7 @@ class RealWeatherService {
         cloudCover: 0,
         precipitation: 0,
         weatherCode: 0,
+        type: 'clear',
         visibility: 10000,
         turbulence: 0
       };
@@ -125,6 +129,17 @@ class RealWeatherService {
     return 20000; // Clear
   }
 
+  /**
+   * Map a WMO weather code to the app's weather types (used for METAR present weather).
+   */
+  weatherType(code, cloudCover) {
+    if (code >= 95) return 'storm';
+    if ((code >= 71 && code <= 77) || code === 85 || code === 86) return 'snow';
+    if (code >= 51) return 'rain';
+    if (code >= 45 && code <= 48) return 'fog';
+    return cloudCover >= 75 ? 'cloudy' : 'clear';
+  }
+
   estimateTurbulence(windSpeed, windGust, code) {
     let turbulence = 0;
     
@@ -144,27 +159,14 @@ class RealWeatherService {
   }
 
   /**
-   * Generate ATIS string from weather data.
+   * Generate ATIS string from weather data. The weather part is a METAR body (see encodeMETAR).
    */
   generateATIS(icao, infoCode, weather) {
-    const time = new Date().toISOString().substring(11, 16).replace(':', '') + 'Z';
-    const wind = `${weather.windDirection.toString().padStart(3, '0')} AT ${Math.round(weather.windSpeed)} KNOTS`;
-    const vis = weather.visibility >= 10000 ? '10 KILOMETERS OR MORE' : `${Math.round(weather.visibility)} METERS`;
-    
-    // Sky Condition
-    let sky = 'SKY CLEAR';
-    if (weather.cloudCover > 80) sky = 'OVERCAST';
-    else if (weather.cloudCover > 50) sky = 'BROKEN';
-    else if (weather.cloudCover > 20) sky = 'SCATTERED';
-    
-    // Temp / Dewpoint (Dewpoint estimated)
-    const temp = Math.round(weather.temperature);
-    const dewpoint = Math.round(weather.temperature - ((100 - weather.humidity) / 5));
-    const t_dp = `${temp}/${dewpoint}`;
-    
-    const qnh = `QNH ${Math.round(weather.pressure)}`;
+    const now = new Date();
+    const time = now.toISOString().substring(11, 16).replace(':', '') + 'Z';
+    const metar = encodeMETAR(weather, { station: icao, time: now });
     
-    return `${icao} INFORMATION ${infoCode} ${time}. WIND ${wind}. VISIBILITY ${vis}. ${sky}. TEMPERATURE ${t_dp}. ${qnh}. ADVISE ON INITIAL CONTACT YOU HAVE INFORMATION ${infoCode}.`;
+    return `${icao} INFORMATION ${infoCode} ${time}. METAR ${metar}. ADVISE ON INITIAL CONTACT YOU HAVE INFORMATION ${infoCode}.`;
   }
 }
 
@@ -157,6 +157,8 @@ class RealisticAutopilotService {
         
         this.navPlan = null;
         this.navState = { preTurnEngaged: false };
+        this.altitudeCaptured = false; // Commanded VS has handed over to altitude hold
+        this.vnavEngaged = false; // VS and speed targets are managed by VNAVService
     }
 
     /**
@@ -170,7 +172,8 @@ class RealisticAutopilotService {
             runwayGeometry: this.runwayGeometry,
             navPlan: this.navPlan,
             navState: this.navState,
-            nav1Frequency: this.nav1Frequency
+            nav1Frequency: this.nav1Frequency,
+            vnavEngaged: this.vnavEngaged
         };
     }
 
@@ -186,6 +189,7 @@ class RealisticAutopilotService {
         if (data.runwayGeometry) this.runwayGeometry = data.runwayGeometry;
         if (data.navPlan) this.navPlan = data.navPlan;
         if (data.navState) this.navState = data.navState;
+        if (data.vnavEngaged !== undefined) this.vnavEngaged = data.vnavEngaged;
         if (data.nav1Frequency) {
             this.nav1Frequency = data.nav1Frequency;
             this.debugState.nav1Frequency = data.nav1Frequency;
@@ -256,6 +260,12 @@ class RealisticAutopilotService {
             targets.heading = (targets.heading % 360 + 360) % 360;
         }
 
+        // A new altitude or VS selection re-arms altitude capture
+        if ((targets.altitude !== undefined && targets.altitude !== this.targets.altitude) ||
+            (targets.vs !== undefined && targets.vs !== this.targets.vs)) {
+            this.altitudeCaptured = false;
+        }
+
         this.targets = { ...this.targets, ...targets };
     }
 
@@ -322,7 +332,7 @@ class RealisticAutopilotService {
         } else if (this.targets.ias === undefined) {
              this.targets.ias = this.targets.speed;
         }
-        if (this.targets.vs === 0 && Math.abs(verticalSpeed) > 100) {
+        if (this.targets.vs === 0 && Math.abs(verticalSpeed) > 100 && !this.vnavEngaged) {
              this.targets.vs = Math.round(verticalSpeed / 100) * 100;
         }
         if (this.targets.heading === 0) {
@@ -698,16 +708,25 @@ class RealisticAutopilotService {
         
         // Check if LNAV is handling VS (implied by previous block modification)
         const lnavHandlingVS = (this.mode === 'LNAV' && this.navPlan && this.navPlan.fix && typeof this.navPlan.fix.altitude === 'number');
+        // VNAV levels off through its own path, so the selected altitude must not capture it
+        const vnavHandlingVS = this.vnavEngaged && this.mode !== 'ILS';
 
         let commandVS = this.targets.vs;
 
-        if (!ilsDebug.gsCaptured && !lnavHandlingVS && this.targets.altitude > 0) {
+        if (!ilsDebug.gsCaptured && !lnavHandlingVS && !vnavHandlingVS && this.targets.altitude > 0) {
              const altError = this.targets.altitude - altitude;
-             
+
+             // Altitude capture: a commanded VS towards the selected altitude hands over to the
+             // altitude PID where its output matches that VS, until a new altitude or VS is selected
+             const captureDistance = Math.abs(this.targets.vs) / this.altitudePID.kp;
+             if (Math.sign(this.targets.vs) === Math.sign(altError) && Math.abs(altError) < captureDistance) {
+                 this.altitudeCaptured = true;
+             }
+
              // Capture/Hold Band: 50ft
              // If we are within 50ft, we force altitude hold (VS=0 or PID)
              // UNLESS the user has explicitly requested a significant Vertical Speed (> 200 fpm)
-             if (Math.abs(altError) < 50 && Math.abs(this.targets.vs) < 200) {
+             if (this.altitudeCaptured || (Math.abs(altError) < 50 && Math.abs(this.targets.vs) < 200)) {
                  // Hold Altitude
                  // Use PID to maintain exact altitude (VS small corrections)
                  // NOTE: We do NOT update this.targets.vs to prevent UI fighting/stickiness
@@ -15,18 +15,44 @@ import EnginePhysicsService from './EnginePhysicsService.js';
 import RealisticAutopilotService from './RealisticAutopilotService.js';
 import FailureHandler from './failures/FailureHandler.js';
 import WarningSystem from './WarningSystem.js';
+import FlightDataRecorder from './FlightDataRecorder.js';
+import FlightScorer from './FlightScorer.js';
 import OverheadLogic from './OverheadLogic.js';
 import { airportService } from './airportService.js';
 import { Vector3, Quaternion, calculateDistanceMeters, calculateBearing } from '../utils/flightMath.js';
 import NavigationService from './NavigationService.js';
+import VNAVService from './VNAVService.js';
+import TCASService from './TCASService.js';
+import WindShearService from './WindShearService.js';
+import IcingService from './IcingService.js';
+import AirDataService from './AirDataService.js';
+import BrakeService from './BrakeService.js';
+import WeightBalanceService, { distributeFuel } from './WeightBalanceService.js';
+import { migrateSave } from '../utils/saveMigrations.js';
 import RadioService from './RadioService.js';
+import { windAt, temperatureAt } from '../utils/atmosphereProfile.js';
+import { reflectivityAt, RADAR_LEVELS } from '../utils/weatherRadar.js';
+import { machEffects, waveDragAndBuffet } from '../utils/compressibility.js';
+
+const LANDING_ARM_AGL_FT = 50; // Above this the next touchdown counts as a landing
+const DEFAULT_MLW_RATIO = 0.85; // Maximum landing weight as a share of MTOW when the type has none
 
 // ==========================================
 // Main Service
 // ==========================================
 
 class RealisticFlightPhysicsService {
-    constructor(aircraftData, initialLat = 0, initialLon = 0, difficulty = 'rookie') {
+    /**
+     * @param {Object} aircraftData - Aircraft definition from the aircraft database
+     * @param {number} initialLat
+     * @param {number} initialLon
+     * @param {string} difficulty
+     * @param {Object} options - { random: () => number } to inject a seeded random source (defaults to Math.random)
+     */
+    constructor(aircraftData, initialLat = 0, initialLon = 0, difficulty = 'rookie', options = {}) {
+        // Random source shared with subsystems (seeded for headless/deterministic runs)
+        this.random = typeof options.random === 'function' ? options.random : Math.random;
+
         this.navService = new NavigationService();
         this.radioService = new RadioService();
 
@@ -66,6 +92,10 @@ class RealisticFlightPhysicsService {
         // Payload Mass (Pax + Cargo)
         this.payloadMass = typeof aircraftData.payloadWeight === 'number' ? aircraftData.payloadWeight : ((this.aircraft.maxPayload || 15000) * 0.7);
 
+        // Weight & balance: the loadsheet zones, or the payload spread over the cabin and holds
+        this.weightBalance = new WeightBalanceService(this.aircraft, aircraftData.load || WeightBalanceService.defaultLoad(this.payloadMass));
+        this.payloadMass = this.weightBalance.payload;
+
         // Control State
         this.controls = {
             throttle: 0,
@@ -88,7 +118,7 @@ class RealisticFlightPhysicsService {
         this.engines = Array(this.aircraft.engineCount).fill(0).map(() => {
             // Introduce ~5% uncertainty in engine responsiveness
             // Range: 0.95 to 1.05
-            const uncertainty = 0.95 + Math.random() * 0.10;
+            const uncertainty = 0.95 + this.random() * 0.10;
             
             return new EnginePhysicsService({
                 maxThrust: this.aircraft.maxThrust,
@@ -101,6 +131,8 @@ class RealisticFlightPhysicsService {
         this.crashed = false;
         this.onGround = true;
         this.crashReason = "";
+        this.crashImpact = null; // Impact parameters captured by checkConstraints
+        this.landingArmed = false; // Airborne since the last touchdown (see checkLandingWeight)
         this.time = 0;
         this.runwayGeometry = null;
         this.groundStatus = { status: 'UNKNOWN', remainingLength: 0 };
@@ -127,14 +159,40 @@ class RealisticFlightPhysicsService {
 
         // Autopilot
         this.autopilot = new RealisticAutopilotService();
+        this.vnav = new VNAVService();
+        this.vnav.setCruise({ altitude: this.aircraft.initialCruiseAltitudeFt });
+
+        // TCAS (traffic is supplied by the NPC manager through setTraffic)
+        this.tcas = new TCASService();
+        this.traffic = [];
+
+        // Microburst cells (weather or scripted); also scanned by the predictive wind shear alert
+        this.windShear = new WindShearService();
+        this.stormCells = []; // Weather radar cells, also the source of convective turbulence
+
+        // Airframe, engine inlet and probe ice
+        this.icing = new IcingService();
+
+        // Captain, first officer and standby pitot-static sources and AoA vanes
+        this.airData = new AirDataService();
+
+        // Mach, critical Mach and buffet (0-1) of the last aerodynamics pass
+        this.transonic = { mach: 0, criticalMach: 1, buffet: 0 };
+
+        // Autobrake and brake heat
+        this.brakes = new BrakeService(this.aircraft.maxTakeoffWeight || this.aircraft.mass);
         
         // Failure System
         this.failureSystem = new FailureHandler({ 
             difficulty: this.difficulty,
-            engineCount: this.aircraft.engineCount
+            engineCount: this.aircraft.engineCount,
+            random: this.random
         });
-        this.warningSystem = new WarningSystem();
-        this.sensors = { pitotBlocked: false };
+        this.warningSystem = new WarningSystem(this.windShear, { vmo: this.aircraft.vmo, mmo: this.aircraft.mmo });
+
+        // Flight Data Recorder (replay / post-flight review)
+        this.recorder = new FlightDataRecorder({ engineCount: this.aircraft.engineCount });
+        this.scorer = new FlightScorer(this.difficulty);
 
         // Motion control flag (allows disabling physics integration while keeping systems active)
         // Start DISABLED to prevent initial settling/sliding until scene is fully ready
@@ -142,6 +200,10 @@ class RealisticFlightPhysicsService {
 
         // Aircraft Systems State
         this.initializeSystems(this.difficulty);
+
+        // Takeoff CG, and the stabiliser set to the takeoff trim for it
+        this.updateWeightAndBalance();
+        this.controls.trim = this.weightBalance.recordTakeoff(this.aircraft.Cde).trim;
     }
 
     setMotionEnabled(enabled) {
@@ -176,7 +238,7 @@ class RealisticFlightPhysicsService {
             enginesState[`eng${i}`] = { 
                 startSwitch: 'OFF', 
                 fuelControl: !isColdDark, 
-                n2: isColdDark ? 0 : 20, // Idle N2
+                n2: isColdDark ? 0 : 45, // Idle N2
                 egt: isColdDark ? 20 : 400 
             };
         }
@@ -191,9 +253,11 @@ class RealisticFlightPhysicsService {
                     eng.state.egt = 15; // Ambient
                     eng.state.ff = 0;
                 } else {
+                    // Stable idle (EnginePhysicsService: N1 20%, N2 = 10 * sqrt(N1)), above the
+                    // generator cut-in, so the fuel pumps are powered from the first frame
                     eng.state.running = true;
-                    eng.state.n1 = 5; // Idle N1 (derived from ~20% N2)
-                    eng.state.n2 = 20; // Idle N2
+                    eng.state.n1 = 20; // Idle N1
+                    eng.state.n2 = 45; // Idle N2
                     eng.state.egt = 400;
                     eng.state.ff = 0.3; // Idle fuel flow
                 }
@@ -242,24 +306,13 @@ class RealisticFlightPhysicsService {
         // Distribute total fuel (this.state.fuel) into tanks
         const totalFuel = this.state.fuel;
         const fuelState = {
-            tanks: {
-                left: totalFuel * 0.3,
-                right: totalFuel * 0.3,
-                center: totalFuel * 0.4
-            },
+            tanks: distributeFuel(totalFuel, engineCount),
             leftPumps: !isColdDark,
             rightPumps: !isColdDark,
             centerPumps: !isColdDark,
             crossfeed: false,
             dump: false
         };
-        
-        // Adjust distribution for 2-engine aircraft (less in center)
-        if (engineCount <= 2) {
-            fuelState.tanks.left = totalFuel * 0.45;
-            fuelState.tanks.right = totalFuel * 0.45;
-            fuelState.tanks.center = totalFuel * 0.10;
-        }
 
         // Fire Detection/Protection
         const fireState = {
@@ -291,6 +344,16 @@ class RealisticFlightPhysicsService {
             };
         }
 
+        // Engine anti-ice (cowl valve) switches, one per engine
+        const iceState = {
+            windowHeat: !isColdDark,
+            probeHeat: !isColdDark,
+            wingAntiIce: false
+        };
+        for (let i = 1; i <= engineCount; i++) {
+            iceState[`eng${i}AntiIce`] = false;
+        }
+
         this.systems = {
             electrical: elecState,
             fuel: fuelState,
@@ -344,7 +407,10 @@ class RealisticFlightPhysicsService {
             brakes: {
                 parkingBrake: true, // Always ON initially to prevent movement
                 autobrake: 'OFF', // RTO, OFF, 1, 2, 3, MAX
-                temp: [20, 20, 20, 20] // Brake temps
+                autobrakeActive: false,
+                autobrakeDisarm: false,
+                temp: [20, 20, 20, 20], // Brake temps (°C), left to right
+                deflated: [false, false, false, false] // Tyres deflated by a melted fuse plug
             },
             adirs: {
                 ir1: 'OFF',
@@ -354,11 +420,10 @@ class RealisticFlightPhysicsService {
                 aligned: false,
                 onBat: false
             },
-            ice: {
-                windowHeat: !isColdDark,
-                probeHeat: !isColdDark,
-                wingAntiIce: false,
-                engAntiIce: false
+            ice: iceState,
+            airData: {
+                captSource: 'captain', // Source on each side's instruments: captain, fo, standby
+                foSource: 'fo'
             },
             flightControls: {
                 yawDamper: !isColdDark
@@ -450,6 +515,8 @@ class RealisticFlightPhysicsService {
             CL0: data.basicLiftCoefficient || 0.2,
             CLa: data.liftCurveSlope || 5.5, // per radian
             CD0: data.zeroLiftDragCoefficient || 0.02,
+            mmo: data.maxOperatingMach || 0.82,
+            vmo: data.maxOperatingSpeed || 340, // kts IAS
             K: data.inducedDragFactor || 0.025, // Reduced from 0.04 to 0.025 to lower induced drag
             
             // Stability Derivatives (Approximated if missing)
@@ -529,12 +596,16 @@ class RealisticFlightPhysicsService {
         // Avoid division by zero
         const beta = (Math.abs(vx) > 1) ? Math.atan2(vy, vx) : 0;
 
+        // The autopilot flies on the captain's air data, not the truth
+        const trueAltitude = -this.state.pos.z * 3.28084;
+        const airData = this.updateAirData(dt, { ias: currentAirspeed, altitude: trueAltitude, verticalSpeed: currentVS });
+
         const apState = {
-            airspeed: currentAirspeed,
-            verticalSpeed: currentVS,
+            airspeed: airData.ias,
+            verticalSpeed: airData.verticalSpeed,
             pitch: euler.theta,
             roll: euler.phi,
-            altitude: -this.state.pos.z * 3.28084,
+            altitude: airData.altitude,
             heading: currentHeading,
             track: track,
             latitude: this.state.geo.lat,
@@ -544,6 +615,24 @@ class RealisticFlightPhysicsService {
 
         // --- Waypoint Sequencing & LNAV ---
         this.navService.update(this.state.geo, this.autopilot);
+
+        // --- VNAV (constraints and cruise altitude are MSL) ---
+        this.vnav.update(this.state.geo, {
+            altitude: apState.altitude + (this.airportElevation || 0) * 3.28084,
+            groundSpeed: airspeedsForAP.groundSpeed
+        }, this.navService, this.autopilot);
+
+        // --- TCAS ---
+        this.tcas.update({
+            latitude: this.state.geo.lat,
+            longitude: this.state.geo.lon,
+            altitude: trueAltitude + (this.airportElevation || 0) * 3.28084,
+            altitudeAgl: (this.currentGroundZ - this.state.pos.z) * 3.28084,
+            verticalSpeed: currentVS,
+            groundSpeed: airspeedsForAP.groundSpeed,
+            track,
+            onGround: this.onGround
+        }, this.traffic, dt);
         
         // Check for Runway Geometry Update from Waypoint (Delegated to airportService via ID)
         const currentWP = this.navService.getCurrentWaypoint();
@@ -611,12 +700,11 @@ class RealisticFlightPhysicsService {
                                   (this.systems.fuel.tanks.center || 0);
             }
             
-            // Recalculate Total Mass: Empty + Fuel + Payload
-            const emptyWeight = this.aircraft.emptyWeight || 40000;
-            this.state.mass = emptyWeight + this.state.fuel + this.payloadMass;
+            // Recalculate Total Mass and CG: Empty + Fuel + Payload
+            this.updateWeightAndBalance();
 
             // 4. Calculate Forces and Moments
-            const { forces, moments, aeroForces, thrustForces, gravityForces, groundForces, debug } = this.calculateAerodynamicsAndGround(env);
+            const { forces, moments, aeroForces, thrustForces, gravityForces, groundForces, brakePower, debug } = this.calculateAerodynamicsAndGround(env);
             
             // Store last for UI
             if (i === subSteps - 1) {
@@ -630,6 +718,8 @@ class RealisticFlightPhysicsService {
             // 5. Integrate
             if (this.motionEnabled) {
                 this.integrate(forces, moments, subDt);
+                this.brakes.absorb('left', brakePower.left * subDt);
+                this.brakes.absorb('right', brakePower.right * subDt);
             } else {
                 // Force velocity to zero when motion is disabled to prevent drift
                 this.state.vel.set(0, 0, 0);
@@ -641,7 +731,11 @@ class RealisticFlightPhysicsService {
             if (this.crashed) break;
         }
 
-        return this.getOutputState();
+        const output = this.getOutputState();
+        this.checkLandingWeight(output);
+        this.recorder.record(this, output, input);
+        this.scorer.update(this, output, dt);
+        return output;
     }
 
     processInputs(input, dt) {
@@ -692,7 +786,8 @@ class RealisticFlightPhysicsService {
             altitude: -this.state.pos.z * 3.28084, // ft
             onGround: this.onGround,
             airspeed: this.state.vel.magnitude() * 1.94384, // kts
-            difficulty: this.difficulty // Pass difficulty to logic
+            difficulty: this.difficulty, // Pass difficulty to logic
+            random: this.random
         };
 
         // Delegate logic to OverheadLogic service
@@ -701,18 +796,96 @@ class RealisticFlightPhysicsService {
         // Update Control Effectiveness based on Hydraulics
         this.updateControlEffectiveness(dt);
 
+        this.updateIcing(dt);
+        this.updateBrakes(dt);
+
         // Sync Total Fuel and Mass
         // Calculate total fuel from tanks
         if (this.systems.fuel && this.systems.fuel.tanks) {
             const totalFuel = Object.values(this.systems.fuel.tanks).reduce((a, b) => a + b, 0);
             this.state.fuel = totalFuel;
             
-            // Update Mass
-            // Mass = Empty Weight + Payload + Fuel
-            this.state.mass = (this.aircraft.emptyWeight || 40000) + this.payloadMass + this.state.fuel;
+            // Update Mass and CG
+            this.updateWeightAndBalance();
         }
     }
 
+    /**
+     * Mass (Empty Weight + Payload + Fuel) and CG from the loadsheet and the fuel left in each tank.
+     */
+    updateWeightAndBalance() {
+        const tanks = this.systems.fuel?.tanks || { center: this.state.fuel };
+        this.weightBalance.update(tanks);
+        this.state.mass = this.weightBalance.mass;
+    }
+
+    /**
+     * Ice accretion at the current position, and the inlet ice shed into the engines.
+     */
+    updateIcing(dt) {
+        const env = this.calculateEnvironment(this.state.pos.z);
+        const heightFt = -this.state.pos.z * 3.28084;
+        const altitudeFt = heightFt + (this.airportElevation || 0) * 3.28084;
+        const pneu = this.systems.pressurization;
+
+        const shed = this.icing.update(dt, {
+            oat: env.temp - 273.15,
+            tas: this.calculateAirspeeds().trueAirspeed / 1.94384,
+            heightFt,
+            dbz: this.stormCells.length > 0 ? reflectivityAt(this.stormCells, this.state.geo.lat, this.state.geo.lon, altitudeFt) : 0,
+            ice: this.systems.ice,
+            ductPressure: Math.min(pneu?.ductPressL || 0, pneu?.ductPressR || 0),
+            engineN2: this.engines.map(e => e.state.n2 || 0),
+            acVolts: this.systems.electrical?.acVolts || 0,
+            random: this.random
+        });
+
+        // Large pieces of ice through the core can damage the engine
+        shed.forEach(({ engine, damaged }) => {
+            if (damaged && this.engines[engine]) this.engines[engine].setFailed(true);
+        });
+    }
+
+    /**
+     * Autobrake and brake cooling. Wheel braking is still commanded with the brake control
+     * (setAirBrakes) for now; any setting above 0.1 is full manual braking.
+     */
+    updateBrakes(dt) {
+        const env = this.calculateEnvironment(this.state.pos.z);
+        this.brakes.update(dt, {
+            brakes: this.systems.brakes,
+            manual: this.controls.brakes > 0.1 ? 1 : 0,
+            throttle: this.controls.throttle,
+            groundSpeed: this.calculateAirspeeds().groundSpeed,
+            onGround: this.onGround,
+            gearDown: this.controls.gear > 0.5,
+            oat: env.temp - 273.15
+        });
+    }
+
+    /**
+     * Measure the truth through the air data sources and vanes. The autopilot disconnects when
+     * the captain's air data is invalid or disagrees with the first officer's.
+     * @param {Object} truth - { ias (kts), altitude (ft above the field), verticalSpeed (ft/min) }
+     * @returns {Object} the captain's displayed air data
+     */
+    updateAirData(dt, truth) {
+        const displays = this.airData.update(dt, {
+            ...truth,
+            mach: this.transonic.mach,
+            elevation: (this.airportElevation || 0) * 3.28084,
+            alpha: this.debugData?.alpha || 0,
+            onGround: this.onGround,
+            pitotIced: this.icing.isProbeBlocked()
+        }, this.systems.airData);
+
+        if (this.autopilot.engaged && !this.airData.isReliable()) {
+            console.warn('Physics Service: Autopilot disconnected, unreliable air data');
+            this.autopilot.setEngaged(false);
+        }
+        return displays.captain;
+    }
+
     /**
      * Updates control surface effectiveness based on hydraulic system health.
      * Simulates redundancy and degradation.
@@ -797,51 +970,101 @@ class RealisticFlightPhysicsService {
         const h = -z_down; 
         
         // Simple ISA model
-        let temp = this.CONSTANTS.SEA_LEVEL_TEMP + (this.CONSTANTS.TEMP_LAPSE_RATE * h);
-        if (temp < 216.65) temp = 216.65; // Tropopause floor
-
-        const pressure = this.CONSTANTS.SEA_LEVEL_PRESSURE * Math.pow(temp / this.CONSTANTS.SEA_LEVEL_TEMP, -this.CONSTANTS.G / (this.CONSTANTS.TEMP_LAPSE_RATE * this.CONSTANTS.R_GAS));
-        const density = pressure / (this.CONSTANTS.R_GAS * temp);
-        const speedOfSound = Math.sqrt(this.CONSTANTS.GAMMA * this.CONSTANTS.R_GAS * temp);
+        const isaTemp = Math.max(this.CONSTANTS.SEA_LEVEL_TEMP + (this.CONSTANTS.TEMP_LAPSE_RATE * h), 216.65); // Tropopause floor
+        const pressure = this.CONSTANTS.SEA_LEVEL_PRESSURE * Math.pow(isaTemp / this.CONSTANTS.SEA_LEVEL_TEMP, -this.CONSTANTS.G / (this.CONSTANTS.TEMP_LAPSE_RATE * this.CONSTANTS.R_GAS));
 
         // Wind & Turbulence (injected via update or stored state)
         // Default to zero if not set
-        const wind = this.environment?.wind || new Vector3(0, 0, 0);
-        const turbulence = this.environment?.turbulence || 0;
+        let temp = isaTemp;
+        let wind = this.environment?.wind || new Vector3(0, 0, 0);
+        let turbulence = this.environment?.turbulence || 0;
+
+        // Layered atmosphere: wind, turbulence and temperature vary with altitude (ft MSL)
+        if (this.atmosphere) {
+            const altitudeFt = (h + (this.airportElevation || 0)) * 3.28084;
+            const layer = windAt(this.atmosphere, altitudeFt);
+            wind = this.windVector(layer.speed, layer.direction);
+            if (layer.turbulence !== undefined) turbulence = layer.turbulence;
+            temp = temperatureAt(this.atmosphere, altitudeFt) + 273.15;
+        }
+
+        // Convective turbulence inside heavy (red) and extreme (magenta) storm cells
+        if (this.stormCells.length > 0) {
+            const altitudeFt = (h + (this.airportElevation || 0)) * 3.28084;
+            const dbz = reflectivityAt(this.stormCells, this.state.geo.lat, this.state.geo.lon, altitudeFt);
+            if (dbz >= RADAR_LEVELS.HEAVY) {
+                // 1 at the red threshold, 3 (severe) in magenta cells - same scale as the turbulence failure
+                turbulence = Math.max(turbulence, Math.min(5, 1 + (dbz - RADAR_LEVELS.HEAVY) / 5));
+            }
+        }
+
+        // Microburst outflow and downdraft around the aircraft
+        const shear = this.windShear.windAt(this.state.geo.lat, this.state.geo.lon, (this.currentGroundZ || 0) - z_down);
+        if (shear.north || shear.east || shear.down) {
+            wind = wind.add(new Vector3(shear.north, shear.east, shear.down));
+        }
+
+        const density = pressure / (this.CONSTANTS.R_GAS * temp);
+        const speedOfSound = Math.sqrt(this.CONSTANTS.GAMMA * this.CONSTANTS.R_GAS * temp);
 
         return { density, pressure, temp, speedOfSound, wind, turbulence };
     }
 
     /**
-     * Set environmental conditions (called from external service)
-     * @param {Object} envData { windSpeed, windDirection, turbulence, precipitation }
+     * Convert Wind (Speed in Knots, Direction in Degrees From) to Earth Velocity Vector (m/s)
+     * Direction is "From", so vector is opposite.
+     * 0 deg = From North (Moving South). Vector X = -Speed.
+     * 90 deg = From East (Moving West). Vector Y = -Speed.
      */
-    setEnvironment(envData) {
-        if (!envData) return;
-        
-        // Convert Wind (Speed in Knots, Direction in Degrees From) to Earth Velocity Vector (m/s)
-        // Direction is "From", so vector is opposite.
-        // 0 deg = From North (Moving South). Vector X = -Speed.
-        // 90 deg = From East (Moving West). Vector Y = -Speed.
-        // Wind Vector (Earth NED):
-        // X (North) = -Speed * cos(dir)
-        // Y (East) = -Speed * sin(dir)
-        // Z (Down) = 0 (usually)
-        
-        const speedMs = (envData.windSpeed || 0) * 0.514444; // knots -> m/s
-        const dirRad = (envData.windDirection || 0) * Math.PI / 180;
+    windVector(speedKts, directionDeg) {
+        const speedMs = (speedKts || 0) * 0.514444; // knots -> m/s
+        const dirRad = (directionDeg || 0) * Math.PI / 180;
         
         // North is X, East is Y.
         // Wind 360 (From North) -> Flowing South -> -X
         // Wind 090 (From East) -> Flowing West -> -Y
-        const windX = -speedMs * Math.cos(dirRad);
-        const windY = -speedMs * Math.sin(dirRad);
+        return new Vector3(-speedMs * Math.cos(dirRad), -speedMs * Math.sin(dirRad), 0);
+    }
+
+    /**
+     * Set environmental conditions (called from external service)
+     * @param {Object} envData { windSpeed, windDirection, turbulence, precipitation, atmosphere, microbursts }
+     *   atmosphere is an optional vertical profile (utils/atmosphereProfile); when present it
+     *   replaces the single surface wind and the ISA temperature with altitude-dependent values.
+     *   microbursts are convective cells { latitude, longitude, radius (m), outflow (m/s), downdraft (m/s) }.
+     *   stormCells are precipitation cells for the weather radar (utils/weatherRadar).
+     *   clouds, cloudCover, ceiling and visibility give the visible moisture for icing.
+     */
+    setEnvironment(envData) {
+        if (!envData) return;
         
         this.environment = {
-            wind: new Vector3(windX, windY, 0),
+            wind: this.windVector(envData.windSpeed, envData.windDirection),
             turbulence: envData.turbulence || 0,
             precipitation: envData.precipitation || 0
         };
+        this.atmosphere = envData.atmosphere || null;
+        this.windShear.setCells(envData.microbursts);
+        this.stormCells = envData.stormCells || [];
+        this.icing.setWeather(envData);
+    }
+
+    /**
+     * Place a microburst on the current track (wind shear failure / scripted encounter).
+     * @param {number} distanceNm - Distance ahead of the aircraft
+     * @param {number} intensity - 0-1, scales outflow and downdraft
+     */
+    addMicroburstAhead(distanceNm = 1, intensity = 1) {
+        const v_earth = this.state.quat.rotate(this.state.vel);
+        const track = Math.atan2(v_earth.y, v_earth.x);
+        const distanceDeg = distanceNm / 60;
+        this.windShear.addCell({
+            latitude: this.state.geo.lat + distanceDeg * Math.cos(track),
+            longitude: this.state.geo.lon + distanceDeg * Math.sin(track) / Math.cos(this.state.geo.lat * Math.PI / 180),
+            radius: 900,
+            outflow: 12 + 10 * intensity,
+            downdraft: 5 + 8 * intensity
+        });
     }
 
     updateEngines(env, dt) {
@@ -901,6 +1124,11 @@ class RealisticFlightPhysicsService {
                      else if (fuel.crossfeed && fuel.pressL > 10 && fuel.tanks.left > 0) fuelSourceAvailable = true;
                  }
                  
+                 // A running engine with its fuel lever open and no tank to feed it is starving
+                 if (engine.state.running && sysEng.fuelControl && !fuelSourceAvailable && !this.onGround && this.failureSystem) {
+                     this.failureSystem.reportCondition('FUEL_STARVATION', { engineIndex: index });
+                 }
+
                  // Update Engine Physics State
                 engine.setStartupState(
                     sysEng.startSwitch === 'GRD', // Starter Valve Open
@@ -936,6 +1164,13 @@ class RealisticFlightPhysicsService {
 
              // 3. Update Physics
              engine.update(dt, engineThrottle, mach, -this.state.pos.z, airDensityRatio, env.temp);
+
+             // Inlet ice and anti-ice bleed extraction
+             if (engine.state.running) {
+                 const iceEffects = this.icing.getEngineEffects(index, this.systems.ice);
+                 engine.state.thrust *= iceEffects.thrustFactor;
+                 engine.state.fuelFlow *= iceEffects.fuelFactor;
+             }
              
              // 4. Sync Back to Systems (for UI and Logic)
              // We are the source of truth for running engines
@@ -956,15 +1191,18 @@ class RealisticFlightPhysicsService {
         }
     }
 
-    calculateAerodynamicCoefficients(V_airspeed, alpha, beta, rates, q) {
+    calculateAerodynamicCoefficients(V_airspeed, alpha, beta, rates, q, mach = 0) {
         // Flap Increments from Profile
         const flapIncrements = this.getFlapIncrements();
         const CL_flaps = flapIncrements.cl;
         const CD_flaps_base = flapIncrements.cd;
 
+        // Compressibility: shock-induced separation near Mmo takes away elevator and aileron authority
+        const transonic = machEffects(mach, this.aircraft.mmo);
+
         // Apply Control Effectiveness (Failures)
-        const effAileron = this.controls.aileron * (this.controlEffectiveness.aileron !== undefined ? this.controlEffectiveness.aileron : 1.0);
-        const effElevator = this.controls.elevator * (this.controlEffectiveness.elevator !== undefined ? this.controlEffectiveness.elevator : 1.0);
+        const effAileron = this.controls.aileron * (this.controlEffectiveness.aileron !== undefined ? this.controlEffectiveness.aileron : 1.0) * transonic.controlFactor;
+        const effElevator = this.controls.elevator * (this.controlEffectiveness.elevator !== undefined ? this.controlEffectiveness.elevator : 1.0) * transonic.controlFactor;
         const effRudder = this.controls.rudder * (this.controlEffectiveness.rudder !== undefined ? this.controlEffectiveness.rudder : 1.0);
 
         // Airbrake Increments
@@ -974,8 +1212,12 @@ class RealisticFlightPhysicsService {
 
         // Lift (CL)
         // CL = CL0 + CLa * alpha + CL_flaps + CL_elevator + CL_brakes
-        const CL_stall_drop = Math.abs(alpha) > 0.3 ? -0.5 * Math.sin((Math.abs(alpha) - 0.3) * 5) : 0; // Simple stall drop
-        let CL = this.aircraft.CL0 + this.aircraft.CLa * alpha + CL_flaps + CL_brakes + (effElevator * 0.3) + CL_stall_drop;
+        // Wing ice stalls the wing at a lower angle of attack and flattens the lift curve; at high Mach
+        // the wing stalls earlier too
+        const ice = this.icing.getAeroEffects();
+        const stallAlpha = 0.3 - ice.stallAlphaLoss - transonic.stallAlphaLoss;
+        const CL_stall_drop = Math.abs(alpha) > stallAlpha ? -0.5 * Math.sin((Math.abs(alpha) - stallAlpha) * 5) : 0; // Simple stall drop
+        let CL = this.aircraft.CL0 + this.aircraft.CLa * ice.liftSlopeFactor * alpha + CL_flaps + CL_brakes + (effElevator * 0.3) + CL_stall_drop;
 
         // Drag (CD)
         // CD = CD0 + K * CL^2 + CD_flaps + CD_gear + CD_brakes
@@ -1001,7 +1243,11 @@ class RealisticFlightPhysicsService {
         const CL_induced_calc = Math.min(Math.abs(CL), 1.35); // Cap effective CL for induced drag
         const CD_induced = this.aircraft.K * CL_induced_calc * CL_induced_calc * groundEffectFactor;
         
-        const CD = this.aircraft.CD0 + CD_induced + CD_flaps + CD_gear + CD_brakes + CD_elevator;
+        // Wave drag beyond the critical Mach, and buffet at the edges of the envelope (clean wing lift)
+        const waves = waveDragAndBuffet(mach, this.aircraft.mmo, CL - CL_flaps);
+        this.transonic = { mach, criticalMach: waves.critical, buffet: waves.buffet };
+
+        const CD = this.aircraft.CD0 + ice.dragIncrease + CD_induced + CD_flaps + CD_gear + CD_brakes + CD_elevator + waves.waveDrag;
 
         // Side Force (CY)
         // CY = CYb * beta + CYdr * rudder
@@ -1019,12 +1265,20 @@ class RealisticFlightPhysicsService {
         // though downwash on tail can counteract. User requested "slight downward pitch torque".
         const Cm_flaps = this.controls.flaps * -0.01;
         
-        const Cm = this.aircraft.Cm0 + (this.aircraft.Cma * alpha) + pitch_damping + (this.aircraft.Cde * (effElevator + this.controls.trim)) + Cm_flaps;
+        // Buffet shakes the aircraft in pitch and roll
+        const Cm_buffet = waves.buffet > 0 ? (this.random() - 0.5) * 0.02 * waves.buffet : 0;
+
+        // Lift about a CG away from the reference: nose-up and less stable aft, nose-down forward
+        const Cm_cg = this.weightBalance.getPitchMoment(CL);
+
+        // Mach tuck: the centre of pressure moves aft as the shocks grow
+        const Cm = this.aircraft.Cm0 + (this.aircraft.Cma * alpha) + pitch_damping + (this.aircraft.Cde * (effElevator + this.controls.trim)) + Cm_flaps + Cm_cg + transonic.tuckMoment + Cm_buffet;
 
         // Roll (Cl)
         // Cl = Clb * beta + Clp * (p * b / 2V) + Cda * aileron
         const roll_damping = this.aircraft.Clp * (rates.x * b) / (2 * (V_airspeed + 0.1));
         let Cl = (this.aircraft.Clb * beta) + roll_damping + (this.aircraft.Cda * effAileron);
+        if (waves.buffet > 0) Cl += (this.random() - 0.5) * 0.002 * waves.buffet;
 
         // Yaw (Cn)
         // Cn = Cnb * beta + Cnr * (r * b / 2V) + Cdr * rudder
@@ -1091,9 +1345,9 @@ class RealisticFlightPhysicsService {
         // Turbulence: Add random noise to wind body vector
         if (env.turbulence > 0) {
             const turbScale = env.turbulence * 5.0; // up to 5 m/s variation
-            V_wind_body.x += (Math.random() - 0.5) * turbScale;
-            V_wind_body.y += (Math.random() - 0.5) * turbScale;
-            V_wind_body.z += (Math.random() - 0.5) * turbScale;
+            V_wind_body.x += (this.random() - 0.5) * turbScale;
+            V_wind_body.y += (this.random() - 0.5) * turbScale;
+            V_wind_body.z += (this.random() - 0.5) * turbScale;
         }
 
         const V_air_body = this.state.vel.sub(V_wind_body); // V_air = V_ground - V_wind
@@ -1115,7 +1369,8 @@ class RealisticFlightPhysicsService {
         }
 
         // --- Aerodynamic Coefficients ---
-        const { CL, CD, CY, Cm, Cl, Cn } = this.calculateAerodynamicCoefficients(V_airspeed, alpha, beta, this.state.rates, q);
+        const mach = V_airspeed / (env.speedOfSound || 340);
+        const { CL, CD, CY, Cm, Cl, Cn } = this.calculateAerodynamicCoefficients(V_airspeed, alpha, beta, this.state.rates, q, mach);
 
         // Dimensional Forces (Wind Axes -> Body Axes)
         // Lift acts perpendicular to relative wind, Drag parallel.
@@ -1247,6 +1502,7 @@ class RealisticFlightPhysicsService {
         ];
         
         let onGroundAny = false;
+        const brakePower = { left: 0, right: 0 }; // W absorbed by the brakes of each main gear
 
         gears.forEach(gear => {
             // 1. Calculate Gear Position in Earth Frame (Z-Down)
@@ -1297,23 +1553,27 @@ class RealisticFlightPhysicsService {
                 const vx_wheel = V_point_body.x * cosS + V_point_body.y * sinS;
                 const vy_wheel = -V_point_body.x * sinS + V_point_body.y * cosS;
                 
-                // Friction Coefficients
-                const isBraking = this.controls.brakes > 0.1 && gear.name.includes('main');
-                let mu_roll = isBraking ? this.aircraft.brakingFriction : this.aircraft.frictionCoeff; // 0.8 or 0.02
+                // Friction Coefficients (rolling 0.02 up to 0.8 with full braking, less when hot or flat)
+                const side = gear.name === 'mainL' ? 'left' : 'right';
+                const isMain = gear.name.includes('main');
+                let mu_brake = isMain ? (this.aircraft.brakingFriction - this.aircraft.frictionCoeff) * this.brakes.getBrakeFactor(side) : 0;
+                let mu_roll = this.aircraft.frictionCoeff + mu_brake + (isMain ? this.brakes.getRollingFriction(side) : 0);
                 let mu_slide = 0.9; // High lateral friction (0.9 for dry tarmac)
                 
                 // Rain reduction
                 if (this.environment && this.environment.precipitation > 0) {
                     const rainFactor = Math.min(this.environment.precipitation, 10) / 10;
                     mu_roll *= (1 - 0.4 * rainFactor);
+                    mu_brake *= (1 - 0.4 * rainFactor);
                     mu_slide *= (1 - 0.4 * rainFactor);
                 }
 
                 if (this.groundStatus && this.groundStatus.status === 'GRASS') {
+                    mu_brake = 0;
                     mu_roll = 0.08;
                     mu_slide = 0.5;
                     if (this.state.vel.magnitude() > 1) {
-                        const noise = (Math.random() - 0.5) * 0.2;
+                        const noise = (this.random() - 0.5) * 0.2;
                         F_n *= (1 + noise);
                     }
                 }
@@ -1332,6 +1592,7 @@ class RealisticFlightPhysicsService {
                      Fx_wheel = -vx_wheel * F_normal_mag * 50; // Linear damping at stop
                 } else {
                      Fx_wheel = -Math.sign(vx_wheel) * F_normal_mag * mu_roll;
+                     if (isMain) brakePower[side] += F_normal_mag * mu_brake * Math.abs(vx_wheel);
                 }
                 
                 // Lateral (Sliding) - Critical for wind resistance
@@ -1379,7 +1640,8 @@ class RealisticFlightPhysicsService {
 
         if (this.onGround) {
             const weightGround = this.state.mass * this.CONSTANTS.G;
-            const gravityArm = this.aircraft.groundGravityArm || (this.aircraft.chord || 5) * 0.15;
+            // The weight's lever ahead of the main gear shrinks as the CG moves aft
+            const gravityArm = (this.aircraft.groundGravityArm || (this.aircraft.chord || 5) * 0.15) * this.weightBalance.getGearArmRatio();
             const liftArm = this.aircraft.groundLiftArm || (this.aircraft.chord || 5) * 0.2;
             const My_gravity = -weightGround * gravityArm;
             const My_lift_ground = F_lift * liftArm;
@@ -1504,6 +1766,7 @@ class RealisticFlightPhysicsService {
             thrustForces: new Vector3(Fx_thrust, 0, 0),
             gravityForces: gravityBody,
             groundForces: F_ground,
+            brakePower,
             debug: {
                 alpha, beta, q, 
                 CL, CD, Cm, Cl, Cn,
@@ -1573,6 +1836,24 @@ class RealisticFlightPhysicsService {
         }
     }
 
+    /**
+     * Report an OVERWEIGHT_LANDING condition to the failure cascade when the aircraft touches down
+     * above its maximum landing weight (brake overheat, tyre burst, gear collapse).
+     */
+    checkLandingWeight(output) {
+        if (!this.onGround) {
+            if (output.derived.altitude_agl_ft > LANDING_ARM_AGL_FT) this.landingArmed = true;
+            return;
+        }
+        if (!this.landingArmed) return;
+        this.landingArmed = false;
+
+        const limit = this.aircraft.maxLandingWeight || (this.aircraft.maxTakeoffWeight || this.aircraft.mass) * DEFAULT_MLW_RATIO;
+        if (this.state.mass > limit && this.failureSystem) {
+            this.failureSystem.reportCondition('OVERWEIGHT_LANDING', { mass: this.state.mass, limit });
+        }
+    }
+
     checkConstraints() {
         // Crash Detection
         // Altitude AGL (Above Ground Level)
@@ -1585,6 +1866,7 @@ class RealisticFlightPhysicsService {
             if (!this.crashed && this.state.vel.z > 10) { // > 10 m/s sink rate
                  this.crashed = true;
                  this.crashReason = "Hard Landing / Crash";
+                 this.recordImpact('hard_landing');
             } 
             
             if (!this.crashed) {
@@ -1611,11 +1893,38 @@ class RealisticFlightPhysicsService {
             if (this.groundStatus.status === 'OBJECTS') {
                 this.crashed = true;
                 this.crashReason = "Collision with Ground Objects";
+                this.recordImpact('ground_objects');
                 console.log("CRASH: Collision with objects at altitude " + altitude.toFixed(2) + "m");
             }
         }
     }
 
+    /**
+     * Snapshot of the aircraft state at the moment of a crash (used by the investigation report).
+     */
+    recordImpact(cause) {
+        const euler = this.state.quat.toEuler();
+        const v_earth = this.state.quat.rotate(this.state.vel);
+        const airspeeds = this.calculateAirspeeds();
+
+        this.crashImpact = {
+            cause,
+            time: this.time,
+            sinkRate: v_earth.z * 196.85, // ft/min, positive down
+            pitch: euler.theta * 180 / Math.PI,
+            roll: euler.phi * 180 / Math.PI,
+            heading: (euler.psi * 180 / Math.PI + 360) % 360,
+            indicatedAirspeed: airspeeds.indicatedAirspeed,
+            groundSpeed: airspeeds.groundSpeed,
+            groundStatus: this.groundStatus?.status || 'UNKNOWN',
+            gearDown: this.controls.gear > 0.5,
+            flaps: this.controls.flaps,
+            fuel: this.state.fuel,
+            latitude: this.state.geo.lat,
+            longitude: this.state.geo.lon
+        };
+    }
+
     getOutputState() {
         // Convert internal physics state to the App's expected format
         const euler = this.state.quat.toEuler(); // Rads
@@ -1629,6 +1938,7 @@ class RealisticFlightPhysicsService {
         const vs = -v_earth.z;
 
         const airspeeds = this.calculateAirspeeds();
+        const env = this.calculateEnvironment(this.state.pos.z);
 
         const autopilotStatus = this.getAutopilotStatus ? this.getAutopilotStatus() : { engaged: false, targets: {} };
         
@@ -1677,7 +1987,7 @@ class RealisticFlightPhysicsService {
                 egt: this.engines.map(e => e.state.egt),
                 fuelFlow: this.engines.map(e => e.state.fuelFlow),
                 oilPressure: this.engines.map(e => e.state.oilPressure),
-                vibration: this.engines.map(e => e.state.vibration)
+                vibration: this.engines.map((e, i) => Math.max(e.state.vibration, this.icing.getEngineEffects(i).vibration))
             },
             engineThrottles: this.engines.map(e => e.state.throttleCommand * 100),
             systems: this.systems,
@@ -1692,8 +2002,22 @@ class RealisticFlightPhysicsService {
                 airport_elevation_ft: (this.airportElevation || 0) * 3.28084,
                 airspeed: airspeeds.trueAirspeed,
                 groundSpeed: airspeeds.groundSpeed,
-                heading: (euler.psi * 180 / Math.PI + 360) % 360
+                heading: (euler.psi * 180 / Math.PI + 360) % 360,
+                track: (Math.atan2(v_earth.y, v_earth.x) * 180 / Math.PI + 360) % 360,
+                wind: {
+                    direction: (Math.atan2(-env.wind.y, -env.wind.x) * 180 / Math.PI + 360) % 360, // From
+                    speed: Math.hypot(env.wind.x, env.wind.y) * 1.94384, // knots
+                    verticalSpeed: -env.wind.z * 196.85 // ft/min, negative in a downdraft
+                },
+                oat: env.temp - 273.15 // °C
             },
+            atmosphere: this.atmosphere || null,
+            stormCells: this.stormCells,
+            icing: this.icing.getState(),
+            airData: this.airData.getState(),
+            transonic: { ...this.transonic },
+            weightBalance: this.weightBalance.getState(),
+            time: this.time,
             
             debugPhysics: {
                 theta: euler.theta,
@@ -1721,11 +2045,14 @@ class RealisticFlightPhysicsService {
                 trim: this.controls.trim
             },
             runwayGeometry: this.runwayGeometry,
-            groundStatus: this.groundStatus
+            groundStatus: this.groundStatus,
+            tcas: this.tcas.getState()
         };
 
         if (this.warningSystem) {
              outputState.activeWarnings = this.warningSystem.update(outputState, 0.016);
+             outputState.terrainAwareness = this.warningSystem.getTerrainAwareness();
+             outputState.windShear = this.warningSystem.getWindShear();
         }
 
         return outputState;
@@ -1741,14 +2068,15 @@ class RealisticFlightPhysicsService {
         if (targets) {
             this.autopilot.setTargets(targets);
         }
-        // Set engagement
+        // Set engagement (not on unreliable air data, update() would drop it again)
         if (typeof engaged === 'boolean') {
+            if (engaged && !this.airData.isReliable()) return;
             const v_earth = this.state.quat.rotate(this.state.vel);
             const airspeeds = this.calculateAirspeeds();
             const euler = this.state.quat.toEuler();
             
             const currentState = {
-                airspeed: airspeeds.indicatedAirspeed,
+                airspeed: this.airData.getDisplay()?.ias ?? airspeeds.indicatedAirspeed,
                 verticalSpeed: -v_earth.z * 196.85,
                 pitch: euler.theta,
                 roll: euler.phi,
@@ -1973,7 +2301,10 @@ class RealisticFlightPhysicsService {
 
         this.groundStatus = {
             status: status,
-            remainingLength: remaining
+            remainingLength: remaining,
+            centerlineOffset: distCross, // m, unsigned
+            distanceFromThreshold: distAlong, // m, negative before the threshold
+            runwayWidth: width
         };
 
         // Update Ground Height (NED Z)
@@ -2269,7 +2600,7 @@ class RealisticFlightPhysicsService {
         // Failure System Config
         if (this.failureSystem) {
             // Re-initialize failure system with new config if provided
-            const failureConfig = { engineCount: this.aircraft.engineCount };
+            const failureConfig = { engineCount: this.aircraft.engineCount, random: this.random };
             if (conditions.difficulty) failureConfig.difficulty = conditions.difficulty;
             
             // Only re-create if we have new config, otherwise just reset
@@ -2280,7 +2611,56 @@ class RealisticFlightPhysicsService {
             }
         }
     }
-    
+
+    /**
+     * Apply an authored scenario pack (src/data/scenarioPacks.json): starting state,
+     * weather and the scripted failure timeline. Call after setInitialConditions.
+     */
+    loadScenarioPack(pack) {
+        if (!pack) {
+            if (this.failureSystem) this.failureSystem.loadScenario(null);
+            return;
+        }
+
+        const start = pack.start || {};
+        if (start.altitude !== undefined || start.latitude !== undefined) {
+            this.setInitialConditions({
+                latitude: start.latitude,
+                longitude: start.longitude,
+                heading: start.heading,
+                altitude: start.altitude,
+                speed: start.speed,
+                throttle: start.throttle,
+                gear: start.gear,
+                difficulty: this.difficulty
+            });
+        }
+        if (start.flaps !== undefined) this.setFlaps(start.flaps);
+
+        if (typeof start.fuelWeight === 'number' && start.fuelWeight > 0) {
+            this.aircraft.fuelWeight = start.fuelWeight;
+            this.state.fuel = start.fuelWeight;
+            // The tanks are the fuel quantity the systems burn from and rebuild state.fuel from
+            if (this.systems.fuel) this.systems.fuel.tanks = distributeFuel(start.fuelWeight, this.aircraft.engineCount);
+            this.updateWeightAndBalance();
+            this.aircraft.mass = this.state.mass;
+            this.controls.trim = this.weightBalance.recordTakeoff(this.aircraft.Cde).trim;
+        }
+
+        if (pack.weather) this.setEnvironment(pack.weather);
+        if (start.autopilot) this.setAutopilot(start.autopilot.engaged, start.autopilot.targets ? { ...start.autopilot.targets } : undefined);
+
+        if (this.failureSystem) this.failureSystem.loadScenario(pack);
+    }
+
+    /**
+     * Traffic for TCAS: NPCFlightModel-like objects { id, callsign, latitude, longitude,
+     * altitude (ft MSL), heading, speed, verticalSpeed }.
+     */
+    setTraffic(npcs) {
+        this.traffic = Array.isArray(npcs) ? npcs : [];
+    }
+
     updateAutopilotTargets(targets) {
         this.autopilot.setTargets(targets);
     }
@@ -2349,7 +2729,12 @@ class RealisticFlightPhysicsService {
             // 6. Services
             autopilot: this.autopilot.getState(),
             navigation: this.navService.getState(),
+            vnav: this.vnav.getState(),
             failures: this.failureSystem ? this.failureSystem.getState() : null,
+            scoring: this.scorer.getState(),
+            icing: this.icing.getState(),
+            airData: this.airData.getState(),
+            weightBalance: this.weightBalance.getState(),
             
             // 7. Environment / Context
             context: {
@@ -2363,275 +2748,110 @@ class RealisticFlightPhysicsService {
         };
     }
 
+    /**
+     * Restore a save. Older save layouts are brought up to date by migrateSave() first.
+     * @param {Object} data - save data (see SaveLoadPanel) or a bare getSerializableState() object
+     */
     loadFlightState(data) {
         if (!data) return;
         
         console.log('🔄 Physics Service: Restoring State...', data);
 
-        // Normalize input: Check if we have nested v2 state inside physicsState
-        const state = (data.physicsState && data.physicsState.physics) ? data.physicsState : data;
-
-        // 1. Core Physics (Support both new and legacy formats)
-        if (state.physics) {
-            // New Format
-            const p = state.physics;
-            if (p.position) this.state.pos = new Vector3(p.position.x, p.position.y, p.position.z);
-            if (p.velocity) this.state.vel = new Vector3(p.velocity.x, p.velocity.y, p.velocity.z);
-            if (p.orientation) this.state.quat = new Quaternion(p.orientation.w, p.orientation.x, p.orientation.y, p.orientation.z);
-            if (p.rates) this.state.rates = new Vector3(p.rates.x, p.rates.y, p.rates.z);
-            if (p.mass !== undefined) this.state.mass = p.mass;
-            if (p.fuel !== undefined) this.state.fuel = p.fuel;
-            
-            // 2. Geographic Position
-            if (state.geo) {
-                this.state.geo.lat = state.geo.lat;
-                this.state.geo.lon = state.geo.lon;
-            }
-
-            // 3. Controls
-            if (state.controls) {
-                this.controls = { ...this.controls, ...state.controls };
-            }
-
-            // 4. Systems
-            if (state.systems) {
-                this.systems = JSON.parse(JSON.stringify(state.systems));
-            }
-
-            // 5. Engines
-            if (state.engines && Array.isArray(state.engines)) {
-                state.engines.forEach((engData, i) => {
-                    if (this.engines[i]) {
-                        const e = this.engines[i];
-                        e.state.n1 = engData.n1;
-                        e.state.n2 = engData.n2;
-                        e.state.egt = engData.egt;
-                        e.state.fuelFlow = engData.fuelFlow;
-                        e.state.oilPressure = engData.oilPressure;
-                        e.state.running = engData.running;
-                        e.state.throttleCommand = engData.throttleCommand;
-                        e.state.failed = engData.failed;
-                    }
-                });
-            }
-
-            // 6. Services
-            if (state.autopilot) this.autopilot.loadState(state.autopilot);
-            if (state.navigation) this.navService.loadState(state.navigation);
-            if (this.failureSystem && state.failures) this.failureSystem.loadState(state.failures);
-            
-            // 7. Context
-            if (state.context) {
-                if (state.context.airportElevation !== undefined) this.airportElevation = state.context.airportElevation;
-                if (state.context.motionEnabled !== undefined) this.motionEnabled = state.context.motionEnabled;
-                if (state.context.crashed !== undefined) this.crashed = state.context.crashed;
-                if (state.context.crashReason !== undefined) this.crashReason = state.context.crashReason;
-                if (state.context.onGround !== undefined) this.onGround = state.context.onGround;
-                if (state.context.groundStatus !== undefined) this.groundStatus = state.context.groundStatus;
+        const save = migrateSave(data);
+        const state = save.physicsState;
+
+        // 1. Core Physics
+        const p = state.physics || {};
+        if (p.position) this.state.pos = new Vector3(p.position.x, p.position.y, p.position.z);
+        if (p.velocity) this.state.vel = new Vector3(p.velocity.x, p.velocity.y, p.velocity.z);
+        if (p.orientation) this.state.quat = new Quaternion(p.orientation.w, p.orientation.x, p.orientation.y, p.orientation.z);
+        if (p.rates) this.state.rates = new Vector3(p.rates.x, p.rates.y, p.rates.z);
+        if (p.mass !== undefined) this.state.mass = p.mass;
+        if (p.fuel !== undefined) this.state.fuel = p.fuel;
+        
+        // 2. Geographic Position
+        if (state.geo?.lat !== undefined) this.state.geo.lat = state.geo.lat;
+        if (state.geo?.lon !== undefined) this.state.geo.lon = state.geo.lon;
+
+        // 3. Controls
+        if (state.controls) {
+            this.controls = { ...this.controls, ...state.controls };
+        }
+        // Saves from another aircraft type may carry a different number of engine levers
+        const engineCount = this.aircraft.engineCount;
+        if (!Array.isArray(this.controls.engineThrottles) || this.controls.engineThrottles.length !== engineCount) {
+            const saved = Array.isArray(this.controls.engineThrottles) ? this.controls.engineThrottles : [];
+            this.controls.engineThrottles = Array.from({ length: engineCount }, (_, i) => saved[i] ?? this.controls.throttle);
+        }
+
+        // 4. Systems
+        if (state.systems) {
+            this.systems = { ...this.systems, ...JSON.parse(JSON.stringify(state.systems)) };
+            // Older saves had a single engine anti-ice switch
+            const ice = this.systems.ice;
+            if (ice && ice.engAntiIce !== undefined) {
+                this.engines.forEach((e, i) => { ice[`eng${i + 1}AntiIce`] = ice.engAntiIce; });
+                delete ice.engAntiIce;
             }
+            this.brakes.loadState(this.systems.brakes);
+        }
+
+        // 5. Engines
+        if (state.engines && Array.isArray(state.engines)) {
+            state.engines.forEach((engData, i) => {
+                if (this.engines[i]) {
+                    const e = this.engines[i];
+                    if (engData.n1 !== undefined) e.state.n1 = engData.n1;
+                    if (engData.n2 !== undefined) e.state.n2 = engData.n2;
+                    if (engData.egt !== undefined) e.state.egt = engData.egt;
+                    if (engData.fuelFlow !== undefined) e.state.fuelFlow = engData.fuelFlow;
+                    if (engData.oilPressure !== undefined) e.state.oilPressure = engData.oilPressure;
+                    if (engData.running !== undefined) e.state.running = engData.running;
+                    if (engData.throttleCommand !== undefined) e.state.throttleCommand = engData.throttleCommand;
+                    if (engData.failed !== undefined) e.state.failed = engData.failed;
+                }
+            });
+        }
 
-            // Timestamp
-            if (state.timestamp) this.time = state.timestamp;
-            
-            return; // Done with new format
+        // 6. Services
+        if (state.autopilot) this.autopilot.loadState(state.autopilot);
+        if (state.navigation) this.navService.loadState(state.navigation);
+        if (state.vnav) this.vnav.loadState(state.vnav);
+        if (this.failureSystem && state.failures) this.failureSystem.loadState(state.failures);
+        this.scorer.loadState(state.scoring);
+        this.icing.loadState(state.icing);
+        this.airData.loadState(state.airData);
+        if (state.weightBalance) {
+            this.weightBalance.loadState(state.weightBalance);
+            this.payloadMass = this.weightBalance.payload;
+            this.updateWeightAndBalance();
         }
         
-        // console.log('🔄 Loading flight state...', data);
-
-        // 1. Restore Physics State
-        if (data.physicsState) {            const ps = data.physicsState;
-            
-            // Position
-            if (ps.position) {
-                // Restore Geo Position
-                if (ps.position.latitude !== undefined) this.state.geo.lat = ps.position.latitude;
-                if (ps.position.longitude !== undefined) this.state.geo.lon = ps.position.longitude;
-                
-                // Restore Local Position (NED)
-                // Note: ps.position.z is Altitude (Positive Up), but state.pos.z is NED (Positive Down)
-                // If saved z was altitude, we negate it.
-                // We check if z seems to be altitude (>0 usually)
-                this.state.pos = new Vector3(
-                    ps.position.x, 
-                    ps.position.y, 
-                    -Math.abs(ps.position.z) // Ensure Z is negative (Up in NED)
-                );
-            }
-            
-            // Velocity
-            if (ps.velocity) {
-                // Check if saved as u,v,w (OutputState format) or x,y,z (Direct serialization)
-                if (ps.velocity.u !== undefined) {
-                    this.state.vel = new Vector3(ps.velocity.u, ps.velocity.v, ps.velocity.w);
-                } else {
-                    this.state.vel = new Vector3(ps.velocity.x, ps.velocity.y, ps.velocity.z);
-                }
-            }
-            
-            // Orientation (Quaternion)
-            if (ps.orientation) {
-                // Check if we have quaternion components directly
-                if (ps.orientation.w !== undefined) {
-                    this.state.quat = new Quaternion(ps.orientation.w, ps.orientation.x, ps.orientation.y, ps.orientation.z);
-                } 
-                // Fallback to Euler if only theta/phi/psi available (from view model)
-                else if (ps.orientation.theta !== undefined) {
-                     this.state.quat = Quaternion.fromEuler(ps.orientation.phi, ps.orientation.theta, ps.orientation.psi);
-                }
-            }
-            
-            // Angular Rates
-            if (ps.angularRates) {
-                this.state.rates = new Vector3(ps.angularRates.p, ps.angularRates.q, ps.angularRates.r);
-            } else if (ps.rates) {
-                this.state.rates = new Vector3(ps.rates.x, ps.rates.y, ps.rates.z);
-            } else {
-                this.state.rates = new Vector3(0, 0, 0);
-            }
+        // 7. Context
+        if (state.context) {
+            if (state.context.airportElevation !== undefined) this.airportElevation = state.context.airportElevation;
+            if (state.context.motionEnabled !== undefined) this.motionEnabled = state.context.motionEnabled;
+            if (state.context.crashed !== undefined) this.crashed = state.context.crashed;
+            if (state.context.crashReason !== undefined) this.crashReason = state.context.crashReason;
+            if (state.context.onGround !== undefined) this.onGround = state.context.onGround;
+            if (state.context.groundStatus !== undefined) this.groundStatus = state.context.groundStatus;
+        }
+        this.crashImpact = null;
 
-            // Controls
-            if (ps.controls) {
-                this.controls = { ...this.controls, ...ps.controls };
-                
-                // Ensure engineThrottles array exists and is populated
-                if (!this.controls.engineThrottles || this.controls.engineThrottles.length !== this.aircraft.engineCount) {
-                     this.controls.engineThrottles = Array(this.aircraft.engineCount).fill(this.controls.throttle);
-                     // If we have legacy throttles in ps.controls, try to recover
-                     if (ps.controls.throttles && Array.isArray(ps.controls.throttles)) {
-                         ps.controls.throttles.forEach((val, i) => {
-                             if (i < this.controls.engineThrottles.length) this.controls.engineThrottles[i] = val;
-                         });
-                     }
-                }
-            }
+        // Timestamp
+        this.time = state.timestamp || 0;
+        this.recorder.clear(); // Recording restarts from the restored state
 
-            // Engines (Restore Internal State)
-            if (ps.engineParams) {
-                this.engines.forEach((e, i) => {
-                    if (ps.engineParams.n1 && ps.engineParams.n1[i] !== undefined) e.state.n1 = ps.engineParams.n1[i];
-                    if (ps.engineParams.n2 && ps.engineParams.n2[i] !== undefined) e.state.n2 = ps.engineParams.n2[i];
-                    if (ps.engineParams.egt && ps.engineParams.egt[i] !== undefined) e.state.egt = ps.engineParams.egt[i];
-                    if (ps.engineParams.fuelFlow && ps.engineParams.fuelFlow[i] !== undefined) e.state.fuelFlow = ps.engineParams.fuelFlow[i];
-                    
-                    // Ensure engine running state matches N2
-                    e.running = e.state.n2 > 20;
-                    
-                    // Restore internal throttle command if available, otherwise sync from controls
-                    if (this.controls.engineThrottles[i] !== undefined) {
-                        e.setThrottle(this.controls.engineThrottles[i]);
-                    }
-                });
-                
-                // Set commanded throttle (Legacy Global Fallback removed, relying on loop above)
-            }
-            
-            // Autopilot
-            if (ps.autopilot) {
-                this.autopilot.setEngaged(ps.autopilot.engaged);
-                if (ps.autopilot.mode) this.autopilot.setTargets({ mode: ps.autopilot.mode });
-                // If targets are nested in ps.autopilot.targets or directly in ps.autopilotTargets
-                const targets = ps.autopilot.targets || data.physicsState.autopilotTargets;
-                if (targets) this.autopilot.setTargets(targets);
-                
-                // Restore PID states if available (ps.autopilotDebug might contain them?)
-                // For now, resetting is safer than restoring partial state
-                // this.autopilot.reset(); // Maybe too aggressive?
-            }
-            
-            // Systems
-            if (ps.systems) {
-                this.systems = { ...this.systems, ...ps.systems };
-            }
-            
-            // Fuel
-            if (data.flightData && data.flightData.fuel !== undefined) {
-                this.state.fuel = data.flightData.fuel;
-            }
+        // 8. Flight plan and runway used by radio tuning and ground status
+        if (save.flightPlan) {
+            this.flightPlan = save.flightPlan;
+            this.currentWaypointIndex = save.flightData?.currentWaypointIndex || 0;
         }
-        // Fallback: Restore from Flight Data (View Model)
-        else if (data.flightData) {
-            const fd = data.flightData;
-            
-            if (fd.position) {
-                this.state.pos = new Vector3(fd.position.x, fd.position.y, fd.position.z);
-            }
-            
-            // Estimate orientation from Euler
-            const pitch = (fd.pitch || 0) * Math.PI / 180;
-            const roll = (fd.roll || 0) * Math.PI / 180;
-            const heading = (fd.heading || 0) * Math.PI / 180;
-            this.state.quat = Quaternion.fromEuler(roll, pitch, heading);
-            
-            // Estimate velocity from airspeed/heading
-            // This is lossy but better than nothing
-            const tasMs = (fd.airspeed || 0) * 0.514444;
-            // Assuming level flight aligned with heading
-            const vx = tasMs * Math.cos(pitch) * Math.cos(heading);
-            const vy = tasMs * Math.cos(pitch) * Math.sin(heading);
-            const vz = -tasMs * Math.sin(pitch); // Approximate
-            // We need velocity in Body frame or NED? 
-            // state.vel is Body Frame (FRD).
-            // V_body = [TAS, 0, 0] approx if no slip/AoA
-            this.state.vel = new Vector3(tasMs, 0, 0);
-            
-            this.state.rates = new Vector3(0, 0, 0);
+        if (save.runwayGeometry) {
+            this.runwayGeometry = save.runwayGeometry;
         }
 
-        // 2. Restore Flight Plan
-        if (data.flightPlan) {
-            this.flightPlan = data.flightPlan;
-            // Try to find nearest waypoint index?
-            // For now reset to 0 or use saved index if available
-            this.currentWaypointIndex = data.flightData?.currentWaypointIndex || 0;
-        }
-
-        // 3. Reset Crash State & Re-validate Ground Status
-        this.crashed = false;
-        this.crashReason = "";
-        this.time = data.flightData?.frame ? (data.flightData.frame * 0.016) : 0; // Approximate time
-        
-        // Ensure altitude is safe if we just loaded
-        // If we are "on ground", ensure we aren't underground
-        // groundStatus logic will run next frame, but we need to prevent immediate crash
-        
-        // Recalculate derived state to ensure consistency
-        if (this.state.pos.z > 0) {
-            // NED z is positive down. So positive Z means underground (if ground is 0).
-            // But we treat ground as negative usually? 
-            // Wait, standard NED: Z is Down. Altitude is -Z.
-            // If Altitude is positive, Z is negative.
-            // If Z is positive, we are below sea level (or whatever 0 reference is).
-            // Ground Z is stored in currentGroundZ (NED).
-            // If Z > currentGroundZ, we are underground.
-        }
-
-        // Force ground status update if we have runway geometry
-        // Note: We might be restoring to a point where we don't have the geometry loaded yet?
-        // Ideally we should save runwayGeometry too.
-        if (data.runwayGeometry) {
-            this.runwayGeometry = data.runwayGeometry;
-        }
-        
-        // Reset ground status to avoid immediate "unsafe altitude" trigger
-        // We'll let the next update loop figure out the real status
-        // But if we are low, we must ensure we don't crash instantly.
-        const altitude = -this.state.pos.z;
-        if (altitude < 100) { // If low altitude
-             // Check if we assume on ground?
-             // If velocity is low, assume on ground
-             if (this.state.vel.magnitude() < 40) {
-                 this.onGround = true;
-             } else {
-                 this.onGround = false;
-             }
-        } else {
-            this.onGround = false;
-        }
-        
-        // Explicitly clear ground status to force re-evaluation without carrying over 'unsafe' state
-        this.groundStatus = { status: 'UNKNOWN', remainingLength: 0 };
-        
-        console.log('✅ Flight state loaded. Crash state reset.');
+        console.log(`✅ Flight state loaded (save version ${save.version}).`);
     }
 
     getFlapIncrements() {
@@ -2756,11 +2976,30 @@ class RealisticFlightPhysicsService {
         this.autopilot.setTargets({ mode: mode });
     }
 
+    /**
+     * Engage or disengage VNAV. Without a planned cruise altitude, the higher of the selected
+     * and current altitude is used; on disengagement the aircraft levels off where it is.
+     */
+    setVnav(engaged) {
+        const altitude = -this.state.pos.z * 3.28084;
+        if (engaged) {
+            const elevationFt = (this.airportElevation || 0) * 3.28084;
+            if (!this.vnav.cruiseAltitude) {
+                this.vnav.setCruise({ altitude: Math.max(this.autopilot.targets.altitude, altitude) + elevationFt });
+            }
+            this.vnav.setCruise({ speed: this.autopilot.targets.speed || this.calculateAirspeeds().indicatedAirspeed });
+        } else if (this.autopilot.vnavEngaged) {
+            this.autopilot.setTargets({ altitude: Math.round(altitude / 100) * 100, vs: 0 });
+        }
+        this.autopilot.vnavEngaged = engaged;
+    }
+
     getAutopilotStatus() {
         return {
             engaged: this.autopilot.engaged,
             mode: this.autopilot.mode,
-            targets: this.autopilot.targets
+            targets: this.autopilot.targets,
+            vnav: { engaged: this.autopilot.vnavEngaged, ...this.vnav.getStatus() }
         };
     }
 
@@ -2784,6 +3023,9 @@ class RealisticFlightPhysicsService {
         this.state.rates = new Vector3(0, 0, 0);
         this.state.quat = new Quaternion();
         this.crashed = false;
+        this.crashReason = "";
+        this.crashImpact = null;
+        this.landingArmed = false;
         this.currentWaypointIndex = 0;
         
         // Reset Controls
@@ -2804,7 +3046,10 @@ class RealisticFlightPhysicsService {
         });
 
         // Reset Sensors
-        this.sensors = { pitotBlocked: false };
+        this.airData.reset();
+        this.transonic = { mach: 0, criticalMach: 1, buffet: 0 };
+        this.brakes.reset();
+        this.icing.reset();
 
         // Reset Critical System States (Flags that might be stuck)
         if (this.systems) {
@@ -2815,6 +3060,9 @@ class RealisticFlightPhysicsService {
         if (this.failureSystem) {
             this.failureSystem.reset();
         }
+
+        this.recorder.clear();
+        this.scorer.reset();
     }
     resetFailureState() {
         this.controlLag = { aileron: 1.0, elevator: 1.0, rudder: 1.0, gear: 1.0 };
@@ -2826,7 +3074,8 @@ class RealisticFlightPhysicsService {
     }
 
     calculateAirspeeds() {
-        const wind = this.environment?.wind || new Vector3(0, 0, 0);
+        const env = this.calculateEnvironment(this.state.pos.z);
+        const wind = env.wind;
         
         // Transform Wind to Body Frame
         const q_inv = new Quaternion(this.state.quat.w, -this.state.quat.x, -this.state.quat.y, -this.state.quat.z);
@@ -2838,7 +3087,7 @@ class RealisticFlightPhysicsService {
         const tas = V_air_body.magnitude() * 1.94384; // knots
         
         // Simple IAS approx
-        const rho = this.calculateEnvironment(this.state.pos.z).density;
+        const rho = env.density;
         const ias = tas * Math.sqrt(rho / 1.225);
         
         const gs = this.state.vel.magnitude() * 1.94384; // Ground Speed in knots
@@ -5,6 +5,32 @@ import europeanAirports from '../data/europeanAirports.json';
 import americanEmergency from '../data/americanEmergencyAirports.json';
 import otherEmergency from '../data/otherEmergencyAirports.json';
 
+// Frequency bands (MHz) for airport facilities that have no published frequency: [first, step, channels]
+const FACILITY_BANDS = {
+    DELIVERY: [121.6, 0.025, 12],
+    GROUND: [121.7, 0.025, 12],
+    TOWER: [118.1, 0.05, 38],
+    DEPARTURE: [124.0, 0.05, 40],
+    APPROACH: [126.0, 0.05, 40]
+};
+
+const FACILITY_NAMES = {
+    DELIVERY: 'Delivery',
+    GROUND: 'Ground',
+    TOWER: 'Tower',
+    DEPARTURE: 'Departure',
+    APPROACH: 'Approach'
+};
+
+const hashKey = (key) => {
+    let hash = 0;
+    for (let i = 0; i < key.length; i++) {
+        hash = ((hash << 5) - hash) + key.charCodeAt(i);
+        hash |= 0;
+    }
+    return Math.abs(hash);
+};
+
 class RegionControlService {
     constructor() {
         this.airports = [];
@@ -84,14 +110,7 @@ class RegionControlService {
         
         // Deterministic frequency generation based on region center
         // Range 123.00 to 135.95, step 0.05
-        // Hash the key
-        let hash = 0;
-        for (let i = 0; i < regionKey.length; i++) {
-            hash = ((hash << 5) - hash) + regionKey.charCodeAt(i);
-            hash |= 0;
-        }
-        
-        const freqIndex = Math.abs(hash) % 260; // (136-123)*20 = 260 steps
+        const freqIndex = hashKey(regionKey) % 260; // (136-123)*20 = 260 steps
         const freq = 123.0 + (freqIndex * 0.05);
 
         return {
@@ -100,6 +119,25 @@ class RegionControlService {
             displayFreq: freq.toFixed(2)
         };
     }
+
+    // Get an airport facility (Delivery, Ground, Tower, Departure, Approach) name and frequency.
+    // Published frequencies are used when the airport has them, otherwise one is derived from the airport code.
+    getFacilityInfo(airport, facility) {
+        const city = airport.city || airport.name.replace(/International Airport|Airport|Regional|Field/gi, '').trim();
+        const published = (airport.frequencies || []).find(f => f.type.toUpperCase() === facility);
+
+        let freq = published?.frequency;
+        if (!freq) {
+            const [first, step, channels] = FACILITY_BANDS[facility];
+            freq = first + (hashKey(`${airport.icao || airport.iata}:${facility}`) % channels) * step;
+        }
+
+        return {
+            name: `${city} ${FACILITY_NAMES[facility]}`,
+            frequency: freq.toFixed(3),
+            displayFreq: freq.toFixed(2)
+        };
+    }
 }
 
 export const regionControlService = new RegionControlService();
@@ -0,0 +1,190 @@
+/**
+ * TCAS Service
+ *
+ * Traffic collision avoidance against the NPC traffic from npcService. Each update computes
+ * range, closure rate and time to closest point of approach (CPA) for every intruder and
+ * classifies it as OTHER, PROXIMATE, TA (traffic advisory) or RA (resolution advisory) using
+ * TCAS II style tau/DMOD thresholds that tighten with altitude (sensitivity levels).
+ *
+ * RAs are coordinated: the intruder is told to manoeuvre in the opposite sense through
+ * npc.setResolutionAdvisory(), so the two aircraft never climb or descend into each other.
+ */
+
+const DISPLAY_RANGE_NM = 40;
+const DISPLAY_ALTITUDE_FT = 9900;
+const PROXIMATE_RANGE_NM = 6;
+const PROXIMATE_ALTITUDE_FT = 1200;
+const RA_INHIBIT_AGL_FT = 1000; // No RAs close to the ground
+const DESCEND_RA_INHIBIT_AGL_FT = 1100;
+const CLEAR_OF_CONFLICT_SECONDS = 5;
+
+// Vertical speed bands (fpm) the pilot must fly during an RA
+const RA_VS_BANDS = {
+    CLIMB: { min: 1500, max: 2000 },
+    DESCEND: { min: -2000, max: -1500 }
+};
+
+// Sensitivity levels by altitude: tau (s), DMOD (nm) and altitude threshold (ft) for TA / RA
+const SENSITIVITY_LEVELS = [
+    { maxAgl: 1000, taTau: 20, taDmod: 0.30, taZthr: 850, raTau: null },
+    { maxAgl: 2350, taTau: 25, taDmod: 0.33, taZthr: 850, raTau: 15, raDmod: 0.20, raZthr: 600 },
+    { maxMsl: 5000, taTau: 30, taDmod: 0.48, taZthr: 850, raTau: 20, raDmod: 0.35, raZthr: 600 },
+    { maxMsl: 10000, taTau: 40, taDmod: 0.75, taZthr: 850, raTau: 25, raDmod: 0.55, raZthr: 600 },
+    { maxMsl: 20000, taTau: 45, taDmod: 1.00, taZthr: 850, raTau: 30, raDmod: 0.80, raZthr: 600 },
+    { maxMsl: Infinity, taTau: 48, taDmod: 1.30, taZthr: 850, raTau: 35, raDmod: 1.10, raZthr: 700 }
+];
+
+const THREAT_RANK = { OTHER: 0, PROXIMATE: 1, TA: 2, RA: 3 };
+
+class TCASService {
+    constructor() {
+        this.traffic = [];
+        this.advisory = null; // { type: 'TA' | 'RA', sense?, vsBand?, intruderId }
+        this.raIntruders = new Map(); // intruder id -> sense flown by ownship
+        this.clearOfConflictTimer = 0;
+    }
+
+    getSensitivityLevel(altitudeAgl, altitudeMsl) {
+        return SENSITIVITY_LEVELS.find(level =>
+            (level.maxAgl !== undefined && altitudeAgl < level.maxAgl) ||
+            (level.maxMsl !== undefined && altitudeMsl < level.maxMsl)
+        );
+    }
+
+    /**
+     * Geometry of one intruder relative to ownship (flat earth, fine within display range).
+     */
+    evaluate(own, npc) {
+        const cosLat = Math.cos(own.latitude * Math.PI / 180);
+        const x = (npc.longitude - own.longitude) * 60 * cosLat; // nm east
+        const y = (npc.latitude - own.latitude) * 60; // nm north
+        const range = Math.hypot(x, y);
+
+        const npcTrack = npc.heading * Math.PI / 180;
+        const ownTrack = own.track * Math.PI / 180;
+        const vx = npc.speed * Math.sin(npcTrack) - own.groundSpeed * Math.sin(ownTrack); // kts
+        const vy = npc.speed * Math.cos(npcTrack) - own.groundSpeed * Math.cos(ownTrack);
+        const relativeSpeed2 = vx * vx + vy * vy;
+
+        const rangeRate = range > 0 ? (x * vx + y * vy) / range : 0; // kts, negative when closing
+        const timeToCpa = relativeSpeed2 > 0 ? Math.max(0, -(x * vx + y * vy) / relativeSpeed2) * 3600 : 0; // s
+        const cpaRange = Math.hypot(x + vx * timeToCpa / 3600, y + vy * timeToCpa / 3600);
+
+        const relativeAltitude = npc.altitude - own.altitude; // ft, positive above
+        const relativeVS = (npc.verticalSpeed || 0) - own.verticalSpeed; // fpm
+        const verticalTau = relativeAltitude * relativeVS < 0 ? -relativeAltitude / relativeVS * 60 : Infinity;
+
+        return {
+            id: npc.id,
+            callsign: npc.callsign,
+            bearing: (Math.atan2(x, y) * 180 / Math.PI + 360) % 360,
+            range,
+            relativeAltitude,
+            verticalSpeed: npc.verticalSpeed || 0,
+            closureRate: -rangeRate,
+            tau: rangeRate < 0 ? range / -rangeRate * 3600 : Infinity,
+            timeToCpa,
+            cpaRange,
+            cpaRelativeAltitude: relativeAltitude + relativeVS * timeToCpa / 60,
+            verticalTau
+        };
+    }
+
+    classify(target, level) {
+        const { range, tau, relativeAltitude, verticalTau } = target;
+        const inside = (rangeTau, dmod, zthr) =>
+            (tau < rangeTau || range < dmod) && (verticalTau < rangeTau || Math.abs(relativeAltitude) < zthr);
+
+        if (level.raTau && inside(level.raTau, level.raDmod, level.raZthr)) return 'RA';
+        if (inside(level.taTau, level.taDmod, level.taZthr)) return 'TA';
+        if (range < PROXIMATE_RANGE_NM && Math.abs(relativeAltitude) < PROXIMATE_ALTITUDE_FT) return 'PROXIMATE';
+        return 'OTHER';
+    }
+
+    /**
+     * Sense that gives more separation at CPA; an RA already running keeps its sense.
+     */
+    selectSense(target, own) {
+        if (this.raIntruders.has(target.id)) return this.raIntruders.get(target.id);
+        if (own.altitudeAgl < DESCEND_RA_INHIBIT_AGL_FT) return 'CLIMB';
+        return target.cpaRelativeAltitude > 0 ? 'DESCEND' : 'CLIMB';
+    }
+
+    /**
+     * @param {Object} own - { latitude, longitude, altitude (ft MSL), altitudeAgl, verticalSpeed (fpm), groundSpeed (kts), track (deg), onGround }
+     * @param {Array<NPCFlightModel>} npcs
+     * @param {number} dt - Time step (seconds)
+     * @returns {Object} TCAS state (see getState)
+     */
+    update(own, npcs, dt) {
+        const level = this.getSensitivityLevel(own.altitudeAgl, own.altitude);
+        const traffic = [];
+        const activeRAs = new Map();
+
+        for (const npc of npcs || []) {
+            const target = this.evaluate(own, npc);
+            if (target.range > DISPLAY_RANGE_NM || Math.abs(target.relativeAltitude) > DISPLAY_ALTITUDE_FT) continue;
+
+            target.threat = own.onGround || npc.onGround ? 'OTHER' : this.classify(target, level);
+            if (target.threat === 'RA' && own.altitudeAgl < RA_INHIBIT_AGL_FT) target.threat = 'TA';
+
+            if (target.threat === 'RA') {
+                target.sense = this.selectSense(target, own);
+                activeRAs.set(npc.id, target.sense);
+                if (typeof npc.setResolutionAdvisory === 'function') {
+                    npc.setResolutionAdvisory(target.sense === 'CLIMB' ? 'DESCEND' : 'CLIMB');
+                }
+            }
+            traffic.push(target);
+        }
+
+        // Release intruders whose RA has ended
+        for (const npc of npcs || []) {
+            if (this.raIntruders.has(npc.id) && !activeRAs.has(npc.id) && typeof npc.clearResolutionAdvisory === 'function') {
+                npc.clearResolutionAdvisory();
+            }
+        }
+        const hadRA = this.raIntruders.size > 0;
+        this.raIntruders = activeRAs;
+
+        traffic.sort((a, b) => THREAT_RANK[b.threat] - THREAT_RANK[a.threat] || a.tau - b.tau);
+        const threat = traffic.find(target => target.threat === 'RA' || target.threat === 'TA');
+
+        if (threat?.threat === 'RA') {
+            this.advisory = { type: 'RA', sense: threat.sense, vsBand: RA_VS_BANDS[threat.sense], intruderId: threat.id };
+            this.clearOfConflictTimer = 0;
+        } else {
+            if (hadRA) this.clearOfConflictTimer = CLEAR_OF_CONFLICT_SECONDS;
+            else this.clearOfConflictTimer = Math.max(0, this.clearOfConflictTimer - dt);
+            this.advisory = threat ? { type: 'TA', intruderId: threat.id } : null;
+        }
+
+        this.traffic = traffic;
+        return this.getState();
+    }
+
+    /**
+     * Drop all traffic and release any intruder still following a coordinated RA.
+     */
+    reset(npcs = []) {
+        for (const npc of npcs) {
+            if (this.raIntruders.has(npc.id) && typeof npc.clearResolutionAdvisory === 'function') {
+                npc.clearResolutionAdvisory();
+            }
+        }
+        this.traffic = [];
+        this.advisory = null;
+        this.raIntruders = new Map();
+        this.clearOfConflictTimer = 0;
+    }
+
+    getState() {
+        return {
+            traffic: this.traffic,
+            advisory: this.advisory,
+            clearOfConflict: this.clearOfConflictTimer > 0
+        };
+    }
+}
+
+export default TCASService;
@@ -0,0 +1,110 @@
+/**
+ * Terrain Awareness Service
+ *
+ * EGPWS style look-ahead terrain alerting. The flight path is projected along the current
+ * track and vertical speed for the next minute and checked against terrain heights from
+ * TerrainRadarService on a corridor around the track. Terrain that the projected path would
+ * pass within the clearance floor of raises a caution (up to 60 s ahead) or a warning
+ * (up to 30 s ahead). Cells that are not loaded yet are skipped, never treated as a conflict.
+ *
+ * Close to the departure or destination field and low above it the aircraft is meant to be
+ * near the ground: the clearance floor is inhibited there, so a normal takeoff climb or
+ * approach does not raise "TERRAIN AHEAD".
+ */
+
+import { terrainRadarService } from './TerrainRadarService.js';
+import { calculateDistanceMeters } from '../utils/flightMath.js';
+
+const CAUTION_SECONDS = 60;
+const WARNING_SECONDS = 30;
+const SAMPLE_INTERVAL_SECONDS = 2;
+const CORRIDOR_OFFSETS_NM = [-0.5, 0, 0.5]; // Lateral offsets from the projected track
+const CLEARANCE_FLOOR_FT = 500; // Required clearance above terrain along the projected path
+const MIN_GROUND_SPEED_KTS = 60;
+const FLOOR_INHIBIT_RADIUS_NM = 5; // Around the departure/destination field
+const FLOOR_INHIBIT_AGL_FT = 1500; // Takeoff climb and final approach
+
+class TerrainAwarenessService {
+    /**
+     * @param {Object} terrain - source with getTerrainHeight(lat, lon) (ft, null when unknown)
+     *   and getGridIndices(lat, lon)
+     */
+    constructor(terrain = terrainRadarService) {
+        this.terrain = terrain;
+        this.alert = null; // 'CAUTION' | 'WARNING'
+        this.timeToConflict = null; // s
+        this.conflicts = []; // Terrain cells the projected path conflicts with
+    }
+
+    /**
+     * Position along the projected track after t seconds, displaced sideways by offsetNm.
+     */
+    project(own, t, offsetNm) {
+        const track = own.track * Math.PI / 180;
+        const alongNm = own.groundSpeed * t / 3600;
+        const north = alongNm * Math.cos(track) - offsetNm * Math.sin(track);
+        const east = alongNm * Math.sin(track) + offsetNm * Math.cos(track);
+        return {
+            latitude: own.latitude + north / 60,
+            longitude: own.longitude + east / (60 * Math.cos(own.latitude * Math.PI / 180))
+        };
+    }
+
+    /**
+     * Terrain clearance floor inhibit: within FLOOR_INHIBIT_RADIUS_NM of the field and below
+     * FLOOR_INHIBIT_AGL_FT above it.
+     */
+    isFloorInhibited(own) {
+        if (!own.field || typeof own.altitudeAgl !== 'number' || own.altitudeAgl >= FLOOR_INHIBIT_AGL_FT) return false;
+        const distanceNm = calculateDistanceMeters(own.latitude, own.longitude, own.field.latitude, own.field.longitude) / 1852;
+        return distanceNm <= FLOOR_INHIBIT_RADIUS_NM;
+    }
+
+    /**
+     * @param {Object} own - { latitude, longitude, altitude (ft MSL), altitudeAgl (ft), verticalSpeed (fpm),
+     *   groundSpeed (kts), track (deg), onGround, field ({ latitude, longitude } of the departure/destination field) }
+     * @returns {Object} terrain awareness state (see getState)
+     */
+    update(own) {
+        this.alert = null;
+        this.timeToConflict = null;
+        this.conflicts = [];
+
+        if (!own || own.onGround || own.groundSpeed < MIN_GROUND_SPEED_KTS) return this.getState();
+        if (this.isFloorInhibited(own)) return this.getState();
+
+        const seen = new Set();
+        for (let t = SAMPLE_INTERVAL_SECONDS; t <= CAUTION_SECONDS; t += SAMPLE_INTERVAL_SECONDS) {
+            const projectedAltitude = own.altitude + own.verticalSpeed * t / 60;
+
+            for (const offset of CORRIDOR_OFFSETS_NM) {
+                const point = this.project(own, t, offset);
+                const height = this.terrain.getTerrainHeight(point.latitude, point.longitude);
+                if (height === null || projectedAltitude - height >= CLEARANCE_FLOOR_FT) continue;
+
+                const level = t <= WARNING_SECONDS ? 'WARNING' : 'CAUTION';
+                if (this.timeToConflict === null) this.timeToConflict = t;
+                if (level === 'WARNING' || !this.alert) this.alert = level;
+
+                const { latIdx, lonIdx } = this.terrain.getGridIndices(point.latitude, point.longitude);
+                const key = `${latIdx}_${lonIdx}`;
+                if (!seen.has(key)) {
+                    seen.add(key);
+                    this.conflicts.push({ latIdx, lonIdx, height, level });
+                }
+            }
+        }
+
+        return this.getState();
+    }
+
+    getState() {
+        return {
+            alert: this.alert,
+            timeToConflict: this.timeToConflict,
+            conflicts: this.conflicts
+        };
+    }
+}
+
+export default TerrainAwarenessService;
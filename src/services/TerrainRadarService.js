@@ -1,4 +1,5 @@
 import { calculateDistance } from '../utils/distanceCalculator.js';
+import { elevationService } from './elevation/ElevationService.js';
 
 class TerrainRadarService {
     constructor() {
@@ -9,9 +10,6 @@ class TerrainRadarService {
         this.lastPlayerPos = { lat: 0, lon: 0 };
         this.maxCacheSize = 5000; // Limit cache size
         
-        // Open-Elevation API endpoint
-        this.API_ENDPOINT = 'https://api.open-elevation.com/api/v1/lookup';
-        
         // Start the fetch loop
         this.startFetcher();
     }
@@ -118,9 +116,9 @@ class TerrainRadarService {
                 this.isFetching = true;
                 
                 // Process a batch of tiles
-                // Open-Elevation accepts multiple locations in one request
-                // Let's take up to 20 closest points
-                const batchSize = 20;
+                // Local tiles answer a whole batch at once; the remote provider splits it
+                // into rate-limited API requests
+                const batchSize = 200;
                 const batch = this.fetchQueue.splice(0, batchSize);
 
                 if (batch.length > 0) {
@@ -137,84 +135,27 @@ class TerrainRadarService {
             }
             
             // Schedule next check
-            setTimeout(processBatch, 200); // 5 requests per second max (polite rate limit)
+            setTimeout(processBatch, 200);
         };
 
         processBatch();
     }
 
-    // Call Terrain API with Fallback (Double-Entry)
+    // Local tiles first, remote API fallback (see ElevationService)
     async fetchElevationData(batch) {
-        // Format: locations=lat,lon|lat,lon...
-        const locationsParam = batch.map(item => `${item.lat.toFixed(5)},${item.lon.toFixed(5)}`).join('|');
-        
-        // Primary: Open-Elevation
-        // Note: Using corsproxy.io to bypass potential CORS/Mixed-Content issues on production (GitHub Pages)
-        const urlPrimary = `https://api.open-elevation.com/api/v1/lookup?locations=${locationsParam}`;
-        
-        // Secondary: OpenTopoData (ASTER 30m Global)
-        // Public API: https://api.opentopodata.org/v1/aster30m
-        const urlSecondary = `https://api.opentopodata.org/v1/aster30m?locations=${locationsParam}`;
-
-        // CORS Proxy: Used to wrap requests for static site deployment (GitHub Pages)
-        // where no backend proxy is available.
-        const corsProxy = 'https://corsproxy.io/?';
-
-        let success = false;
-
-        // Try Primary
-        try {
-            // console.log("Terrain: Trying Primary (Open-Elevation)...");
-            // Try direct first, if that fails (network/cors), we could try proxy, 
-            // but usually for CORS it fails instantly. 
-            // Let's try wrapping with proxy to be safe for production if direct is known to be flaky with CORS.
-            // However, Open-Elevation often supports CORS. Let's try direct first for Primary.
-            const response = await fetch(urlPrimary);
-            if (!response.ok) throw new Error(`Primary API Error: ${response.status}`);
-            const data = await response.json();
-            if (data && data.results) {
-                this.processResults(batch, data.results);
-                success = true;
-            }
-        } catch (error) {
-            console.warn("Terrain: Primary API failed, switching to Secondary...", error);
-        }
-
-        // Try Secondary if Primary failed
-        if (!success) {
-            try {
-                // console.log("Terrain: Trying Secondary (OpenTopoData)...");
-                // OpenTopoData often has strict CORS. Use proxy.
-                const response = await fetch(corsProxy + encodeURIComponent(urlSecondary));
-                if (!response.ok) throw new Error(`Secondary API Error: ${response.status}`);
-                const data = await response.json();
-                if (data && data.results) {
-                    this.processResults(batch, data.results);
-                    success = true;
-                }
-            } catch (error) {
-                console.warn("Terrain: Secondary API also failed.", error);
-            }
-        }
-        
-        // If both failed, we just leave them as null (pending) or could cache 0s
-        if (!success) {
-             // Optional: Cache 0s to stop retrying immediately? 
-             // batch.forEach(item => this.cache.set(item.key, 0));
-        }
+        const elevations = await elevationService.getElevations(
+            batch.map(item => ({ latitude: item.lat, longitude: item.lon }))
+        );
+        this.processResults(batch, elevations);
     }
 
-    processResults(batch, results) {
-        results.forEach((result, index) => {
-            // Match result back to batch item
-            if (index < batch.length) {
-                const item = batch[index];
-                const elevationMeters = result.elevation;
-                // Handle null elevation (ocean/error)
-                const validElev = (elevationMeters !== null && elevationMeters !== undefined) ? elevationMeters : 0;
-                const elevationFeet = validElev * 3.28084;
-                this.cache.set(item.key, elevationFeet);
-            }
+    processResults(batch, elevations) {
+        elevations.forEach((elevationMeters, index) => {
+            // Points no provider could answer stay pending and are re-queued by update()
+            if (elevationMeters === null) return;
+            const item = batch[index];
+            const elevationFeet = elevationMeters * 3.28084;
+            this.cache.set(item.key, elevationFeet);
         });
     }
 }
@@ -0,0 +1,290 @@
+import { calculateDistanceMeters } from '../utils/flightMath.js';
+
+/**
+ * VNAV Service
+ *
+ * Builds a vertical profile over the remaining flight plan and flies it through the
+ * autopilot's VS and speed targets. Waypoints may carry constraints:
+ *   altitude (ft MSL) with altitudeConstraint 'AT' | 'ABOVE' | 'BELOW' (default 'AT')
+ *   speed (kts, at or below)
+ * The descent path is built backwards from the constraints at an idle descent gradient
+ * and capped at the cruise altitude; the top of descent (TOD) is where it leaves cruise.
+ */
+
+const METERS_PER_NM = 1852;
+const DESCENT_FT_PER_NM = 1000 / 3; // Idle descent (3 nm per 1000 ft)
+const CLIMB_VS = 2000; // ft/min
+const MAX_DESCENT_VS = 3000; // ft/min
+const MAX_DESCENT_CORRECTION_VS = 500; // Climb allowed while correcting below the descent path
+const PATH_GAIN = 1.5; // ft/min per ft of deviation, same as the autopilot's altitude hold
+const CLIMB_BAND = 300; // ft below the target before the phase reads CLIMB
+const DECEL_KT_PER_NM = 10; // Deceleration lead for speed constraints
+const SPEED_LIMIT_ALTITUDE = 10000; // ft MSL
+const SPEED_LIMIT = 250; // kts
+const SPEED_LIMIT_DESCENT_LEAD = 1000; // ft above the limit altitude to be slowed down by
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const hasAltitudeConstraint = (wp) => typeof wp.altitude === 'number' && wp.altitude > 0;
+const hasSpeedConstraint = (wp) => typeof wp.speed === 'number' && wp.speed > 0;
+
+class VNAVService {
+    constructor() {
+        this.cruiseAltitude = 0; // ft MSL
+        this.cruiseSpeed = 0; // kts
+        this.descentCeiling = null; // ft MSL, last AT/BELOW constraint passed while descending
+        this.lastWaypointIndex = null;
+        this.status = VNAVService.emptyStatus();
+    }
+
+    static emptyStatus() {
+        return {
+            phase: null,
+            cruiseAltitude: 0,
+            todDistanceNm: null,
+            todPosition: null,
+            pathAltitude: null,
+            verticalDeviation: null,
+            targetVS: null,
+            targetSpeed: null,
+            nextConstraint: null
+        };
+    }
+
+    setCruise({ altitude, speed }) {
+        if (typeof altitude === 'number' && altitude > 0) {
+            this.cruiseAltitude = altitude;
+            this.descentCeiling = null;
+        }
+        if (typeof speed === 'number' && speed > 0) this.cruiseSpeed = speed;
+    }
+
+    /**
+     * Distances along track from the aircraft to each remaining waypoint.
+     * @returns {Array<{index, wp, distanceNm, from}>}
+     */
+    buildLegs(geo, flightPlan, startIndex) {
+        const legs = [];
+        let distanceNm = 0;
+        let from = { latitude: geo.lat, longitude: geo.lon };
+        for (let i = startIndex; i < flightPlan.length; i++) {
+            const wp = flightPlan[i];
+            distanceNm += calculateDistanceMeters(from.latitude, from.longitude, wp.latitude, wp.longitude) / METERS_PER_NM;
+            legs.push({ index: i, wp, distanceNm, from });
+            from = wp;
+        }
+        return legs;
+    }
+
+    /**
+     * Vertical profile over the remaining legs: the altitude of the descent path at each
+     * waypoint and the distance to the top of descent. `top` is the cruise altitude, or the
+     * last constraint passed once the descent has started.
+     */
+    buildProfile(legs, top) {
+        const cruise = top;
+
+        // Backward pass: highest altitude at each waypoint that still meets every later constraint
+        const altitudes = new Array(legs.length);
+        let next = null;
+        for (let i = legs.length - 1; i >= 0; i--) {
+            const { wp, distanceNm } = legs[i];
+            let altitude = next ? next.altitude + (next.distanceNm - distanceNm) * DESCENT_FT_PER_NM : Infinity;
+            if (hasAltitudeConstraint(wp)) {
+                const constraint = wp.altitudeConstraint || 'AT';
+                if (constraint === 'AT') altitude = wp.altitude;
+                else if (constraint === 'BELOW') altitude = Math.min(altitude, wp.altitude);
+                else if (constraint === 'ABOVE') altitude = Math.max(altitude, wp.altitude);
+            }
+            altitudes[i] = Math.min(cruise, altitude);
+            next = { altitude: altitudes[i], distanceNm };
+        }
+
+        // Past the last altitude constraint the path stays level, and the descent starts after
+        // the last waypoint before it that is still at cruise
+        let lastConstraint = legs.length - 1;
+        while (lastConstraint >= 0 && !hasAltitudeConstraint(legs[lastConstraint].wp)) lastConstraint--;
+        let firstDescent = lastConstraint + 1;
+        while (firstDescent > 0 && altitudes[firstDescent - 1] < cruise) firstDescent--;
+
+        // Once descending the path never climbs back up (e.g. between two AT constraints)
+        for (let i = firstDescent + 1; i < legs.length; i++) {
+            altitudes[i] = Math.min(altitudes[i], altitudes[i - 1]);
+        }
+
+        let todDistanceNm = null;
+        if (firstDescent <= lastConstraint) {
+            const first = legs[firstDescent];
+            todDistanceNm = first.distanceNm - (cruise - altitudes[firstDescent]) / DESCENT_FT_PER_NM;
+        }
+
+        return { top, altitudes, firstDescent, todDistanceNm };
+    }
+
+    /**
+     * Descent path altitude and slope (ft/nm, positive descending) at a distance along track.
+     */
+    pathAt(legs, profile, distanceNm) {
+        const { top, altitudes, firstDescent, todDistanceNm } = profile;
+        if (todDistanceNm === null || distanceNm <= todDistanceNm) {
+            return { altitude: top, slope: 0 };
+        }
+        for (let i = firstDescent; i < legs.length; i++) {
+            if (legs[i].distanceNm < distanceNm) continue;
+            const previous = i > firstDescent ? altitudes[i - 1] : top;
+            const onGradient = altitudes[i] + (legs[i].distanceNm - distanceNm) * DESCENT_FT_PER_NM;
+            return onGradient < previous
+                ? { altitude: onGradient, slope: DESCENT_FT_PER_NM }
+                : { altitude: previous, slope: 0 };
+        }
+        return { altitude: altitudes[legs.length - 1], slope: 0 };
+    }
+
+    /**
+     * Map position of a distance along track, interpolated along its leg.
+     */
+    positionAt(legs, distanceNm) {
+        let legStart = 0;
+        for (const leg of legs) {
+            if (distanceNm <= leg.distanceNm) {
+                const legLength = leg.distanceNm - legStart;
+                const f = legLength > 0 ? clamp((distanceNm - legStart) / legLength, 0, 1) : 1;
+                return {
+                    latitude: leg.from.latitude + (leg.wp.latitude - leg.from.latitude) * f,
+                    longitude: leg.from.longitude + (leg.wp.longitude - leg.from.longitude) * f
+                };
+            }
+            legStart = leg.distanceNm;
+        }
+        return null;
+    }
+
+    /**
+     * Managed speed: cruise speed, limited by upcoming speed constraints (with a deceleration
+     * lead), the last passed constraint while descending and 250 kts below 10,000 ft.
+     */
+    managedSpeed(legs, flightPlan, startIndex, altitude, phase) {
+        let speed = this.cruiseSpeed;
+        for (const { wp, distanceNm } of legs) {
+            if (hasSpeedConstraint(wp)) speed = Math.min(speed, wp.speed + distanceNm * DECEL_KT_PER_NM);
+        }
+        if (phase === 'DESCENT') {
+            for (let i = startIndex - 1; i >= 0; i--) {
+                if (hasSpeedConstraint(flightPlan[i])) {
+                    speed = Math.min(speed, flightPlan[i].speed);
+                    break;
+                }
+            }
+        }
+        const limitAltitude = SPEED_LIMIT_ALTITUDE + (phase === 'DESCENT' ? SPEED_LIMIT_DESCENT_LEAD : 0);
+        if (altitude < limitAltitude) speed = Math.min(speed, SPEED_LIMIT);
+        return Math.round(speed);
+    }
+
+    /**
+     * Updates the vertical profile and, when VNAV is engaged, the autopilot's VS and speed targets.
+     * @param {Object} currentGeo - { lat, lon }
+     * @param {Object} aircraft - { altitude (ft MSL), groundSpeed (kts) }
+     * @param {NavigationService} navService
+     * @param {Object} autopilot - Reference to autopilot service to set targets
+     * @returns {Object} VNAV status
+     */
+    update(currentGeo, aircraft, navService, autopilot) {
+        const flightPlan = navService.flightPlan || [];
+        const startIndex = navService.currentWaypointIndex;
+        if (!this.cruiseAltitude || startIndex >= flightPlan.length) {
+            this.status = { ...VNAVService.emptyStatus(), cruiseAltitude: this.cruiseAltitude };
+            return this.status;
+        }
+
+        // Sequencing an AT/BELOW constraint during the descent keeps the path from climbing
+        // back towards cruise before the next constraint's descent point
+        if (startIndex !== this.lastWaypointIndex) {
+            const passed = flightPlan[startIndex - 1];
+            if (this.status.phase === 'DESCENT' && passed && hasAltitudeConstraint(passed) && (passed.altitudeConstraint || 'AT') !== 'ABOVE') {
+                this.descentCeiling = Math.min(this.descentCeiling ?? Infinity, passed.altitude);
+            }
+            this.lastWaypointIndex = startIndex;
+        }
+
+        const { altitude, groundSpeed } = aircraft;
+        const legs = this.buildLegs(currentGeo, flightPlan, startIndex);
+        const profile = this.buildProfile(legs, Math.min(this.cruiseAltitude, this.descentCeiling ?? Infinity));
+        const path = this.pathAt(legs, profile, 0);
+        const inDescent = this.descentCeiling !== null || (profile.todDistanceNm !== null && profile.todDistanceNm <= 0);
+
+        // Climb to cruise, stopping at AT/BELOW constraints on the way
+        let levelOff = this.cruiseAltitude;
+        for (const { wp } of legs.slice(0, profile.firstDescent)) {
+            if (hasAltitudeConstraint(wp) && (wp.altitudeConstraint || 'AT') !== 'ABOVE') {
+                levelOff = Math.min(levelOff, wp.altitude);
+                break;
+            }
+        }
+
+        let phase;
+        let targetVS;
+        if (inDescent) {
+            phase = 'DESCENT';
+            const pathVS = -path.slope * Math.max(groundSpeed, 0) / 60;
+            targetVS = clamp(pathVS + PATH_GAIN * (path.altitude - altitude), -MAX_DESCENT_VS, MAX_DESCENT_CORRECTION_VS);
+        } else {
+            phase = altitude < levelOff - CLIMB_BAND ? 'CLIMB' : 'CRUISE';
+            targetVS = clamp(PATH_GAIN * (levelOff - altitude), -MAX_DESCENT_VS, CLIMB_VS);
+        }
+
+        const targetSpeed = this.managedSpeed(legs, flightPlan, startIndex, altitude, phase);
+        const next = legs.find(({ wp }) => hasAltitudeConstraint(wp) || hasSpeedConstraint(wp));
+
+        this.status = {
+            phase,
+            cruiseAltitude: this.cruiseAltitude,
+            todDistanceNm: profile.todDistanceNm !== null && profile.todDistanceNm > 0 ? profile.todDistanceNm : null,
+            todPosition: profile.todDistanceNm !== null && profile.todDistanceNm > 0 ? this.positionAt(legs, profile.todDistanceNm) : null,
+            pathAltitude: inDescent ? Math.round(path.altitude) : null,
+            verticalDeviation: inDescent ? Math.round(altitude - path.altitude) : null,
+            targetVS: Math.round(targetVS),
+            targetSpeed,
+            nextConstraint: next ? {
+                label: next.wp.label || next.wp.name || `WP${next.index + 1}`,
+                altitude: hasAltitudeConstraint(next.wp) ? next.wp.altitude : null,
+                altitudeConstraint: hasAltitudeConstraint(next.wp) ? (next.wp.altitudeConstraint || 'AT') : null,
+                speed: hasSpeedConstraint(next.wp) ? next.wp.speed : null,
+                distanceNm: next.distanceNm
+            } : null
+        };
+
+        // ILS glideslope owns the vertical path once the approach is armed
+        if (autopilot && autopilot.engaged && autopilot.vnavEngaged && autopilot.mode !== 'ILS') {
+            autopilot.setTargets({ vs: this.status.targetVS, speed: targetSpeed });
+        }
+
+        return this.status;
+    }
+
+    getStatus() {
+        return this.status;
+    }
+
+    /**
+     * Get serializable state for save system
+     */
+    getState() {
+        return {
+            cruiseAltitude: this.cruiseAltitude,
+            cruiseSpeed: this.cruiseSpeed,
+            descentCeiling: this.descentCeiling
+        };
+    }
+
+    /**
+     * Restore state from save file
+     */
+    loadState(data) {
+        if (!data) return;
+        this.setCruise({ altitude: data.cruiseAltitude, speed: data.cruiseSpeed });
+        if (typeof data.descentCeiling === 'number') this.descentCeiling = data.descentCeiling;
+    }
+}
+
+export default VNAVService;
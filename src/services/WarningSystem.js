@@ -3,17 +3,34 @@
  * Warning System Service
  * 
  * Monitors aircraft state and triggers warnings for:
- * - GPWS (Ground Proximity Warning System)
+ * - GPWS (Ground Proximity Warning System), including look-ahead terrain alerting
  * - Stall
- * - Overspeed
+ * - Overspeed (Vmo, and Mmo at altitude)
  * - Bank Angle
  * - System Failures (Engine, Hydraulics, etc.)
+ * - TCAS Traffic and Resolution Advisories
+ * - Wind Shear (reactive from the energy rate, predictive from the microburst cells ahead)
+ * - Icing (ice detector, probe heat off; the stall warning is biased by the wing ice)
+ * - Air data (IAS, ALT and AOA DISAGREE between the captain's and first officer's instruments)
+ * - Brakes (brake temperature, deflated tyres, autobrake disarm)
+ *
+ * Stall and overspeed are sensed like the real systems: from the AoA vanes and the indicated
+ * airspeeds, so a failed probe can trigger them falsely.
  */
 
-import { terrainRadarService } from './TerrainRadarService.js';
+import TerrainAwarenessService from './TerrainAwarenessService.js';
+import WindShearService from './WindShearService.js';
+
+const WINDSHEAR_MAX_AGL_FT = 1500;
+const WINDSHEAR_F_FACTOR = 0.13; // Performance-decreasing shear threshold
+const WINDSHEAR_WASHOUT_SECONDS = 5; // Time constant of the tailwind rate estimate
 
 class WarningSystem {
-    constructor() {
+    /**
+     * @param {WindShearService} windShear - microburst cells for the predictive wind shear scan
+     * @param {Object} limits - { vmo (kts), mmo } of the aircraft
+     */
+    constructor(windShear = new WindShearService(), limits = {}) {
         this.activeWarnings = [];
         this.lastUpdate = 0;
         
@@ -21,7 +38,8 @@ class WarningSystem {
         this.thresholds = {
             stallAlpha: 15, // Degrees
             bankAngleWarn: 40, // Degrees
-            overspeedKnots: 340, // Knots (Vmo generic)
+            overspeedKnots: limits.vmo || 340, // Knots (Vmo)
+            overspeedMach: limits.mmo || 0.82, // Mmo
             sinkRateWarn: 2500, // ft/min
             sinkRatePullUp: 4000, // ft/min
             terrainClosureWarn: 2000, // ft/min closure rate
@@ -40,10 +58,28 @@ class WarningSystem {
                 170  // Flaps 30
             ],
             tailStrikePitch: 10, // Degrees
+            brakeTemp: 500, // °C
             altitudeAlertDiff: 300 // ft
         };
         
         this.prevApEngaged = false;
+        this.terrainAwareness = new TerrainAwarenessService();
+        this.windShear = windShear;
+        this.shear = { time: null, tailwind: 0, rate: 0, factor: 0 }; // Reactive F-factor estimate
+    }
+
+    /**
+     * Look-ahead terrain state for the navigation display overlay
+     */
+    getTerrainAwareness() {
+        return this.terrainAwareness.getState();
+    }
+
+    /**
+     * Predictive wind shear state (alert and hazard position ahead)
+     */
+    getWindShear() {
+        return { ...this.windShear.getState(), factor: this.shear.factor };
     }
 
     /**
@@ -68,12 +104,20 @@ class WarningSystem {
             engineParams,
             groundStatus,
             autopilot,
-            autopilotTargets
+            autopilotTargets,
+            tcas,
+            airData
         } = physicsState;
 
         const altitudeAGL = derived.altitude_agl_ft;
         const altitudeMSL = derived.altitude_ft;
-        const airspeed = derived.indicatedAirspeed || derived.airspeed; // Use IAS for structural limits
+        // Use IAS for structural limits; either side's instruments can trigger the warnings
+        const airspeed = airData?.captain
+            ? Math.max(airData.captain.ias, airData.fo.ias)
+            : derived.indicatedAirspeed || derived.airspeed;
+        const mach = airData?.captain
+            ? Math.max(airData.captain.mach, airData.fo.mach)
+            : physicsState.transonic?.mach || 0;
         
         // Roll is available in debugPhysics.phi (radians)
         const rollRad = physicsState.debugPhysics.phi || 0;
@@ -81,23 +125,38 @@ class WarningSystem {
         
         const rollDeg = rollRad * 180 / Math.PI;
         const pitchDeg = pitchRad * 180 / Math.PI;
-        const alpha = debugPhysics.alpha * 180 / Math.PI;
+        const vaneAlpha = airData?.captain ? Math.max(airData.captain.alpha, airData.fo.alpha) : debugPhysics.alpha;
+        const alpha = vaneAlpha * 180 / Math.PI;
         
         // --- GPWS Checks ---
-        this.checkGPWS(altitudeAGL, verticalSpeed, gear, flaps, airspeed, groundStatus);
+        this.checkGPWS(altitudeAGL, verticalSpeed, gear, flaps, airspeed, groundStatus, physicsState);
+
+        // --- Wind Shear ---
+        this.checkWindShear(physicsState, altitudeAGL, verticalSpeed);
 
         // --- Flight Envelope Checks ---
-        this.checkEnvelope(alpha, airspeed, rollDeg, pitchDeg, flaps, gear, groundStatus);
+        this.checkEnvelope(alpha, airspeed, rollDeg, pitchDeg, flaps, gear, groundStatus, mach);
+
+        // --- Icing ---
+        this.checkIcing(physicsState.icing, systems, alpha, groundStatus);
+
+        // --- Air Data ---
+        this.checkAirData(airData);
 
         // --- Configuration Checks ---
         this.checkConfiguration(flaps, gear, airBrakes, throttle, groundStatus, pitchDeg, brakes, altitudeAGL);
 
         // --- System Checks ---
         this.checkSystems(systems, fuel, engineParams, altitudeAGL, controls);
+        this.checkBrakes(systems?.brakes);
+        this.checkWeightBalance(physicsState.weightBalance);
         
         // --- Autopilot/Nav Checks ---
         this.checkAutomation(autopilot, autopilotTargets, altitudeMSL);
 
+        // --- TCAS ---
+        this.checkTCAS(tcas);
+
         // Sort by priority (Critical first)
         this.activeWarnings.sort((a, b) => {
             const priorityOrder = { 'CRITICAL': 0, 'WARNING': 1, 'ADVISORY': 2 };
@@ -120,6 +179,7 @@ class WarningSystem {
         const isLandingConfig = gear > 0.9 && flaps > 0.5;
         
         if ((groundStatus && (groundStatus.status === 'RUNWAY' || groundStatus.status === 'GRASS')) || isLandingConfig) {
+            this.terrainAwareness.update(null); // Clear the look-ahead so the ND shows no stale conflicts
             return;
         }
 
@@ -141,42 +201,26 @@ class WarningSystem {
              }
         }
         
-        // --- Mode 2: Terrain Ahead Prediction (Horizontal Lookahead) ---
-        // User Request: "terrain higher than me in front of me... within 20s reach... at any airspeed"
-        
+        // --- Mode 2: Terrain Ahead (look-ahead along track and vertical speed) ---
+        // Projects the next 60 seconds of flight path over the terrain radar heights
         if (physicsState && physicsState.derived && physicsState.position) {
-             const validGS = physicsState.derived.groundSpeed || 0; // Knots
-             const validHeading = physicsState.derived.heading || 0; // Degrees
-             const lat = physicsState.position.latitude || 0;
-             const lon = physicsState.position.longitude || 0;
-             const altAMSL = physicsState.derived.altitude_ft || 0;
-             
-             // Calculate future positions
-             const headingRad = validHeading * Math.PI / 180;
-             const nmPerSec = validGS / 3600;
-             
-             // Check 10s (PULL UP)
-             const distNm10 = nmPerSec * PREDICTION_TIME_PULL_UP;
-             const distDeg10 = distNm10 / 60;
-             const dLat10 = distDeg10 * Math.cos(headingRad);
-             const dLon10 = distDeg10 * Math.sin(headingRad) / Math.cos(lat * Math.PI / 180);
-             
-             const futureTerrainFt10 = terrainRadarService.getTerrainHeight(lat + dLat10, lon + dLon10);
-             
-             if (futureTerrainFt10 !== null && futureTerrainFt10 > altAMSL) {
-                  this.addWarning('GPWS_PULL_UP', 'warnings.gpws.pull_up', 'CRITICAL', true);
-             } else {
-                  // Check 20s (TERRAIN)
-                  const distNm20 = nmPerSec * PREDICTION_TIME_WARN;
-                  const distDeg20 = distNm20 / 60;
-                  const dLat20 = distDeg20 * Math.cos(headingRad);
-                  const dLon20 = distDeg20 * Math.sin(headingRad) / Math.cos(lat * Math.PI / 180);
-                  
-                  const futureTerrainFt20 = terrainRadarService.getTerrainHeight(lat + dLat20, lon + dLon20);
-                  
-                  if (futureTerrainFt20 !== null && futureTerrainFt20 > altAMSL) {
-                       this.addWarning('GPWS_TERRAIN', 'warnings.gpws.terrain', 'CRITICAL', true);
-                  }
+             const runway = physicsState.runwayGeometry;
+             const { alert } = this.terrainAwareness.update({
+                  latitude: physicsState.position.latitude || 0,
+                  longitude: physicsState.position.longitude || 0,
+                  altitude: physicsState.derived.altitude_ft || 0,
+                  altitudeAgl: agl,
+                  field: runway ? { latitude: runway.airportLat, longitude: runway.airportLon } : null,
+                  verticalSpeed: vs,
+                  groundSpeed: physicsState.derived.groundSpeed || 0,
+                  track: physicsState.derived.track ?? physicsState.derived.heading ?? 0,
+                  onGround: physicsState.debugPhysics?.isOnGround
+             });
+
+             if (alert === 'WARNING') {
+                  this.addWarning('GPWS_TERRAIN_AHEAD', 'warnings.gpws.terrain_ahead', 'CRITICAL', true);
+             } else if (alert === 'CAUTION') {
+                  this.addWarning('GPWS_CAUTION_TERRAIN', 'warnings.gpws.caution_terrain', 'WARNING');
              }
         }
 
@@ -189,7 +233,62 @@ class WarningSystem {
         }
     }
 
-    checkEnvelope(alpha, airspeed, roll, pitch, flaps, gear, groundStatus) {
+    /**
+     * Reactive wind shear from the F-factor, F = (dWx/dt) / g + w / V: the rate at which the
+     * tailwind grows plus the downdraft relative to airspeed, i.e. the energy the airmass takes
+     * away. The tailwind rate comes from a washout filter so steps in the reported wind don't
+     * alert. Predictive wind shear scans the cells ahead on takeoff and approach.
+     */
+    checkWindShear(physicsState, agl, vs) {
+        const { derived, time } = physicsState;
+        const onGround = physicsState.debugPhysics?.isOnGround;
+        const wind = derived?.wind;
+        const track = derived?.track ?? derived?.heading ?? 0;
+        const trueAirspeed = (derived?.airspeed || 0) * 0.514444; // m/s
+
+        if (wind && typeof time === 'number') {
+            const tailwind = -wind.speed * Math.cos((wind.direction - track) * Math.PI / 180) * 0.514444; // m/s
+            const dt = this.shear.time === null ? 0 : time - this.shear.time;
+
+            if (this.shear.time === null || dt < 0) {
+                this.shear = { time, tailwind, rate: 0, factor: 0 };
+            } else if (dt > 0) {
+                const rate = (tailwind - this.shear.tailwind) / WINDSHEAR_WASHOUT_SECONDS;
+                const downdraft = -(wind.verticalSpeed || 0) / 196.85; // m/s, positive down
+                this.shear = {
+                    time,
+                    tailwind: this.shear.tailwind + rate * Math.min(dt, WINDSHEAR_WASHOUT_SECONDS),
+                    rate,
+                    factor: trueAirspeed > 30 ? rate / 9.80665 + downdraft / trueAirspeed : 0
+                };
+            }
+        }
+
+        const inRange = !onGround && agl < WINDSHEAR_MAX_AGL_FT;
+        if (inRange && this.shear.factor >= WINDSHEAR_F_FACTOR) {
+            this.addWarning('WINDSHEAR', 'warnings.windshear.reactive', 'CRITICAL', true);
+        }
+
+        const { alert } = this.windShear.update(physicsState.position ? {
+            latitude: physicsState.position.latitude || 0,
+            longitude: physicsState.position.longitude || 0,
+            altitudeAgl: agl,
+            verticalSpeed: vs,
+            groundSpeed: derived?.groundSpeed || 0,
+            trueAirspeed: derived?.airspeed || 0,
+            track,
+            onGround
+        } : null);
+
+        if (alert === 'WARNING') {
+            const key = vs < 0 ? 'warnings.windshear.go_around' : 'warnings.windshear.ahead';
+            this.addWarning('WINDSHEAR_AHEAD', key, 'CRITICAL', true);
+        } else if (alert === 'CAUTION') {
+            this.addWarning('WINDSHEAR_CAUTION', 'warnings.windshear.monitor_radar', 'WARNING');
+        }
+    }
+
+    checkEnvelope(alpha, airspeed, roll, pitch, flaps, gear, groundStatus, mach = 0) {
         const onGround = groundStatus && (groundStatus.status === 'RUNWAY' || groundStatus.status === 'GRASS');
 
         // Stall Warning (Disabled on Ground)
@@ -197,8 +296,8 @@ class WarningSystem {
             this.addWarning('STALL', 'warnings.stall', 'CRITICAL', true);
         }
 
-        // Overspeed
-        if (airspeed > this.thresholds.overspeedKnots) {
+        // Overspeed: Vmo down low, Mmo at altitude
+        if (airspeed > this.thresholds.overspeedKnots || mach > this.thresholds.overspeedMach) {
             this.addWarning('OVERSPEED', 'warnings.overspeed', 'CRITICAL', true);
         }
 
@@ -209,6 +308,55 @@ class WarningSystem {
         }
     }
 
+    checkIcing(icing, systems, alpha, groundStatus) {
+        if (!icing) return;
+        const onGround = groundStatus && (groundStatus.status === 'RUNWAY' || groundStatus.status === 'GRASS');
+        const ice = systems?.ice || {};
+
+        // The ice detector lowers the stall warning angle by the stall angle lost to the ice
+        const iceStallAlpha = this.thresholds.stallAlpha - (icing.stallAlphaLoss || 0) * 180 / Math.PI;
+        if (!onGround && alpha > iceStallAlpha) {
+            this.addWarning('STALL', 'warnings.stall', 'CRITICAL', true);
+        }
+
+        // Accreting with any anti-ice switch off
+        const engineAntiIceOff = Object.keys(ice).some(key => /^eng\d+AntiIce$/.test(key) && !ice[key]);
+        if (icing.detected && (!ice.wingAntiIce || engineAntiIceOff)) {
+            this.addWarning('ICE_DETECTED', 'warnings.ice.detected', 'WARNING');
+        }
+
+        if (!onGround && ice.probeHeat === false) {
+            this.addWarning('PROBE_HEAT', 'warnings.ice.probe_heat', 'ADVISORY');
+        }
+    }
+
+    checkAirData(airData) {
+        if (!airData?.disagree) return;
+        const { disagree } = airData;
+        if (disagree.ias) this.addWarning('IAS_DISAGREE', 'warnings.air_data.ias_disagree', 'WARNING');
+        if (disagree.altitude) this.addWarning('ALT_DISAGREE', 'warnings.air_data.alt_disagree', 'WARNING');
+        if (disagree.aoa) this.addWarning('AOA_DISAGREE', 'warnings.air_data.aoa_disagree', 'ADVISORY');
+    }
+
+    checkBrakes(brakes) {
+        if (!brakes) return;
+        if (Array.isArray(brakes.deflated) && brakes.deflated.some(Boolean)) {
+            this.addWarning('TYRE_DEFLATED', 'warnings.brakes.tyre_deflated', 'WARNING');
+        }
+        if (Array.isArray(brakes.temp) && Math.max(...brakes.temp) > this.thresholds.brakeTemp) {
+            this.addWarning('BRAKE_TEMP', 'warnings.brakes.temp', 'ADVISORY');
+        }
+        if (brakes.autobrakeDisarm) {
+            this.addWarning('AUTOBRAKE_DISARM', 'warnings.brakes.autobrake_disarm', 'ADVISORY');
+        }
+    }
+
+    checkWeightBalance(weightBalance) {
+        if (weightBalance && !weightBalance.withinLimits) {
+            this.addWarning('CG_LIMIT', 'warnings.cg_limit', 'WARNING');
+        }
+    }
+
     checkSystems(systems, fuel, engines, agl, controls) {
         if (!systems) return;
 
@@ -289,6 +437,21 @@ class WarningSystem {
         }
     }
 
+    checkTCAS(tcas) {
+        if (!tcas) return;
+
+        const { advisory } = tcas;
+        if (advisory?.type === 'RA') {
+            const { min, max } = advisory.vsBand;
+            const key = advisory.sense === 'CLIMB' ? 'warnings.tcas.climb' : 'warnings.tcas.descend';
+            this.addWarning('TCAS_RA', { key, params: { min, max } }, 'CRITICAL', true);
+        } else if (advisory?.type === 'TA') {
+            this.addWarning('TCAS_TA', 'warnings.tcas.traffic', 'WARNING');
+        } else if (tcas.clearOfConflict) {
+            this.addWarning('TCAS_CLEAR', 'warnings.tcas.clear', 'ADVISORY');
+        }
+    }
+
     checkAutomation(autopilot, autopilotTargets, altitudeMSL) {
         if (!autopilot) return;
 
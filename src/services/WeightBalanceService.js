@@ -0,0 +1,215 @@
+/**
+ * Weight & Balance Service
+ *
+ * Centre of gravity of the aircraft from its loadsheet and fuel. Every station - the empty
+ * aircraft, three cabin zones, two cargo holds and the fuel tanks - has a moment arm, expressed
+ * like the CG itself as a fraction of the mean aerodynamic chord (MAC) aft of its leading edge:
+ *   CG = sum(mass * arm) / sum(mass)
+ * The fuel arms follow the tank quantities in systems.fuel.tanks, so the CG moves as fuel burns,
+ * is pumped or leaks.
+ *
+ * The aerodynamic model is tuned with the CG at the aircraft's centerOfGravityPosition. Away from
+ * it the wing lift acts on a different lever: an aft CG adds nose-up moment and erodes the pitch
+ * stability, a forward CG needs more nose-up elevator and trim to rotate and flare. Outside the
+ * certified envelope (cgForwardLimit - cgAftLimit) the aircraft may run out of elevator or
+ * become unstable in pitch.
+ */
+
+// Station arms (fraction of MAC aft of the leading edge). Shared by every type, so they are
+// sized for the densest cabin in the database (737-800): a full cabin seated 'forward' or 'aft'
+// with the rest of the payload split between the holds stays inside the default limits from
+// zero fuel to MTOW on every type
+const STATION_ARMS = {
+    cabinFwd: -0.6,
+    cabinMid: 0.2,
+    cabinAft: 1.0,
+    holdFwd: -0.5,
+    holdAft: 0.8
+};
+const TANK_ARMS = { left: 0.28, right: 0.28, center: 0.05 };
+const DEFAULT_TANK_ARM = 0.2;
+
+export const LOAD_ZONES = Object.keys(STATION_ARMS);
+
+// Share of the passengers seated in each cabin zone
+export const CABIN_LOADINGS = {
+    even: [1 / 3, 1 / 3, 1 / 3],
+    forward: [0.5, 0.35, 0.15],
+    aft: [0.15, 0.35, 0.5]
+};
+
+const PASSENGER_KG = 90;
+const CREW_KG = 90;
+const DEFAULT_CABIN_SHARE = 0.6; // Payload without a loadsheet: cabin share, the rest in the holds
+const DEFAULT_HOLD_FWD_SHARE = 0.45;
+
+const DEFAULT_FORWARD_LIMIT = 0.06;
+const DEFAULT_AFT_LIMIT = 0.32;
+const TAKEOFF_CL = 0.8; // Rotation
+const MAIN_GEAR_ARM = 0.5; // Main gear, where an aft CG tips the aircraft onto its tail
+const MAX_TRIM = 0.2; // rad, the stabiliser trim range either way
+
+/**
+ * Loadsheet zones (kg) from the dispatch figures.
+ * @param {Object} loadsheet - { pax, crew, cargo (kg), cabinLoading ('even', 'forward', 'aft'),
+ *   holdFwdShare (0-1 of the cargo in the forward hold) }
+ */
+export function buildLoad({ pax = 0, crew = 0, cargo = 0, cabinLoading = 'even', holdFwdShare = 0.5 }) {
+    const [fwd, mid, aft] = CABIN_LOADINGS[cabinLoading] || CABIN_LOADINGS.even;
+    const paxKg = pax * PASSENGER_KG;
+    const share = Math.max(0, Math.min(1, holdFwdShare));
+    return {
+        cabinFwd: paxKg * fwd + crew * CREW_KG, // The crew sit up front
+        cabinMid: paxKg * mid,
+        cabinAft: paxKg * aft,
+        holdFwd: cargo * share,
+        holdAft: cargo * (1 - share)
+    };
+}
+
+/**
+ * Fuel in each tank (kg) when the aircraft is fuelled: wings first on a twin, a fuller centre
+ * tank on larger aircraft.
+ */
+export function distributeFuel(totalFuel, engineCount = 2) {
+    if (engineCount <= 2) {
+        return { left: totalFuel * 0.45, right: totalFuel * 0.45, center: totalFuel * 0.10 };
+    }
+    return { left: totalFuel * 0.3, right: totalFuel * 0.3, center: totalFuel * 0.4 };
+}
+
+/**
+ * Loadsheet figures for dispatch: zero fuel and takeoff weights, takeoff CG and trim.
+ * @param {Object} aircraft - aircraft database entry
+ * @param {Object} load - loadsheet zones in kg (see buildLoad)
+ * @param {number} fuel - kg
+ */
+export function computeLoadsheet(aircraft, load, fuel) {
+    const wb = new WeightBalanceService(aircraft, load);
+    const zeroFuel = { mass: wb.mass, cg: wb.cg, withinLimits: wb.isWithinLimits() };
+    wb.update(distributeFuel(fuel, aircraft.engineCount));
+    const takeoff = wb.recordTakeoff();
+    return { zeroFuel, takeoff: { ...takeoff, withinLimits: wb.isWithinLimits() }, limits: { ...wb.limits } };
+}
+
+class WeightBalanceService {
+    /**
+     * @param {Object} aircraft - aircraft definition (emptyWeight, centerOfGravityPosition, and
+     *   optionally cgForwardLimit / cgAftLimit as fractions of MAC)
+     * @param {Object} load - loadsheet zones in kg (see buildLoad)
+     */
+    constructor(aircraft, load) {
+        this.emptyWeight = aircraft.emptyWeight || 40000;
+        this.reference = typeof aircraft.centerOfGravityPosition === 'number' ? aircraft.centerOfGravityPosition : 0.15;
+        this.emptyArm = this.reference;
+        this.limits = {
+            forward: aircraft.cgForwardLimit ?? DEFAULT_FORWARD_LIMIT,
+            aft: aircraft.cgAftLimit ?? DEFAULT_AFT_LIMIT
+        };
+        this.setLoad(load);
+    }
+
+    /**
+     * Spread a payload without a loadsheet over the cabin and holds.
+     */
+    static defaultLoad(payload) {
+        const cabin = payload * DEFAULT_CABIN_SHARE / 3;
+        const hold = payload * (1 - DEFAULT_CABIN_SHARE);
+        return {
+            cabinFwd: cabin,
+            cabinMid: cabin,
+            cabinAft: cabin,
+            holdFwd: hold * DEFAULT_HOLD_FWD_SHARE,
+            holdAft: hold * (1 - DEFAULT_HOLD_FWD_SHARE)
+        };
+    }
+
+    setLoad(load = {}) {
+        this.load = {};
+        LOAD_ZONES.forEach(zone => { this.load[zone] = Math.max(0, load[zone] || 0); });
+        this.payload = LOAD_ZONES.reduce((sum, zone) => sum + this.load[zone], 0);
+        this.takeoff = null;
+        this.update({});
+    }
+
+    /**
+     * Recompute the CG for the current tank quantities (kg).
+     */
+    update(tanks = {}) {
+        let mass = this.emptyWeight;
+        let moment = this.emptyWeight * this.emptyArm;
+        LOAD_ZONES.forEach(zone => {
+            mass += this.load[zone];
+            moment += this.load[zone] * STATION_ARMS[zone];
+        });
+        Object.entries(tanks).forEach(([tank, fuel]) => {
+            mass += fuel;
+            moment += fuel * (TANK_ARMS[tank] ?? DEFAULT_TANK_ARM);
+        });
+        this.mass = mass;
+        this.cg = moment / mass;
+        return this.cg;
+    }
+
+    /**
+     * Record the takeoff weight, CG and stabiliser trim (for the rotation lift coefficient).
+     * @param {number} elevatorPower - see getTrim
+     */
+    recordTakeoff(elevatorPower) {
+        this.takeoff = { mass: this.mass, cg: this.cg, trim: this.getTrim(TAKEOFF_CL, elevatorPower) };
+        return this.takeoff;
+    }
+
+    isWithinLimits(cg = this.cg) {
+        return cg >= this.limits.forward && cg <= this.limits.aft;
+    }
+
+    /**
+     * Pitching moment coefficient of the lift about the actual CG, relative to the reference CG
+     * the aerodynamics are tuned for (positive nose-up, aft CG).
+     */
+    getPitchMoment(cl) {
+        return cl * (this.cg - this.reference);
+    }
+
+    /**
+     * Stabiliser trim (controls.trim, rad) that balances the CG offset at a lift coefficient.
+     * @param {number} elevatorPower - Cm per rad of trim (the aircraft's Cde, negative)
+     */
+    getTrim(cl, elevatorPower = -0.8) {
+        const trim = -this.getPitchMoment(cl) / elevatorPower;
+        return Math.max(-MAX_TRIM, Math.min(MAX_TRIM, trim));
+    }
+
+    /**
+     * Lever of the weight ahead of the main gear, relative to its length with the CG at the
+     * reference (below 0 the aircraft sits on its tail).
+     */
+    getGearArmRatio() {
+        return (MAIN_GEAR_ARM - this.cg) / (MAIN_GEAR_ARM - this.reference);
+    }
+
+    getState() {
+        return {
+            mass: this.mass,
+            payload: this.payload,
+            load: { ...this.load },
+            cg: this.cg,
+            cgPercentMac: this.cg * 100,
+            limits: { ...this.limits },
+            withinLimits: this.isWithinLimits(),
+            takeoff: this.takeoff ? { ...this.takeoff } : null
+        };
+    }
+
+    /**
+     * Restore a saved loadsheet and takeoff figures.
+     */
+    loadState(state) {
+        if (!state?.load) return;
+        this.setLoad(state.load);
+        if (state.takeoff) this.takeoff = { ...state.takeoff };
+    }
+}
+
+export default WeightBalanceService;
@@ -0,0 +1,150 @@
+/**
+ * Wind Shear Service
+ *
+ * Microburst cells as a spatial wind field. Each cell is a downdraft column that spreads into
+ * a radial outflow near the ground: the outflow peaks at the cell radius and about 100 m above
+ * the surface, the downdraft is strongest over the core and fades as it turns into outflow
+ * close to the ground. An aircraft crossing a cell first meets a headwind, then the
+ * downdraft, then a tailwind - the classic performance-decreasing shear.
+ *
+ * Also provides the predictive wind shear scan: the wind field is sampled along the projected
+ * flight path and the hazard is expressed as the F-factor, F = (dWx/dt) / g + w / V, where Wx
+ * is the tailwind along track, w the downdraft and V the true airspeed. F above 0.13 averaged
+ * over a kilometre is hazardous.
+ */
+
+const G = 9.80665;
+const NM_TO_M = 1852;
+const KTS_TO_MS = 0.514444;
+
+// Vertical shape of the outflow (m): rises from zero at the ground, decays aloft
+const OUTFLOW_DECAY_M = 700;
+const OUTFLOW_RISE_M = 40;
+const OUTFLOW_PEAK_HEIGHT = Math.log(OUTFLOW_DECAY_M / OUTFLOW_RISE_M) * OUTFLOW_DECAY_M * OUTFLOW_RISE_M / (OUTFLOW_DECAY_M - OUTFLOW_RISE_M);
+const OUTFLOW_PEAK = Math.exp(-OUTFLOW_PEAK_HEIGHT / OUTFLOW_DECAY_M) - Math.exp(-OUTFLOW_PEAK_HEIGHT / OUTFLOW_RISE_M);
+const DOWNDRAFT_TURN_M = 300; // Below this the downdraft turns into outflow
+const CELL_TOP_M = 3000;
+
+// Predictive scan
+const PREDICTIVE_MAX_AGL_FT = 1200;
+const PREDICTIVE_MIN_AGL_FT = 50;
+const SCAN_RANGE_NM = 3;
+const SCAN_STEP_M = 250;
+const F_AVERAGE_M = 1000; // F-factor is averaged over this distance
+const HAZARD_F = 0.13;
+const WARNING_RANGE_NM = 1.5;
+
+class WindShearService {
+    constructor() {
+        this.cells = []; // Weather cells: { id, latitude, longitude, radius (m), outflow (m/s), downdraft (m/s) }
+        this.addedCells = []; // Cells placed by failures or scripts, kept across weather updates
+        this.alert = null; // 'CAUTION' | 'WARNING'
+        this.hazard = null; // { distance (nm), bearing (deg), factor }
+    }
+
+    /**
+     * Replace the weather cells.
+     */
+    setCells(cells) {
+        this.cells = Array.isArray(cells) ? cells : [];
+    }
+
+    addCell(cell) {
+        this.addedCells.push({ id: `ws_${this.addedCells.length + 1}`, ...cell });
+    }
+
+    getCells() {
+        return [...this.cells, ...this.addedCells];
+    }
+
+    /**
+     * Wind (m/s, NED: north, east, down) induced by all cells at a point.
+     * @param {number} latitude
+     * @param {number} longitude
+     * @param {number} heightAgl - Height above ground (m)
+     */
+    windAt(latitude, longitude, heightAgl) {
+        const wind = { north: 0, east: 0, down: 0 };
+        const h = Math.max(0, heightAgl);
+        if (h > CELL_TOP_M) return wind;
+
+        const cosLat = Math.cos(latitude * Math.PI / 180);
+        for (const cell of this.getCells()) {
+            const north = (latitude - cell.latitude) * 60 * NM_TO_M;
+            const east = (longitude - cell.longitude) * 60 * NM_TO_M * cosLat;
+            const r = Math.hypot(north, east);
+            const R = cell.radius;
+            if (r > 4 * R) continue;
+
+            const radial = r <= R ? r / R : (R / r) * Math.exp(-(((r - R) / R) ** 2));
+            const vertical = (Math.exp(-h / OUTFLOW_DECAY_M) - Math.exp(-h / OUTFLOW_RISE_M)) / OUTFLOW_PEAK;
+            const outflow = cell.outflow * radial * vertical;
+            if (r > 1) {
+                wind.north += outflow * north / r;
+                wind.east += outflow * east / r;
+            }
+            wind.down += cell.downdraft * Math.exp(-((r / R) ** 2)) * Math.min(1, h / DOWNDRAFT_TURN_M);
+        }
+        return wind;
+    }
+
+    /**
+     * Predictive wind shear: scan ahead along the projected flight path.
+     * @param {Object} own - { latitude, longitude, altitudeAgl (ft), verticalSpeed (fpm), groundSpeed (kts), trueAirspeed (kts), track (deg), onGround }
+     * @returns {Object} predictive state (see getState)
+     */
+    update(own) {
+        this.alert = null;
+        this.hazard = null;
+
+        const cells = this.getCells();
+        if (!own || cells.length === 0 || own.onGround) return this.getState();
+        if (own.altitudeAgl > PREDICTIVE_MAX_AGL_FT || own.altitudeAgl < PREDICTIVE_MIN_AGL_FT) return this.getState();
+
+        const groundSpeed = Math.max(own.groundSpeed * KTS_TO_MS, 30);
+        const trueAirspeed = Math.max(own.trueAirspeed * KTS_TO_MS, 30);
+        const track = own.track * Math.PI / 180;
+        const cosLat = Math.cos(own.latitude * Math.PI / 180);
+        const climbGradient = (own.verticalSpeed / 196.85) / groundSpeed;
+
+        // Tailwind along track and downdraft at each sample ahead
+        const samples = [];
+        for (let d = 0; d <= SCAN_RANGE_NM * NM_TO_M; d += SCAN_STEP_M) {
+            const latitude = own.latitude + d * Math.cos(track) / (60 * NM_TO_M);
+            const longitude = own.longitude + d * Math.sin(track) / (60 * NM_TO_M * cosLat);
+            const heightAgl = Math.max(0, own.altitudeAgl * 0.3048 + climbGradient * d);
+            const wind = this.windAt(latitude, longitude, heightAgl);
+            samples.push({
+                distance: d,
+                tailwind: wind.north * Math.cos(track) + wind.east * Math.sin(track),
+                downdraft: wind.down
+            });
+        }
+
+        const span = Math.round(F_AVERAGE_M / SCAN_STEP_M);
+        for (let i = 0; i + span < samples.length; i++) {
+            const a = samples[i];
+            const b = samples[i + span];
+            const dt = (b.distance - a.distance) / groundSpeed;
+            const downdraft = samples.slice(i, i + span + 1).reduce((sum, s) => sum + s.downdraft, 0) / (span + 1);
+            const factor = (b.tailwind - a.tailwind) / (G * dt) + downdraft / trueAirspeed;
+            if (factor < HAZARD_F) continue;
+
+            const distance = a.distance / NM_TO_M;
+            this.alert = distance <= WARNING_RANGE_NM ? 'WARNING' : 'CAUTION';
+            this.hazard = { distance, bearing: own.track, factor };
+            break;
+        }
+
+        return this.getState();
+    }
+
+    getState() {
+        return {
+            alert: this.alert,
+            hazard: this.hazard
+        };
+    }
+}
+
+export default WindShearService;
@@ -1,5 +1,9 @@
 import airportDatabase from '../data/airportDatabase.json' with { type: "json" };
 
+// Shortest runway (ft) for each aircraft category, for runways listed without a size category
+const MIN_RUNWAY_LENGTH = { Heavy: 8000, Medium: 6000, Light: 0 };
+const RUNWAY_CATEGORIES = ['Heavy', 'Medium', 'Light'];
+
 class AirportService {
   constructor(apiKey = '') {
     this.allAirports = airportDatabase?.airports || [];
@@ -154,6 +158,9 @@ class AirportService {
   getSuitableRunways(airportCode, aircraftCategory) {
     const runways = this.getRunwayInfo(airportCode);
     return runways.filter(runway => {
+      if (!RUNWAY_CATEGORIES.includes(runway.category)) {
+        return aircraftCategory in MIN_RUNWAY_LENGTH && runway.length >= MIN_RUNWAY_LENGTH[aircraftCategory];
+      }
       switch (aircraftCategory) {
         case 'Heavy':
           return runway.category === 'Heavy';
@@ -196,14 +203,21 @@ class AirportService {
     return enhancedData;
   }
 
+  /**
+   * Physical strip a runway designator belongs to: "27R" and "09L/27R" both find the 09L/27R strip.
+   */
+  findRunway(airport, runwayName) {
+    if (!runwayName || !Array.isArray(airport?.runways)) return null;
+    return airport.runways.find(r => (
+      r.name === runwayName || r.name.split(/[/-]/).map(part => part.trim()).includes(runwayName)
+    )) || null;
+  }
+
   getRunwayGeometry(airportCode, runwayName) {
     const airport = this.getAirportByCode(airportCode);
     if (!airport) return null;
 
-    let runway = null;
-    if (runwayName && airport.runways) {
-      runway = airport.runways.find(r => r.name === runwayName);
-    }
+    let runway = this.findRunway(airport, runwayName);
     
     // Fallback to first runway or a mock if not found
     if (!runway) {
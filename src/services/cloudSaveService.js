@@ -1,90 +1,310 @@
-
 import { supabase } from '../lib/supabase';
 
 const TABLE_NAME = 'flight_saves';
+const DEFAULT_SLOT = 'Autosave';
+const MAX_CHECKPOINTS_PER_FLIGHT = 20;
+
+const LOCAL_DB_NAME = 'aircrashsim';
+const LOCAL_DB_VERSION = 1;
+const LOCAL_USER_ID = 'local';
+
+/**
+ * Storage backends share one row layout (see supabase_setup.sql):
+ *   { id, user_id, flight_id, kind: 'slot' | 'checkpoint', slot, label, status, outcome, data,
+ *     created_at, updated_at }
+ * Rows of one flight share a flight_id: named slots are overwritten in place, checkpoints are
+ * appended (one per phase change) and marked 'completed' with the outcome when the flight ends.
+ */
+const supabaseBackend = {
+  name: 'cloud',
+
+  async getUserId() {
+    const { data: { user } } = await supabase.auth.getUser();
+    return user ? user.id : null;
+  },
+
+  async query(userId, filter, limit) {
+    let request = supabase.from(TABLE_NAME).select('*').eq('user_id', userId);
+    Object.entries(filter).forEach(([column, value]) => {
+      request = request.eq(column, value);
+    });
+    request = request.order('updated_at', { ascending: false });
+    if (limit) request = request.limit(limit);
+    return await request;
+  },
+
+  async insert(userId, row) {
+    return await supabase
+      .from(TABLE_NAME)
+      .insert({ ...row, user_id: userId })
+      .select()
+      .single();
+  },
+
+  async update(userId, filter, patch) {
+    let request = supabase.from(TABLE_NAME).update(patch).eq('user_id', userId);
+    Object.entries(filter).forEach(([column, value]) => {
+      request = request.eq(column, value);
+    });
+    return await request;
+  }
+};
+
+let localDbPromise = null;
+
+const openLocalDb = () => {
+  if (!localDbPromise) {
+    localDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(LOCAL_DB_NAME, LOCAL_DB_VERSION);
+      request.onupgradeneeded = () => request.result.createObjectStore(TABLE_NAME, { keyPath: 'id' });
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return localDbPromise;
+};
+
+const localTransaction = async (mode, operation) => {
+  const db = await openLocalDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(TABLE_NAME, mode);
+    const request = operation(transaction.objectStore(TABLE_NAME));
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+const matches = (row, filter) => Object.entries(filter).every(([column, value]) => row[column] === value);
+
+const localBackend = {
+  name: 'local',
+
+  async getUserId() {
+    return typeof indexedDB !== 'undefined' ? LOCAL_USER_ID : null;
+  },
+
+  async query(userId, filter, limit) {
+    try {
+      const rows = await localTransaction('readonly', store => store.getAll());
+      const data = rows
+        .filter(row => row.user_id === userId && matches(row, filter))
+        .sort((a, b) => b.updated_at.localeCompare(a.updated_at));
+      return { data: limit ? data.slice(0, limit) : data };
+    } catch (error) {
+      return { error };
+    }
+  },
+
+  async insert(userId, row) {
+    const now = new Date().toISOString();
+    const record = { id: crypto.randomUUID(), created_at: now, updated_at: now, ...row, user_id: userId };
+    try {
+      await localTransaction('readwrite', store => store.put(record));
+      return { data: record };
+    } catch (error) {
+      return { error };
+    }
+  },
+
+  async update(userId, filter, patch) {
+    const { data: rows, error } = await this.query(userId, filter);
+    if (error) return { error };
+    const updatedAt = new Date().toISOString();
+    const updated = rows.map(row => ({ ...row, ...patch, updated_at: updatedAt }));
+    try {
+      await localTransaction('readwrite', store => {
+        updated.forEach(row => store.put(row));
+      });
+      return { data: updated };
+    } catch (error) {
+      return { error };
+    }
+  }
+};
+
+/**
+ * Supabase when it is configured and the user is signed in, otherwise the browser's IndexedDB.
+ * @returns {Promise<{backend, userId}|null>}
+ */
+const getStorage = async () => {
+  if (supabase) {
+    const userId = await supabaseBackend.getUserId();
+    if (userId) return { backend: supabaseBackend, userId };
+  }
+  const userId = await localBackend.getUserId();
+  return userId ? { backend: localBackend, userId } : null;
+};
+
+const NO_STORAGE = { error: { message: 'No save storage available' } };
 
 export const cloudSaveService = {
+  // Groups the slots and checkpoints written during one flight
+  currentFlightId: null,
+
   /**
-   * Save flight data to the cloud.
-   * If an active save exists for the user, update it, otherwise create a new one.
+   * Start (or, when resuming a save, continue) a flight's history.
+   * @param {string} [flightId] - flightId stored in a loaded save
+   * @returns {string}
+   */
+  beginFlight(flightId) {
+    this.currentFlightId = flightId || crypto.randomUUID();
+    return this.currentFlightId;
+  },
+
+  /**
+   * Where saves currently go.
+   * @returns {Promise<'cloud'|'local'|null>}
+   */
+  async getStorageType() {
+    const storage = await getStorage();
+    return storage ? storage.backend.name : null;
+  },
+
+  /**
+   * Save flight data to a named slot, overwriting an existing slot with the same name.
    * @param {Object} flightData - The complete flight state.
+   * @param {string} [slot] - Slot name.
    * @returns {Promise<{data, error}>}
    */
-  async saveFlight(flightData) {
-    if (!supabase) return { error: { message: 'Supabase not configured' } };
+  async saveFlight(flightData, slot = DEFAULT_SLOT) {
+    const storage = await getStorage();
+    if (!storage) return NO_STORAGE;
+    const { backend, userId } = storage;
 
-    const { data: { user } } = await supabase.auth.getUser();
-    if (!user) return { error: { message: 'User not logged in' } };
+    const flightId = this.currentFlightId || this.beginFlight();
+    const { data: existing, error } = await backend.query(userId, { kind: 'slot', slot, status: 'active' }, 1);
+    if (error) return { error };
 
-    // Check for existing active save
-    const { data: existingSaves, error: fetchError } = await supabase
-      .from(TABLE_NAME)
-      .select('id')
-      .eq('user_id', user.id)
-      .eq('status', 'active')
-      .order('updated_at', { ascending: false })
-      .limit(1);
-
-    if (fetchError) return { error: fetchError };
-
-    if (existingSaves && existingSaves.length > 0) {
-      // Update existing
-      return await supabase
-        .from(TABLE_NAME)
-        .update({
-          data: flightData,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', existingSaves[0].id);
-    } else {
-      // Insert new
-      return await supabase
-        .from(TABLE_NAME)
-        .insert({
-          user_id: user.id,
-          data: flightData,
-          status: 'active'
-        });
+    const row = { data: { ...flightData, flightId }, flight_id: flightId };
+    if (existing && existing.length > 0) {
+      return await backend.update(userId, { id: existing[0].id }, row);
     }
+    return await backend.insert(userId, { ...row, kind: 'slot', slot, status: 'active' });
   },
 
   /**
-   * Retrieve the latest active flight plan.
+   * Append an automatic checkpoint to the current flight's history. Only the most recent
+   * MAX_CHECKPOINTS_PER_FLIGHT checkpoints of a flight are kept.
+   * @param {Object} flightData - The complete flight state.
+   * @param {string} label - What triggered the checkpoint (e.g. the flight phase).
    * @returns {Promise<{data, error}>}
    */
-  async getLatestFlight() {
-    if (!supabase) return { error: { message: 'Supabase not configured' } };
+  async saveCheckpoint(flightData, label) {
+    const storage = await getStorage();
+    if (!storage) return NO_STORAGE;
+    const { backend, userId } = storage;
 
-    const { data: { user } } = await supabase.auth.getUser();
-    if (!user) return { error: { message: 'User not logged in' } };
+    const flightId = this.currentFlightId || this.beginFlight();
+    const result = await backend.insert(userId, {
+      flight_id: flightId,
+      kind: 'checkpoint',
+      label,
+      status: 'active',
+      data: { ...flightData, flightId }
+    });
+    if (result.error) return result;
 
-    const { data, error } = await supabase
-      .from(TABLE_NAME)
-      .select('*')
-      .eq('user_id', user.id)
-      .eq('status', 'active')
-      .order('updated_at', { ascending: false })
-      .limit(1)
-      .maybeSingle();
+    const { data: checkpoints } = await backend.query(userId, { flight_id: flightId, kind: 'checkpoint', status: 'active' });
+    const expired = (checkpoints || []).slice(MAX_CHECKPOINTS_PER_FLIGHT);
+    for (const checkpoint of expired) {
+      await backend.update(userId, { id: checkpoint.id }, { status: 'discarded' });
+    }
+    return result;
+  },
+
+  /**
+   * Close the current flight: store a final checkpoint and mark its history completed.
+   * @param {Object} flightData - The complete flight state.
+   * @param {Object} outcome - { result: 'landed' | 'crashed', score, grade, cause }
+   * @returns {Promise<{data, error}>}
+   */
+  async completeFlight(flightData, outcome) {
+    const storage = await getStorage();
+    if (!storage || !this.currentFlightId) return NO_STORAGE;
+    const { backend, userId } = storage;
+    const flightId = this.currentFlightId;
+
+    const result = await backend.insert(userId, {
+      flight_id: flightId,
+      kind: 'checkpoint',
+      label: outcome.result,
+      status: 'completed',
+      outcome,
+      data: { ...flightData, flightId }
+    });
+    if (result.error) return result;
+
+    return await backend.update(userId, { flight_id: flightId, kind: 'checkpoint', status: 'active' }, { status: 'completed', outcome });
+  },
+
+  /**
+   * Named save slots, most recent first.
+   * @returns {Promise<{data, error}>}
+   */
+  async listSlots() {
+    const storage = await getStorage();
+    if (!storage) return NO_STORAGE;
+    return await storage.backend.query(storage.userId, { kind: 'slot', status: 'active' });
+  },
 
+  /**
+   * Checkpoint history grouped by flight, most recent flight first.
+   * @returns {Promise<{data: Array<{flightId, status, outcome, updatedAt, checkpoints}>, error}>}
+   */
+  async listHistory() {
+    const storage = await getStorage();
+    if (!storage) return NO_STORAGE;
+
+    const { data, error } = await storage.backend.query(storage.userId, { kind: 'checkpoint' });
+    if (error) return { error };
+
+    const flights = new Map();
+    data.filter(row => row.status !== 'discarded').forEach(row => {
+      if (!flights.has(row.flight_id)) {
+        flights.set(row.flight_id, {
+          flightId: row.flight_id,
+          status: row.status,
+          outcome: row.outcome || null,
+          updatedAt: row.updated_at,
+          checkpoints: []
+        });
+      }
+      flights.get(row.flight_id).checkpoints.push(row);
+    });
+    return { data: Array.from(flights.values()) };
+  },
+
+  /**
+   * Retrieve the latest active save (slot or checkpoint).
+   * @returns {Promise<{data, error}>}
+   */
+  async getLatestFlight() {
+    const storage = await getStorage();
+    if (!storage) return NO_STORAGE;
+
+    const { data, error } = await storage.backend.query(storage.userId, { status: 'active' }, 1);
     if (error) {
         return { error };
     }
 
-    return { data };
+    return { data: data && data.length > 0 ? data[0] : null };
   },
 
   /**
-   * Discard (soft delete) the active flight plan.
-   * @param {string} saveId 
+   * Discard (soft delete) a save. Discarding a checkpoint discards the rest of that
+   * flight's active checkpoints too, so it is not offered for resume again.
+   * @param {string|Object} save - save row or its id
    * @returns {Promise<{data, error}>}
    */
-  async discardFlight(saveId) {
-    if (!supabase) return { error: { message: 'Supabase not configured' } };
+  async discardFlight(save) {
+    const storage = await getStorage();
+    if (!storage) return NO_STORAGE;
+    const { backend, userId } = storage;
 
-    return await supabase
-      .from(TABLE_NAME)
-      .update({ status: 'discarded' })
-      .eq('id', saveId);
+    const row = typeof save === 'object' ? save : { id: save };
+    const result = await backend.update(userId, { id: row.id }, { status: 'discarded' });
+    if (result.error || row.kind !== 'checkpoint' || !row.flight_id) return result;
+
+    return await backend.update(userId, { flight_id: row.flight_id, kind: 'checkpoint', status: 'active' }, { status: 'discarded' });
   }
 };
@@ -0,0 +1,21 @@
+
+/**
+ * Interface for terrain elevation sources used by ElevationService.
+ * Providers answer batches of points and return null for any point they cannot cover,
+ * so the next provider in the chain can try it.
+ */
+class BaseElevationProvider {
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * @param {Array<{latitude: number, longitude: number}>} points
+     * @returns {Promise<Array<number|null>>} Elevation in meters per point, null if unknown
+     */
+    async getElevations(points) {
+        return points.map(() => null);
+    }
+}
+
+export default BaseElevationProvider;
@@ -0,0 +1,50 @@
+import LocalTileElevationProvider from './LocalTileElevationProvider.js';
+import RemoteElevationProvider from './RemoteElevationProvider.js';
+
+/**
+ * Elevation Service
+ * Chains elevation providers: each point is answered by the first provider that covers it.
+ * The default chain reads local heightmap tiles and only falls back to the remote APIs for
+ * points outside the baked area. Providers extend BaseElevationProvider.
+ */
+class ElevationService {
+    constructor(providers = [new LocalTileElevationProvider(), new RemoteElevationProvider()]) {
+        this.providers = providers;
+    }
+
+    setProviders(providers) {
+        this.providers = providers;
+    }
+
+    addProvider(provider, index = this.providers.length) {
+        this.providers.splice(index, 0, provider);
+    }
+
+    /**
+     * @param {Array<{latitude: number, longitude: number}>} points
+     * @returns {Promise<Array<number|null>>} Elevation in meters per point, null if no provider covers it
+     */
+    async getElevations(points) {
+        const results = points.map(() => null);
+        let missing = points.map((point, i) => i);
+
+        for (const provider of this.providers) {
+            if (missing.length === 0) break;
+            const elevations = await provider.getElevations(missing.map(i => points[i]));
+            missing = missing.filter((index, k) => {
+                if (typeof elevations[k] !== 'number') return true;
+                results[index] = elevations[k];
+                return false;
+            });
+        }
+        return results;
+    }
+
+    async getElevation(latitude, longitude) {
+        const [elevation] = await this.getElevations([{ latitude, longitude }]);
+        return elevation;
+    }
+}
+
+export const elevationService = new ElevationService();
+export default ElevationService;
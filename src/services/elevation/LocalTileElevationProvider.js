@@ -0,0 +1,141 @@
+import BaseElevationProvider from './BaseElevationProvider.js';
+import { LRUCache } from '../../utils/LRUCache.js';
+
+const VOID_SAMPLE = -32768; // SRTM no-data value
+const DEFAULT_BASE_URL = `${import.meta.env?.BASE_URL ?? '/'}terrain/`;
+
+/**
+ * Local Tile Elevation Provider
+ * Reads pre-baked heightmap tiles from public/terrain (see scripts/bake_terrain_tiles.js).
+ *
+ * Tiles use the SRTM .hgt layout: one 1°x1° cell per file, named after its south-west
+ * corner (N33W119.hgt), holding N x N big-endian int16 samples in meters, rows running north
+ * to south, with edge rows/columns shared with the neighbouring tiles. manifest.json lists
+ * the baked tiles so uncovered areas are never requested. The repository ships without tiles
+ * ("installed": false): until they are baked, every point falls through to remote elevation.
+ *
+ * Decoded tiles are kept in an LRU cache and sampled with bilinear interpolation.
+ */
+class LocalTileElevationProvider extends BaseElevationProvider {
+    constructor({ baseUrl = DEFAULT_BASE_URL, maxTiles = 16, fetchFn = (url) => fetch(url) } = {}) {
+        super('local-tiles');
+        this.baseUrl = baseUrl;
+        this.fetchFn = fetchFn;
+        this.tiles = new LRUCache(maxTiles); // tile name -> { size, data }
+        this.pending = new Map(); // tile name -> Promise<tile|null>
+        this.manifest = null; // tile name -> samples per side
+        this.manifestPromise = null;
+    }
+
+    static tileName(latitude, longitude) {
+        const south = Math.floor(latitude);
+        const west = Math.floor(longitude);
+        const ns = south >= 0 ? 'N' : 'S';
+        const ew = west >= 0 ? 'E' : 'W';
+        return `${ns}${String(Math.abs(south)).padStart(2, '0')}${ew}${String(Math.abs(west)).padStart(3, '0')}`;
+    }
+
+    static decodeTile(buffer) {
+        const samples = buffer.byteLength / 2;
+        const size = Math.round(Math.sqrt(samples));
+        if (size < 2 || size * size !== samples) {
+            throw new Error(`Invalid tile size (${buffer.byteLength} bytes)`);
+        }
+        const view = new DataView(buffer);
+        const data = new Int16Array(samples);
+        for (let i = 0; i < samples; i++) {
+            data[i] = view.getInt16(i * 2, false);
+        }
+        return { size, data };
+    }
+
+    /**
+     * Bilinear interpolation between the four samples around a fractional row/column.
+     * Voids read as sea level.
+     */
+    static interpolate(tile, row, col) {
+        const { size, data } = tile;
+        const last = size - 1;
+        const r = Math.min(last, Math.max(0, row));
+        const c = Math.min(last, Math.max(0, col));
+
+        const r0 = Math.floor(r);
+        const c0 = Math.floor(c);
+        const r1 = Math.min(last, r0 + 1);
+        const c1 = Math.min(last, c0 + 1);
+        const fr = r - r0;
+        const fc = c - c0;
+
+        const at = (i, j) => {
+            const value = data[i * size + j];
+            return value === VOID_SAMPLE ? 0 : value;
+        };
+        const top = at(r0, c0) * (1 - fc) + at(r0, c1) * fc;
+        const bottom = at(r1, c0) * (1 - fc) + at(r1, c1) * fc;
+        return top * (1 - fr) + bottom * fr;
+    }
+
+    // Row 0 is the tile's north edge, column 0 its west edge
+    static sampleTile(tile, latitude, longitude) {
+        const last = tile.size - 1;
+        const row = (Math.floor(latitude) + 1 - latitude) * last;
+        const col = (longitude - Math.floor(longitude)) * last;
+        return LocalTileElevationProvider.interpolate(tile, row, col);
+    }
+
+    async loadManifest() {
+        if (!this.manifestPromise) {
+            this.manifestPromise = this.fetchFn(`${this.baseUrl}manifest.json`)
+                .then(response => (response.ok ? response.json() : null))
+                .then(manifest => {
+                    this.manifest = manifest?.tiles || {};
+                    if (Object.keys(this.manifest).length === 0) {
+                        console.warn('Terrain: no local tiles installed (npm run bake-terrain), using remote elevation.');
+                    }
+                })
+                .catch(() => { this.manifest = {}; }); // No local tiles: every point falls through
+        }
+        await this.manifestPromise;
+        return this.manifest;
+    }
+
+    loadTile(name) {
+        if (this.tiles.has(name)) return Promise.resolve(this.tiles.get(name));
+        if (!this.pending.has(name)) {
+            const request = this.fetchFn(`${this.baseUrl}${name}.hgt`)
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.arrayBuffer();
+                })
+                .then(buffer => {
+                    const tile = LocalTileElevationProvider.decodeTile(buffer);
+                    this.tiles.set(name, tile);
+                    return tile;
+                })
+                .catch(error => {
+                    console.warn(`Terrain: local tile ${name} unavailable, using remote elevation.`, error);
+                    delete this.manifest[name]; // Don't retry a broken tile
+                    return null;
+                })
+                .finally(() => this.pending.delete(name));
+            this.pending.set(name, request);
+        }
+        return this.pending.get(name);
+    }
+
+    async getElevations(points) {
+        const manifest = await this.loadManifest();
+        const names = points.map(point => LocalTileElevationProvider.tileName(point.latitude, point.longitude));
+        const loaded = new Map();
+        await Promise.all([...new Set(names)]
+            .filter(name => manifest[name])
+            .map(async name => loaded.set(name, await this.loadTile(name))));
+
+        return points.map((point, i) => {
+            const tile = loaded.get(names[i]);
+            return tile ? LocalTileElevationProvider.sampleTile(tile, point.latitude, point.longitude) : null;
+        });
+    }
+}
+
+export default LocalTileElevationProvider;
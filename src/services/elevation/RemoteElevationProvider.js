@@ -0,0 +1,84 @@
+import BaseElevationProvider from './BaseElevationProvider.js';
+
+// CORS Proxy: Used to wrap requests for static site deployment (GitHub Pages)
+// where no backend proxy is available.
+const CORS_PROXY = 'https://corsproxy.io/?';
+
+// Tried in order for each request
+const SOURCES = [
+    {
+        // Primary: Open-Elevation (supports CORS directly)
+        name: 'Open-Elevation',
+        url: (locations) => `https://api.open-elevation.com/api/v1/lookup?locations=${locations}`
+    },
+    {
+        // Secondary: OpenTopoData (ASTER 30m Global), strict CORS so wrapped in the proxy
+        name: 'OpenTopoData',
+        url: (locations) => CORS_PROXY + encodeURIComponent(`https://api.opentopodata.org/v1/aster30m?locations=${locations}`)
+    }
+];
+
+/**
+ * Remote Elevation Provider
+ * Public elevation APIs, used as the fallback for areas without local tiles.
+ * Requests are batched (the APIs accept several locations per call), spaced out to stay
+ * within the public rate limits, and a circuit breaker backs off after repeated failures.
+ */
+class RemoteElevationProvider extends BaseElevationProvider {
+    constructor({ fetchFn = (url) => fetch(url), batchSize = 20, minInterval = 200 } = {}) {
+        super('remote-api');
+        this.fetchFn = fetchFn;
+        this.batchSize = batchSize;
+        this.minInterval = minInterval; // ms between requests
+        this.lastRequestTime = 0;
+        this.failureCount = 0;
+        this.nextRetryTime = 0;
+        this.RETRY_DELAY = 60000; // 1 minute backoff after failures
+        this.MAX_FAILURES = 5;
+    }
+
+    async getElevations(points) {
+        const results = [];
+        for (let i = 0; i < points.length; i += this.batchSize) {
+            results.push(...await this.fetchBatch(points.slice(i, i + this.batchSize)));
+        }
+        return results;
+    }
+
+    async fetchBatch(batch) {
+        // Circuit breaker check
+        if (Date.now() < this.nextRetryTime) return batch.map(() => null);
+
+        const wait = this.lastRequestTime + this.minInterval - Date.now();
+        if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+        this.lastRequestTime = Date.now();
+
+        // Format: locations=lat,lon|lat,lon...
+        const locations = batch.map(point => `${point.latitude.toFixed(5)},${point.longitude.toFixed(5)}`).join('|');
+
+        for (const source of SOURCES) {
+            try {
+                const response = await this.fetchFn(source.url(locations));
+                if (!response.ok) throw new Error(`${source.name} API Error: ${response.status}`);
+                const data = await response.json();
+                if (data && data.results) {
+                    this.failureCount = 0;
+                    // Null elevation means ocean / no data
+                    return batch.map((point, i) => data.results[i]?.elevation ?? 0);
+                }
+            } catch (error) {
+                console.warn(`Terrain: ${source.name} failed.`, error);
+            }
+        }
+
+        this.failureCount++;
+        if (this.failureCount >= this.MAX_FAILURES) {
+            console.warn(`Terrain API failed ${this.failureCount} times. Backing off for ${this.RETRY_DELAY / 1000}s.`);
+            this.nextRetryTime = Date.now() + this.RETRY_DELAY;
+            this.failureCount = 0; // Reset count so we try again fresh after delay
+        }
+        return batch.map(() => null);
+    }
+}
+
+export default RemoteElevationProvider;
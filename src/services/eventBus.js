@@ -42,7 +42,9 @@ export const EventTypes = {
   
   // User action events
   COMMAND_EXECUTED: 'user.command.executed',
-  EMERGENCY_PROCEDURE: 'user.emergency.procedure'
+  EMERGENCY_PROCEDURE: 'user.emergency.procedure',
+  CHECKLIST_COMPLETED: 'user.checklist.completed',
+  ATC_COMPLIANCE: 'user.atc.compliance'
 };
 
 function subscribe(type, handler) {
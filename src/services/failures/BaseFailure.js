@@ -4,7 +4,7 @@
  * Handles stages, progression, and state management.
  */
 class BaseFailure {
-    constructor(def, context = {}) {
+    constructor(def, context = {}, random = Math.random) {
         this.id = def.id;
         this.name = def.name;
         this.category = def.category;
@@ -18,9 +18,9 @@ class BaseFailure {
         
         // Nuance (Random variations per instance)
         this.variation = {
-            progressionRate: 0.8 + Math.random() * 0.4, // +/- 20% speed
-            maxIntensity: 0.7 + Math.random() * 0.3, // Not always 100% catastrophic
-            fluctuation: Math.random(), // Seed for noise
+            progressionRate: 0.8 + random() * 0.4, // +/- 20% speed
+            maxIntensity: 0.7 + random() * 0.3, // Not always 100% catastrophic
+            fluctuation: random(), // Seed for noise
             context: { ...context } // Specifics like engineIndex
         };
 
@@ -0,0 +1,210 @@
+import relationships from '../../data/failureRelationships.json';
+
+/**
+ * Failure Cascade Engine
+ * Consumes the relationship graph in failureRelationships.json so an active failure
+ * (or a reported condition such as FUEL_STARVATION) can spawn its consequences.
+ *
+ * - Consequences roll once when the source failure enters the configured stage.
+ * - Probabilities are scaled by the difficulty's cascadeMultiplier.
+ * - Successful rolls are scheduled with a delay before the target failure triggers.
+ * - Targets without a failure definition become advisories (narrative only).
+ * Every decision is written to the cascade history for saves and debriefs.
+ */
+class FailureCascadeEngine {
+    constructor(handler, graph = relationships) {
+        this.handler = handler;
+        this.failureMap = graph.failure_map || {};
+        this.defaults = {
+            stage: 'active',
+            delay: [3, 20],
+            probability: 0.5,
+            max_depth: 3,
+            ...(graph.cascade_defaults || {})
+        };
+        this.edges = this.buildEdges(graph);
+
+        this.pending = [];  // Scheduled consequences waiting for their delay
+        this.history = [];  // Every roll / trigger / suppression
+        this.rolled = new Set(); // "failureId:stage" keys already evaluated
+        this.nextId = 1;
+    }
+
+    /**
+     * Flatten interrelationships and cascading_triggers into trigger -> [edge].
+     */
+    buildEdges(graph) {
+        const edges = new Map();
+        const add = (trigger, edge) => {
+            if (!edges.has(trigger)) edges.set(trigger, []);
+            edges.get(trigger).push(edge);
+        };
+
+        (graph.interrelationships || []).forEach(rel => {
+            (rel.consequences || []).forEach(c => {
+                add(rel.trigger, {
+                    target: c.target,
+                    probability: c.probability ?? this.defaults.probability,
+                    description: c.description || '',
+                    stage: c.stage || this.defaults.stage,
+                    delay: c.delay ?? this.defaults.delay
+                });
+            });
+        });
+
+        Object.entries(graph.cascading_triggers || {}).forEach(([trigger, targets]) => {
+            targets.forEach(target => {
+                add(trigger, {
+                    target,
+                    probability: this.defaults.probability,
+                    description: `${formatNode(trigger)} led to ${formatNode(target).toLowerCase()}.`,
+                    stage: this.defaults.stage,
+                    delay: this.defaults.delay
+                });
+            });
+        });
+
+        return edges;
+    }
+
+    /**
+     * Graph nodes that map onto a failure definition id.
+     */
+    getNodesForFailure(failureId) {
+        return Object.keys(this.failureMap).filter(node => this.failureMap[node] === failureId);
+    }
+
+    /**
+     * Called by FailureHandler whenever a failure enters a new stage.
+     */
+    onStageEntered(failure, stage) {
+        const key = `${failure.id}:${stage}`;
+        if (this.rolled.has(key)) return;
+        this.rolled.add(key);
+
+        const depth = failure.variation.context.cascade ? failure.variation.context.cascade.depth : 0;
+        this.getNodesForFailure(failure.id).forEach(node => {
+            (this.edges.get(node) || [])
+                .filter(edge => edge.stage === stage)
+                .forEach(edge => this.evaluate(node, edge, failure.id, failure.variation.context, depth));
+        });
+    }
+
+    /**
+     * Report a non-failure condition node (e.g. OVERWEIGHT_LANDING) from elsewhere in the sim.
+     */
+    onCondition(node, context = {}) {
+        const key = `condition:${node}`;
+        if (this.rolled.has(key)) return;
+        this.rolled.add(key);
+
+        (this.edges.get(node) || []).forEach(edge => this.evaluate(node, edge, null, context, 0));
+    }
+
+    evaluate(trigger, edge, sourceId, sourceContext, depth) {
+        const multiplier = this.handler.settings.cascadeMultiplier ?? 1.0;
+        const probability = Math.min(1, edge.probability * multiplier);
+        const roll = this.handler.random();
+        const failureId = this.failureMap[edge.target] || null;
+
+        const entry = {
+            id: this.nextId++,
+            time: this.handler.time,
+            trigger,
+            source: sourceId,
+            target: edge.target,
+            failureId,
+            probability,
+            roll,
+            depth: depth + 1,
+            description: edge.description,
+            outcome: 'suppressed'
+        };
+
+        if (depth + 1 > this.defaults.max_depth || roll >= probability) {
+            if (depth + 1 > this.defaults.max_depth) entry.outcome = 'depth_limit';
+            this.history.push(entry);
+            return;
+        }
+
+        const [minDelay, maxDelay] = Array.isArray(edge.delay) ? edge.delay : [edge.delay, edge.delay];
+        entry.outcome = 'scheduled';
+        entry.dueTime = this.handler.time + minDelay + this.handler.random() * (maxDelay - minDelay);
+        // Engine-specific consequences stay on the same engine as their source
+        entry.engineIndex = sourceContext ? sourceContext.engineIndex : undefined;
+
+        this.history.push(entry);
+        this.pending.push({ ...entry });
+    }
+
+    /**
+     * Fire scheduled consequences whose delay has elapsed.
+     */
+    update() {
+        if (this.pending.length === 0) return;
+
+        const due = this.pending.filter(p => p.dueTime <= this.handler.time);
+        if (due.length === 0) return;
+        this.pending = this.pending.filter(p => p.dueTime > this.handler.time);
+
+        due.forEach(item => {
+            const record = {
+                ...item,
+                time: this.handler.time,
+                outcome: 'triggered'
+            };
+            delete record.dueTime;
+
+            if (!item.failureId) {
+                record.outcome = 'advisory';
+                this.handler.publishAdvisory(item);
+            } else if (this.handler.activeFailures.has(item.failureId)) {
+                record.outcome = 'already_active';
+            } else {
+                const context = {
+                    cascade: { from: item.source || item.trigger, trigger: item.trigger, target: item.target, depth: item.depth, entryId: item.id }
+                };
+                if (item.engineIndex !== undefined) context.engineIndex = item.engineIndex;
+                this.handler.triggerFailure(item.failureId, context);
+            }
+
+            this.history.push(record);
+        });
+    }
+
+    reset() {
+        this.pending = [];
+        this.history = [];
+        this.rolled.clear();
+        this.nextId = 1;
+    }
+
+    getState() {
+        return {
+            pending: this.pending.map(p => ({ ...p })),
+            history: this.history.map(h => ({ ...h })),
+            rolled: Array.from(this.rolled),
+            nextId: this.nextId
+        };
+    }
+
+    loadState(state) {
+        this.reset();
+        if (!state) return;
+        this.pending = Array.isArray(state.pending) ? state.pending.map(p => ({ ...p })) : [];
+        this.history = Array.isArray(state.history) ? state.history.map(h => ({ ...h })) : [];
+        this.rolled = new Set(state.rolled || []);
+        this.nextId = state.nextId || (this.history.length + 1);
+    }
+}
+
+/**
+ * Readable name of a graph node (HYDRAULIC_SYSTEM -> "Hydraulic system").
+ */
+export function formatNode(node) {
+    const words = node.toLowerCase().split('_');
+    words[0] = words[0].charAt(0).toUpperCase() + words[0].slice(1);
+    return words.join(' ');
+}
+
+export default FailureCascadeEngine;
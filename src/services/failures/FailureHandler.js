@@ -1,6 +1,9 @@
 
 import eventBus from '../eventBus.js';
 import BaseFailure from './BaseFailure.js';
+import FailureCascadeEngine from './FailureCascadeEngine.js';
+import ScenarioDirector from './ScenarioDirector.js';
+import { scenarioPackService } from '../scenarioPackService.js';
 
 // Registry of all failure definitions (will be populated)
 import EngineFailures from './types/EngineFailures.js';
@@ -12,6 +15,7 @@ class FailureHandler {
     constructor(config = {}) {
         this.difficulty = config.difficulty || 'intermediate';
         this.engineCount = config.engineCount || 2;
+        this.random = typeof config.random === 'function' ? config.random : Math.random;
         this.activeFailures = new Map(); // id -> failureInstance
         this.registry = new Map();
         
@@ -24,6 +28,12 @@ class FailureHandler {
         this.settings = this.getDifficultySettings(this.difficulty);
         this.time = 0;
         this.nextCheckTime = 10.0;
+
+        // Secondary failures driven by failureRelationships.json
+        this.cascade = new FailureCascadeEngine(this);
+
+        // Scripted failure timeline from an authored scenario pack (optional)
+        this.scenario = null;
     }
 
     registerGroup(group) {
@@ -36,12 +46,13 @@ class FailureHandler {
     getDifficultySettings(difficulty) {
         // ... (Logic from old FailureSystem.js) ...
         const settings = {
-            rookie: { probMultiplier: 0.0, maxFailures: 0 },
-            amateur: { probMultiplier: 0.2, maxFailures: 1 },
-            intermediate: { probMultiplier: 0.5, maxFailures: 2 },
-            advanced: { probMultiplier: 1.0, maxFailures: 3 },
-            pro: { probMultiplier: 1.5, maxFailures: 4 },
-            devil: { probMultiplier: 2.5, maxFailures: 5 }
+            // cascadeMultiplier scales consequence probabilities (rookie = isolated failures only)
+            rookie: { probMultiplier: 0.0, maxFailures: 0, cascadeMultiplier: 0.0 },
+            amateur: { probMultiplier: 0.2, maxFailures: 1, cascadeMultiplier: 0.25 },
+            intermediate: { probMultiplier: 0.5, maxFailures: 2, cascadeMultiplier: 0.5 },
+            advanced: { probMultiplier: 1.0, maxFailures: 3, cascadeMultiplier: 1.0 },
+            pro: { probMultiplier: 1.5, maxFailures: 4, cascadeMultiplier: 1.2 },
+            devil: { probMultiplier: 2.5, maxFailures: 5, cascadeMultiplier: 1.5 }
         };
         return settings[difficulty] || settings.intermediate;
     }
@@ -51,13 +62,25 @@ class FailureHandler {
 
         // Update active failures
         this.activeFailures.forEach(failure => {
+            const previousStage = failure.currentStage;
             failure.update(dt, flightState);
+            if (failure.currentStage !== previousStage) {
+                this.cascade.onStageEntered(failure, failure.currentStage);
+            }
         });
 
-        // Random triggering logic
-        if (this.time > this.nextCheckTime) {
+        // Fire any secondary failures whose delay has elapsed
+        this.cascade.update();
+
+        // Scripted scenario pack events
+        if (this.scenario) {
+            this.scenario.update(flightState);
+        }
+
+        // Random triggering logic (not during an authored scenario pack, which scripts its own failures)
+        if (!this.scenario && this.time > this.nextCheckTime) {
             this.checkRandomFailures(flightState);
-            this.nextCheckTime = this.time + 5.0 + Math.random() * 5.0;
+            this.nextCheckTime = this.time + 5.0 + this.random() * 5.0;
         }
     }
 
@@ -82,11 +105,12 @@ class FailureHandler {
         }
 
         if (def.category === 'engine' && context.engineIndex === undefined) {
-            context.engineIndex = Math.floor(Math.random() * this.engineCount);
+            context.engineIndex = Math.floor(this.random() * this.engineCount);
         }
 
-        const failure = new BaseFailure(def, context);
-        failure.transitionTo('incipient'); // Start sequence
+        const failure = new BaseFailure(def, context, this.random);
+        // Start sequence at the definition's first stage (incipient for staged failures, active otherwise)
+        failure.transitionTo(def.stages?.inactive?.next || 'incipient');
         
         this.activeFailures.set(id, failure);
         
@@ -104,6 +128,38 @@ class FailureHandler {
             content: desc,
             severity: 'warning'
         });
+
+        this.cascade.onStageEntered(failure, failure.currentStage);
+    }
+
+    /**
+     * Attach a scenario pack so its scripted events drive failures for this flight. Random
+     * failures are not rolled while a pack is loaded; cascades from its failures still are.
+     */
+    loadScenario(pack) {
+        this.scenario = pack ? new ScenarioDirector(this, pack) : null;
+    }
+
+    /**
+     * Report a cascade condition that is not itself a failure (e.g. OVERWEIGHT_LANDING, FUEL_STARVATION).
+     */
+    reportCondition(node, context = {}) {
+        this.cascade.onCondition(node, context);
+    }
+
+    /**
+     * Narrative-only consequence (graph target without a failure definition).
+     */
+    publishAdvisory(item) {
+        eventBus.publish(eventBus.Types.FAILURE_PROGRESSED, {
+            type: item.source || item.trigger,
+            cascade: item
+        });
+        eventBus.publish(eventBus.Types.CRITICAL_MESSAGE, {
+            title: 'SYSTEM ALERT',
+            content: item.description,
+            severity: 'warning'
+        });
     }
 
     checkRandomFailures(state) {
@@ -111,7 +167,7 @@ class FailureHandler {
         if (this.activeFailures.size >= this.settings.maxFailures) return;
         
         const baseProb = 0.005 * this.settings.probMultiplier;
-        if (Math.random() > baseProb) return;
+        if (this.random() > baseProb) return;
 
         // Filter valid candidates based on conditions
         const candidates = Array.from(this.registry.values()).filter(def => {
@@ -123,13 +179,15 @@ class FailureHandler {
 
         if (candidates.length === 0) return;
 
-        const def = candidates[Math.floor(Math.random() * candidates.length)];
+        const def = candidates[Math.floor(this.random() * candidates.length)];
         this.triggerFailure(def.id);
     }
 
     reset() {
         this.activeFailures.clear();
         this.time = 0;
+        this.cascade.reset();
+        if (this.scenario) this.scenario.loadState(null);
     }
 
     getState() {
@@ -144,7 +202,9 @@ class FailureHandler {
                 intensity: f.intensity,
                 variation: f.variation,
                 logs: f.logs
-            }))
+            })),
+            cascade: this.cascade.getState(),
+            scenario: this.scenario ? this.scenario.getState() : null
         };
     }
 
@@ -160,7 +220,7 @@ class FailureHandler {
                 const def = this.registry.get(fState.id);
                 if (def) {
                     // Re-create failure with original context (stored in variation.context)
-                    const failure = new BaseFailure(def, fState.variation.context);
+                    const failure = new BaseFailure(def, fState.variation.context, this.random);
                     
                     // Restore internal state
                     failure.currentStage = fState.currentStage;
@@ -174,6 +234,13 @@ class FailureHandler {
                 }
             });
         }
+
+        this.cascade.loadState(state.cascade);
+
+        if (state.scenario && state.scenario.packId) {
+            this.loadScenario(scenarioPackService.getPack(state.scenario.packId));
+            if (this.scenario) this.scenario.loadState(state.scenario);
+        }
     }
 }
 
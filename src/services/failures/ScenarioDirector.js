@@ -0,0 +1,103 @@
+import eventBus from '../eventBus.js';
+import { scenarioPackService } from '../scenarioPackService.js';
+
+/**
+ * Scenario Director
+ * Plays back the scripted failure timeline of a scenario pack (src/data/scenarioPacks.json).
+ *
+ * Each event fires once when every condition in its trigger holds:
+ * - time: seconds since the scenario started
+ * - after / delay: another event has fired, optionally at least `delay` seconds ago
+ * - field + above / below: a flight state value (dotted path into getOutputState())
+ * Failure references are resolved through scenarioPackService onto the failure type definitions.
+ */
+class ScenarioDirector {
+    constructor(handler, pack) {
+        this.handler = handler;
+        this.pack = pack;
+        this.fired = new Map(); // eventId -> fire time
+        this.history = [];
+    }
+
+    update(flightState) {
+        if (!this.pack || !Array.isArray(this.pack.events)) return;
+
+        this.pack.events.forEach((event, index) => {
+            const eventId = event.id || `event_${index}`;
+            if (this.fired.has(eventId)) return;
+            if (!this.isTriggered(event.trigger || {}, flightState)) return;
+
+            this.fired.set(eventId, this.handler.time);
+            this.fire(eventId, event);
+        });
+    }
+
+    isTriggered(trigger, flightState) {
+        const time = this.handler.time;
+        if (trigger.time !== undefined && time < trigger.time) return false;
+
+        if (trigger.after !== undefined) {
+            if (!this.fired.has(trigger.after)) return false;
+            if (time - this.fired.get(trigger.after) < (trigger.delay || 0)) return false;
+        }
+
+        if (trigger.field !== undefined) {
+            const value = getPath(flightState, trigger.field);
+            if (typeof value !== 'number' || isNaN(value)) return false;
+            if (trigger.above !== undefined && value <= trigger.above) return false;
+            if (trigger.below !== undefined && value >= trigger.below) return false;
+        }
+
+        return true;
+    }
+
+    fire(eventId, event) {
+        const failures = scenarioPackService.resolveFailure(event.failure, this.handler.engineCount, event.context);
+
+        failures.forEach(({ failureId, context, catalogId }) => {
+            const alreadyActive = this.handler.activeFailures.has(failureId);
+            if (!alreadyActive) {
+                this.handler.triggerFailure(failureId, {
+                    ...context,
+                    scenario: { pack: this.pack.id, event: eventId, catalogId }
+                });
+            }
+
+            this.history.push({
+                time: this.handler.time,
+                event: eventId,
+                catalogId,
+                failureId,
+                outcome: alreadyActive ? 'already_active' : 'triggered'
+            });
+        });
+
+        // Authored narrative goes last so it is not replaced by the generic system alert
+        if (event.message) {
+            eventBus.publish(eventBus.Types.CRITICAL_MESSAGE, {
+                title: this.pack.name,
+                content: event.message,
+                severity: 'warning'
+            });
+        }
+    }
+
+    getState() {
+        return {
+            packId: this.pack ? this.pack.id : null,
+            fired: Array.from(this.fired.entries()),
+            history: this.history.map(h => ({ ...h }))
+        };
+    }
+
+    loadState(state) {
+        this.fired = new Map(state && Array.isArray(state.fired) ? state.fired : []);
+        this.history = state && Array.isArray(state.history) ? state.history.map(h => ({ ...h })) : [];
+    }
+}
+
+function getPath(obj, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+export default ScenarioDirector;
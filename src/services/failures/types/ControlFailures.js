@@ -77,7 +77,7 @@ const ControlFailures = {
                 effect: (sys) => {
                     // Disable AP
                     // Random input jerk
-                    sys.controls.elevator += (Math.random() - 0.5) * 0.1;
+                    sys.controls.elevator += (sys.random() - 0.5) * 0.1;
                 }
             }
         }
@@ -94,7 +94,7 @@ const ControlFailures = {
                 effect: (sys) => {
                     // Set thrust to max or min unexpectedly
                     sys.engines.forEach(e => {
-                        e.thrustTarget = Math.random() > 0.5 ? 1.0 : 0.0;
+                        e.thrustTarget = sys.random() > 0.5 ? 1.0 : 0.0;
                     });
                 }
             }
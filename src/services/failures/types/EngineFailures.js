@@ -20,7 +20,7 @@ const EngineFailures = {
                         // Subtle decay/fluctuation for hard mode
                         if (isHard(ctx)) {
                             // Fluctuation rather than just decay
-                            const noise = (Math.random() - 0.5) * 2.0; // +/- 1%
+                            const noise = (sys.random() - 0.5) * 2.0; // +/- 1%
                             eng.state.n2 += noise;
                             eng.state.n1 += noise * 1.5;
                             
@@ -28,15 +28,15 @@ const EngineFailures = {
                             eng.state.oilPressure *= 0.995;
                             
                             // Fuel Flow Oscillation
-                            eng.state.fuelFlow *= (1.0 + (Math.random() - 0.5) * 0.1);
+                            eng.state.fuelFlow *= (1.0 + (sys.random() - 0.5) * 0.1);
                             
                             // Occasional EGT Spike
-                            if (Math.random() > 0.8) {
+                            if (sys.random() > 0.8) {
                                 eng.state.egt += 50;
                             }
                         } else {
                              // Obvious warning for easy mode
-                            eng.state.n1 = eng.state.n1 * 0.9 + Math.random() * 5.0;
+                            eng.state.n1 = eng.state.n1 * 0.9 + sys.random() * 5.0;
                             eng.state.egt += 100; // Visible heat spike
                             eng.state.vibration = 5.0;
                         }
@@ -104,7 +104,7 @@ const EngineFailures = {
                         if (!eng.state.failed) {
                             // If fire burns too hot/long, engine fails
                             // EGT offset > 600 means fire is raging
-                            if (eng.state.egtOffset > 600 && Math.random() < 0.05) {
+                            if (eng.state.egtOffset > 600 && sys.random() < 0.05) {
                                 eng.setFailed(true, 'fire', 'critical');
                             }
                         }
@@ -160,7 +160,7 @@ const EngineFailures = {
                     const eng = sys.engines[ctx.engineIndex];
                     if (eng) {
                         // Pop noise (thrust cut and spike)
-                        if (Math.random() > 0.7) eng.state.thrust *= 0.2; // Use state.thrust directly if needed, or rely on update loop
+                        if (sys.random() > 0.7) eng.state.thrust *= 0.2; // Use state.thrust directly if needed, or rely on update loop
                         eng.state.egt += 10;
                         eng.state.vibration = 8.0 * intensity;
                     }
@@ -225,10 +225,10 @@ const EngineFailures = {
                     if (eng) {
                         // Impact shock
                         eng.state.vibration = 10.0;
-                        eng.state.n1 = eng.state.n1 * (0.9 + Math.random() * 0.2); // Fluctuations
+                        eng.state.n1 = eng.state.n1 * (0.9 + sys.random() * 0.2); // Fluctuations
                         
                         // Hard mode: potential immediate damage without warning
-                        if (isHard(ctx) && Math.random() > 0.5) {
+                        if (isHard(ctx) && sys.random() > 0.5) {
                             eng.state.n1 *= 0.5; 
                         }
                     }
@@ -243,7 +243,7 @@ const EngineFailures = {
                     if (eng) {
                         if (!eng.state.failed) {
                             // High chance of flameout or severe damage
-                            const type = Math.random() > 0.3 ? 'damage' : 'flameout';
+                            const type = sys.random() > 0.3 ? 'damage' : 'flameout';
                             eng.setFailed(true);
                         }
                         
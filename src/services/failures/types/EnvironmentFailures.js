@@ -56,9 +56,11 @@ const EnvironmentFailures = {
             inactive: { next: 'active' },
             active: {
                 description: (ctx) => `WINDSHEAR AHEAD.`,
-                effect: (sys, intensity) => {
-                    // Sudden airspeed loss/gain logic in physics
-                    // sys.applyWindShear(intensity);
+                effect: (sys, intensity, ctx) => {
+                    // Microburst on the flight path, placed once
+                    if (ctx.cellPlaced || typeof sys.addMicroburstAhead !== 'function') return;
+                    sys.addMicroburstAhead(1.5, intensity || 0.8);
+                    ctx.cellPlaced = true;
                 }
             }
         }
@@ -75,13 +77,15 @@ const EnvironmentFailures = {
                 next: 'critical',
                 description: (ctx) => `Ice Accumulation Detected.`,
                 effect: (sys, intensity) => {
-                    // Reduce lift slightly
+                    // Supercooled cloud: ice builds on the wing, inlets and unheated probes
+                    if (sys.icing) sys.icing.forceEncounter(0.5 * (intensity || 1));
                 }
             },
             critical: {
                 description: (ctx) => `Severe Icing. Stall Speed Increased.`,
-                effect: (sys) => {
-                    // Degrade aerodynamic coeffs
+                effect: (sys, intensity) => {
+                    // Freezing rain: heavy accretion wherever the anti-ice is off
+                    if (sys.icing) sys.icing.forceEncounter(1.5 * (intensity || 1));
                 }
             }
         }
@@ -98,7 +102,7 @@ const EnvironmentFailures = {
                 effect: (sys) => {
                     // Random thrust fluctuations
                     sys.engines.forEach(e => {
-                        e.thrust *= 0.8 + (Math.random() * 0.2);
+                        e.thrust *= 0.8 + (sys.random() * 0.2);
                     });
                 }
             }
@@ -118,9 +118,43 @@ const SystemFailures = {
             inactive: { next: 'active' },
             active: {
                 description: (ctx) => `Airspeed Indication Unreliable.`,
-                effect: (sys) => {
-                    if (!sys.sensors) sys.sensors = {};
-                    sys.sensors.pitotBlocked = true;
+                effect: (sys, intensity, ctx = {}) => {
+                    // ctx.source: captain (default), fo, standby or all; ctx.drainBlocked traps the pressure
+                    const mode = ctx.drainBlocked ? 'BLOCKED_DRAIN' : 'BLOCKED';
+                    if (sys.airData) sys.airData.setFault(ctx.source || 'captain', 'pitot', mode);
+                }
+            }
+        }
+    },
+
+    STATIC_PORT_BLOCKAGE: {
+        id: 'static_port_blockage',
+        name: 'Static Port Blockage',
+        category: 'systems',
+        stages: {
+            inactive: { next: 'active' },
+            active: {
+                description: () => `Altitude Indication Unreliable.`,
+                effect: (sys, intensity, ctx = {}) => {
+                    if (sys.airData) sys.airData.setFault(ctx.source || 'captain', 'static', 'BLOCKED');
+                }
+            }
+        }
+    },
+
+    AOA_VANE_FAILURE: {
+        id: 'aoa_vane_failure',
+        name: 'AOA Vane Failure',
+        category: 'systems',
+        stages: {
+            inactive: { next: 'active' },
+            active: {
+                description: () => `AOA Disagree.`,
+                effect: (sys, intensity, ctx = {}) => {
+                    // ctx.source: captain (default) or fo; a stuck vane (ctx.stuck) or one reading ctx.bias degrees high
+                    if (!sys.airData) return;
+                    if (ctx.stuck) sys.airData.setFault(ctx.source || 'captain', 'vane', 'STUCK');
+                    else sys.airData.setFault(ctx.source || 'captain', 'vane', 'BIASED', (ctx.bias ?? 20) * Math.PI / 180);
                 }
             }
         }
@@ -283,8 +317,8 @@ const SystemFailures = {
             active: {
                 description: (ctx) => `Altimeter/Speed Mismatch.`,
                 effect: (sys) => {
-                    // Critical phase error
-                    // sys.sensors.altimeterError = 500;
+                    // Critical phase error: the captain's static port freezes during the descent
+                    if (sys.airData) sys.airData.setFault('captain', 'static', 'BLOCKED');
                 }
             }
         }
@@ -0,0 +1,97 @@
+import scenarioPacksData from '../data/scenarioPacks.json';
+import failureScenarios from '../data/failureScenarios.json';
+
+// Catalog ids may carry an engine suffix (ENG_FLAMEOUT_L, ENG_FIRE_2)
+const ENGINE_SUFFIX = /_(L|R|[1-4])$/;
+
+class ScenarioPackService {
+  constructor() {
+    this.packs = scenarioPacksData.packs || [];
+    this.failureMap = failureScenarios.failure_map || {};
+
+    // Flatten the catalog so individual failures and patterns resolve the same way
+    this.catalog = new Map();
+    Object.values(failureScenarios.individual_failures || {}).forEach(group => {
+      group.forEach(entry => this.catalog.set(entry.id, entry));
+    });
+    (failureScenarios.failure_patterns || []).forEach(pattern => {
+      this.catalog.set(pattern.id, pattern);
+    });
+  }
+
+  getPacks() {
+    return this.packs;
+  }
+
+  getPack(id) {
+    return this.packs.find(pack => pack.id === id) || null;
+  }
+
+  getCatalogEntry(catalogId) {
+    return this.catalog.get(catalogId) || null;
+  }
+
+  /**
+   * Resolve a pack event's failure reference onto failure type definitions.
+   * Lowercase references are failure type ids (e.g. 'bird_strike'); uppercase references
+   * are failureScenarios.json catalog ids, optionally with an engine suffix (_L, _R, _1..4).
+   * Patterns without a single mapped definition expand into their components.
+   * @returns {Array<{failureId: string, context: Object, catalogId: string|null}>}
+   */
+  resolveFailure(ref, engineCount = 2, context = {}) {
+    if (!ref) return [];
+    if (ref !== ref.toUpperCase()) {
+      return [{ failureId: ref, context: { ...context }, catalogId: null }];
+    }
+
+    let catalogId = ref;
+    const resolvedContext = { ...context };
+    const suffix = ref.match(ENGINE_SUFFIX);
+    if (suffix && !this.failureMap[ref] && this.failureMap[ref.replace(ENGINE_SUFFIX, '')] !== undefined) {
+      catalogId = ref.replace(ENGINE_SUFFIX, '');
+      if (resolvedContext.engineIndex === undefined) {
+        resolvedContext.engineIndex = this.getEngineIndex(suffix[1], engineCount);
+      }
+    }
+
+    const failureId = this.failureMap[catalogId];
+    if (failureId) {
+      return [{ failureId, context: resolvedContext, catalogId }];
+    }
+
+    const entry = this.getCatalogEntry(catalogId);
+    if (entry && Array.isArray(entry.components)) {
+      return entry.components.flatMap(component => this.resolveFailure(component, engineCount, context));
+    }
+
+    console.warn(`Scenario pack: no failure definition mapped for ${ref}`);
+    return [];
+  }
+
+  getEngineIndex(suffix, engineCount) {
+    if (suffix === 'L') return 0;
+    if (suffix === 'R') return Math.max(0, engineCount - 1);
+    return Math.min(engineCount, Number(suffix)) - 1;
+  }
+
+  /**
+   * Flight settings a pack imposes on the initialization form.
+   */
+  getFlightSettings(pack) {
+    if (!pack) return null;
+    return {
+      aircraftModel: pack.aircraft,
+      difficulty: pack.difficulty,
+      callsign: pack.callsign,
+      airline: pack.airline,
+      pax: pack.pax,
+      cruiseHeight: pack.start?.altitude,
+      departure: pack.route?.departure,
+      arrival: pack.route?.arrival,
+      weather: pack.weather ? { ...pack.weather } : null
+    };
+  }
+}
+
+export const scenarioPackService = new ScenarioPackService();
+export default ScenarioPackService;
@@ -1,5 +1,7 @@
 import weatherConfig from '../config/weatherConfig.json';
 import { WeatherCondition } from '../utils/weatherTypes';
+import { getTAFWeatherAt } from '../utils/metarParser';
+import { isaTemperature, withSurfaceWind } from '../utils/atmosphereProfile';
 
 /**
  * Generates a random number within a given range and distribution.
@@ -129,6 +131,167 @@ export function generateInitialWeather(latitude, longitude, season, zuluTime) {
   return /** @type {WeatherData} */ (weather);
 }
 
+/**
+ * Generates the vertical atmosphere profile above the surface weather: the surface wind
+ * veers and strengthens through the boundary layer, turns westerly towards a jet stream
+ * core between FL300 and FL390 (easterly and weak in the tropics), and fog, mist or clear
+ * winter air gets a low-level inversion. See utils/atmosphereProfile for the shape.
+ * @param {WeatherData} weather - surface weather (wind, temperature, latitude, season)
+ * @param {number} fieldElevation - surface elevation in feet
+ * @returns {object} atmosphere profile
+ */
+export function generateAtmosphereProfile(weather, fieldElevation = 0) {
+  const latitude = weather.latitude || 0;
+  const season = String(weather.season || '').toLowerCase();
+  const surfaceDirection = weather.windDirection || 0;
+  const surfaceSpeed = weather.windSpeed || 0;
+  const hemisphere = latitude < 0 ? -1 : 1;
+  const storm = weather.type === 'storm' || weather.weatherCondition === WeatherCondition.THUNDERSTORM;
+
+  // Boundary layer: friction backs and slows the surface wind relative to the gradient wind
+  const gradientDirection = (surfaceDirection + hemisphere * getRandomValue([15, 35], 'uniform') + 360) % 360;
+  const gradientSpeed = Math.max(surfaceSpeed * 1.5, surfaceSpeed + 5);
+
+  // Jet stream strongest around 40° latitude and in winter; weak easterlies in the tropics
+  const absLatitude = Math.abs(latitude);
+  const tropical = absLatitude < 15;
+  const seasonFactor = season === 'winter' ? 1.3 : season === 'summer' ? 0.7 : 1;
+  const jetSpeed = tropical
+    ? getRandomValue([20, 40], 'uniform')
+    : (50 + 100 * Math.exp(-(((absLatitude - 40) / 15) ** 2))) * seasonFactor * getRandomValue([0.8, 1.2], 'uniform');
+  const jetDirection = tropical ? getRandomValue([70, 110], 'uniform') : getRandomValue([250, 290], 'uniform');
+  const jetAltitude = Math.round(getRandomValue([30000, 39000], 'uniform') / 1000) * 1000;
+  const clearAirTurbulence = jetSpeed > 120 ? 0.2 : 0;
+
+  const blend = (fraction) => {
+    const turn = ((jetDirection - gradientDirection + 540) % 360) - 180;
+    return {
+      direction: Math.round((gradientDirection + turn * fraction + 360) % 360),
+      speed: Math.round(gradientSpeed + (jetSpeed - gradientSpeed) * fraction)
+    };
+  };
+
+  const surfaceTurbulence = weather.turbulence || 0;
+  const windLayers = [
+    { altitude: fieldElevation, direction: surfaceDirection, speed: surfaceSpeed, turbulence: surfaceTurbulence },
+    { altitude: fieldElevation + 2000, direction: Math.round(gradientDirection), speed: Math.round(gradientSpeed), turbulence: surfaceTurbulence * 0.5 },
+    { altitude: Math.max(fieldElevation + 4000, 10000), ...blend(0.35), turbulence: storm ? 0.4 : 0 },
+    { altitude: Math.max(fieldElevation + 6000, 24000), ...blend(0.8), turbulence: storm ? 0.3 : 0 },
+    { altitude: jetAltitude, ...blend(1), turbulence: clearAirTurbulence },
+    { altitude: 45000, ...blend(0.6), turbulence: 0 }
+  ];
+
+  // Low-level inversion under fog, mist or clear winter skies
+  const inversions = [];
+  const foggy = [WeatherCondition.FOG, WeatherCondition.MIST].includes(weather.weatherCondition) || weather.type === 'fog';
+  const clearWinter = season === 'winter' && [WeatherCondition.CLEAR, WeatherCondition.PARTLY_CLOUDY].includes(weather.weatherCondition);
+  if (foggy || (clearWinter && Math.random() < 0.5)) {
+    inversions.push({
+      base: fieldElevation,
+      top: fieldElevation + Math.round(getRandomValue([800, 2000], 'uniform') / 100) * 100,
+      strength: Math.round(getRandomValue([2, 8], 'uniform'))
+    });
+  }
+
+  // ISA deviation above the inversion, so the surface keeps the reported temperature
+  const surfaceTemperature = typeof weather.temperature === 'number' ? weather.temperature : isaTemperature(fieldElevation);
+  const inversionCooling = inversions.reduce((sum, inv) => sum + inv.strength + 0.0019812 * (inv.top - inv.base), 0);
+  const isaDeviation = Math.max(-30, Math.min(30, surfaceTemperature - isaTemperature(fieldElevation) + inversionCooling));
+
+  return {
+    windLayers,
+    isaDeviation: parseFloat(isaDeviation.toFixed(1)),
+    inversions
+  };
+}
+
+/**
+ * Places microburst cells near the given airports when the weather is convective: likely in
+ * thunderstorms or when a report carries a WS group, occasionally under showers or CB cloud.
+ * Cells sit 1-4 nm from the field so they can lie on the departure or approach path.
+ * @param {WeatherData} weather
+ * @param {Array<{latitude: number, longitude: number}>} airports
+ * @returns {Array<object>} cells { id, latitude, longitude, radius (m), outflow (m/s), downdraft (m/s) }
+ */
+export function generateConvectiveCells(weather, airports = []) {
+  const storm = weather.type === 'storm' || weather.weatherCondition === WeatherCondition.THUNDERSTORM;
+  const showers = (weather.phenomena || []).some(p => p.descriptor === 'SH') || (weather.clouds || []).some(c => c.type === 'CB');
+  const probability = weather.windshear ? 1 : storm ? 0.6 : showers ? 0.25 : 0;
+  const severity = storm || weather.windshear ? 1 : 0.6;
+
+  const cells = [];
+  airports.filter(Boolean).forEach((airport, index) => {
+    if (Math.random() >= probability) return;
+    const bearing = Math.random() * 2 * Math.PI;
+    const distanceDeg = getRandomValue([1, 4], 'uniform') / 60;
+    cells.push({
+      id: `mb_${index + 1}`,
+      latitude: airport.latitude + distanceDeg * Math.cos(bearing),
+      longitude: airport.longitude + distanceDeg * Math.sin(bearing) / Math.cos(airport.latitude * Math.PI / 180),
+      radius: Math.round(getRandomValue([600, 1200], 'uniform')),
+      outflow: parseFloat((getRandomValue([10, 22], 'uniform') * severity).toFixed(1)),
+      downdraft: parseFloat((getRandomValue([5, 12], 'uniform') * severity).toFixed(1))
+    });
+  });
+  return cells;
+}
+
+/**
+ * Storm cell profiles by weather type: cells per area, peak reflectivity (dBZ), radius (nm)
+ * and top (ft). Thunderstorms are small and intense, rain and snow wide and stratiform.
+ */
+const STORM_CELL_PROFILES = {
+  storm: { count: [3, 6], intensity: [42, 58], radius: [2, 5], top: [28000, 45000] },
+  showers: { count: [2, 4], intensity: [35, 48], radius: [2, 4], top: [18000, 30000] },
+  rain: { count: [2, 5], intensity: [25, 42], radius: [5, 15], top: [12000, 25000] },
+  snow: { count: [1, 3], intensity: [20, 30], radius: [10, 20], top: [10000, 18000] }
+};
+
+/**
+ * Scatters storm cells within 40 nm of each point (departure, arrival, mid-route) for the
+ * weather radar. Every microburst gets a strong cell above it so it shows red on the radar.
+ * @param {WeatherData} weather
+ * @param {Array<{latitude: number, longitude: number}>} points
+ * @param {Array<object>} microbursts - cells from generateConvectiveCells
+ * @returns {Array<object>} cells { id, latitude, longitude, radius (nm), top (ft), intensity (dBZ) }
+ */
+export function generateStormCells(weather, points = [], microbursts = []) {
+  const showers = (weather.phenomena || []).some(p => p.descriptor === 'SH') || (weather.clouds || []).some(c => c.type === 'CB');
+  const kind = weather.type === 'storm' || weather.weatherCondition === WeatherCondition.THUNDERSTORM ? 'storm'
+    : showers ? 'showers'
+      : weather.type === 'snow' || weather.weatherCondition === WeatherCondition.SNOW ? 'snow'
+        : weather.type === 'rain' || weather.weatherCondition === WeatherCondition.RAIN ? 'rain'
+          : null;
+
+  const cells = microbursts.map((mb, index) => ({
+    id: `cb_${index + 1}`,
+    latitude: mb.latitude,
+    longitude: mb.longitude,
+    radius: parseFloat(getRandomValue([2, 3], 'uniform').toFixed(1)),
+    top: Math.round(getRandomValue([35000, 45000], 'uniform') / 1000) * 1000,
+    intensity: Math.round(getRandomValue([50, 58], 'uniform'))
+  }));
+  if (!kind) return cells;
+
+  const profile = STORM_CELL_PROFILES[kind];
+  points.filter(Boolean).forEach(point => {
+    const count = Math.round(getRandomValue(profile.count, 'uniform'));
+    for (let i = 0; i < count; i++) {
+      const bearing = Math.random() * 2 * Math.PI;
+      const distanceDeg = getRandomValue([3, 40], 'uniform') / 60;
+      cells.push({
+        id: `cell_${cells.length + 1}`,
+        latitude: point.latitude + distanceDeg * Math.cos(bearing),
+        longitude: point.longitude + distanceDeg * Math.sin(bearing) / Math.cos(point.latitude * Math.PI / 180),
+        radius: parseFloat(getRandomValue(profile.radius, 'uniform').toFixed(1)),
+        top: Math.round(getRandomValue(profile.top, 'uniform') / 1000) * 1000,
+        intensity: Math.round(getRandomValue(profile.intensity, 'uniform'))
+      });
+    }
+  });
+  return cells;
+}
+
 /**
  * Updates weather data based on a time delta.
  * @param {WeatherData} currentWeather
@@ -143,6 +306,16 @@ export function updateWeather(currentWeather, timeDeltaMinutes) {
     return newWeather;
   }
 
+  // Weather from a METAR stays as reported; a TAF is followed along its own timeline
+  if (newWeather.source === 'report') {
+    if (!newWeather.taf) return newWeather;
+    const reportTime = new Date(newWeather.reportTime);
+    reportTime.setMinutes(reportTime.getMinutes() + timeDeltaMinutes);
+    const forecast = { ...newWeather, ...getTAFWeatherAt(newWeather.taf, reportTime) };
+    if (forecast.atmosphere) forecast.atmosphere = withSurfaceWind(forecast.atmosphere, forecast);
+    return forecast;
+  }
+
   const regionalAdjustments = getRegionalWeatherAdjustments(newWeather.latitude, newWeather.longitude);
 
   for (const param in weatherConfig) {
@@ -188,6 +361,9 @@ export function updateWeather(currentWeather, timeDeltaMinutes) {
   currentZuluDate.setMinutes(currentZuluDate.getMinutes() + timeDeltaMinutes);
   newWeather.zuluTime = currentZuluDate.toISOString();
 
+  // Winds aloft persist; only the surface layer follows the new surface wind
+  if (newWeather.atmosphere) newWeather.atmosphere = withSurfaceWind(newWeather.atmosphere, newWeather);
+
   return newWeather;
 }
 
@@ -0,0 +1,45 @@
+/**
+ * Least-recently-used cache on top of Map's insertion order: get() moves an entry to the
+ * back, set() evicts from the front once maxSize is exceeded.
+ */
+export class LRUCache {
+    constructor(maxSize = 100) {
+        this.maxSize = maxSize;
+        this.map = new Map();
+    }
+
+    get size() {
+        return this.map.size;
+    }
+
+    has(key) {
+        return this.map.has(key);
+    }
+
+    get(key) {
+        if (!this.map.has(key)) return undefined;
+        const value = this.map.get(key);
+        this.map.delete(key);
+        this.map.set(key, value);
+        return value;
+    }
+
+    set(key, value) {
+        if (this.map.has(key)) this.map.delete(key);
+        this.map.set(key, value);
+        while (this.map.size > this.maxSize) {
+            this.map.delete(this.map.keys().next().value);
+        }
+        return this;
+    }
+
+    delete(key) {
+        return this.map.delete(key);
+    }
+
+    clear() {
+        this.map.clear();
+    }
+}
+
+export default LRUCache;
@@ -0,0 +1,91 @@
+/**
+ * Vertical atmosphere profile: wind layers, ISA deviation and temperature inversions.
+ *
+ * Profile shape (plain JSON, so it can be saved or authored in scenarios):
+ * {
+ *   windLayers: [ { altitude (ft MSL), direction (deg from), speed (kts), turbulence? (0-1) } ],
+ *   isaDeviation: °C applied at all altitudes above any inversion,
+ *   inversions: [ { base (ft MSL), top (ft MSL), strength (°C warmer at top than at base) } ]
+ * }
+ * Wind is interpolated between layers (direction along the shorter arc) and held constant
+ * below the lowest and above the highest layer.
+ */
+
+const ISA_SEA_LEVEL_C = 15;
+const ISA_LAPSE_C_PER_FT = 0.0019812;
+const TROPOPAUSE_FT = 36089;
+
+/**
+ * ISA temperature (°C) at a pressure altitude.
+ */
+export function isaTemperature(altitudeFt) {
+  return ISA_SEA_LEVEL_C - ISA_LAPSE_C_PER_FT * Math.min(altitudeFt, TROPOPAUSE_FT);
+}
+
+/**
+ * Same profile with its lowest layer replaced by a new surface wind, so observed surface
+ * weather can be refreshed without regenerating the winds aloft.
+ */
+export function withSurfaceWind(profile, { windDirection = 0, windSpeed = 0, turbulence = 0 } = {}) {
+  const [surface, ...aloft] = profile.windLayers;
+  return {
+    ...profile,
+    windLayers: [{ ...surface, direction: windDirection, speed: windSpeed, turbulence }, ...aloft]
+  };
+}
+
+/**
+ * Wind at an altitude.
+ * @returns {{direction: number, speed: number, turbulence: number|undefined}}
+ */
+export function windAt(profile, altitudeFt) {
+  const layers = profile?.windLayers || [];
+  if (layers.length === 0) return { direction: 0, speed: 0, turbulence: undefined };
+
+  const upper = layers.findIndex(layer => layer.altitude > altitudeFt);
+  if (upper === 0) return { ...layers[0] };
+  if (upper === -1) return { ...layers[layers.length - 1] };
+
+  const a = layers[upper - 1];
+  const b = layers[upper];
+  const f = (altitudeFt - a.altitude) / (b.altitude - a.altitude);
+  const turn = ((b.direction - a.direction + 540) % 360) - 180;
+  const turbulence = a.turbulence === undefined && b.turbulence === undefined
+    ? undefined
+    : (a.turbulence || 0) + ((b.turbulence || 0) - (a.turbulence || 0)) * f;
+
+  return {
+    direction: (a.direction + turn * f + 360) % 360,
+    speed: a.speed + (b.speed - a.speed) * f,
+    turbulence
+  };
+}
+
+/**
+ * Outside air temperature (°C) at an altitude. Below an inversion's top the air is colder
+ * than the ISA + deviation line, by the inversion strength plus the lapse it cancels.
+ */
+export function temperatureAt(profile, altitudeFt) {
+  let temperature = isaTemperature(altitudeFt) + (profile?.isaDeviation || 0);
+
+  for (const inversion of profile?.inversions || []) {
+    if (altitudeFt >= inversion.top) continue;
+    const depth = inversion.top - inversion.base;
+    const cooling = inversion.strength + ISA_LAPSE_C_PER_FT * depth;
+    const fraction = altitudeFt <= inversion.base ? 0 : (altitudeFt - inversion.base) / depth;
+    temperature -= cooling * (1 - fraction);
+  }
+
+  return temperature;
+}
+
+/**
+ * Headwind (positive on the nose) and crosswind (positive from the right) for a course.
+ */
+export function windComponents(wind, courseDeg) {
+  const angle = (wind.direction - courseDeg) * Math.PI / 180;
+  return {
+    headwind: wind.speed * Math.cos(angle),
+    crosswind: wind.speed * Math.sin(angle)
+  };
+}
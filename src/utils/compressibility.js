@@ -0,0 +1,72 @@
+/**
+ * Compressibility of a transport jet wing, scaled from the aircraft's maximum operating Mach.
+ *
+ * Drag divergence (Mdd) sits just above Mmo at cruise lift and moves down as the wing is loaded.
+ * Past the critical Mach the shocks on the wing add wave drag (Lock's fourth-power law), move
+ * the centre of pressure aft (Mach tuck) and separate the flow over the control surfaces. The
+ * buffet boundary closes in from both sides at altitude: the lift the wing can carry before
+ * buffeting falls with Mach (low-speed buffet), and beyond Mdd the shocks shake the wing
+ * (high-speed buffet), so near the ceiling the two meet in the coffin corner.
+ */
+
+const CRUISE_CL = 0.5;
+const MDD_MARGIN = 0.02; // Mdd above Mmo at cruise lift
+const MDD_PER_CL = 0.1; // Mdd lost per unit of lift coefficient above cruise
+const LOCK_CRITICAL_OFFSET = 0.108; // Mdd - Mcrit, where the wave drag rise reaches 0.1 per Mach
+const LOCK_COEFFICIENT = 20;
+
+const TUCK_GAIN = 4; // Nose-down Cm per Mach² beyond Mmo
+
+const CONTROL_LOSS_RANGE = 0.1; // Mach beyond Mmo over which the full loss builds up
+const MAX_CONTROL_LOSS = 0.5;
+
+const LOW_SPEED_MACH = 0.4; // Below this the buffet boundary is the low speed CLmax
+const BUFFET_CL_LOW_SPEED = 1.3;
+const BUFFET_CL_AT_MMO = 0.75;
+const BUFFET_RANGE_CL = 0.15; // CL past the boundary to full buffet
+const BUFFET_RANGE_MACH = 0.04; // Mach past Mdd to full buffet
+const STALL_ALPHA_LOSS_AT_MMO = 0.18; // rad
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value));
+
+/**
+ * Drag divergence and critical Mach at a lift coefficient.
+ */
+function criticalMach(mmo, cl) {
+  const dragDivergence = mmo + MDD_MARGIN - MDD_PER_CL * Math.max(0, cl - CRUISE_CL);
+  return { dragDivergence, critical: dragDivergence - LOCK_CRITICAL_OFFSET };
+}
+
+/**
+ * Effects that depend on the Mach number alone, needed before the lift is known.
+ * @returns {{ tuckMoment, controlFactor, stallAlphaLoss }} tuckMoment (Cm, nose-down),
+ *   controlFactor (0-1, elevator and aileron), stallAlphaLoss (rad)
+ */
+export function machEffects(mach, mmo) {
+  const beyondMmo = Math.max(0, mach - mmo);
+  return {
+    tuckMoment: -TUCK_GAIN * beyondMmo * beyondMmo,
+    controlFactor: 1 - MAX_CONTROL_LOSS * clamp01(beyondMmo / CONTROL_LOSS_RANGE),
+    stallAlphaLoss: STALL_ALPHA_LOSS_AT_MMO * clamp01((mach - LOW_SPEED_MACH) / (mmo - LOW_SPEED_MACH))
+  };
+}
+
+/**
+ * Wave drag and buffet at a lift coefficient of the clean wing.
+ * @returns {{ critical, dragDivergence, waveDrag, buffet }} waveDrag (CD), buffet (0-1)
+ */
+export function waveDragAndBuffet(mach, mmo, cl) {
+  const { critical, dragDivergence } = criticalMach(mmo, Math.abs(cl));
+  const highSpeedRatio = Math.max(0, (mach - LOW_SPEED_MACH) / (mmo - LOW_SPEED_MACH));
+
+  const buffetCL = BUFFET_CL_LOW_SPEED - (BUFFET_CL_LOW_SPEED - BUFFET_CL_AT_MMO) * highSpeedRatio;
+  const lowSpeedBuffet = clamp01((Math.abs(cl) - buffetCL) / BUFFET_RANGE_CL);
+  const highSpeedBuffet = clamp01((mach - dragDivergence) / BUFFET_RANGE_MACH);
+
+  return {
+    critical,
+    dragDivergence,
+    waveDrag: LOCK_COEFFICIENT * Math.max(0, mach - critical) ** 4,
+    buffet: Math.max(lowSpeedBuffet, highSpeedBuffet)
+  };
+}
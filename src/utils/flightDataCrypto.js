@@ -1,36 +1,148 @@
+/**
+ * Save file envelope
+ *
+ * A save file is a JSON envelope around the compressed save data:
+ *   { format: 'acs', envelope: 1, version, compression: 'deflate' | 'none', payload, signature }
+ * `version` is the save schema version (see saveMigrations.js); `payload` is the base64 of the
+ * (compressed) JSON and `signature` an HMAC-SHA256 over the header fields and payload.
+ *
+ * The signing key ships with the app, so the signature detects edited or corrupted files but
+ * is not a secret against someone reading the source.
+ */
+import { CURRENT_SAVE_VERSION, getSaveVersion } from './saveMigrations.js';
 
-// Simple obfuscation to prevent casual modification
-const SALT = 'AIRCRASHSIM2025';
+const SAVE_FORMAT = 'acs';
+const ENVELOPE_VERSION = 1;
+const SIGNING_KEY = 'AIRCRASHSIM-SAVE-HMAC-v1';
 
-export const encryptFlightData = (data) => {
+// Pre-envelope saves: JSON XORed with this salt, then base64
+const LEGACY_SALT = 'AIRCRASHSIM2025';
+
+export const SaveErrors = {
+  TAMPERED: 'SAVE_TAMPERED',
+  UNSUPPORTED: 'SAVE_UNSUPPORTED',
+  CORRUPT: 'SAVE_CORRUPT'
+};
+
+const saveError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+const bytesToBase64 = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const base64ToBytes = (base64) => Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+
+const pipeThrough = async (bytes, stream) => {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+};
+
+let signingKeyPromise = null;
+const getSigningKey = () => {
+  if (!signingKeyPromise) {
+    signingKeyPromise = crypto.subtle.importKey(
+      'raw',
+      textEncoder.encode(SIGNING_KEY),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign', 'verify']
+    );
+  }
+  return signingKeyPromise;
+};
+
+const signedContent = (envelope) => textEncoder.encode(
+  [envelope.format, envelope.envelope, envelope.version, envelope.compression, envelope.payload].join('.')
+);
+
+/**
+ * Serialize save data into a signed envelope string.
+ * @param {Object} data - save data (see buildSaveData)
+ * @returns {Promise<string>}
+ */
+export const encodeSave = async (data) => {
+  const json = textEncoder.encode(JSON.stringify(data));
+  const compression = typeof CompressionStream === 'function' ? 'deflate' : 'none';
+  const body = compression === 'deflate' ? await pipeThrough(json, new CompressionStream('deflate')) : json;
+
+  const envelope = {
+    format: SAVE_FORMAT,
+    envelope: ENVELOPE_VERSION,
+    version: getSaveVersion(data),
+    compression,
+    payload: bytesToBase64(body)
+  };
+  const signature = await crypto.subtle.sign('HMAC', await getSigningKey(), signedContent(envelope));
+  return JSON.stringify({ ...envelope, signature: bytesToBase64(new Uint8Array(signature)) });
+};
+
+/**
+ * Parse a save file. Envelopes are verified before anything is decompressed; pre-envelope
+ * (XOR) files are still accepted. The returned data is in the layout it was saved with and
+ * is brought up to date by migrateSave() when loaded.
+ * @param {string} text - file contents
+ * @returns {Promise<Object>}
+ * @throws {Error} with `code` set to one of SaveErrors
+ */
+export const decodeSave = async (text) => {
+  let envelope = null;
   try {
-    const jsonString = JSON.stringify(data);
-    // Simple XOR with SALT
-    let result = '';
-    for (let i = 0; i < jsonString.length; i++) {
-      const charCode = jsonString.charCodeAt(i) ^ SALT.charCodeAt(i % SALT.length);
-      result += String.fromCharCode(charCode);
-    }
-    // Convert to Base64 to make it safe for file storage
-    return btoa(result);
+    envelope = JSON.parse(text);
+  } catch {
+    // Not JSON: a pre-envelope save
+  }
+
+  if (!envelope || envelope.format !== SAVE_FORMAT) {
+    const legacy = decodeLegacySave(text);
+    if (!legacy) throw saveError(SaveErrors.CORRUPT, 'Unrecognized save file');
+    return legacy;
+  }
+
+  if (envelope.envelope > ENVELOPE_VERSION || envelope.version > CURRENT_SAVE_VERSION) {
+    throw saveError(SaveErrors.UNSUPPORTED, 'Save file was written by a newer version of the simulator');
+  }
+
+  let valid = false;
+  try {
+    valid = await crypto.subtle.verify(
+      'HMAC', await getSigningKey(), base64ToBytes(envelope.signature), signedContent(envelope)
+    );
+  } catch {
+    valid = false;
+  }
+  if (!valid) throw saveError(SaveErrors.TAMPERED, 'Save file signature does not match its contents');
+
+  try {
+    const body = base64ToBytes(envelope.payload);
+    const json = envelope.compression === 'deflate' ? await pipeThrough(body, new DecompressionStream('deflate')) : body;
+    const data = JSON.parse(textDecoder.decode(json));
+    if (getSaveVersion(data) !== envelope.version) throw new Error('version mismatch');
+    return data;
   } catch (error) {
-    console.error('Encryption failed:', error);
-    return null;
+    throw saveError(SaveErrors.CORRUPT, `Save payload could not be read: ${error.message}`);
   }
 };
 
-export const decryptFlightData = (encryptedString) => {
+const decodeLegacySave = (encryptedString) => {
   try {
-    // Decode Base64
     const xorString = atob(encryptedString);
     let result = '';
     for (let i = 0; i < xorString.length; i++) {
-      const charCode = xorString.charCodeAt(i) ^ SALT.charCodeAt(i % SALT.length);
-      result += String.fromCharCode(charCode);
+      result += String.fromCharCode(xorString.charCodeAt(i) ^ LEGACY_SALT.charCodeAt(i % LEGACY_SALT.length));
     }
     return JSON.parse(result);
-  } catch (error) {
-    console.error('Decryption failed:', error);
+  } catch {
     return null;
   }
 };
@@ -117,3 +117,13 @@ export function calculateBearing(lat1, lon1, lat2, lon2) {
     const brng = Math.atan2(y, x) * 180 / Math.PI;
     return (brng + 360) % 360;
 }
+
+export function destinationPoint(lat, lon, bearingDeg, distanceMeters) {
+    const d = distanceMeters / EARTH_RADIUS_METERS;
+    const brng = bearingDeg * Math.PI / 180;
+    const lat1 = lat * Math.PI / 180;
+    const lon1 = lon * Math.PI / 180;
+    const lat2 = Math.asin(Math.sin(lat1) * Math.cos(d) + Math.cos(lat1) * Math.sin(d) * Math.cos(brng));
+    const lon2 = lon1 + Math.atan2(Math.sin(brng) * Math.sin(d) * Math.cos(lat1), Math.cos(d) - Math.sin(lat1) * Math.sin(lat2));
+    return { latitude: lat2 * 180 / Math.PI, longitude: ((lon2 * 180 / Math.PI) + 540) % 360 - 180 };
+}
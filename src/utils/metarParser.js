@@ -0,0 +1,439 @@
+import { WeatherCondition } from './weatherTypes.js';
+
+/**
+ * METAR / TAF parsing and METAR encoding.
+ *
+ * Reports are turned into the WeatherData shape used by the rest of the app (wind in knots,
+ * visibility in meters, cloud bases in feet, pressure in hPa), tagged with source: 'report'
+ * so the generated and real-weather updaters leave them alone. Parse functions follow the
+ * CommandParser convention: they return { weather } / { taf } or { error: { key, params } }.
+ */
+
+const METERS_PER_SM = 1609.34;
+const KT_PER_MPS = 1.94384;
+const KT_PER_KMH = 0.539957;
+const HPA_PER_INHG = 33.8639;
+
+const CLOUD_COVER_PERCENT = { FEW: 25, SCT: 50, BKN: 75, OVC: 100, VV: 100 };
+const PRECIPITATION_RATE = { light: 1, moderate: 4, heavy: 10 }; // mm/h
+
+const WIND_RE = /^(\d{3}|VRB)(\d{2,3})(?:G(\d{2,3}))?(KT|MPS|KMH)$/;
+const WIND_VARIATION_RE = /^(\d{3})V(\d{3})$/;
+const VISIBILITY_M_RE = /^(\d{4})(NDV)?$/;
+const VISIBILITY_SM_RE = /^([PM])?(?:(\d+)|(\d+)\/(\d+))SM$/;
+const WEATHER_RE = /^(-|\+|VC)?(MI|PR|BC|DR|BL|SH|TS|FZ)?((?:DZ|RA|SN|SG|IC|PL|GR|GS|UP|BR|FG|FU|VA|DU|SA|HZ|PY|PO|SQ|FC|SS|DS)*)$/;
+const CLOUD_RE = /^(FEW|SCT|BKN|OVC|VV)(\d{3}|\/\/\/)(CB|TCU|\/\/\/)?$/;
+const NO_CLOUD_RE = /^(SKC|CLR|NSC|NCD)$/;
+const TEMPERATURE_RE = /^(M?\d{2})\/(M?\d{2})?$/;
+const PRESSURE_RE = /^([QA])(\d{4})$/;
+const TIME_RE = /^(\d{2})(\d{2})(\d{2})Z$/;
+const PERIOD_RE = /^(\d{2})(\d{2})\/(\d{2})(\d{2})$/;
+const FROM_RE = /^FM(\d{2})(\d{2})(\d{2})$/;
+const IGNORED_RE = /^(R\d{2}[LRC]?\/\S+|RE\S+|TX\S+|TN\S+|\$|\/+)$/; // RVR, recent weather, TAF max/min temperature
+
+const parseTemperature = (value) => (value.startsWith('M') ? -parseInt(value.slice(1), 10) : parseInt(value, 10));
+
+/**
+ * Relative humidity (%) from temperature and dew point (Magnus formula).
+ */
+const relativeHumidity = (temperature, dewpoint) => {
+  const gamma = (t) => (17.62 * t) / (243.12 + t);
+  return Math.round(100 * Math.exp(gamma(dewpoint) - gamma(temperature)));
+};
+
+/**
+ * Parse one weather phenomenon group, e.g. "-RA", "+TSRA", "VCSH", "FZFG".
+ */
+const parsePhenomenon = (token) => {
+  const match = WEATHER_RE.exec(token);
+  if (!match || (!match[2] && !match[3])) return null;
+  const types = match[3].match(/.{2}/g) || [];
+  const intensity = { '-': 'light', '+': 'heavy', VC: 'vicinity' }[match[1]] || 'moderate';
+  return { raw: token, intensity, descriptor: match[2] || null, types };
+};
+
+/**
+ * Parse the weather groups (wind, visibility, phenomena, clouds, temperature, pressure)
+ * shared by METAR bodies and TAF periods. Tokens that are not weather groups stop parsing
+ * and are returned in `rest`.
+ */
+const parseGroups = (tokens) => {
+  const groups = {};
+  let i = 0;
+
+  for (; i < tokens.length; i++) {
+    const token = tokens[i];
+    let match;
+
+    if ((match = WIND_RE.exec(token))) {
+      const factor = match[4] === 'MPS' ? KT_PER_MPS : match[4] === 'KMH' ? KT_PER_KMH : 1;
+      groups.windVariable = match[1] === 'VRB';
+      groups.windDirection = groups.windVariable ? 0 : parseInt(match[1], 10);
+      groups.windSpeed = Math.round(parseInt(match[2], 10) * factor);
+      groups.windGust = match[3] ? Math.round(parseInt(match[3], 10) * factor) : 0;
+    } else if ((match = WIND_VARIATION_RE.exec(token))) {
+      groups.windVariation = [parseInt(match[1], 10), parseInt(match[2], 10)];
+    } else if (token === 'CAVOK') {
+      groups.cavok = true;
+      groups.visibility = 10000;
+      groups.clouds = [];
+      groups.phenomena = [];
+    } else if ((match = VISIBILITY_M_RE.exec(token))) {
+      groups.visibility = match[1] === '9999' ? 10000 : parseInt(match[1], 10);
+    } else if (/^\d+$/.test(token) && VISIBILITY_SM_RE.test(tokens[i + 1] || '') && tokens[i + 1].includes('/')) {
+      // Whole and fractional statute miles split across two tokens: "1 1/2SM"
+      const fraction = VISIBILITY_SM_RE.exec(tokens[i + 1]);
+      groups.visibility = Math.round((parseInt(token, 10) + fraction[3] / fraction[4]) * METERS_PER_SM);
+      i++;
+    } else if ((match = VISIBILITY_SM_RE.exec(token))) {
+      const miles = match[2] !== undefined ? parseInt(match[2], 10) : match[3] / match[4];
+      groups.visibility = match[1] === 'P' ? 10000 : Math.min(10000, Math.round(miles * METERS_PER_SM));
+    } else if (token === 'NSW') {
+      groups.phenomena = [];
+    } else if ((match = CLOUD_RE.exec(token))) {
+      groups.clouds = groups.clouds || [];
+      groups.clouds.push({
+        cover: match[1],
+        base: match[2] === '///' ? null : parseInt(match[2], 10) * 100,
+        type: match[3] && match[3] !== '///' ? match[3] : null
+      });
+    } else if (NO_CLOUD_RE.test(token)) {
+      groups.clouds = [];
+    } else if ((match = TEMPERATURE_RE.exec(token))) {
+      groups.temperature = parseTemperature(match[1]);
+      if (match[2]) groups.dewpoint = parseTemperature(match[2]);
+    } else if ((match = PRESSURE_RE.exec(token))) {
+      const value = parseInt(match[2], 10);
+      groups.pressure = match[1] === 'Q' ? value : Math.round(value / 100 * HPA_PER_INHG * 10) / 10;
+    } else if (token === 'WS') {
+      // Wind shear: "WS R27", "WS RWY27" or "WS ALL RWY"
+      groups.windshear = true;
+      i += tokens[i + 1] === 'ALL' ? 2 : 1;
+    } else if (IGNORED_RE.test(token)) {
+      continue;
+    } else {
+      const phenomenon = parsePhenomenon(token);
+      if (!phenomenon) break;
+      groups.phenomena = groups.phenomena || [];
+      groups.phenomena.push(phenomenon);
+    }
+  }
+
+  return { groups, rest: tokens.slice(i) };
+};
+
+/**
+ * Fill in the derived WeatherData fields (cloud cover, ceiling, type, turbulence, ...) from
+ * the parsed groups.
+ */
+const buildWeather = (groups) => {
+  const weather = {
+    windDirection: 0,
+    windSpeed: 0,
+    windGust: 0,
+    visibility: 10000,
+    clouds: [],
+    phenomena: [],
+    ...groups
+  };
+
+  const phenomenonTypes = weather.phenomena.flatMap(p => p.types);
+  const descriptors = weather.phenomena.map(p => p.descriptor);
+  const has = (...types) => types.some(type => phenomenonTypes.includes(type));
+  const thunderstorm = descriptors.includes('TS') || weather.clouds.some(c => c.type === 'CB');
+
+  weather.cloudCover = Math.max(0, ...weather.clouds.map(c => CLOUD_COVER_PERCENT[c.cover]));
+  const ceilingLayer = weather.clouds.find(c => ['BKN', 'OVC', 'VV'].includes(c.cover) && c.base !== null);
+  weather.ceiling = ceilingLayer ? ceilingLayer.base : null; // ft AGL, null = no ceiling
+
+  if (typeof weather.temperature === 'number' && typeof weather.dewpoint === 'number') {
+    weather.humidity = relativeHumidity(weather.temperature, weather.dewpoint);
+  }
+  if (typeof weather.pressure === 'number') weather.pressureInHg = weather.pressure / HPA_PER_INHG;
+
+  const precipitation = weather.phenomena.find(p => p.intensity !== 'vicinity' && p.types.some(type => ['DZ', 'RA', 'SN', 'SG', 'PL', 'GR', 'GS', 'UP'].includes(type)));
+  weather.precipitation = precipitation ? PRECIPITATION_RATE[precipitation.intensity] : 0;
+
+  if (descriptors.includes('TS')) weather.type = 'storm';
+  else if (has('SN', 'SG', 'PL')) weather.type = 'snow';
+  else if (has('RA', 'DZ', 'GR', 'GS') || descriptors.includes('SH')) weather.type = 'rain';
+  else if (has('FG') || (has('BR') && weather.visibility < 1000)) weather.type = 'fog';
+  else if (weather.cloudCover >= 75) weather.type = 'cloudy';
+  else weather.type = 'clear';
+
+  weather.weatherCondition = {
+    storm: WeatherCondition.THUNDERSTORM,
+    snow: WeatherCondition.SNOW,
+    rain: WeatherCondition.RAIN,
+    fog: WeatherCondition.FOG
+  }[weather.type]
+    || (has('BR', 'HZ') ? WeatherCondition.MIST : null)
+    || (weather.windSpeed >= 25 ? WeatherCondition.WINDY : null)
+    || (weather.cloudCover >= 100 ? WeatherCondition.OVERCAST
+      : weather.cloudCover >= 75 ? WeatherCondition.CLOUDY
+        : weather.cloudCover > 0 ? WeatherCondition.PARTLY_CLOUDY : WeatherCondition.CLEAR);
+
+  // Same scale as RealWeatherService.estimateTurbulence (0-1)
+  let turbulence = 0;
+  if (weather.windSpeed > 15) turbulence += 0.2;
+  if (weather.windSpeed > 30) turbulence += 0.3;
+  turbulence += Math.max(0, weather.windGust - weather.windSpeed) * 0.05;
+  if (thunderstorm) turbulence += 0.5;
+  else if (descriptors.includes('SH')) turbulence += 0.3;
+  if (weather.windshear) turbulence += 0.3;
+  weather.turbulence = Math.min(1, turbulence);
+
+  return weather;
+};
+
+/**
+ * Resolve a day/hour/minute report time to a Date near the reference date (reports only
+ * carry the day of month).
+ */
+const resolveTime = ({ day, hour, minute }, reference) => {
+  const candidates = [-1, 0, 1].map(offset =>
+    new Date(Date.UTC(reference.getUTCFullYear(), reference.getUTCMonth() + offset, day, hour, minute))
+  );
+  return candidates.reduce((best, date) =>
+    Math.abs(date - reference) < Math.abs(best - reference) ? date : best
+  );
+};
+
+const tokenize = (text) => String(text || '').toUpperCase().replace(/=/g, ' ').trim().split(/\s+/).filter(Boolean);
+
+/**
+ * Parse a METAR / SPECI report.
+ * @param {string} text - e.g. "METAR KSFO 191856Z 28012G20KT 10SM FEW008 BKN250 18/12 A2992"
+ * @param {Date} [reference] - date the report is resolved against (day of month only in the report)
+ * @returns {{weather: WeatherData}|{error: {key: string, params?: object}}}
+ */
+export function parseMETAR(text, reference = new Date()) {
+  const tokens = tokenize(text);
+  while (['METAR', 'SPECI', 'COR'].includes(tokens[0])) tokens.shift();
+
+  const station = tokens.shift();
+  if (!station || !/^[A-Z][A-Z0-9]{3}$/.test(station)) {
+    return { error: { key: 'initialization.weather_report.errors.station', params: { value: station || '' } } };
+  }
+
+  const time = TIME_RE.exec(tokens[0] || '');
+  if (!time) return { error: { key: 'initialization.weather_report.errors.time', params: { value: tokens[0] || '' } } };
+  tokens.shift();
+  if (tokens[0] === 'NIL') return { error: { key: 'initialization.weather_report.errors.nil', params: { station } } };
+  while (['AUTO', 'COR'].includes(tokens[0])) tokens.shift();
+
+  const { groups, rest } = parseGroups(tokens);
+  // Trend and remarks follow the observation and are not part of it
+  if (rest.length > 0 && !['RMK', 'NOSIG', 'BECMG', 'TEMPO'].includes(rest[0])) {
+    return { error: { key: 'initialization.weather_report.errors.group', params: { value: rest[0] } } };
+  }
+  if (groups.windSpeed === undefined) return { error: { key: 'initialization.weather_report.errors.wind' } };
+
+  const observed = resolveTime({ day: +time[1], hour: +time[2], minute: +time[3] }, reference);
+  return {
+    weather: {
+      ...buildWeather(groups),
+      source: 'report',
+      report: String(text).trim(),
+      station,
+      reportTime: observed.toISOString()
+    }
+  };
+}
+
+/**
+ * Parse a TAF. Each change group (FM, BECMG, TEMPO, PROBnn) becomes a period holding only
+ * the elements it changes; getTAFWeatherAt() combines them into the weather at a time.
+ * @param {string} text - e.g. "TAF EGLL 191100Z 1912/2018 24012KT 9999 SCT030 TEMPO 1914/1918 7000 SHRA"
+ * @param {Date} [reference]
+ * @returns {{taf: Object}|{error: {key: string, params?: object}}}
+ */
+export function parseTAF(text, reference = new Date()) {
+  const tokens = tokenize(text);
+  while (['TAF', 'AMD', 'COR'].includes(tokens[0])) tokens.shift();
+
+  const station = tokens.shift();
+  if (!station || !/^[A-Z][A-Z0-9]{3}$/.test(station)) {
+    return { error: { key: 'initialization.weather_report.errors.station', params: { value: station || '' } } };
+  }
+
+  const issuedMatch = TIME_RE.exec(tokens[0] || '');
+  if (issuedMatch) tokens.shift();
+  const validity = PERIOD_RE.exec(tokens[0] || '');
+  if (!validity) return { error: { key: 'initialization.weather_report.errors.time', params: { value: tokens[0] || '' } } };
+  tokens.shift();
+
+  const issued = issuedMatch
+    ? resolveTime({ day: +issuedMatch[1], hour: +issuedMatch[2], minute: +issuedMatch[3] }, reference)
+    : resolveTime({ day: +validity[1], hour: +validity[2], minute: 0 }, reference);
+  const at = (day, hour, minute = 0) => resolveTime({ day: +day, hour: +hour, minute: +minute }, issued);
+  const validFrom = at(validity[1], validity[2]);
+  const validTo = at(validity[3], validity[4]);
+
+  const periods = [];
+  let period = { type: 'BASE', from: validFrom, to: validTo, probability: null };
+  let remaining = tokens;
+
+  for (;;) {
+    const { groups, rest } = parseGroups(remaining);
+    periods.push({ ...period, from: period.from.toISOString(), to: period.to.toISOString(), groups });
+    if (rest.length === 0 || rest[0] === 'RMK') break;
+
+    let match;
+    let next = rest;
+    if ((match = FROM_RE.exec(next[0]))) {
+      period = { type: 'FM', from: at(match[1], match[2], match[3]), to: validTo, probability: null };
+      next = next.slice(1);
+    } else {
+      let probability = null;
+      if ((match = /^PROB(\d{2})$/.exec(next[0]))) {
+        probability = parseInt(match[1], 10);
+        next = next.slice(1);
+      }
+      let type = probability ? 'PROB' : null;
+      if (next[0] === 'BECMG' || next[0] === 'TEMPO') {
+        type = next[0];
+        next = next.slice(1);
+      }
+      const window = PERIOD_RE.exec(next[0] || '');
+      if (!type || !window) {
+        return { error: { key: 'initialization.weather_report.errors.group', params: { value: rest[0] } } };
+      }
+      period = { type, from: at(window[1], window[2]), to: at(window[3], window[4]), probability };
+      next = next.slice(1);
+    }
+    remaining = next;
+  }
+
+  return {
+    taf: {
+      station,
+      report: String(text).trim(),
+      issued: issued.toISOString(),
+      validFrom: validFrom.toISOString(),
+      validTo: validTo.toISOString(),
+      periods
+    }
+  };
+}
+
+/**
+ * Forecast weather at a time: the base forecast, replaced by FM groups and amended by
+ * BECMG groups once they start, plus TEMPO groups while they last. PROB groups without
+ * TEMPO are not applied. Times outside the validity are clamped to it.
+ * @param {Object} taf - result of parseTAF().taf
+ * @param {Date|string} time
+ * @returns {WeatherData}
+ */
+export function getTAFWeatherAt(taf, time) {
+  const t = Math.min(Math.max(new Date(time).getTime(), Date.parse(taf.validFrom)), Date.parse(taf.validTo) - 1);
+  let groups = {};
+
+  for (const period of taf.periods) {
+    const from = Date.parse(period.from);
+    const to = Date.parse(period.to);
+    if (period.type === 'BASE' || (period.type === 'FM' && t >= from)) groups = { ...period.groups };
+    else if (period.type === 'BECMG' && t >= from) groups = { ...groups, ...period.groups };
+    else if (period.type === 'TEMPO' && t >= from && t < to) groups = { ...groups, ...period.groups };
+  }
+
+  return {
+    ...buildWeather(groups),
+    source: 'report',
+    report: taf.report,
+    station: taf.station,
+    taf,
+    reportTime: new Date(t).toISOString()
+  };
+}
+
+/**
+ * Parse either kind of report; TAFs start with "TAF", everything else is read as a METAR.
+ * TAFs yield the weather at the start of their validity.
+ * @returns {{weather: WeatherData}|{error: {key: string, params?: object}}}
+ */
+export function parseWeatherReport(text, reference = new Date()) {
+  const tokens = tokenize(text);
+  if (tokens.length === 0) return { error: { key: 'initialization.weather_report.errors.empty' } };
+  if (tokens[0] !== 'TAF') return parseMETAR(text, reference);
+
+  const result = parseTAF(text, reference);
+  return result.error ? result : { weather: getTAFWeatherAt(result.taf, result.taf.validFrom) };
+}
+
+const pad = (value, length) => String(Math.max(0, Math.round(value))).padStart(length, '0');
+const encodeTemperature = (value) => (Math.round(value) < 0 ? `M${pad(-value, 2)}` : pad(value, 2));
+
+/**
+ * Encode weather as a METAR body.
+ * @param {WeatherData} weather
+ * @param {Object} [options]
+ * @param {string} [options.station] - ICAO identifier (defaults to weather.station)
+ * @param {Date|string} [options.time] - observation time (defaults to now)
+ * @param {boolean} [options.us] - statute miles and inHg altimeter; defaults to US stations (K...)
+ * @returns {string} e.g. "KSFO 191856Z 28012G20KT 10SM FEW008 BKN250 18/12 A2992"
+ */
+export function encodeMETAR(weather, { station = weather.station || 'ZZZZ', time = new Date(), us = station.startsWith('K') } = {}) {
+  const date = new Date(time);
+  const parts = [station, `${pad(date.getUTCDate(), 2)}${pad(date.getUTCHours(), 2)}${pad(date.getUTCMinutes(), 2)}Z`];
+
+  // Wind
+  const speed = Math.round(weather.windSpeed || 0);
+  const gust = Math.round(weather.windGust || 0);
+  if (speed < 1) {
+    parts.push('00000KT');
+  } else {
+    const direction = weather.windVariable ? 'VRB' : pad(Math.round((weather.windDirection || 0) / 10) * 10 % 360 || 360, 3);
+    parts.push(`${direction}${pad(speed, 2)}${gust > speed ? `G${pad(gust, 2)}` : ''}KT`);
+  }
+  if (weather.windVariation) parts.push(`${pad(weather.windVariation[0], 3)}V${pad(weather.windVariation[1], 3)}`);
+
+  // Present weather: reported phenomena, else derived from the generated weather type
+  const visibility = weather.visibility ?? 10000;
+  let phenomena = (weather.phenomena || []).map(p => p.raw);
+  if (!weather.phenomena) {
+    const rate = weather.precipitation || 0;
+    const intensity = rate >= 7.6 ? '+' : rate > 0 && rate < 2.5 ? '-' : '';
+    phenomena = {
+      storm: [`${intensity}TSRA`],
+      rain: [`${intensity}RA`],
+      snow: [`${intensity}SN`],
+      fog: [visibility < 1000 ? 'FG' : 'BR']
+    }[weather.type] || (visibility < 5000 ? ['BR'] : []);
+  }
+
+  // Clouds: reported layers, else one layer from cover and ceiling
+  let clouds = weather.clouds;
+  if (!clouds) {
+    const cover = weather.cloudCover || 0;
+    const layer = cover <= 0 ? null : cover <= 25 ? 'FEW' : cover <= 50 ? 'SCT' : cover <= 87 ? 'BKN' : 'OVC';
+    clouds = layer ? [{ cover: layer, base: weather.ceiling || 3000, type: weather.type === 'storm' ? 'CB' : null }] : [];
+  }
+
+  const cavok = !us && visibility >= 10000 && phenomena.length === 0 &&
+    clouds.every(c => c.base !== null && c.base >= 5000 && !c.type);
+  if (cavok) {
+    parts.push('CAVOK');
+  } else {
+    if (us) {
+      const miles = visibility / METERS_PER_SM;
+      parts.push(visibility >= 10000 || miles >= 10 ? '10SM' : miles >= 1 ? `${Math.floor(miles)}SM` : `${Math.max(1, Math.round(miles * 4))}/4SM`);
+    } else {
+      parts.push(visibility >= 10000 ? '9999' : pad(visibility >= 5000 ? Math.round(visibility / 1000) * 1000 : Math.round(visibility / 100) * 100, 4));
+    }
+    parts.push(...phenomena);
+    if (clouds.length === 0) parts.push(us ? 'CLR' : 'NSC');
+    else clouds.forEach(c => parts.push(`${c.cover}${c.base === null ? '///' : pad(c.base / 100, 3)}${c.type || ''}`));
+  }
+
+  // Temperature / dew point (estimated from humidity when not reported)
+  const temperature = weather.temperature ?? 15;
+  const dewpoint = weather.dewpoint ?? temperature - (100 - (weather.humidity ?? 70)) / 5;
+  parts.push(`${encodeTemperature(temperature)}/${encodeTemperature(dewpoint)}`);
+
+  // Pressure
+  const pressure = weather.pressure ?? 1013.25;
+  parts.push(us ? `A${pad(pressure / HPA_PER_INHG * 100, 4)}` : `Q${pad(pressure, 4)}`);
+
+  return parts.join(' ');
+}
@@ -1,3 +1,6 @@
+import { destinationPoint } from './flightMath.js';
+
+const METERS_PER_NM = 1852;
 
 /**
  * Generates a unique VHF frequency for ATC communications
@@ -97,6 +100,66 @@ export const generateSTAR = (lastWaypoint) => {
   return `${prefix}${numPart}A`;
 };
 
+/**
+ * Builds the fixes of a departure procedure off a runway: runway heading to 5 nm, then a turn
+ * onto the exit bearing. Altitudes are feet MSL, speeds knots.
+ * @param {Object} runway - airportService.getRunwayGeometry() result
+ * @param {number} exitBearing - En-route bearing (degrees) the departure leaves on
+ * @returns {{ name: string, waypoints: Array }} Procedure name and fixes { name, latitude, longitude, altitude, speed }
+ */
+export const generateSIDWaypoints = (runway, exitBearing) => {
+  const names = generateWaypoints(3);
+  const end = runway.thresholdEnd;
+  const elevation = end.elevation || 0;
+
+  const climbOut = destinationPoint(end.latitude, end.longitude, runway.heading, 5 * METERS_PER_NM);
+  const transition = destinationPoint(climbOut.latitude, climbOut.longitude, exitBearing, 10 * METERS_PER_NM);
+  const exit = destinationPoint(transition.latitude, transition.longitude, exitBearing, 20 * METERS_PER_NM);
+
+  return {
+    name: generateSID(names[2]),
+    waypoints: [
+      { name: names[0], ...climbOut, altitude: elevation + 3000, speed: 210 },
+      { name: names[1], ...transition, altitude: elevation + 7000, speed: 250 },
+      { name: names[2], ...exit, altitude: elevation + 12000, speed: 280 }
+    ]
+  };
+};
+
+/**
+ * Builds the fixes of an arrival procedure to a runway: an entry fix 40 nm out on the entry
+ * bearing, a feeder fix on the same side of the final approach course, and the final approach
+ * fix (FAF) on the extended centreline 8 nm from the threshold, 3000 ft above the field.
+ * @param {Object} runway - airportService.getRunwayGeometry() result
+ * @param {number} entryBearing - Bearing (degrees) from the airport to the entry fix
+ * @returns {{ name: string, waypoints: Array }} Procedure name and fixes { name, latitude, longitude, altitude, speed }
+ */
+export const generateSTARWaypoints = (runway, entryBearing) => {
+  const names = generateWaypoints(3);
+  const threshold = runway.thresholdStart;
+  const elevation = threshold.elevation || 0;
+  const outbound = (runway.heading + 180) % 360; // Final approach course, looking away from the runway
+
+  // Join final from the side the traffic arrives on
+  let offset = entryBearing - outbound;
+  if (offset > 180) offset -= 360;
+  if (offset < -180) offset += 360;
+  const side = offset >= 0 ? 1 : -1;
+
+  const entry = destinationPoint(runway.airportLat, runway.airportLon, entryBearing, 40 * METERS_PER_NM);
+  const feeder = destinationPoint(threshold.latitude, threshold.longitude, outbound + side * 40, 14 * METERS_PER_NM);
+  const faf = destinationPoint(threshold.latitude, threshold.longitude, outbound, 8 * METERS_PER_NM);
+
+  return {
+    name: generateSTAR(names[0]),
+    waypoints: [
+      { name: names[0], ...entry, altitude: elevation + 10000, speed: 250 },
+      { name: names[1], ...feeder, altitude: elevation + 5000, speed: 210 },
+      { name: names[2], ...faf, altitude: elevation + 3000, speed: 170 }
+    ]
+  };
+};
+
 export const generateGate = () => {
   const terminal = String.fromCharCode(65 + Math.floor(Math.random() * 6)); // A-F
   const gateNum = Math.floor(Math.random() * 50 + 1);
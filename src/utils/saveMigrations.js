@@ -0,0 +1,162 @@
+/**
+ * Save schema versions and migrations
+ *
+ * Version 1: UI-era saves. `physicsState` is the view model published by getOutputState()
+ *            (position.latitude, velocity.u/v/w, Euler orientation, engineParams arrays...),
+ *            or only `flightData` is present.
+ * Version 2: `physicsState` is RealisticFlightPhysicsService.getSerializableState().
+ *
+ * Each migration takes a save at version N and returns it at version N + 1, so
+ * migrateSave() can bring any older layout up to CURRENT_SAVE_VERSION in steps.
+ */
+import { Quaternion } from './flightMath.js';
+
+export const CURRENT_SAVE_VERSION = 2;
+
+const LEGACY_FRAME_TIME = 0.016; // Saves without a timestamp counted 60 Hz frames
+
+/**
+ * Schema version of a save. Early saves stored '1.0' / '2.0' strings, and a bare
+ * getSerializableState() object counts as version 2.
+ */
+export const getSaveVersion = (data) => {
+  if (!data) return 0;
+  if (data.physics) return 2;
+  const version = typeof data.version === 'string' ? parseInt(data.version, 10) : data.version;
+  if (version >= 2 && data.physicsState && !data.physicsState.physics) return 1; // v2 label on a view model fallback
+  return Number.isFinite(version) && version > 0 ? version : 1;
+};
+
+const migrateV1ToV2 = (save) => {
+  const ps = save.physicsState;
+  const fd = save.flightData;
+  const state = {
+    timestamp: fd?.frame ? fd.frame * LEGACY_FRAME_TIME : 0,
+    physics: {},
+    geo: {},
+    context: {}
+  };
+
+  if (ps) {
+    if (ps.position) {
+      state.geo = { lat: ps.position.latitude, lon: ps.position.longitude };
+      // Saved z was altitude (up); the NED position is down
+      state.physics.position = { x: ps.position.x, y: ps.position.y, z: -Math.abs(ps.position.z) };
+    }
+
+    if (ps.velocity) {
+      state.physics.velocity = ps.velocity.u !== undefined
+        ? { x: ps.velocity.u, y: ps.velocity.v, z: ps.velocity.w }
+        : { x: ps.velocity.x, y: ps.velocity.y, z: ps.velocity.z };
+    }
+
+    if (ps.orientation?.w !== undefined) {
+      state.physics.orientation = { ...ps.orientation };
+    } else if (ps.orientation?.theta !== undefined) {
+      const q = Quaternion.fromEuler(ps.orientation.phi, ps.orientation.theta, ps.orientation.psi);
+      state.physics.orientation = { w: q.w, x: q.x, y: q.y, z: q.z };
+    }
+
+    if (ps.angularRates) {
+      state.physics.rates = { x: ps.angularRates.p, y: ps.angularRates.q, z: ps.angularRates.r };
+    } else {
+      state.physics.rates = ps.rates ? { ...ps.rates } : { x: 0, y: 0, z: 0 };
+    }
+
+    if (ps.controls) {
+      state.controls = { ...ps.controls };
+      if (!state.controls.engineThrottles && Array.isArray(ps.controls.throttles)) {
+        state.controls.engineThrottles = [...ps.controls.throttles];
+      }
+    }
+
+    if (ps.engineParams) {
+      const params = ps.engineParams;
+      const count = Math.max(...['n1', 'n2', 'egt', 'fuelFlow'].map(key => params[key]?.length || 0));
+      state.engines = Array.from({ length: count }, (_, i) => ({
+        n1: params.n1?.[i],
+        n2: params.n2?.[i],
+        egt: params.egt?.[i],
+        fuelFlow: params.fuelFlow?.[i],
+        running: (params.n2?.[i] || 0) > 20,
+        throttleCommand: state.controls?.engineThrottles?.[i] ?? state.controls?.throttle
+      }));
+    }
+
+    if (ps.autopilot) {
+      state.autopilot = {
+        enabled: ps.autopilot.engaged,
+        mode: ps.autopilot.mode,
+        targets: ps.autopilot.targets || ps.autopilotTargets
+      };
+    }
+
+    if (ps.systems) state.systems = ps.systems;
+    if (fd?.fuel !== undefined) state.physics.fuel = fd.fuel;
+  } else if (fd) {
+    // Only the view model: rebuild attitude from Euler angles and assume flight along the nose
+    const pitch = (fd.pitch || 0) * Math.PI / 180;
+    const roll = (fd.roll || 0) * Math.PI / 180;
+    const heading = (fd.heading || 0) * Math.PI / 180;
+    const q = Quaternion.fromEuler(roll, pitch, heading);
+    if (fd.position) state.physics.position = { x: fd.position.x, y: fd.position.y, z: fd.position.z };
+    state.physics.orientation = { w: q.w, x: q.x, y: q.y, z: q.z };
+    state.physics.velocity = { x: (fd.airspeed || 0) * 0.514444, y: 0, z: 0 };
+    state.physics.rates = { x: 0, y: 0, z: 0 };
+  }
+
+  // Version 1 saves carry no crash or ground context: resume airborne unless low and slow
+  const altitude = -(state.physics.position?.z || 0);
+  const v = state.physics.velocity || { x: 0, y: 0, z: 0 };
+  const speed = Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+  state.context = {
+    crashed: false,
+    crashReason: '',
+    onGround: altitude < 100 && speed < 40,
+    groundStatus: { status: 'UNKNOWN', remainingLength: 0 }
+  };
+
+  return { ...save, version: 2, physicsState: state };
+};
+
+const MIGRATIONS = {
+  1: migrateV1ToV2
+};
+
+/**
+ * Bring a save of any known version up to CURRENT_SAVE_VERSION.
+ * @param {Object} data - decoded save data, or a bare getSerializableState() object
+ * @returns {Object} save in the current layout ({ version, physicsState, flightPlan, ... })
+ */
+export const migrateSave = (data) => {
+  let save = data.physics ? { version: 2, physicsState: data } : data;
+  let version = getSaveVersion(save);
+
+  if (version > CURRENT_SAVE_VERSION) {
+    throw new Error(`Save version ${version} is newer than supported version ${CURRENT_SAVE_VERSION}`);
+  }
+
+  while (version < CURRENT_SAVE_VERSION) {
+    save = MIGRATIONS[version](save);
+    version = getSaveVersion(save);
+  }
+  return { ...save, version };
+};
+
+/**
+ * Assemble save data in the current layout. Prefers the physics service's full serializable
+ * state; the published physicsState view model is only a fallback (migrated as version 1).
+ */
+export const buildSaveData = ({ physicsService, physicsState, flightData, flightPlan, weatherData, aircraftModel }) => {
+  const hasFullState = physicsService && typeof physicsService.getSerializableState === 'function';
+  return {
+    version: hasFullState ? CURRENT_SAVE_VERSION : 1,
+    timestamp: Date.now(),
+    flightData, // Kept for UI reference/metadata
+    physicsState: hasFullState ? physicsService.getSerializableState() : physicsState,
+    runwayGeometry: flightData?.runwayGeometry,
+    flightPlan,
+    weatherData,
+    aircraftModel
+  };
+};
@@ -0,0 +1,47 @@
+/**
+ * Seeded Random Utilities
+ *
+ * Deterministic pseudo-random source (mulberry32) for reproducible simulation runs.
+ * Services that need noise accept a `random` function with the same contract as
+ * Math.random (returns a float in [0, 1)) and fall back to Math.random when none is given.
+ */
+
+/**
+ * Convert a numeric or string seed into a 32-bit unsigned integer.
+ * @param {number|string} seed
+ * @returns {number}
+ */
+export function hashSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return seed >>> 0;
+    }
+
+    // FNV-1a hash for string seeds
+    const str = String(seed ?? '');
+    let hash = 2166136261;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Create a seeded random function.
+ * @param {number|string} seed
+ * @returns {Function} random() => number in [0, 1)
+ */
+export function createSeededRandom(seed) {
+    let state = hashSeed(seed);
+
+    const random = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    random.seed = seed;
+    return random;
+}
@@ -0,0 +1,111 @@
+/**
+ * Storm cells and the airborne weather radar that scans them.
+ *
+ * Cell shape (plain JSON, generated by weatherService or scripted in a scenario):
+ *   { id, latitude, longitude, radius (nm), top (ft MSL), intensity (peak reflectivity, dBZ) }
+ * Reflectivity falls off with the square of the distance from the core and stays at its peak
+ * up to 60% of the cell top, then weakens towards the top (ice crystals return little).
+ *
+ * The radar is an X-band beam with a 3.5° vertical width: returns are the strongest
+ * reflectivity the beam intersects, less the two-way attenuation accumulated along the radial.
+ * Radials whose attenuation exceeds ATTENUATION_SHADOW_DB are flagged so the display can warn
+ * that storms may be hidden behind the heavy cell.
+ */
+
+export const RADAR_LEVELS = {
+  LIGHT: 20, // green
+  MODERATE: 30, // yellow
+  HEAVY: 40, // red
+  EXTREME: 50 // magenta, turbulence
+};
+
+const CORE_FRACTION = 0.6;
+const TOP_DROP_DBZ = 30;
+const EDGE_DROP_DBZ = 25; // Drop at one radius from the core
+const BEAM_HALF_WIDTH_DEG = 1.75;
+const FT_PER_NM = 6076.12;
+const KM_PER_NM = 1.852;
+const EARTH_CURVATURE_FT_PER_NM2 = 0.664; // Beam height gain from earth curvature (4/3 earth radius)
+const ATTENUATION_SHADOW_DB = 15;
+
+/**
+ * Reflectivity (dBZ, 0 when there is no return) at a point.
+ */
+export function reflectivityAt(cells, latitude, longitude, altitudeFt) {
+  let best = 0;
+  const cosLat = Math.cos(latitude * Math.PI / 180);
+
+  for (const cell of cells || []) {
+    if (altitudeFt > cell.top) continue;
+    const north = (latitude - cell.latitude) * 60;
+    const east = (longitude - cell.longitude) * 60 * cosLat;
+    const r = Math.hypot(north, east) / cell.radius;
+    if (r > 1.5) continue;
+
+    const coreTop = cell.top * CORE_FRACTION;
+    const verticalDrop = altitudeFt <= coreTop ? 0 : TOP_DROP_DBZ * (altitudeFt - coreTop) / (cell.top - coreTop);
+    const dbz = cell.intensity - EDGE_DROP_DBZ * r * r - verticalDrop;
+    if (dbz > best) best = dbz;
+  }
+
+  return best;
+}
+
+/**
+ * Two-way X-band attenuation (dB) through a bin of the given reflectivity.
+ */
+const attenuation = (dbz, lengthNm) => {
+  if (dbz <= 0) return 0;
+  const z = Math.pow(10, dbz / 10);
+  return 2 * 7.6e-5 * Math.pow(z, 0.77) * lengthNm * KM_PER_NM;
+};
+
+/**
+ * Sweep the radar across the cells.
+ * @param {Array} cells
+ * @param {Object} own - { latitude, longitude, altitude (ft MSL), heading (deg) }
+ * @param {Object} options - { tilt (deg, + up), rangeNm, sweepDeg, beamStepDeg, bins }
+ * @returns {{ beams: Array<{ bearing, returns: number[], shadowFrom: number|null }>, binNm: number }}
+ *   returns are the displayed dBZ per range bin; shadowFrom is the first bin hidden by attenuation
+ */
+export function scanWeatherRadar(cells, own, { tilt = 0, rangeNm = 40, sweepDeg = 90, beamStepDeg = 2, bins = 60 } = {}) {
+  const binNm = rangeNm / bins;
+  const cosLat = Math.cos(own.latitude * Math.PI / 180);
+  const inRange = (cells || []).filter(cell =>
+    Math.hypot((cell.latitude - own.latitude) * 60, (cell.longitude - own.longitude) * 60 * cosLat) < rangeNm + cell.radius * 1.5
+  );
+
+  const beams = [];
+  for (let offset = -sweepDeg; offset <= sweepDeg; offset += beamStepDeg) {
+    const bearing = (own.heading + offset + 360) % 360;
+    const brg = bearing * Math.PI / 180;
+    const returns = [];
+    let pathLoss = 0;
+    let shadowFrom = null;
+
+    for (let i = 0; i < bins; i++) {
+      if (inRange.length === 0) {
+        returns.push(0);
+        continue;
+      }
+      const d = (i + 0.5) * binNm;
+      const latitude = own.latitude + d * Math.cos(brg) / 60;
+      const longitude = own.longitude + d * Math.sin(brg) / (60 * cosLat);
+      const curvature = EARTH_CURVATURE_FT_PER_NM2 * d * d;
+
+      let dbz = 0;
+      for (const elevation of [tilt - BEAM_HALF_WIDTH_DEG, tilt, tilt + BEAM_HALF_WIDTH_DEG]) {
+        const beamAltitude = own.altitude + d * FT_PER_NM * Math.tan(elevation * Math.PI / 180) + curvature;
+        dbz = Math.max(dbz, reflectivityAt(inRange, latitude, longitude, beamAltitude));
+      }
+
+      returns.push(Math.max(0, dbz - pathLoss));
+      pathLoss += attenuation(dbz, binNm);
+      if (shadowFrom === null && pathLoss > ATTENUATION_SHADOW_DB) shadowFrom = i + 1;
+    }
+
+    beams.push({ bearing, returns, shadowFrom });
+  }
+
+  return { beams, binNm };
+}
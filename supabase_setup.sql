@@ -5,10 +5,24 @@ create table if not exists public.flight_saves (
   user_id uuid references auth.users not null,
   data jsonb not null,
   status text default 'active' check (status in ('active', 'discarded', 'completed')),
+  kind text default 'slot' check (kind in ('slot', 'checkpoint')),
+  slot text,
+  label text,
+  flight_id uuid,
+  outcome jsonb,
   created_at timestamptz default now(),
   updated_at timestamptz default now()
 );
 
+-- Upgrade tables created before save slots and flight history
+alter table public.flight_saves add column if not exists kind text default 'slot' check (kind in ('slot', 'checkpoint'));
+alter table public.flight_saves add column if not exists slot text;
+alter table public.flight_saves add column if not exists label text;
+alter table public.flight_saves add column if not exists flight_id uuid;
+alter table public.flight_saves add column if not exists outcome jsonb;
+
+create index if not exists flight_saves_user_flight_idx on public.flight_saves (user_id, flight_id);
+
 -- Enable Row Level Security (RLS)
 alter table public.flight_saves enable row level security;
 